@@ -7,6 +7,9 @@ import { GestureHandlerRootView } from 'react-native-gesture-handler';
 import DashboardScreen from './screens/DashboardScreen';
 import SettingsScreen from './screens/SettingsScreen';
 import ConnectivityScreen from './screens/ConnectivityScreen';
+import RidesScreen from './screens/RidesScreen';
+import BikeConnectionProvider from './components/BikeConnectionProvider';
+import CrashAlertOverlay from './components/CrashAlertOverlay';
 import { Ionicons } from '@expo/vector-icons';
 
 const Tab = createBottomTabNavigator();
@@ -14,48 +17,54 @@ const Tab = createBottomTabNavigator();
 export default function App() {
   return (
     <GestureHandlerRootView style={{ flex: 1 }}>
-      <NavigationContainer>
-        <StatusBar style="light" backgroundColor="#000000" />
-        <Tab.Navigator
-          screenOptions={({ route }) => ({
-            tabBarIcon: ({ focused, color, size }) => {
-              let iconName;
-              if (route.name === 'Dashboard') {
-                iconName = focused ? 'speedometer' : 'speedometer-outline';
-              } else if (route.name === 'Settings') {
-                iconName = focused ? 'settings' : 'settings-outline';
-              } else if (route.name === 'Connectivity') {
-                iconName = focused ? 'bluetooth' : 'bluetooth-outline';
-              }
-              return <Ionicons name={iconName} size={size} color={color} />;
-            },
-            tabBarActiveTintColor: '#00FFFF',
-            tabBarInactiveTintColor: '#666666',
-            tabBarStyle: {
-              backgroundColor: '#000000',
-              borderTopColor: '#333333',
-              height: 60,
-              paddingBottom: 8,
-              paddingTop: 8,
-            },
-            headerStyle: {
-              backgroundColor: '#000000',
-            },
-            headerTintColor: '#FFFFFF',
-            headerTitleStyle: {
-              fontWeight: 'bold',
-            },
-          })}
-        >
-          <Tab.Screen 
-            name="Dashboard" 
-            component={DashboardScreen}
-            options={{ headerShown: false }}
-          />
-          <Tab.Screen name="Settings" component={SettingsScreen} />
-          <Tab.Screen name="Connectivity" component={ConnectivityScreen} />
-        </Tab.Navigator>
-      </NavigationContainer>
+      <BikeConnectionProvider>
+        <NavigationContainer>
+          <StatusBar style="light" backgroundColor="#000000" />
+          <Tab.Navigator
+            screenOptions={({ route }) => ({
+              tabBarIcon: ({ focused, color, size }) => {
+                let iconName;
+                if (route.name === 'Dashboard') {
+                  iconName = focused ? 'speedometer' : 'speedometer-outline';
+                } else if (route.name === 'Rides') {
+                  iconName = focused ? 'map' : 'map-outline';
+                } else if (route.name === 'Settings') {
+                  iconName = focused ? 'settings' : 'settings-outline';
+                } else if (route.name === 'Connectivity') {
+                  iconName = focused ? 'bluetooth' : 'bluetooth-outline';
+                }
+                return <Ionicons name={iconName} size={size} color={color} />;
+              },
+              tabBarActiveTintColor: '#00FFFF',
+              tabBarInactiveTintColor: '#666666',
+              tabBarStyle: {
+                backgroundColor: '#000000',
+                borderTopColor: '#333333',
+                height: 60,
+                paddingBottom: 8,
+                paddingTop: 8,
+              },
+              headerStyle: {
+                backgroundColor: '#000000',
+              },
+              headerTintColor: '#FFFFFF',
+              headerTitleStyle: {
+                fontWeight: 'bold',
+              },
+            })}
+          >
+            <Tab.Screen 
+              name="Dashboard" 
+              component={DashboardScreen}
+              options={{ headerShown: false }}
+            />
+            <Tab.Screen name="Rides" component={RidesScreen} />
+            <Tab.Screen name="Settings" component={SettingsScreen} />
+            <Tab.Screen name="Connectivity" component={ConnectivityScreen} />
+          </Tab.Navigator>
+        </NavigationContainer>
+        <CrashAlertOverlay />
+      </BikeConnectionProvider>
     </GestureHandlerRootView>
   );
 }
@@ -0,0 +1,142 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { Alert } from 'react-native';
+import BleManager, { CONNECTION_STATE } from '../utils/BleManager';
+import SpeedCalibration from '../utils/SpeedCalibration';
+import RideRecorder from '../utils/RideRecorder';
+
+const SCAN_DURATION = 10000; // ms
+
+const STATE_LABELS = {
+  [CONNECTION_STATE.DISCONNECTED]: 'Disconnected',
+  [CONNECTION_STATE.CONNECTING]: 'Connecting...',
+  [CONNECTION_STATE.AUTHENTICATING]: 'Authenticating...',
+  [CONNECTION_STATE.STREAMING]: 'Connected',
+  [CONNECTION_STATE.RECONNECTING]: 'Reconnecting...',
+  [CONNECTION_STATE.LOST]: 'Connection Lost',
+};
+
+const BikeConnectionContext = createContext(null);
+
+// Owns the bike link for the whole app: initialization, scanning, connection
+// and teardown happen here exactly once, and screens read the shared state.
+export const BikeConnectionProvider = ({ children }) => {
+  const [initialized, setInitialized] = useState(false);
+  const [connectionState, setConnectionState] = useState(BleManager.getConnectionState());
+  const [connectedDevice, setConnectedDevice] = useState(null);
+  const [devices, setDevices] = useState([]);
+  const [scanning, setScanning] = useState(false);
+  const [authResult, setAuthResult] = useState(null);
+  const scanTimer = useRef(null);
+
+  const stopScan = useCallback(() => {
+    if (scanTimer.current) {
+      clearTimeout(scanTimer.current);
+      scanTimer.current = null;
+    }
+    BleManager.stopScanning();
+    setScanning(false);
+  }, []);
+
+  const startScan = useCallback(async () => {
+    stopScan();
+    setDevices([]);
+    setScanning(true);
+
+    try {
+      await BleManager.startScanning((device) => {
+        setDevices(prevDevices => {
+          if (prevDevices.find(d => d.id === device.id)) {
+            return prevDevices;
+          }
+          return [...prevDevices, device];
+        });
+      });
+
+      scanTimer.current = setTimeout(stopScan, SCAN_DURATION);
+    } catch (error) {
+      setScanning(false);
+      throw error;
+    }
+  }, [stopScan]);
+
+  const connect = useCallback(async (device) => {
+    stopScan();
+    await BleManager.connectToDevice(device);
+  }, [stopScan]);
+
+  const disconnect = useCallback(async () => {
+    await BleManager.disconnect();
+  }, []);
+
+  useEffect(() => {
+    const unsubscribe = BleManager.on('connection', (isConnected, device, state) => {
+      setConnectionState(state);
+      setConnectedDevice(isConnected ? device : null);
+    });
+    const unsubscribeAuth = BleManager.on('auth', setAuthResult);
+
+    const start = async () => {
+      try {
+        await BleManager.initialize();
+        await SpeedCalibration.loadSettings();
+        await RideRecorder.loadSettings();
+        setInitialized(true);
+      } catch (error) {
+        console.error('BLE initialization failed:', error);
+        Alert.alert('Bluetooth Error', 'Failed to initialize Bluetooth. Using fallback data.');
+        return;
+      }
+
+      // Go straight back to the last bike, otherwise look for one
+      try {
+        if (BleManager.lastDeviceId) {
+          await BleManager.connectToLastDevice();
+        } else {
+          await startScan();
+        }
+      } catch (error) {
+        console.error('Automatic connection failed:', error);
+      }
+    };
+
+    start();
+
+    return () => {
+      unsubscribe();
+      unsubscribeAuth();
+      stopScan();
+      BleManager.disconnect();
+    };
+  }, []);
+
+  const value = useMemo(() => ({
+    initialized,
+    connectionState,
+    connectionLabel: STATE_LABELS[connectionState] || connectionState,
+    connected: connectionState === CONNECTION_STATE.STREAMING,
+    connectedDevice,
+    authResult,
+    devices,
+    scanning,
+    startScan,
+    stopScan,
+    connect,
+    disconnect,
+  }), [initialized, connectionState, connectedDevice, authResult, devices, scanning, startScan, stopScan, connect, disconnect]);
+
+  return (
+    <BikeConnectionContext.Provider value={value}>
+      {children}
+    </BikeConnectionContext.Provider>
+  );
+};
+
+export const useBikeConnection = () => {
+  const context = useContext(BikeConnectionContext);
+  if (!context) {
+    throw new Error('useBikeConnection must be used inside BikeConnectionProvider');
+  }
+  return context;
+};
+
+export default BikeConnectionProvider;
@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Modal, Vibration } from 'react-native';
+import Animated, {
+  useSharedValue,
+  useAnimatedStyle,
+  withRepeat,
+  withTiming,
+} from 'react-native-reanimated';
+import { Ionicons } from '@expo/vector-icons';
+import CrashDetector, { CRASH_STATE } from '../utils/CrashDetector';
+import AlarmSound from '../utils/AlarmSound';
+
+// Buzz hard and sound the siren for as long as the countdown runs
+const VIBRATION_PATTERN = [0, 800, 400];
+
+// The back button must not cancel an SOS; only "I'M OK" does
+const ignoreBack = () => {};
+
+// Full-screen SOS countdown shown over every screen when a crash is detected
+const CrashAlertOverlay = () => {
+  const [status, setStatus] = useState(CrashDetector.getStatus());
+  const flash = useSharedValue(1);
+
+  useEffect(() => {
+    const unsubscribe = CrashDetector.on('state', setStatus);
+    CrashDetector.loadSettings();
+    return () => {
+      unsubscribe();
+      Vibration.cancel();
+      AlarmSound.stop();
+    };
+  }, []);
+
+  const counting = status.state === CRASH_STATE.COUNTDOWN;
+
+  useEffect(() => {
+    if (counting) {
+      Vibration.vibrate(VIBRATION_PATTERN, true);
+      AlarmSound.start();
+      flash.value = withRepeat(withTiming(0.4, { duration: 500 }), -1, true);
+    } else {
+      Vibration.cancel();
+      AlarmSound.stop();
+      flash.value = withTiming(1, { duration: 200 });
+    }
+  }, [counting]);
+
+  const flashStyle = useAnimatedStyle(() => ({
+    opacity: flash.value,
+  }));
+
+  const alerted = status.state === CRASH_STATE.ALERTED;
+  if (!counting && !alerted) return null;
+
+  const alert = status.lastAlert;
+  const test = status.trigger && status.trigger.test;
+
+  return (
+    <Modal visible transparent={false} animationType="fade" onRequestClose={ignoreBack}>
+      <View style={styles.container}>
+        {counting ? (
+          <>
+            <Animated.View style={[styles.header, flashStyle]}>
+              <Ionicons name="warning" size={48} color="#FF4444" />
+              <Text style={styles.title}>CRASH DETECTED{test ? ' (TEST)' : ''}</Text>
+            </Animated.View>
+
+            <Text style={styles.countdown}>{status.remaining}</Text>
+            <Text style={styles.subtitle}>
+              {status.settings.action === 'call' ? 'Calling' : 'Texting'} {status.settings.contacts.length} emergency
+              contact{status.settings.contacts.length === 1 ? '' : 's'} when the countdown ends
+            </Text>
+            {status.trigger && status.trigger.peak !== null && (
+              <Text style={styles.detail}>Impact {status.trigger.peak.toFixed(1)} g</Text>
+            )}
+
+            <TouchableOpacity style={styles.cancelButton} onPress={() => CrashDetector.cancel()}>
+              <Text style={styles.cancelText}>I'M OK</Text>
+            </TouchableOpacity>
+          </>
+        ) : (
+          <>
+            <Ionicons
+              name={alert && alert.error ? 'alert-circle' : 'checkmark-circle'}
+              size={64}
+              color={alert && alert.error ? '#FF4444' : '#00FF88'}
+            />
+            <Text style={styles.title}>
+              {alert && alert.error
+                ? 'Emergency alert failed'
+                : alert && alert.test
+                  ? 'Test complete - nothing was sent'
+                  : 'Emergency alert opened'}
+            </Text>
+            {alert && alert.error && <Text style={styles.subtitle}>{alert.error}</Text>}
+            {alert && (
+              <Text style={styles.message}>
+                To: {alert.contacts.join(', ') || '-'}{'\n'}{alert.message}
+              </Text>
+            )}
+
+            <TouchableOpacity style={styles.dismissButton} onPress={() => CrashDetector.dismiss()}>
+              <Text style={styles.dismissText}>Dismiss</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#1A0000',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 30,
+  },
+  header: {
+    alignItems: 'center',
+  },
+  title: {
+    color: '#FFFFFF',
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginTop: 10,
+    textAlign: 'center',
+  },
+  countdown: {
+    color: '#FF4444',
+    fontSize: 140,
+    fontWeight: 'bold',
+    fontFamily: 'monospace',
+  },
+  subtitle: {
+    color: '#CCCCCC',
+    fontSize: 16,
+    textAlign: 'center',
+    marginTop: 10,
+  },
+  detail: {
+    color: '#888888',
+    fontSize: 14,
+    marginTop: 5,
+  },
+  cancelButton: {
+    marginTop: 40,
+    backgroundColor: '#00FF88',
+    borderRadius: 16,
+    paddingVertical: 24,
+    paddingHorizontal: 60,
+  },
+  cancelText: {
+    color: '#000000',
+    fontSize: 32,
+    fontWeight: 'bold',
+  },
+  message: {
+    color: '#CCCCCC',
+    fontSize: 13,
+    fontFamily: 'monospace',
+    marginTop: 20,
+    textAlign: 'center',
+  },
+  dismissButton: {
+    marginTop: 30,
+    borderWidth: 1,
+    borderColor: '#FFFFFF',
+    borderRadius: 8,
+    paddingVertical: 12,
+    paddingHorizontal: 40,
+  },
+  dismissText: {
+    color: '#FFFFFF',
+    fontSize: 18,
+  },
+});
+
+export default CrashAlertOverlay;
@@ -0,0 +1,309 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, TextInput, ScrollView, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import FrameCapture from '../utils/FrameCapture';
+import { exportPcapng } from '../utils/PcapngExport';
+import { shareFile } from '../utils/FileShare';
+
+const QUICK_MARKERS = ['Gear up', 'Gear down', 'High beam', 'Indicator', 'Neutral', 'Engine off'];
+const VISIBLE_ENTRIES = 30;
+
+const formatOffset = (ms) => `${(ms / 1000).toFixed(2)}s`;
+
+// Raw capture controls plus a live frame list. Bytes that changed since the
+// previous frame on the same characteristic are highlighted in the accent colour.
+const FrameCaptureView = ({ accentColor }) => {
+  const [status, setStatus] = useState(FrameCapture.getStatus());
+  const [entries, setEntries] = useState(FrameCapture.getRecent().slice(-VISIBLE_ENTRIES));
+  const [markerText, setMarkerText] = useState('');
+
+  useEffect(() => {
+    const unsubscribeEntry = FrameCapture.on('entry', () => {
+      setEntries(FrameCapture.getRecent().slice(-VISIBLE_ENTRIES));
+      setStatus(FrameCapture.getStatus());
+    });
+    const unsubscribeState = FrameCapture.on('state', setStatus);
+
+    return () => {
+      unsubscribeEntry();
+      unsubscribeState();
+    };
+  }, []);
+
+  const toggleCapture = async () => {
+    if (status.capturing) {
+      await FrameCapture.stop();
+    } else {
+      FrameCapture.start();
+      setEntries([]);
+    }
+  };
+
+  const addMarker = (label) => {
+    if (FrameCapture.addMarker(label.trim())) {
+      setMarkerText('');
+    }
+  };
+
+  const shareCapture = async () => {
+    try {
+      await shareFile(status.fileUri, 'Yezdi BLE Frame Capture');
+    } catch (error) {
+      console.error('Error sharing capture:', error);
+      Alert.alert('Error', 'Failed to share capture');
+    }
+  };
+
+  // Convert the capture for Wireshark
+  const sharePcapng = async () => {
+    try {
+      const { fileUri, fileName, title, packets } = await exportPcapng(status.fileUri);
+      await shareFile(fileUri, title);
+      Alert.alert('Success', `${packets} packets exported to ${fileName}`);
+    } catch (error) {
+      console.error('Error exporting pcapng:', error);
+      Alert.alert('Export Failed', error.message);
+    }
+  };
+
+  const renderFrame = (entry) => {
+    const changed = new Set(entry.changed);
+    const bytes = entry.hex.match(/../g) || [];
+
+    return (
+      <View style={styles.frameRow}>
+        <Text style={styles.frameMeta}>
+          {formatOffset(entry.t)} {entry.charUUID ? entry.charUUID.slice(4, 8) : '----'} {entry.kind}
+        </Text>
+        <Text style={styles.frameBytes}>
+          {bytes.map((byte, offset) => (
+            <Text
+              key={offset}
+              style={changed.has(offset) ? { color: accentColor, fontWeight: 'bold' } : null}
+            >
+              {byte}{' '}
+            </Text>
+          ))}
+        </Text>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Frame Capture</Text>
+        <Text style={styles.counter}>
+          {status.frameCount} frames · {status.markerCount} markers
+        </Text>
+      </View>
+
+      <View style={styles.actions}>
+        <TouchableOpacity
+          style={[styles.button, { borderColor: status.capturing ? '#FF4444' : accentColor }]}
+          onPress={toggleCapture}
+        >
+          <Ionicons
+            name={status.capturing ? 'stop' : 'radio-button-on'}
+            size={18}
+            color={status.capturing ? '#FF4444' : accentColor}
+          />
+          <Text style={[styles.buttonText, { color: status.capturing ? '#FF4444' : accentColor }]}>
+            {status.capturing ? 'Stop Capture' : 'Start Capture'}
+          </Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.button, { borderColor: accentColor }, (!status.fileUri || status.capturing) && styles.buttonDisabled]}
+          onPress={shareCapture}
+          disabled={!status.fileUri || status.capturing}
+        >
+          <Ionicons name="share" size={18} color={accentColor} />
+          <Text style={[styles.buttonText, { color: accentColor }]}>Share</Text>
+        </TouchableOpacity>
+      </View>
+
+      <TouchableOpacity
+        style={[styles.button, styles.wideButton, { borderColor: accentColor }, (!status.fileUri || status.capturing) && styles.buttonDisabled]}
+        onPress={sharePcapng}
+        disabled={!status.fileUri || status.capturing}
+      >
+        <Ionicons name="git-network-outline" size={18} color={accentColor} />
+        <Text style={[styles.buttonText, { color: accentColor }]}>Export for Wireshark (pcapng)</Text>
+      </TouchableOpacity>
+
+      {status.capturing && (
+        <>
+          <View style={styles.markerInputRow}>
+            <TextInput
+              style={[styles.markerInput, { borderColor: accentColor }]}
+              value={markerText}
+              onChangeText={setMarkerText}
+              onSubmitEditing={() => addMarker(markerText)}
+              placeholder="Marker, e.g. shifted to 3rd"
+              placeholderTextColor="#666666"
+              returnKeyType="done"
+            />
+            <TouchableOpacity style={styles.markerAdd} onPress={() => addMarker(markerText)}>
+              <Ionicons name="flag" size={20} color={accentColor} />
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.quickMarkers}>
+            {QUICK_MARKERS.map((label) => (
+              <TouchableOpacity
+                key={label}
+                style={[styles.quickMarker, { borderColor: accentColor }]}
+                onPress={() => addMarker(label)}
+              >
+                <Text style={[styles.quickMarkerText, { color: accentColor }]}>{label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </>
+      )}
+
+      <ScrollView style={styles.frameList} nestedScrollEnabled>
+        {entries.length === 0 && (
+          <Text style={styles.emptyText}>
+            {status.capturing ? 'Waiting for frames...' : 'Start a capture to record raw notifications'}
+          </Text>
+        )}
+        {entries.slice().reverse().map((entry, index) => (
+          <View key={`${entry.t}-${index}`}>
+            {entry.type === 'marker' ? (
+              <Text style={[styles.markerRow, { color: accentColor }]}>
+                ⚑ {formatOffset(entry.t)} {entry.label}
+              </Text>
+            ) : (
+              renderFrame(entry)
+            )}
+          </View>
+        ))}
+      </ScrollView>
+
+      {status.fileUri && (
+        <Text style={styles.filePath} numberOfLines={1}>
+          {status.fileUri.split('/').pop()}
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 15,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  counter: {
+    color: '#CCCCCC',
+    fontSize: 12,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 10,
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 12,
+    borderWidth: 1,
+    borderRadius: 8,
+    backgroundColor: 'rgba(255, 255, 255, 0.05)',
+    flex: 0.48,
+  },
+  wideButton: {
+    flex: 0,
+    marginBottom: 10,
+  },
+  buttonDisabled: {
+    opacity: 0.3,
+  },
+  buttonText: {
+    marginLeft: 8,
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  markerInputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  markerInput: {
+    flex: 1,
+    backgroundColor: '#1A1A1A',
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 10,
+    color: '#FFFFFF',
+    fontSize: 14,
+  },
+  markerAdd: {
+    padding: 10,
+  },
+  quickMarkers: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginBottom: 10,
+  },
+  quickMarker: {
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+  },
+  quickMarkerText: {
+    fontSize: 12,
+  },
+  frameList: {
+    backgroundColor: '#1A1A1A',
+    borderRadius: 8,
+    padding: 10,
+    maxHeight: 250,
+  },
+  frameRow: {
+    marginBottom: 4,
+  },
+  frameMeta: {
+    color: '#666666',
+    fontSize: 10,
+    fontFamily: 'monospace',
+  },
+  frameBytes: {
+    color: '#CCCCCC',
+    fontSize: 12,
+    fontFamily: 'monospace',
+  },
+  markerRow: {
+    fontSize: 12,
+    fontFamily: 'monospace',
+    marginVertical: 4,
+  },
+  emptyText: {
+    color: '#666666',
+    fontSize: 12,
+    fontStyle: 'italic',
+  },
+  filePath: {
+    color: '#666666',
+    fontSize: 10,
+    fontFamily: 'monospace',
+    marginTop: 6,
+  },
+});
+
+export default FrameCaptureView;
@@ -7,8 +7,10 @@ import Animated, {
   interpolate,
 } from 'react-native-reanimated';
 import { Ionicons } from '@expo/vector-icons';
+import { STALE_OPACITY } from '../utils/DataFreshness';
 
-const FuelBar = ({ fuel, accentColor }) => {
+const FuelBar = ({ fuel: rawFuel, accentColor, freshness }) => {
+  const fuel = freshness && freshness.blank ? 0 : rawFuel;
   const animatedWidth = useSharedValue(0);
   
   React.useEffect(() => {
@@ -57,14 +59,16 @@ const FuelBar = ({ fuel, accentColor }) => {
   };
 
   return (
-    <View style={styles.container}>
+    <View style={[styles.container, freshness && freshness.dimmed && { opacity: STALE_OPACITY }]}>
       <View style={styles.header}>
         <Ionicons 
           name={getFuelIcon()} 
           size={20} 
           color={getFuelColor()} 
         />
-        <Text style={styles.label}>FUEL</Text>
+        <Text style={styles.label}>
+          FUEL{freshness && freshness.badge ? ` · ${freshness.badge}` : ''}
+        </Text>
       </View>
       
       <View style={styles.barContainer}>
@@ -0,0 +1,141 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import BleManager from '../utils/BleManager';
+import { GEAR_STATE } from '../utils/GearEstimator';
+
+const STATE_LABELS = {
+  [GEAR_STATE.UNKNOWN]: 'Stopped or waiting for speed and RPM',
+  [GEAR_STATE.ENGAGED]: 'In gear',
+  [GEAR_STATE.SHIFTING]: 'Shifting',
+  [GEAR_STATE.NEUTRAL]: 'Neutral or clutch in',
+};
+
+// Learned km/h per 1000 rpm for each gear, with the current estimate
+const GearCalibrationView = ({ accentColor }) => {
+  const estimator = BleManager.gearEstimator;
+  const [status, setStatus] = useState(estimator.getStatus());
+
+  useEffect(() => estimator.on('state', setStatus), []);
+
+  const resetRatios = () => {
+    Alert.alert(
+      'Reset Gear Ratios',
+      'Forget the gear ratios learned for this bike and start again from stock?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Reset', style: 'destructive', onPress: () => estimator.reset() },
+      ]
+    );
+  };
+
+  const { estimate, gears } = status;
+  const learned = gears.some((gear) => gear.samples > 0);
+  // Bars are scaled against the tallest gear
+  const maxRatio = Math.max(...gears.map((gear) => gear.ratio));
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>
+          {status.bikeId && status.bikeId !== 'default' ? `Bike ${status.bikeId}` : 'This bike'}
+        </Text>
+        <TouchableOpacity onPress={resetRatios} disabled={!learned}>
+          <Ionicons name="trash" size={18} color={learned ? '#FF4444' : '#333333'} />
+        </TouchableOpacity>
+      </View>
+
+      <Text style={styles.detail}>
+        {STATE_LABELS[estimate.state]}
+        {estimate.gear !== null ? ` · ${estimate.gear} (${Math.round(estimate.confidence * 100)}%)` : ''}
+        {estimate.ratio !== null ? ` · ${estimate.ratio.toFixed(1)} km/h per 1000 rpm` : ''}
+      </Text>
+
+      {gears.map((gear) => {
+        const active = estimate.gear === gear.gear;
+        return (
+          <View key={gear.gear} style={styles.row}>
+            <Text style={[styles.gearNumber, active && { color: accentColor }]}>{gear.gear}</Text>
+            <View style={styles.barBackground}>
+              <View
+                style={[
+                  styles.barFill,
+                  { width: `${(gear.ratio / maxRatio) * 100}%`, backgroundColor: accentColor },
+                  { opacity: 0.3 + 0.7 * gear.progress },
+                ]}
+              />
+            </View>
+            <Text style={styles.ratio}>{gear.ratio.toFixed(1)}</Text>
+            <Text style={styles.samples}>{gear.samples > 0 ? gear.samples : 'stock'}</Text>
+          </View>
+        );
+      })}
+
+      <Text style={styles.detail}>
+        Ratios are learned while riding and used when the bike does not report its gear
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#333333',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  title: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  gearNumber: {
+    color: '#CCCCCC',
+    fontSize: 14,
+    fontWeight: 'bold',
+    fontFamily: 'monospace',
+    width: 20,
+  },
+  barBackground: {
+    flex: 1,
+    height: 6,
+    backgroundColor: '#333333',
+    borderRadius: 3,
+    overflow: 'hidden',
+  },
+  barFill: {
+    height: '100%',
+    borderRadius: 3,
+  },
+  ratio: {
+    color: '#FFFFFF',
+    fontSize: 12,
+    fontFamily: 'monospace',
+    width: 44,
+    textAlign: 'right',
+  },
+  samples: {
+    color: '#888888',
+    fontSize: 12,
+    width: 44,
+    textAlign: 'right',
+  },
+  detail: {
+    color: '#CCCCCC',
+    fontSize: 12,
+    marginTop: 6,
+  },
+});
+
+export default GearCalibrationView;
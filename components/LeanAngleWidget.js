@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import Animated, {
+  useSharedValue,
+  useAnimatedStyle,
+  withTiming,
+} from 'react-native-reanimated';
+import SensorManager from '../utils/SensorManager';
+
+// Refresh rate of the widget; the filter itself runs faster
+const DISPLAY_INTERVAL = 100; // ms
+// Lean at which the reading turns orange, then red
+const LEAN_WARNING = 35;
+const LEAN_LIMIT = 45;
+
+const leanColor = (angle, accentColor) => {
+  const lean = Math.abs(angle);
+  if (lean >= LEAN_LIMIT) return '#FF4444';
+  if (lean >= LEAN_WARNING) return '#FFA500';
+  return accentColor;
+};
+
+// Live lean angle with session max left/right. Long-press to reset the maxima.
+const LeanAngleWidget = ({ accentColor }) => {
+  const [lean, setLean] = useState(null);
+  const [records, setRecords] = useState(SensorManager.getLeanRecords());
+  const rotation = useSharedValue(0);
+
+  useEffect(() => {
+    const unsubscribe = SensorManager.subscribe('lean', (reading) => {
+      setLean(reading);
+      setRecords({ maxLeft: reading.maxLeft, maxRight: reading.maxRight });
+      rotation.value = withTiming(reading.roll, { duration: DISPLAY_INTERVAL });
+    }, { interval: DISPLAY_INTERVAL });
+    return unsubscribe;
+  }, []);
+
+  const resetRecords = () => {
+    SensorManager.resetLeanRecords();
+    setRecords(SensorManager.getLeanRecords());
+  };
+
+  const indicatorStyle = useAnimatedStyle(() => ({
+    transform: [{ rotate: `${rotation.value}deg` }],
+  }));
+
+  const roll = lean ? Math.round(lean.roll) : null;
+
+  return (
+    <TouchableOpacity style={styles.container} onLongPress={resetRecords} activeOpacity={0.8}>
+      <View style={styles.header}>
+        <Text style={styles.label}>
+          LEAN{lean && !lean.calibrated ? ' · UNCALIBRATED' : ''}
+        </Text>
+        <Text style={[styles.value, { color: roll !== null ? leanColor(roll, accentColor) : '#666666' }]}>
+          {roll === null ? '--' : `${Math.abs(roll)}° ${roll < 0 ? 'L' : roll > 0 ? 'R' : ''}`}
+        </Text>
+      </View>
+
+      <View style={styles.gauge}>
+        <Text style={styles.record}>L {Math.round(records.maxLeft)}°</Text>
+        <View style={styles.dial}>
+          <View style={styles.horizon} />
+          <Animated.View style={[styles.indicator, { backgroundColor: accentColor }, indicatorStyle]} />
+        </View>
+        <Text style={styles.record}>R {Math.round(records.maxRight)}°</Text>
+      </View>
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginVertical: 10,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  label: {
+    color: '#CCCCCC',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  value: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    fontFamily: 'monospace',
+  },
+  gauge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  record: {
+    color: '#888888',
+    fontSize: 12,
+    fontFamily: 'monospace',
+    width: 48,
+    textAlign: 'center',
+  },
+  dial: {
+    width: 60,
+    height: 30,
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    overflow: 'hidden',
+  },
+  horizon: {
+    position: 'absolute',
+    bottom: 0,
+    left: 0,
+    right: 0,
+    height: 1,
+    backgroundColor: '#333333',
+  },
+  indicator: {
+    width: 3,
+    height: 56,
+    borderRadius: 2,
+    marginBottom: -28, // pivot at the base of the dial
+  },
+});
+
+export default LeanAngleWidget;
@@ -2,7 +2,6 @@ import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet } from 'react-native';
 import MapView, { Marker, Polyline } from 'react-native-maps';
 import { Ionicons } from '@expo/vector-icons';
-import * as Location from 'expo-location';
 import { LinearGradient } from 'expo-linear-gradient';
 import Animated, {
   useSharedValue,
@@ -10,6 +9,7 @@ import Animated, {
   withTiming,
   withRepeat,
 } from 'react-native-reanimated';
+import SensorManager from '../utils/SensorManager';
 
 const NavigationPanel = ({ 
   accentColor = '#00FFFF', 
@@ -44,42 +44,20 @@ const NavigationPanel = ({
 
   // Get user location
   useEffect(() => {
-    let locationSubscription;
-    
-    if (mode !== 'off') {
-      const startLocationTracking = async () => {
-        try {
-          const { status } = await Location.requestForegroundPermissionsAsync();
-          if (status !== 'granted') return;
+    if (mode === 'off') return undefined;
 
-          locationSubscription = await Location.watchPositionAsync(
-            {
-              accuracy: Location.Accuracy.BestForNavigation,
-              timeInterval: 1000,
-              distanceInterval: 1,
-            },
-            (locationData) => {
-              setLocation({
-                latitude: locationData.coords.latitude,
-                longitude: locationData.coords.longitude,
-              });
-              setHeading(locationData.coords.heading || 0);
-              setSpeed(Math.round((locationData.coords.speed || 0) * 3.6));
-              setLocationReady(true);
-            }
-          );
-        } catch (error) {
-          console.error('Location tracking error:', error);
-        }
-      };
-
-      startLocationTracking();
-    }
+    const unsubscribe = SensorManager.subscribe('location', (locationData) => {
+      setLocation({
+        latitude: locationData.latitude,
+        longitude: locationData.longitude,
+      });
+      setHeading(locationData.heading || 0);
+      setSpeed(Math.round(locationData.speed));
+      setLocationReady(true);
+    });
 
     return () => {
-      if (locationSubscription) {
-        locationSubscription.remove();
-      }
+      unsubscribe();
       setLocationReady(false);
     };
   }, [mode]);
@@ -7,8 +7,10 @@ import Animated, {
   interpolate,
   interpolateColor,
 } from 'react-native-reanimated';
+import { STALE_OPACITY } from '../utils/DataFreshness';
 
-const RPMBar = ({ rpm, accentColor }) => {
+const RPMBar = ({ rpm: rawRpm, accentColor, freshness }) => {
+  const rpm = freshness && freshness.blank ? 0 : rawRpm;
   const animatedValue = useSharedValue(0);
 
   useEffect(() => {
@@ -56,9 +58,11 @@ const RPMBar = ({ rpm, accentColor }) => {
   };
 
   return (
-    <View style={styles.container}>
+    <View style={[styles.container, freshness && freshness.dimmed && { opacity: STALE_OPACITY }]}>
       <View style={styles.header}>
-        <Text style={styles.label}>RPM</Text>
+        <Text style={styles.label}>
+          RPM{freshness && freshness.badge ? ` · ${freshness.badge}` : ''}
+        </Text>
         <Text style={[styles.value, { color: getRPMColor() }]}>
           {rpm === 0 ? '--' : rpm.toLocaleString()}
         </Text>
@@ -0,0 +1,210 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import SessionReplay, { REPLAY_SPEEDS } from '../utils/SessionReplay';
+
+const formatTime = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = (totalSeconds % 60).toString().padStart(2, '0');
+  return `${minutes}:${seconds}`;
+};
+
+// Pick a recorded capture or exported log and play it into the dashboard
+const ReplayControls = ({ accentColor }) => {
+  const [sessions, setSessions] = useState([]);
+  const [status, setStatus] = useState(SessionReplay.getStatus());
+
+  useEffect(() => {
+    const unsubscribe = SessionReplay.on('state', setStatus);
+    refreshSessions();
+    return unsubscribe;
+  }, []);
+
+  const refreshSessions = async () => {
+    try {
+      setSessions(await SessionReplay.listSessions());
+    } catch (error) {
+      console.error('Error listing sessions:', error);
+    }
+  };
+
+  const loadSession = async (session) => {
+    try {
+      await SessionReplay.load(session.uri);
+    } catch (error) {
+      console.error('Error loading session:', error);
+      Alert.alert('Replay Error', error.message);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Recorded Sessions</Text>
+        <TouchableOpacity onPress={refreshSessions}>
+          <Ionicons name="refresh" size={18} color={accentColor} />
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView style={styles.sessionList} nestedScrollEnabled>
+        {sessions.length === 0 && (
+          <Text style={styles.emptyText}>No captures or exported logs found</Text>
+        )}
+        {sessions.map((session) => (
+          <TouchableOpacity
+            key={session.uri}
+            style={styles.sessionRow}
+            onPress={() => loadSession(session)}
+          >
+            <Ionicons
+              name={session.name.endsWith('.txt') ? 'document-text' : 'pulse'}
+              size={16}
+              color={status.name === session.name ? accentColor : '#666666'}
+            />
+            <Text
+              style={[styles.sessionName, status.name === session.name && { color: accentColor }]}
+              numberOfLines={1}
+            >
+              {session.name}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      {status.loaded && (
+        <>
+          <Text style={styles.progress}>
+            Frame {status.position}/{status.total} · {formatTime(status.elapsed)} / {formatTime(status.duration)}
+          </Text>
+          {status.lastMarker && (
+            <Text style={[styles.marker, { color: accentColor }]}>⚑ {status.lastMarker.label}</Text>
+          )}
+
+          <View style={styles.speeds}>
+            {REPLAY_SPEEDS.map((speed) => (
+              <TouchableOpacity
+                key={speed}
+                style={[
+                  styles.speedChip,
+                  { borderColor: accentColor },
+                  status.speed === speed && { backgroundColor: accentColor },
+                ]}
+                onPress={() => SessionReplay.setSpeed(speed)}
+              >
+                <Text style={[styles.speedText, { color: status.speed === speed ? '#000000' : accentColor }]}>
+                  {speed}×
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.controls}>
+            <TouchableOpacity style={styles.controlButton} onPress={() => SessionReplay.stop()}>
+              <Ionicons name="stop" size={24} color="#FF4444" />
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.playButton, { borderColor: accentColor }]}
+              onPress={() => (status.playing ? SessionReplay.pause() : SessionReplay.play())}
+            >
+              <Ionicons name={status.playing ? 'pause' : 'play'} size={24} color={accentColor} />
+            </TouchableOpacity>
+
+            <TouchableOpacity style={styles.controlButton} onPress={() => SessionReplay.step()}>
+              <Ionicons name="play-skip-forward" size={24} color="#FFFFFF" />
+            </TouchableOpacity>
+          </View>
+        </>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#333333',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  sessionList: {
+    backgroundColor: '#1A1A1A',
+    borderRadius: 8,
+    padding: 10,
+    maxHeight: 160,
+  },
+  sessionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  sessionName: {
+    color: '#CCCCCC',
+    fontSize: 12,
+    fontFamily: 'monospace',
+    marginLeft: 8,
+    flex: 1,
+  },
+  emptyText: {
+    color: '#666666',
+    fontSize: 12,
+    fontStyle: 'italic',
+  },
+  progress: {
+    color: '#CCCCCC',
+    fontSize: 12,
+    fontFamily: 'monospace',
+    marginTop: 10,
+  },
+  marker: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  speeds: {
+    flexDirection: 'row',
+    gap: 6,
+    marginTop: 10,
+  },
+  speedChip: {
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+  },
+  speedText: {
+    fontSize: 12,
+    fontWeight: '500',
+  },
+  controls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 20,
+    marginTop: 10,
+  },
+  controlButton: {
+    padding: 6,
+  },
+  playButton: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    borderWidth: 2,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'rgba(255, 255, 255, 0.05)',
+  },
+});
+
+export default ReplayControls;
@@ -0,0 +1,310 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import RideRecorder from '../utils/RideRecorder';
+import { EXPORT_FORMATS, exportRide } from '../utils/RideExport';
+import {
+  DATA_EXPORT_FORMATS,
+  EXPORT_FIELDS,
+  UNIT_SYSTEMS,
+  RESAMPLE_INTERVALS,
+  DEFAULT_EXPORT_OPTIONS,
+  exportTelemetry,
+} from '../utils/TelemetryExport';
+import { shareFile } from '../utils/FileShare';
+
+// Bars in the speed profile
+const PROFILE_BARS = 60;
+
+export const formatDuration = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const pad = (value) => String(value).padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds % 60)}` : `${minutes}:${pad(seconds % 60)}`;
+};
+
+export const rideTitle = (ride) => ride.name || new Date(ride.startedAt).toLocaleString();
+
+// Peak speed in each slice of the ride
+const speedProfile = (telemetry, duration) => {
+  const bars = new Array(PROFILE_BARS).fill(0);
+  if (duration <= 0) return bars;
+  telemetry.forEach((row) => {
+    const index = Math.min(PROFILE_BARS - 1, Math.floor((row.t / duration) * PROFILE_BARS));
+    if (row.speed !== null && index >= 0) bars[index] = Math.max(bars[index], row.speed);
+  });
+  return bars;
+};
+
+const intervalLabel = (interval) => (interval ? `${interval / 1000} s` : 'Raw');
+
+// Summary, speed profile, rename, export and delete for one recorded ride
+const RideDetail = ({ ride, recording, accentColor, onClose }) => {
+  const [name, setName] = useState(ride.name || '');
+  const [track, setTrack] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(null);
+  const [dataOptions, setDataOptions] = useState(DEFAULT_EXPORT_OPTIONS);
+
+  useEffect(() => {
+    let cancelled = false;
+    RideRecorder.loadRide(ride.id)
+      .then((loaded) => {
+        if (!cancelled) setTrack(loaded);
+      })
+      .catch((error) => {
+        console.error('Error loading ride:', error);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [ride.id]);
+
+  const saveName = async () => {
+    try {
+      await RideRecorder.renameRide(ride.id, name);
+    } catch (error) {
+      console.error('Error renaming ride:', error);
+      Alert.alert('Error', 'Failed to rename ride');
+    }
+  };
+
+  const shareRide = async (format) => {
+    setExporting(format);
+    try {
+      const { fileUri, fileName, title, parts } = await exportRide(ride.id, format);
+      await shareFile(fileUri, title);
+      Alert.alert('Success', `Ride exported to ${fileName} (${parts} ${parts === 1 ? 'part' : 'parts'})`);
+    } catch (error) {
+      console.error('Error exporting ride:', error);
+      Alert.alert('Export Failed', error.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const shareData = async (format) => {
+    setExporting(format);
+    try {
+      const { fileUri, fileName, title, rows, parts } = await exportTelemetry(ride.id, format, dataOptions);
+      await shareFile(fileUri, title);
+      Alert.alert('Success', `${rows} rows exported to ${fileName} (${parts} ${parts === 1 ? 'part' : 'parts'})`);
+    } catch (error) {
+      console.error('Error exporting ride data:', error);
+      Alert.alert('Export Failed', error.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const toggleField = (field) => {
+    setDataOptions((options) => ({
+      ...options,
+      fields: options.fields.includes(field)
+        ? options.fields.filter((selected) => selected !== field)
+        : [...options.fields, field],
+    }));
+  };
+
+  const renderChip = (key, label, selected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, { borderColor: accentColor }, selected && { backgroundColor: accentColor }]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, { color: selected ? '#000000' : accentColor }]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderExportButton = (format, label, onPress) => (
+    <TouchableOpacity
+      key={format}
+      style={[styles.exportButton, { borderColor: accentColor }]}
+      onPress={onPress}
+      disabled={exporting !== null}
+    >
+      {exporting === format ? (
+        <ActivityIndicator size="small" color={accentColor} />
+      ) : (
+        <>
+          <Ionicons name="share-outline" size={18} color={accentColor} />
+          <Text style={[styles.exportButtonText, { color: accentColor }]}>{label}</Text>
+        </>
+      )}
+    </TouchableOpacity>
+  );
+
+  const deleteRide = () => {
+    Alert.alert(
+      'Delete Ride',
+      `Delete "${rideTitle(ride)}"? This cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await RideRecorder.deleteRide(ride.id);
+              onClose();
+            } catch (error) {
+              Alert.alert('Error', error.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const telemetry = track ? track.telemetry : [];
+  const leans = telemetry.map((row) => row.lean).filter((lean) => lean !== null);
+  const profile = speedProfile(telemetry, ride.duration);
+  const profileMax = Math.max(1, ...profile);
+
+  const stats = [
+    ['Distance', `${ride.distance.toFixed(1)} km`],
+    ['Duration', formatDuration(ride.duration)],
+    ['Moving time', formatDuration(ride.movingTime)],
+    ['Average speed', `${Math.round(ride.avgSpeed)} km/h`],
+    ['Max speed', `${Math.round(ride.maxSpeed)} km/h`],
+    ['Max lean', leans.length > 0
+      ? `L ${Math.round(Math.abs(Math.min(0, ...leans)))}° · R ${Math.round(Math.max(0, ...leans))}°`
+      : '--'],
+    ['Bike', ride.bikeName || ride.bikeId || '--'],
+    ['Recorded', `${ride.samples} samples · ${ride.fixes} GPS fixes`],
+  ];
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onClose} style={styles.backButton}>
+          <Ionicons name="chevron-back" size={24} color={accentColor} />
+          <Text style={[styles.backText, { color: accentColor }]}>Rides</Text>
+        </TouchableOpacity>
+        {!recording && (
+          <TouchableOpacity onPress={deleteRide}>
+            <Ionicons name="trash" size={22} color="#FF4444" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <Text style={styles.date}>{new Date(ride.startedAt).toLocaleString()}</Text>
+      <View style={styles.nameRow}>
+        <TextInput
+          style={styles.nameInput}
+          value={name}
+          onChangeText={setName}
+          onEndEditing={saveName}
+          placeholder="Name this ride"
+          placeholderTextColor="#666666"
+          returnKeyType="done"
+        />
+        <TouchableOpacity onPress={saveName}>
+          <Ionicons name="checkmark" size={24} color={accentColor} />
+        </TouchableOpacity>
+      </View>
+
+      {stats.map(([label, value]) => (
+        <View key={label} style={styles.statRow}>
+          <Text style={styles.statLabel}>{label}</Text>
+          <Text style={styles.statValue}>{value}</Text>
+        </View>
+      ))}
+
+      <Text style={[styles.sectionTitle, { color: accentColor }]}>Speed</Text>
+      {loading ? (
+        <ActivityIndicator color={accentColor} />
+      ) : (
+        <View style={styles.profile}>
+          {profile.map((speed, index) => (
+            <View
+              key={index}
+              style={[styles.profileBar, { height: `${(speed / profileMax) * 100}%`, backgroundColor: accentColor }]}
+            />
+          ))}
+        </View>
+      )}
+
+      {!recording && (
+        <>
+          <Text style={[styles.sectionTitle, { color: accentColor }]}>Export</Text>
+          <View style={styles.exportRow}>
+            {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+              renderExportButton(format, label, () => shareRide(format))
+            ))}
+          </View>
+
+          <Text style={[styles.sectionTitle, { color: accentColor }]}>Telemetry Data</Text>
+          <Text style={styles.optionLabel}>Fields</Text>
+          <View style={styles.chipRow}>
+            {Object.entries(EXPORT_FIELDS).map(([field, { label }]) => (
+              renderChip(field, label, dataOptions.fields.includes(field), () => toggleField(field))
+            ))}
+          </View>
+          <Text style={styles.optionLabel}>Units</Text>
+          <View style={styles.chipRow}>
+            {Object.entries(UNIT_SYSTEMS).map(([units, { label }]) => (
+              renderChip(units, label, dataOptions.units === units, () => setDataOptions({ ...dataOptions, units }))
+            ))}
+          </View>
+          <Text style={styles.optionLabel}>Resample</Text>
+          <View style={styles.chipRow}>
+            {RESAMPLE_INTERVALS.map((interval) => (
+              renderChip(
+                String(interval),
+                intervalLabel(interval),
+                dataOptions.interval === interval,
+                () => setDataOptions({ ...dataOptions, interval })
+              )
+            ))}
+          </View>
+          <View style={[styles.exportRow, styles.dataExportRow]}>
+            {Object.entries(DATA_EXPORT_FORMATS).map(([format, { label }]) => (
+              renderExportButton(format, label, () => shareData(format))
+            ))}
+          </View>
+        </>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#000000' },
+  content: { padding: 20 },
+  header: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 15 },
+  backButton: { flexDirection: 'row', alignItems: 'center' },
+  backText: { fontSize: 16, marginLeft: 2 },
+  date: { color: '#CCCCCC', fontSize: 12 },
+  nameRow: { flexDirection: 'row', alignItems: 'center', borderBottomWidth: 1, borderBottomColor: '#333333', marginBottom: 10 },
+  nameInput: { flex: 1, color: '#FFFFFF', fontSize: 20, fontWeight: 'bold', paddingVertical: 8 },
+  statRow: { flexDirection: 'row', justifyContent: 'space-between', paddingVertical: 8, borderBottomWidth: 1, borderBottomColor: '#1A1A1A' },
+  statLabel: { color: '#CCCCCC', fontSize: 14 },
+  statValue: { color: '#FFFFFF', fontSize: 14, fontFamily: 'monospace' },
+  sectionTitle: { fontSize: 18, fontWeight: 'bold', marginTop: 25, marginBottom: 10 },
+  profile: { flexDirection: 'row', alignItems: 'flex-end', height: 100, borderBottomWidth: 1, borderBottomColor: '#333333' },
+  exportRow: { flexDirection: 'row', flexWrap: 'wrap' },
+  exportButton: { flexDirection: 'row', alignItems: 'center', justifyContent: 'center', borderWidth: 1, borderRadius: 8, paddingVertical: 10, paddingHorizontal: 16, marginRight: 10, marginBottom: 10, minWidth: 80 },
+  exportButtonText: { fontSize: 14, fontWeight: '500', marginLeft: 6 },
+  dataExportRow: { marginTop: 15 },
+  optionLabel: { color: '#CCCCCC', fontSize: 14, marginTop: 10 },
+  chipRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 6, marginTop: 8 },
+  chip: { borderWidth: 1, borderRadius: 12, paddingHorizontal: 10, paddingVertical: 4 },
+  chipText: { fontSize: 12, fontWeight: '500' },
+  profileBar: { flex: 1, marginHorizontal: 0.5, borderTopLeftRadius: 1, borderTopRightRadius: 1 },
+});
+
+export default RideDetail;
@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import SpeedCalibration, { MIN_CALIBRATION_SAMPLES, TARGET_CALIBRATION_SAMPLES } from '../utils/SpeedCalibration';
+
+const CONFIDENCE_COLORS = {
+  low: '#FF4444',
+  medium: '#FFA500',
+  high: '#00FF88',
+};
+
+// How far off the speedometer is, e.g. "reads 6.2% high"
+const describeError = (factor) => {
+  const percent = (1 / factor - 1) * 100;
+  if (Math.abs(percent) < 0.1) return 'reads true';
+  return `reads ${Math.abs(percent).toFixed(1)}% ${percent > 0 ? 'high' : 'low'}`;
+};
+
+// Collection progress, fitted correction and confidence for the current bike
+const SpeedCalibrationStatus = ({ accentColor }) => {
+  const [status, setStatus] = useState(SpeedCalibration.getStatus());
+
+  useEffect(() => SpeedCalibration.on('state', setStatus), []);
+
+  const resetCalibration = () => {
+    Alert.alert(
+      'Reset Calibration',
+      'Discard the speedometer calibration collected for this bike?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Reset', style: 'destructive', onPress: () => SpeedCalibration.reset() },
+      ]
+    );
+  };
+
+  const { fit } = status;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>
+          {status.bikeId && status.bikeId !== 'default' ? `Bike ${status.bikeId}` : 'This bike'}
+        </Text>
+        <TouchableOpacity onPress={resetCalibration} disabled={status.samples === 0}>
+          <Ionicons name="trash" size={18} color={status.samples === 0 ? '#333333' : '#FF4444'} />
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.progressBackground}>
+        <View style={[styles.progressFill, { width: `${status.progress * 100}%`, backgroundColor: accentColor }]} />
+      </View>
+      <Text style={styles.detail}>
+        {status.samples}/{TARGET_CALIBRATION_SAMPLES} steady samples
+        {status.speedRange ? ` · ${Math.round(status.speedRange[0])}-${Math.round(status.speedRange[1])} km/h` : ''}
+      </Text>
+
+      {fit ? (
+        <>
+          <Text style={[styles.result, { color: accentColor }]}>
+            Speedometer {describeError(fit.factor)}
+          </Text>
+          <Text style={styles.detail}>
+            {fit.model === 'linear'
+              ? `True = ${fit.slope.toFixed(3)} × bike ${fit.offset >= 0 ? '+' : '-'} ${Math.abs(fit.offset).toFixed(1)} km/h`
+              : `True = ${fit.factor.toFixed(3)} × bike`}
+            {' · '}
+            <Text style={{ color: CONFIDENCE_COLORS[fit.confidence] }}>{fit.confidence} confidence</Text>
+          </Text>
+        </>
+      ) : (
+        <Text style={styles.detail}>
+          {status.collecting
+            ? `Ride steadily above 20 km/h with a clear sky view; a correction is fitted after ${MIN_CALIBRATION_SAMPLES} samples`
+            : 'Turn on collection to calibrate'}
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#333333',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  progressBackground: {
+    height: 6,
+    backgroundColor: '#333333',
+    borderRadius: 3,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    borderRadius: 3,
+  },
+  result: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 10,
+  },
+  detail: {
+    color: '#CCCCCC',
+    fontSize: 12,
+    marginTop: 6,
+  },
+});
+
+export default SpeedCalibrationStatus;
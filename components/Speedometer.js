@@ -10,8 +10,46 @@ import Animated, {
 } from 'react-native-reanimated';
 import Svg, { Circle, Path, Text as SvgText } from 'react-native-svg';
 import BleManager from '../utils/BleManager';
+import { COMMAND_STATUS } from '../utils/BleCommandChannel';
+import { STALE_OPACITY } from '../utils/DataFreshness';
+
+// Sources worth calling out next to a value (anything else is live bike data)
+const SOURCE_TAGS = {
+  gps: 'GPS',
+  cache: 'CACHED',
+  mock: 'SIM',
+  replay: 'REPLAY',
+};
+
+const Speedometer = ({
+  speed: rawSpeed,
+  odometer: rawOdometer,
+  tripA,
+  tripB,
+  afe,
+  bfe,
+  tripATime,
+  tripBTime,
+  tripAAvgSpeed,
+  tripBAvgSpeed,
+  size,
+  accentColor,
+  speedSource,
+  speedCorrected,
+  odometerSource,
+  speedFreshness,
+  odometerFreshness,
+}) => {
+  // Expired values are not shown at all; stale ones are dimmed with their age
+  const speed = speedFreshness && speedFreshness.blank ? '--' : rawSpeed;
+  const odometer = odometerFreshness && odometerFreshness.blank ? '--' : rawOdometer;
+  const speedTag = [speedCorrected ? 'TRUE' : SOURCE_TAGS[speedSource], speedFreshness && speedFreshness.badge].filter(Boolean).join(' · ');
+  const odometerTag = [SOURCE_TAGS[odometerSource], odometerFreshness && odometerFreshness.badge].filter(Boolean).join(' · ');
+
+  // Moving time and average speed under a trip's distance, e.g. "1:05 · 42 km/h avg"
+  const tripDetail = (time, avgSpeed) =>
+    time !== undefined && avgSpeed !== undefined ? `${time} · ${avgSpeed} km/h avg` : null;
 
-const Speedometer = ({ speed, odometer, tripA, tripB, afe, bfe, size, accentColor }) => {
   const [currentDisplay, setCurrentDisplay] = useState('ODO');
   const displayRotation = useSharedValue(0);
 
@@ -20,17 +58,20 @@ const Speedometer = ({ speed, odometer, tripA, tripB, afe, bfe, size, accentColo
     'ODO': {
       primary: odometer || '--',
       secondary: afe || '--',
-      label: 'ODO AFE'
+      label: odometerTag ? `ODO AFE · ${odometerTag}` : 'ODO AFE',
+      dimmed: odometerFreshness && odometerFreshness.dimmed,
     },
     'TRIP A': {
       primary: tripA || '--',
       secondary: afe || '--', 
-      label: 'TRIP A AFE'
+      label: 'TRIP A AFE',
+      detail: tripDetail(tripATime, tripAAvgSpeed),
     },
     'TRIP B': {
       primary: tripB || '--',
       secondary: bfe || '--',
-      label: 'TRIP B BFE'
+      label: 'TRIP B BFE',
+      detail: tripDetail(tripBTime, tripBAvgSpeed),
     },
   };
 
@@ -89,8 +130,15 @@ const Speedometer = ({ speed, odometer, tripA, tripB, afe, bfe, size, accentColo
 
   const resetTrip = async (trip) => {
     try {
-      await BleManager.sendTripReset(trip);
-      Alert.alert('Success', `Trip ${trip} has been reset`);
+      const result = await BleManager.sendTripReset(trip);
+      if (!result.ok) {
+        const reason = result.status === COMMAND_STATUS.REJECTED ? 'rejected the reset' : 'did not respond';
+        Alert.alert('Error', `Trip ${trip} was not reset: the bike ${reason}`);
+      } else if (result.fallback === 'local') {
+        Alert.alert('Success', `Trip ${trip} has been reset on this phone (bike did not confirm)`);
+      } else {
+        Alert.alert('Success', `Trip ${trip} has been reset`);
+      }
     } catch (error) {
       Alert.alert('Error', `Failed to reset Trip ${trip}`);
     }
@@ -247,11 +295,19 @@ const Speedometer = ({ speed, odometer, tripA, tripB, afe, bfe, size, accentColo
       </Svg>
 
       {/* Speed display */}
-      <View style={[styles.speedDisplay, { top: size * 0.35 }]}>
+      <View
+        style={[
+          styles.speedDisplay,
+          { top: size * 0.35 },
+          speedFreshness && speedFreshness.dimmed && { opacity: STALE_OPACITY },
+        ]}
+      >
         <Text style={[styles.speedValue, { fontSize: size * 0.12, color: speedColor }]}>
           {speed}
         </Text>
-        <Text style={[styles.speedUnit, { fontSize: size * 0.04 }]}>km/h</Text>
+        <Text style={[styles.speedUnit, { fontSize: size * 0.04 }]}>
+          {speedTag ? `km/h · ${speedTag}` : 'km/h'}
+        </Text>
       </View>
 
       {/* UPDATED: Yezdi-style combined odometer display */}
@@ -265,7 +321,13 @@ const Speedometer = ({ speed, odometer, tripA, tripB, afe, bfe, size, accentColo
               {currentData.label}
             </Text>
             <View style={styles.odometerValues}>
-              <Text style={[styles.odometerPrimary, { fontSize: size * 0.048, color: accentColor }]}>
+              <Text
+                style={[
+                  styles.odometerPrimary,
+                  { fontSize: size * 0.048, color: accentColor },
+                  currentData.dimmed && { opacity: STALE_OPACITY },
+                ]}
+              >
                 {currentData.primary}
               </Text>
               <View style={styles.odometerSecondaryContainer}>
@@ -276,6 +338,11 @@ const Speedometer = ({ speed, odometer, tripA, tripB, afe, bfe, size, accentColo
                   km/l
                 </Text>
               </View>
+              {currentData.detail && (
+                <Text style={[styles.odometerDetail, { fontSize: size * 0.028 }]}>
+                  {currentData.detail}
+                </Text>
+              )}
             </View>
           </Animated.View>
         </PanGestureHandler>
@@ -361,6 +428,11 @@ const styles = StyleSheet.create({
   odometerUnit: {
     color: '#888888',
   },
+  odometerDetail: {
+    color: '#888888',
+    fontFamily: 'monospace',
+    marginTop: 4,
+  },
   swipeIndicators: {
     position: 'absolute',
     flexDirection: 'row',
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import {
   View,
   Text,
@@ -10,64 +10,28 @@ import {
   RefreshControl,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import BleManager from '../utils/BleManager';
+import { useBikeConnection } from '../components/BikeConnectionProvider';
 
 const ConnectivityScreen = () => {
-  const [devices, setDevices] = useState([]);
-  const [scanning, setScanning] = useState(false);
-  const [connected, setConnected] = useState(false);
-  const [connectedDevice, setConnectedDevice] = useState(null);
-  const [connectionStatus, setConnectionStatus] = useState('Disconnected');
+  const {
+    devices,
+    scanning,
+    connected,
+    connectedDevice,
+    connectionLabel,
+    authResult,
+    startScan: startBikeScan,
+    connect,
+    disconnect,
+  } = useBikeConnection();
   const [refreshing, setRefreshing] = useState(false);
 
-  useEffect(() => {
-    initializeBluetooth();
-    
-    // Set up connection callback
-    BleManager.setConnectionCallback((isConnected, device) => {
-      setConnected(isConnected);
-      setConnectedDevice(device);
-      setConnectionStatus(isConnected ? 'Connected' : 'Disconnected');
-    });
-
-    return () => {
-      BleManager.stopScanning();
-    };
-  }, []);
-
-  const initializeBluetooth = async () => {
-    try {
-      await BleManager.initialize();
-      startScan();
-    } catch (error) {
-      console.error('Bluetooth initialization error:', error);
-      Alert.alert('Bluetooth Error', 'Failed to initialize Bluetooth. Please check permissions.');
-    }
-  };
-
+  // BikeConnectionProvider scans on launch; this rescans on request
   const startScan = async () => {
-    setScanning(true);
-    setDevices([]);
-    
     try {
-      await BleManager.startScanning((device) => {
-        setDevices(prevDevices => {
-          const existingDevice = prevDevices.find(d => d.id === device.id);
-          if (!existingDevice) {
-            return [...prevDevices, device];
-          }
-          return prevDevices;
-        });
-      });
-      
-      setTimeout(() => {
-        setScanning(false);
-        BleManager.stopScanning();
-      }, 10000);
-      
+      await startBikeScan();
     } catch (error) {
       console.error('Scanning error:', error);
-      setScanning(false);
       Alert.alert('Scan Error', 'Failed to scan for devices. Please try again.');
     }
   };
@@ -83,7 +47,7 @@ const ConnectivityScreen = () => {
             text: 'Connect',
             onPress: async () => {
               try {
-                await BleManager.connectToDevice(device);
+                await connect(device);
                 Alert.alert('Success', 'Connected to device successfully!');
               } catch (error) {
                 console.error('Connection error:', error);
@@ -101,7 +65,7 @@ const ConnectivityScreen = () => {
 
   const disconnectDevice = async () => {
     try {
-      await BleManager.disconnect();
+      await disconnect();
       Alert.alert('Disconnected', 'Device disconnected successfully');
     } catch (error) {
       console.error('Disconnect error:', error);
@@ -202,7 +166,7 @@ const ConnectivityScreen = () => {
             styles.statusText,
             { color: connected ? "#00FF00" : "#FF4444" }
           ]}>
-            {connectionStatus}
+            {connectionLabel}
           </Text>
         </View>
         
@@ -223,6 +187,13 @@ const ConnectivityScreen = () => {
             {connectedDevice.name || 'Unknown Device'}
           </Text>
           <Text style={styles.connectedDeviceId}>{connectedDevice.id}</Text>
+          {authResult && (
+            <Text style={[styles.authStatus, { color: authResult.success ? '#00FF00' : '#FFA500' }]}>
+              {authResult.success && `Authenticated (${authResult.method})`}
+              {authResult.unverified && `Key sent, not verified (${authResult.method})`}
+              {!authResult.success && !authResult.unverified && 'Not authenticated'}
+            </Text>
+          )}
         </View>
       )}
 
@@ -302,6 +273,7 @@ const styles = StyleSheet.create({
   connectedDeviceTitle: { color: '#00FF00', fontSize: 14, fontWeight: '500', marginBottom: 5 },
   connectedDeviceName: { color: '#FFFFFF', fontSize: 16, fontWeight: 'bold' },
   connectedDeviceId: { color: '#CCCCCC', fontSize: 12, marginTop: 2 },
+  authStatus: { fontSize: 12, marginTop: 4, fontWeight: '500' },
   scanControls: { padding: 20 },
   scanButton: { flexDirection: 'row', alignItems: 'center', justifyContent: 'center', backgroundColor: '#00FFFF', padding: 15, borderRadius: 10 },
   scanButtonDisabled: { backgroundColor: '#666666' },
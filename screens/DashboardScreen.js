@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   View,
   Text,
@@ -20,133 +20,114 @@ import RPMBar from '../components/RPMBar';
 import FuelBar from '../components/FuelBar';
 import MusicControls from '../components/MusicControls';
 import NavigationPanel from '../components/NavigationPanel';
-import BleManager from '../utils/BleManager';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import LeanAngleWidget from '../components/LeanAngleWidget';
+import { useBikeConnection } from '../components/BikeConnectionProvider';
+import SpeedCalibration from '../utils/SpeedCalibration';
+import SettingsStore from '../utils/SettingsStore';
+import useSettings from '../utils/useSettings';
+import { useBikeFields } from '../utils/useBikeTelemetry';
+import { getFreshness, parseStaleTimeouts, FRESHNESS, STALE_OPACITY } from '../utils/DataFreshness';
 import { Ionicons } from '@expo/vector-icons';
 
+// Estimated gears below this confidence are shown dimmed
+const LOW_GEAR_CONFIDENCE = 0.5;
+
+// Each gauge subscribes to its own fields and re-renders only when they change
+const SPEEDOMETER_FIELDS = [
+  'speed', 'odometer', 'tripA', 'tripB', 'afe', 'bfe',
+  'tripATime', 'tripBTime', 'tripAAvgSpeed', 'tripBAvgSpeed',
+];
+const RPM_FIELDS = ['rpm'];
+const FUEL_FIELDS = ['fuel'];
+const GEAR_MODE_FIELDS = ['gear', 'gearConfidence', 'ridingMode'];
+const TELLTALE_FIELDS = ['highBeam', 'hazard', 'engineCheck', 'battery'];
+
 const DashboardScreen = () => {
   const { width, height } = useWindowDimensions();
-  const [bikeData, setBikeData] = useState({
-    speed: '--',
-    gear: '--',
-    rpm: 0,
-    fuel: 0,
-    ridingMode: 'Road',
-    highBeam: false,
-    hazard: false,
-    engineCheck: false,
-    battery: false,
-    odometer: '--',
-    tripA: '--',
-    tripB: '--',
-    afe: '--',
-    bfe: '--',
-    connected: false,
-  });
+  // Fields of the latest arbitrated frame with the source each came from (ble,
+  // gps, cache, ...); fields nobody has sent are absent and show '--'
+  const speedometer = useBikeFields(SPEEDOMETER_FIELDS);
+  const rpmGauge = useBikeFields(RPM_FIELDS);
+  const fuelGauge = useBikeFields(FUEL_FIELDS);
+  const gearMode = useBikeFields(GEAR_MODE_FIELDS);
+  const telltales = useBikeFields(TELLTALE_FIELDS);
+  // Link state is shared by every tab through BikeConnectionProvider
+  const { connected } = useBikeConnection();
 
   const [showLeftPanel, setShowLeftPanel] = useState(false);
   const [navigationActive, setNavigationActive] = useState(false);
   const [navigationMode, setNavigationMode] = useState('off'); // 'off', 'map', 'navigation'
   const [musicActive, setMusicActive] = useState(true);
   const [currentTime, setCurrentTime] = useState(new Date());
-  const [accentColor, setAccentColor] = useState('#00FFFF');
-  const [warningBlinkEnabled, setWarningBlinkEnabled] = useState(true);
-  const [settings, setSettings] = useState({
-    mapViewEnabled: false,
-    fullNavigationEnabled: false,
-    navigationAutoStart: false,
-  });
+  // Bumped when the speedometer calibration changes so true speed is recomputed
+  const [, setCalibrationStatus] = useState(SpeedCalibration.getStatus());
+  // Dashboard settings apply as soon as they are changed in Settings
+  const settings = useSettings((all) => ({
+    accentColor: all.accentColor,
+    warningBlinkEnabled: all.warningBlinkEnabled,
+    leanWidgetEnabled: all.leanWidgetEnabled,
+    staleTimeouts: all.staleTimeouts,
+    mapViewEnabled: all.mapViewEnabled,
+    fullNavigationEnabled: all.fullNavigationEnabled,
+  }));
+  const { accentColor, warningBlinkEnabled, leanWidgetEnabled } = settings;
+  // The store only holds timeouts that parse
+  const staleTimeouts = useMemo(() => parseStaleTimeouts(settings.staleTimeouts), [settings.staleTimeouts]);
 
   const blinkAnimation = useSharedValue(1);
   const panelScale = useSharedValue(0);
 
-  // Initialize BLE connection
+  // Follow calibration changes and auto-start navigation
   useEffect(() => {
-    const initializeBLE = async () => {
-      try {
-        await BleManager.initialize();
-        BleManager.setDataCallback(handleBikeDataUpdate);
-        BleManager.setConnectionCallback(handleConnectionChange);
-        
-        // Load settings
-        const savedAccentColor = await AsyncStorage.getItem('accentColor');
-        if (savedAccentColor) setAccentColor(savedAccentColor);
-        
-        const savedWarningBlink = await AsyncStorage.getItem('warningBlinkEnabled');
-        if (savedWarningBlink !== null) setWarningBlinkEnabled(JSON.parse(savedWarningBlink));
-        
-        // Load navigation settings
-        const savedSettings = await AsyncStorage.getItem('navigationSettings');
-        if (savedSettings) {
-          const parsedSettings = JSON.parse(savedSettings);
-          setSettings(parsedSettings);
-          
-          // Auto-start navigation if enabled
-          if (parsedSettings.navigationAutoStart) {
-            if (parsedSettings.fullNavigationEnabled) {
-              setNavigationMode('navigation');
-            } else if (parsedSettings.mapViewEnabled) {
-              setNavigationMode('map');
-            }
-            setNavigationActive(true);
-          }
+    // Auto-start navigation if enabled; only the saved settings at launch count
+    const autoStartNavigation = async () => {
+      await SettingsStore.load();
+      const { navigationAutoStart, fullNavigationEnabled, mapViewEnabled } = SettingsStore.getAll();
+      if (navigationAutoStart) {
+        if (fullNavigationEnabled) {
+          setNavigationMode('navigation');
+        } else if (mapViewEnabled) {
+          setNavigationMode('map');
         }
-        
-        BleManager.startScanning();
-      } catch (error) {
-        console.error('BLE initialization failed:', error);
-        Alert.alert('Bluetooth Error', 'Failed to initialize Bluetooth. Using fallback data.');
+        setNavigationActive(true);
       }
     };
 
-    initializeBLE();
+    const unsubscribeCalibration = SpeedCalibration.on('state', setCalibrationStatus);
+
+    autoStartNavigation();
 
     // Update time every second
     const timeInterval = setInterval(() => {
       setCurrentTime(new Date());
     }, 1000);
 
+    // The connection itself is owned by BikeConnectionProvider
     return () => {
       clearInterval(timeInterval);
-      BleManager.disconnect();
+      unsubscribeCalibration();
     };
   }, []);
 
-  // Handle bike data updates from BLE
-  const handleBikeDataUpdate = (data) => {
-    setBikeData(prevData => ({
-      ...prevData,
-      ...data,
-      connected: true,
-    }));
-  };
+  // Age of each field, re-evaluated on every clock tick
+  const freshness = ({ provenance }, field) => getFreshness(provenance, field, currentTime.getTime(), staleTimeouts);
+  const gearFreshness = freshness(gearMode, 'gear');
+  // Gears inferred from the speed/RPM ratio carry a confidence below 1
+  const { gear, gearConfidence, ridingMode } = gearMode.data;
+  const gearEstimated = gearConfidence !== undefined && gearConfidence < 1;
+  const modeFreshness = freshness(gearMode, 'ridingMode');
+  const speedFreshness = freshness(speedometer, 'speed');
+  const speedSource = speedometer.provenance.speed && speedometer.provenance.speed.source;
+  const displaySpeed = SpeedCalibration.displaySpeed(speedometer.data.speed, speedSource);
 
-  // Handle connection status changes
-  const handleConnectionChange = (connected) => {
-    if (!connected) {
-      setBikeData(prevData => ({
-        ...prevData,
-        connected: false,
-        speed: '--',
-        gear: '--',
-        rpm: 0,
-        fuel: 0,
-        highBeam: false,
-        hazard: false,
-        engineCheck: false,
-        battery: false,
-        odometer: '--',
-        tripA: '--',
-        tripB: '--',
-        afe: '--',
-        bfe: '--',
-      }));
-    }
-  };
+  // Tell-tales that have expired are shown as off; stale ones are dimmed
+  const telltaleStyle = (field) => (freshness(telltales, field).dimmed ? { opacity: STALE_OPACITY } : null);
+  const telltaleOn = (field) => !freshness(telltales, field).blank && telltales.data[field];
 
-  // Warning blink effect for high speed - only when connected
+  // Warning blink effect for high speed - only when connected and the speed is live
+  const speedLive = speedFreshness.state === FRESHNESS.LIVE;
   useEffect(() => {
-    if (warningBlinkEnabled && bikeData.connected && bikeData.speed !== '--' && bikeData.speed >= 120) {
+    if (warningBlinkEnabled && connected && speedLive && speedometer.data.speed >= 120) {
       blinkAnimation.value = withRepeat(
         withTiming(0.3, { duration: 500 }),
         -1,
@@ -155,7 +136,7 @@ const DashboardScreen = () => {
     } else {
       blinkAnimation.value = withTiming(1, { duration: 200 });
     }
-  }, [bikeData.speed, bikeData.connected, warningBlinkEnabled]);
+  }, [speedometer.data.speed, speedLive, connected, warningBlinkEnabled]);
 
   // Left panel animation
   useEffect(() => {
@@ -228,9 +209,9 @@ const DashboardScreen = () => {
                 onPress={() => Alert.alert('Connectivity', 'Opening connectivity settings...')}
               >
                 <Ionicons 
-                  name={bikeData.connected ? "bluetooth" : "bluetooth-outline"} 
+                  name={connected ? "bluetooth" : "bluetooth-outline"} 
                   size={panelButtonSize * 0.6} 
-                  color={bikeData.connected ? accentColor : '#FF4444'} 
+                  color={connected ? accentColor : '#FF4444'} 
                 />
               </TouchableOpacity>
 
@@ -278,22 +259,26 @@ const DashboardScreen = () => {
                 <Ionicons 
                   name="flash" 
                   size={20} 
-                  color={bikeData.highBeam ? accentColor : '#333'} 
+                  color={telltaleOn('highBeam') ? accentColor : '#333'} 
+                  style={telltaleStyle('highBeam')}
                 />
                 <Ionicons 
                   name="warning" 
                   size={20} 
-                  color={bikeData.hazard ? '#FF4444' : '#333'} 
+                  color={telltaleOn('hazard') ? '#FF4444' : '#333'} 
+                  style={telltaleStyle('hazard')}
                 />
                 <Ionicons 
                   name="construct" 
                   size={20} 
-                  color={bikeData.engineCheck ? '#FF4444' : '#333'} 
+                  color={telltaleOn('engineCheck') ? '#FF4444' : '#333'} 
+                  style={telltaleStyle('engineCheck')}
                 />
                 <Ionicons 
                   name="battery-half" 
                   size={20} 
-                  color={bikeData.battery ? '#FF4444' : accentColor} 
+                  color={freshness(telltales, 'battery').blank ? '#333' : telltales.data.battery ? '#FF4444' : accentColor} 
+                  style={telltaleStyle('battery')}
                 />
               </View>
             </View>
@@ -301,36 +286,57 @@ const DashboardScreen = () => {
             {/* Center Content - Speedometer and Bars */}
             <View style={styles.centerContent}>
               <Speedometer
-                speed={bikeData.speed}
-                odometer={bikeData.odometer}
-                tripA={bikeData.tripA}
-                tripB={bikeData.tripB}
-                afe={bikeData.afe}
-                bfe={bikeData.bfe}
+                speed={displaySpeed.speed}
+                odometer={speedometer.data.odometer}
+                speedSource={speedSource}
+                speedCorrected={displaySpeed.corrected}
+                odometerSource={speedometer.provenance.odometer && speedometer.provenance.odometer.source}
+                speedFreshness={speedFreshness}
+                odometerFreshness={freshness(speedometer, 'odometer')}
+                tripA={speedometer.data.tripA}
+                tripB={speedometer.data.tripB}
+                afe={speedometer.data.afe}
+                bfe={speedometer.data.bfe}
+                tripATime={speedometer.data.tripATime}
+                tripBTime={speedometer.data.tripBTime}
+                tripAAvgSpeed={speedometer.data.tripAAvgSpeed}
+                tripBAvgSpeed={speedometer.data.tripBAvgSpeed}
                 size={speedometerSize}
                 accentColor={accentColor}
               />
               
               <View style={styles.barsContainer}>
-                <RPMBar rpm={bikeData.rpm} accentColor={accentColor} />
-                <FuelBar fuel={bikeData.fuel} accentColor={accentColor} />
+                <RPMBar rpm={rpmGauge.data.rpm} accentColor={accentColor} freshness={freshness(rpmGauge, 'rpm')} />
+                <FuelBar fuel={fuelGauge.data.fuel} accentColor={accentColor} freshness={freshness(fuelGauge, 'fuel')} />
                 
                 {/* Gear and Mode Display */}
                 <View style={styles.gearModeContainer}>
-                  <View style={styles.gearDisplay}>
-                    <Text style={styles.gearLabel}>GEAR</Text>
-                    <Text style={[styles.gearValue, { color: accentColor }]}>
-                      {bikeData.gear}
+                  <View style={[styles.gearDisplay, gearFreshness.dimmed && { opacity: STALE_OPACITY }]}>
+                    <Text style={styles.gearLabel}>
+                      GEAR{gearFreshness.badge ? ` · ${gearFreshness.badge}` : gearEstimated ? ' · EST' : ''}
+                    </Text>
+                    <Text
+                      style={[
+                        styles.gearValue,
+                        { color: accentColor },
+                        gearEstimated && gearConfidence < LOW_GEAR_CONFIDENCE && { opacity: STALE_OPACITY },
+                      ]}
+                    >
+                      {gearFreshness.blank ? '--' : gear}
                     </Text>
                   </View>
                   
-                  <View style={styles.modeDisplay}>
-                    <Text style={styles.modeLabel}>MODE</Text>
+                  <View style={[styles.modeDisplay, modeFreshness.dimmed && { opacity: STALE_OPACITY }]}>
+                    <Text style={styles.modeLabel}>
+                      MODE{modeFreshness.badge ? ` · ${modeFreshness.badge}` : ''}
+                    </Text>
                     <Text style={[styles.modeValue, { color: accentColor }]}>
-                      {bikeData.ridingMode}
+                      {modeFreshness.blank ? '--' : ridingMode}
                     </Text>
                   </View>
                 </View>
+
+                {leanWidgetEnabled && <LeanAngleWidget accentColor={accentColor} />}
               </View>
             </View>
 
@@ -358,7 +364,7 @@ const DashboardScreen = () => {
           </View>
 
           {/* Connection Status - Only show when disconnected */}
-          {!bikeData.connected && (
+          {!connected && (
             <View style={styles.connectionStatus}>
               <Text style={styles.connectionText}>
                 Bluetooth Disconnected - Displaying Blank Data
@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import RideRecorder from '../utils/RideRecorder';
+import useSettings from '../utils/useSettings';
+import RideDetail, { formatDuration, rideTitle } from '../components/RideDetail';
+
+const RidesScreen = () => {
+  const [rides, setRides] = useState(RideRecorder.getRides());
+  const [status, setStatus] = useState(RideRecorder.getStatus());
+  const [selectedId, setSelectedId] = useState(null);
+  const accentColor = useSettings((settings) => settings.accentColor);
+
+  useEffect(() => {
+    const unsubscribeRides = RideRecorder.on('rides', setRides);
+    const unsubscribeState = RideRecorder.on('state', setStatus);
+    return () => {
+      unsubscribeRides();
+      unsubscribeState();
+    };
+  }, []);
+
+  const toggleRecording = async () => {
+    try {
+      if (status.recording) {
+        const ride = await RideRecorder.stop();
+        if (ride && !RideRecorder.getRide(ride.id)) {
+          Alert.alert('Ride Discarded', 'Rides shorter than a minute or a few hundred metres are not kept.');
+        }
+      } else {
+        RideRecorder.start('manual');
+      }
+    } catch (error) {
+      console.error('Recording error:', error);
+      Alert.alert('Error', 'Failed to update recording');
+    }
+  };
+
+  const selected = selectedId ? rides.find((ride) => ride.id === selectedId) : null;
+  if (selected) {
+    return (
+      <RideDetail
+        ride={selected}
+        recording={status.recording && status.ride.id === selected.id}
+        accentColor={accentColor}
+        onClose={() => setSelectedId(null)}
+      />
+    );
+  }
+
+  const renderRide = ({ item }) => {
+    const active = status.recording && status.ride.id === item.id;
+    return (
+      <TouchableOpacity
+        style={[styles.rideItem, active && { borderColor: '#FF4444' }]}
+        onPress={() => setSelectedId(item.id)}
+      >
+        <View style={styles.rideHeader}>
+          <Text style={styles.rideName} numberOfLines={1}>{rideTitle(item)}</Text>
+          {active && <Text style={styles.recordingBadge}>REC</Text>}
+        </View>
+        {item.name && (
+          <Text style={styles.rideDate}>{new Date(item.startedAt).toLocaleString()}</Text>
+        )}
+        <View style={styles.rideStats}>
+          <Text style={[styles.rideStat, { color: accentColor }]}>{item.distance.toFixed(1)} km</Text>
+          <Text style={styles.rideStat}>{formatDuration(item.duration)}</Text>
+          <Text style={styles.rideStat}>max {Math.round(item.maxSpeed)} km/h</Text>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.statusHeader}>
+        <View style={styles.statusInfo}>
+          <Ionicons
+            name={status.recording ? 'radio-button-on' : 'radio-button-off'}
+            size={20}
+            color={status.recording ? '#FF4444' : '#666666'}
+          />
+          <Text style={styles.statusText}>
+            {status.recording
+              ? `Recording · ${status.ride.distance.toFixed(1)} km · ${formatDuration(status.ride.duration)}`
+              : status.enabled ? 'Waiting for the ride to start' : 'Automatic recording off'}
+          </Text>
+        </View>
+        <TouchableOpacity
+          style={[styles.recordButton, { backgroundColor: status.recording ? '#FF4444' : accentColor }]}
+          onPress={toggleRecording}
+        >
+          <Text style={styles.recordButtonText}>{status.recording ? 'Stop' : 'Start'}</Text>
+        </TouchableOpacity>
+      </View>
+
+      <FlatList
+        style={styles.rideList}
+        data={rides}
+        renderItem={renderRide}
+        keyExtractor={(item) => item.id}
+        extraData={status}
+        ItemSeparatorComponent={() => <View style={styles.separator} />}
+        contentContainerStyle={styles.rideListContent}
+        ListEmptyComponent={() => (
+          <View style={styles.emptyList}>
+            <Ionicons name="map-outline" size={64} color="#666666" />
+            <Text style={styles.emptyListText}>No rides yet</Text>
+            <Text style={styles.emptyListSubtext}>
+              Rides are recorded when the bike connects or starts moving, and end after five minutes parked
+            </Text>
+          </View>
+        )}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#000000' },
+  statusHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 20, borderBottomWidth: 1, borderBottomColor: '#333333' },
+  statusInfo: { flexDirection: 'row', alignItems: 'center', flex: 1 },
+  statusText: { color: '#FFFFFF', fontSize: 14, fontWeight: '500', marginLeft: 10, flexShrink: 1 },
+  recordButton: { paddingHorizontal: 15, paddingVertical: 8, borderRadius: 6, marginLeft: 10 },
+  recordButtonText: { color: '#000000', fontWeight: 'bold' },
+  rideList: { flex: 1 },
+  rideListContent: { padding: 20 },
+  rideItem: { backgroundColor: '#1A1A1A', padding: 15, borderRadius: 10, borderWidth: 1, borderColor: '#333333' },
+  rideHeader: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between' },
+  rideName: { color: '#FFFFFF', fontSize: 16, fontWeight: '500', flex: 1 },
+  recordingBadge: { color: '#FF4444', fontSize: 12, fontWeight: 'bold', marginLeft: 10 },
+  rideDate: { color: '#CCCCCC', fontSize: 12, marginTop: 2 },
+  rideStats: { flexDirection: 'row', justifyContent: 'space-between', marginTop: 10 },
+  rideStat: { color: '#CCCCCC', fontSize: 14, fontFamily: 'monospace' },
+  separator: { height: 10 },
+  emptyList: { alignItems: 'center', justifyContent: 'center', paddingVertical: 50 },
+  emptyListText: { color: '#FFFFFF', fontSize: 18, fontWeight: '500', marginTop: 15, textAlign: 'center' },
+  emptyListSubtext: { color: '#CCCCCC', fontSize: 14, marginTop: 8, textAlign: 'center' },
+});
+
+export default RidesScreen;
@@ -8,60 +8,39 @@ import {
   TouchableOpacity,
   TextInput,
   Alert,
-  Share,
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as FileSystem from 'expo-file-system';
 import BleManager from '../utils/BleManager';
+import FrameCaptureView from '../components/FrameCaptureView';
+import ReplayControls from '../components/ReplayControls';
+import SpeedCalibrationStatus from '../components/SpeedCalibrationStatus';
+import GearCalibrationView from '../components/GearCalibrationView';
+import { useBikeConnection } from '../components/BikeConnectionProvider';
+import { shareFile } from '../utils/FileShare';
+import SessionReplay from '../utils/SessionReplay';
+import SensorManager from '../utils/SensorManager';
+import CrashDetector, { DEFAULT_CRASH_SETTINGS } from '../utils/CrashDetector';
+import SettingsStore, { SETTINGS_SCHEMA, DEFAULT_SETTINGS } from '../utils/SettingsStore';
+import useSettings from '../utils/useSettings';
+import { SCENARIOS } from '../utils/RideSimulator';
 import { Ionicons } from '@expo/vector-icons';
 
-const SettingsScreen = () => {
-  const [settings, setSettings] = useState({
-    warningBlinkEnabled: true,
-    sensorFallbackEnabled: true,
-    mockDataEnabled: false,
-    cachedDataEnabled: true,
-    manualInputEnabled: false,
-    debugMode: false,
-    accentColor: '#00FFFF',
-    customServiceUUID: '',
-    customCharUUID: '',
-    authKey: '',
-    // Navigation settings
-    mapViewEnabled: false,
-    fullNavigationEnabled: false,
-    navigationAutoStart: false,
-  });
+const CRASH_ALERT_ACTIONS = {
+  sms: 'Text',
+  call: 'Call',
+};
 
+const SettingsScreen = () => {
+  const settings = useSettings();
+  const { connected, connectionLabel, connectedDevice } = useBikeConnection();
+  // Text as typed, for inputs whose current text is not (yet) a valid value
+  const [drafts, setDrafts] = useState({});
   const [debugLogs, setDebugLogs] = useState([]);
 
   useEffect(() => {
-    loadSettings();
     loadDebugLogs();
   }, []);
 
-  const loadSettings = async () => {
-    try {
-      const keys = Object.keys(settings);
-      const values = await AsyncStorage.multiGet(keys);
-      const loadedSettings = {};
-      
-      values.forEach(([key, value]) => {
-        if (value !== null) {
-          if (key === 'accentColor' || key === 'customServiceUUID' || key === 'customCharUUID' || key === 'authKey') {
-            loadedSettings[key] = value;
-          } else {
-            loadedSettings[key] = JSON.parse(value);
-          }
-        }
-      });
-
-      setSettings(prev => ({ ...prev, ...loadedSettings }));
-    } catch (error) {
-      console.error('Error loading settings:', error);
-    }
-  };
-
   const loadDebugLogs = async () => {
     try {
       const logs = await BleManager.getDebugLogs();
@@ -71,34 +50,14 @@ const SettingsScreen = () => {
     }
   };
 
+  // Settings take effect through SettingsStore subscribers
   const saveSetting = async (key, value) => {
     try {
-      if (typeof value === 'string') {
-        await AsyncStorage.setItem(key, value);
-      } else {
-        await AsyncStorage.setItem(key, JSON.stringify(value));
-      }
-      
-      setSettings(prev => ({ ...prev, [key]: value }));
-      
-      // Save navigation settings as a group
-      if (['mapViewEnabled', 'fullNavigationEnabled', 'navigationAutoStart'].includes(key)) {
-        const navSettings = {
-          mapViewEnabled: key === 'mapViewEnabled' ? value : settings.mapViewEnabled,
-          fullNavigationEnabled: key === 'fullNavigationEnabled' ? value : settings.fullNavigationEnabled,
-          navigationAutoStart: key === 'navigationAutoStart' ? value : settings.navigationAutoStart,
-        };
-        await AsyncStorage.setItem('navigationSettings', JSON.stringify(navSettings));
-      }
-      
-      // Update BLE manager with new settings
-      if (key === 'customServiceUUID' || key === 'customCharUUID' || key === 'authKey') {
-        BleManager.updateCustomSettings({
-          serviceUUID: settings.customServiceUUID,
-          charUUID: settings.customCharUUID,
-          authKey: settings.authKey,
-          [key]: value,
-        });
+      await SettingsStore.set(key, value);
+
+      // Hand the dashboard back to live data when replay is switched off
+      if (key === 'replayEnabled' && !value) {
+        SessionReplay.stop();
       }
     } catch (error) {
       console.error('Error saving setting:', error);
@@ -106,6 +65,30 @@ const SettingsScreen = () => {
     }
   };
 
+  // Save typed text once it is a valid value; until then it stays a draft
+  const editSetting = (key, text) => {
+    setDrafts(prev => ({ ...prev, [key]: text }));
+    const value = SETTINGS_SCHEMA[key].type === 'number' ? parseFloat(text) : text;
+    if (!SettingsStore.validate(key, value)) {
+      saveSetting(key, value);
+    }
+  };
+
+  // Show the saved value again once editing ends
+  const endEditing = (key) => {
+    setDrafts(prev => {
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+  };
+
+  const draftError = (key) => {
+    if (drafts[key] === undefined) return null;
+    const value = SETTINGS_SCHEMA[key].type === 'number' ? parseFloat(drafts[key]) : drafts[key];
+    return SettingsStore.validate(key, value);
+  };
+
   const exportLogs = async () => {
     try {
       const logs = await BleManager.getDebugLogs();
@@ -118,10 +101,7 @@ const SettingsScreen = () => {
 
       await FileSystem.writeAsStringAsync(fileUri, logContent);
       
-      await Share.share({
-        url: fileUri,
-        title: 'Yezdi BLE Debug Logs',
-      });
+      await shareFile(fileUri, 'Yezdi BLE Debug Logs');
 
       Alert.alert('Success', `Logs exported to ${fileName}`);
     } catch (error) {
@@ -159,24 +139,14 @@ const SettingsScreen = () => {
           text: 'Reset',
           style: 'destructive',
           onPress: async () => {
-            const defaultSettings = {
-              warningBlinkEnabled: true,
-              sensorFallbackEnabled: true,
-              mockDataEnabled: false,
-              cachedDataEnabled: true,
-              manualInputEnabled: false,
-              debugMode: false,
-              accentColor: '#00FFFF',
-              customServiceUUID: '',
-              customCharUUID: '',
-              authKey: '',
-              mapViewEnabled: false,
-              fullNavigationEnabled: false,
-              navigationAutoStart: false,
-            };
-
-            for (const [key, value] of Object.entries(defaultSettings)) {
-              await saveSetting(key, value);
+            try {
+              await SettingsStore.reset();
+              setDrafts({});
+              SessionReplay.stop();
+            } catch (error) {
+              console.error('Error resetting settings:', error);
+              Alert.alert('Error', 'Failed to reset settings');
+              return;
             }
 
             Alert.alert('Success', 'Settings reset to defaults');
@@ -186,9 +156,26 @@ const SettingsScreen = () => {
     );
   };
 
-  const validateHexColor = (color) => {
-    const hexRegex = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
-    return hexRegex.test(color);
+  const calibrateLean = () => {
+    Alert.alert(
+      'Calibrate Lean Angle',
+      'Mount the phone, then hold the bike upright and still for a few seconds.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Start',
+          onPress: async () => {
+            try {
+              await SensorManager.calibrateLean();
+              Alert.alert('Success', 'Lean angle calibrated');
+            } catch (error) {
+              console.error('Lean calibration failed:', error);
+              Alert.alert('Calibration Failed', error.message);
+            }
+          },
+        },
+      ]
+    );
   };
 
   const renderToggleSetting = (key, title, description) => (
@@ -206,20 +193,26 @@ const SettingsScreen = () => {
     </View>
   );
 
-  const renderTextSetting = (key, title, placeholder, secure = false) => (
-    <View style={styles.settingItem}>
-      <Text style={styles.settingTitle}>{title}</Text>
-      <TextInput
-        style={[styles.textInput, { borderColor: settings.accentColor }]}
-        value={settings[key]}
-        onChangeText={(text) => saveSetting(key, text)}
-        placeholder={placeholder}
-        placeholderTextColor="#666666"
-        secureTextEntry={secure}
-        autoCapitalize="none"
-      />
-    </View>
-  );
+  const renderTextSetting = (key, title, placeholder, secure = false) => {
+    const error = draftError(key);
+    return (
+      <View style={styles.settingItem}>
+        <Text style={styles.settingTitle}>{title}</Text>
+        <TextInput
+          style={[styles.textInput, { borderColor: error ? '#FF4444' : settings.accentColor }]}
+          value={drafts[key] !== undefined ? drafts[key] : String(settings[key])}
+          onChangeText={(text) => editSetting(key, text)}
+          onEndEditing={() => endEditing(key)}
+          placeholder={placeholder}
+          placeholderTextColor="#666666"
+          secureTextEntry={secure}
+          autoCapitalize="none"
+          keyboardType={SETTINGS_SCHEMA[key].type === 'number' ? 'decimal-pad' : 'default'}
+        />
+        {error && <Text style={styles.settingError}>{error}</Text>}
+      </View>
+    );
+  };
 
   return (
     <ScrollView style={styles.container}>
@@ -241,24 +234,96 @@ const SettingsScreen = () => {
             <View style={styles.colorInputContainer}>
               <TextInput
                 style={[styles.colorInput, { borderColor: settings.accentColor }]}
-                value={settings.accentColor}
-                onChangeText={(color) => {
-                  if (validateHexColor(color) || color === '') {
-                    saveSetting('accentColor', color);
-                  }
-                }}
-                placeholder="#00FFFF"
+                value={drafts.accentColor !== undefined ? drafts.accentColor : settings.accentColor}
+                onChangeText={(color) => editSetting('accentColor', color)}
+                onEndEditing={() => endEditing('accentColor')}
+                placeholder={DEFAULT_SETTINGS.accentColor}
                 placeholderTextColor="#666666"
+                autoCapitalize="none"
                 maxLength={7}
               />
-              <View 
-                style={[
-                  styles.colorPreview, 
-                  { backgroundColor: validateHexColor(settings.accentColor) ? settings.accentColor : '#333333' }
-                ]} 
-              />
+              <View style={[styles.colorPreview, { backgroundColor: settings.accentColor }]} />
             </View>
           </View>
+
+          {renderToggleSetting(
+            'leanWidgetEnabled',
+            'Lean Angle',
+            'Show live lean with session max left/right (long-press to reset)'
+          )}
+
+          {settings.leanWidgetEnabled && (
+            <TouchableOpacity
+              style={[styles.debugButton, styles.standaloneButton, { borderColor: settings.accentColor }]}
+              onPress={calibrateLean}
+            >
+              <Ionicons name="speedometer" size={20} color={settings.accentColor} />
+              <Text style={[styles.debugButtonText, { color: settings.accentColor }]}>
+                Calibrate Lean Angle
+              </Text>
+            </TouchableOpacity>
+          )}
+
+          {renderTextSetting(
+            'staleTimeouts',
+            'Stale Data Timeouts (JSON, seconds)',
+            '{"speed": {"dim": 2, "blank": 5}, "fuel": {"dim": 120}}'
+          )}
+        </View>
+
+        {/* Speedometer Calibration */}
+        <View style={styles.section}>
+          <Text style={[styles.sectionTitle, { color: settings.accentColor }]}>
+            Speedometer Calibration
+          </Text>
+
+          {renderToggleSetting(
+            'speedCalibrationEnabled',
+            'Collect Calibration Data',
+            'Compare bike speed with GPS while riding steadily'
+          )}
+
+          {renderToggleSetting(
+            'speedCalibrationSpeedDependent',
+            'Speed-Dependent Correction',
+            'Fit an offset as well as a factor once samples cover a wide speed range'
+          )}
+
+          {renderToggleSetting(
+            'trueSpeedEnabled',
+            'Show True Speed',
+            'Display calibrated speed on the speedometer, tagged TRUE'
+          )}
+
+          {renderToggleSetting(
+            'correctedTripsEnabled',
+            'Correct Trip Distances',
+            'Scale trip distance and economy by the calibration factor'
+          )}
+
+          <SpeedCalibrationStatus accentColor={settings.accentColor} />
+        </View>
+
+        {/* Gear Detection */}
+        <View style={styles.section}>
+          <Text style={[styles.sectionTitle, { color: settings.accentColor }]}>
+            Gear Detection
+          </Text>
+
+          <GearCalibrationView accentColor={settings.accentColor} />
+        </View>
+
+        {/* Ride Recording */}
+        <View style={styles.section}>
+          <Text style={[styles.sectionTitle, { color: settings.accentColor }]}>
+            Ride Recording
+          </Text>
+
+          {renderToggleSetting(
+            'rideRecordingEnabled',
+            'Record Rides Automatically',
+            'Start recording when the bike connects or moves, stop after five minutes parked'
+          )}
         </View>
 
         {/* Navigation Settings */}
@@ -286,6 +351,87 @@ const SettingsScreen = () => {
           )}
         </View>
 
+        {/* Safety */}
+        <View style={styles.section}>
+          <Text style={[styles.sectionTitle, { color: settings.accentColor }]}>
+            Safety
+          </Text>
+
+          {renderToggleSetting(
+            'crashDetectionEnabled',
+            'Crash Detection',
+            'Start an SOS countdown after a hard impact leaves the bike lying still'
+          )}
+
+          {renderTextSetting(
+            'emergencyContacts',
+            'Emergency Contacts',
+            'Phone numbers, comma separated'
+          )}
+
+          <View style={styles.settingItem}>
+            <View style={styles.settingInfo}>
+              <Text style={styles.settingTitle}>When Nobody Cancels</Text>
+              <View style={styles.chipRow}>
+                {Object.entries(CRASH_ALERT_ACTIONS).map(([id, label]) => (
+                  <TouchableOpacity
+                    key={id}
+                    style={[
+                      styles.chip,
+                      { borderColor: settings.accentColor },
+                      settings.crashAlertAction === id && { backgroundColor: settings.accentColor },
+                    ]}
+                    onPress={() => saveSetting('crashAlertAction', id)}
+                  >
+                    <Text
+                      style={[
+                        styles.chipText,
+                        { color: settings.crashAlertAction === id ? '#000000' : settings.accentColor },
+                      ]}
+                    >
+                      {label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+          </View>
+
+          {renderTextSetting(
+            'crashImpactThreshold',
+            'Impact Threshold (g)',
+            String(DEFAULT_CRASH_SETTINGS.impactThreshold)
+          )}
+
+          {renderTextSetting(
+            'crashTiltAngle',
+            'Fallen Over Angle (degrees from upright)',
+            String(DEFAULT_CRASH_SETTINGS.tiltAngle)
+          )}
+
+          {renderTextSetting(
+            'crashCountdown',
+            'Countdown (seconds)',
+            String(DEFAULT_CRASH_SETTINGS.countdown)
+          )}
+
+          {renderToggleSetting(
+            'crashTestMode',
+            'Test Mode',
+            'Detect impacts at a standstill and never actually send the alert'
+          )}
+
+          <TouchableOpacity
+            style={[styles.debugButton, styles.standaloneButton, { borderColor: '#FF4444' }]}
+            onPress={() => CrashDetector.simulateCrash()}
+          >
+            <Ionicons name="warning" size={20} color="#FF4444" />
+            <Text style={[styles.debugButtonText, { color: '#FF4444' }]}>
+              Test SOS Countdown
+            </Text>
+          </TouchableOpacity>
+        </View>
+
         {/* Fallback Options */}
         <View style={styles.section}>
           <Text style={[styles.sectionTitle, { color: settings.accentColor }]}>
@@ -315,6 +461,52 @@ const SettingsScreen = () => {
             'Mock Data Mode',
             'Display sample data for testing (overrides real data)'
           )}
+
+          {settings.mockDataEnabled && (
+            <>
+              <View style={styles.settingItem}>
+                <View style={styles.settingInfo}>
+                  <Text style={styles.settingTitle}>Ride Scenario</Text>
+                  <View style={styles.chipRow}>
+                    {Object.entries(SCENARIOS).map(([id, scenario]) => (
+                      <TouchableOpacity
+                        key={id}
+                        style={[
+                          styles.chip,
+                          { borderColor: settings.accentColor },
+                          settings.mockScenario === id && { backgroundColor: settings.accentColor },
+                        ]}
+                        onPress={() => saveSetting('mockScenario', id)}
+                      >
+                        <Text
+                          style={[
+                            styles.chipText,
+                            { color: settings.mockScenario === id ? '#000000' : settings.accentColor },
+                          ]}
+                        >
+                          {scenario.label}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                </View>
+              </View>
+
+              {renderTextSetting(
+                'mockGearRatios',
+                'Simulator Gear Ratios',
+                '2.83, 1.88, 1.42, 1.14, 0.96, 0.84'
+              )}
+            </>
+          )}
+
+          {renderToggleSetting(
+            'replayEnabled',
+            'Session Replay',
+            'Play a recorded capture or debug log into the dashboard'
+          )}
+
+          {settings.replayEnabled && <ReplayControls accentColor={settings.accentColor} />}
         </View>
 
         {/* Debug Settings */}
@@ -322,6 +514,21 @@ const SettingsScreen = () => {
           <Text style={[styles.sectionTitle, { color: settings.accentColor }]}>
             Debug & Advanced
           </Text>
+
+          {/* Custom UUIDs and auth settings apply from the next connection */}
+          <View style={styles.settingItem}>
+            <View style={styles.settingInfo}>
+              <Text style={styles.settingTitle}>Bike Connection</Text>
+              <Text style={styles.settingDescription}>
+                {connectedDevice ? `${connectionLabel} to ${connectedDevice.name || connectedDevice.id}` : connectionLabel}
+              </Text>
+            </View>
+            <Ionicons
+              name={connected ? 'bluetooth' : 'bluetooth-outline'}
+              size={24}
+              color={connected ? settings.accentColor : '#FF4444'}
+            />
+          </View>
           
           {renderToggleSetting(
             'debugMode',
@@ -343,6 +550,12 @@ const SettingsScreen = () => {
                 'e.g., 87654321-4321-4321-4321-cba987654321'
               )}
 
+              {renderTextSetting(
+                'characteristicRoles',
+                'Characteristic Roles (JSON)',
+                '{"fff1": "telemetry", "fff2": "ack"}'
+              )}
+
               {renderTextSetting(
                 'authKey',
                 'Authentication Key',
@@ -350,6 +563,30 @@ const SettingsScreen = () => {
                 true
               )}
 
+              {renderTextSetting(
+                'authChallengeCharUUID',
+                'Auth Challenge Characteristic',
+                'UUID the bike publishes its challenge on'
+              )}
+
+              {renderTextSetting(
+                'authResponseCharUUID',
+                'Auth Response Characteristic',
+                'UUID the signed response is written to'
+              )}
+
+              {renderTextSetting(
+                'authResultCharUUID',
+                'Auth Result Characteristic',
+                'UUID that reports success (optional)'
+              )}
+
+              {renderToggleSetting(
+                'allowBroadcastAuth',
+                'Broadcast Auth Key (Unsafe)',
+                'Write the key to every writable characteristic if other methods fail'
+              )}
+
               <View style={styles.debugActions}>
                 <TouchableOpacity 
                   style={[styles.debugButton, { borderColor: settings.accentColor }]}
@@ -382,6 +619,8 @@ const SettingsScreen = () => {
                   ))}
                 </ScrollView>
               </View>
+
+              <FrameCaptureView accentColor={settings.accentColor} />
             </>
           )}
         </View>
@@ -449,6 +688,11 @@ const styles = StyleSheet.create({
     color: '#CCCCCC',
     fontSize: 14,
   },
+  settingError: {
+    color: '#FF4444',
+    fontSize: 12,
+    marginTop: 4,
+  },
   textInput: {
     backgroundColor: '#1A1A1A',
     borderWidth: 1,
@@ -483,6 +727,22 @@ const styles = StyleSheet.create({
     borderWidth: 2,
     borderColor: '#333333',
   },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+  },
+  chipText: {
+    fontSize: 12,
+    fontWeight: '500',
+  },
   debugActions: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -498,6 +758,10 @@ const styles = StyleSheet.create({
     flex: 0.48,
     justifyContent: 'center',
   },
+  standaloneButton: {
+    flex: 0,
+    marginVertical: 10,
+  },
   debugButtonText: {
     marginLeft: 8,
     fontSize: 14,
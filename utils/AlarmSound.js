@@ -0,0 +1,94 @@
+import * as FileSystem from 'expo-file-system';
+import { Audio } from 'expo-av';
+import { Buffer } from 'buffer';
+
+// Siren for the crash countdown. The tone is generated rather than shipped as
+// an asset: two alternating square-wave tones as 8-bit mono WAV, played on a
+// loop at full volume, also when the phone is set to silent.
+const SAMPLE_RATE = 8000; // Hz
+const TONES = [
+  { frequency: 960, duration: 0.4 }, // Hz, seconds
+  { frequency: 640, duration: 0.4 },
+];
+const ALARM_FILE = 'yezdi_crash_alarm.wav';
+
+// WAV file bytes for one cycle of the siren
+export const buildAlarmWav = () => {
+  const samples = TONES.flatMap(({ frequency, duration }) => {
+    const count = Math.round(duration * SAMPLE_RATE);
+    const period = SAMPLE_RATE / frequency;
+    return Array.from({ length: count }, (_, index) => ((index % period) < period / 2 ? 0xf0 : 0x10));
+  });
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + samples.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16); // format chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE, 28); // bytes per second
+  header.writeUInt16LE(1, 32); // bytes per frame
+  header.writeUInt16LE(8, 34); // bits per sample
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(samples.length, 40);
+  return Buffer.concat([header, Buffer.from(samples)]);
+};
+
+class YezdiAlarmSound {
+  constructor() {
+    this.sound = null;
+    this.playing = false;
+  }
+
+  async start() {
+    if (this.playing) return;
+    this.playing = true;
+
+    try {
+      await Audio.setAudioModeAsync({ playsInSilentModeIOS: true, shouldDuckAndroid: false });
+
+      const fileUri = `${FileSystem.cacheDirectory}${ALARM_FILE}`;
+      const info = await FileSystem.getInfoAsync(fileUri);
+      if (!info.exists) {
+        await FileSystem.writeAsStringAsync(fileUri, buildAlarmWav().toString('base64'), {
+          encoding: FileSystem.EncodingType.Base64,
+        });
+      }
+
+      const { sound } = await Audio.Sound.createAsync(
+        { uri: fileUri },
+        { isLooping: true, volume: 1, shouldPlay: true }
+      );
+      // Stopped while the sound was loading
+      if (!this.playing) {
+        await sound.unloadAsync();
+        return;
+      }
+      this.sound = sound;
+    } catch (error) {
+      console.error('Failed to play crash alarm:', error);
+    }
+  }
+
+  async stop() {
+    this.playing = false;
+    const sound = this.sound;
+    this.sound = null;
+    if (!sound) return;
+
+    try {
+      await sound.stopAsync();
+      await sound.unloadAsync();
+    } catch (error) {
+      console.error('Failed to stop crash alarm:', error);
+    }
+  }
+}
+
+// Create singleton instance
+const AlarmSound = new YezdiAlarmSound();
+
+export default AlarmSound;
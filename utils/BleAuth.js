@@ -0,0 +1,139 @@
+import * as Crypto from 'expo-crypto';
+import { Buffer } from 'buffer';
+
+// SHA-256 block size in bytes, used for HMAC key padding
+const SHA256_BLOCK_SIZE = 64;
+// Default byte the bike returns on the result characteristic when auth passed
+const DEFAULT_SUCCESS_VALUE = '01';
+
+const sha256 = async (bytes) => {
+  const digest = await Crypto.digest(Crypto.CryptoDigestAlgorithm.SHA256, Uint8Array.from(bytes));
+  return Buffer.from(digest);
+};
+
+// HMAC-SHA256 (RFC 2104) on top of expo-crypto's plain digest
+export const hmacSha256 = async (key, message) => {
+  let keyBytes = Buffer.from(key);
+  if (keyBytes.length > SHA256_BLOCK_SIZE) {
+    keyBytes = await sha256(keyBytes);
+  }
+
+  const padded = Buffer.alloc(SHA256_BLOCK_SIZE);
+  keyBytes.copy(padded);
+
+  const inner = Buffer.alloc(SHA256_BLOCK_SIZE);
+  const outer = Buffer.alloc(SHA256_BLOCK_SIZE);
+  for (let i = 0; i < SHA256_BLOCK_SIZE; i++) {
+    inner[i] = padded[i] ^ 0x36;
+    outer[i] = padded[i] ^ 0x5c;
+  }
+
+  const innerHash = await sha256(Buffer.concat([inner, Buffer.from(message)]));
+  return await sha256(Buffer.concat([outer, innerHash]));
+};
+
+const success = (method, detail) => ({ method, success: true, skipped: false, reason: detail });
+const failure = (method, reason) => ({ method, success: false, skipped: false, reason });
+const skipped = (method, reason) => ({ method, success: false, skipped: true, reason });
+// The response was delivered but the bike gave no verdict on it
+const unverified = (method, reason) => ({ method, success: false, skipped: false, unverified: true, reason });
+
+// Read the designated characteristic and compare with the expected success value
+const verifyResult = async (context, method) => {
+  const { settings, read } = context;
+  const resultUUID = settings.authResultCharUUID;
+  if (!resultUUID) {
+    // Without a result characteristic nothing says whether the bike accepted it
+    return unverified(method, 'Response written, no result characteristic to verify it');
+  }
+
+  const result = await read(resultUUID);
+  const expected = (settings.authSuccessValue || DEFAULT_SUCCESS_VALUE).toLowerCase();
+  if (result.toString('hex') === expected) {
+    return success(method, 'Bike accepted response');
+  }
+  return failure(method, `Bike rejected response (result ${result.toString('hex')})`);
+};
+
+// Shared flow for challenge-response strategies
+const challengeResponse = (method, computeResponse) => async (context) => {
+  const { settings, read, write, log } = context;
+  if (!settings.authChallengeCharUUID || !settings.authResponseCharUUID) {
+    return skipped(method, 'Challenge/response characteristics not configured');
+  }
+  if (!settings.authKey) {
+    return skipped(method, 'No authentication key configured');
+  }
+
+  const challenge = await read(settings.authChallengeCharUUID);
+  if (challenge.length === 0) {
+    return failure(method, 'Empty challenge');
+  }
+  log('INFO', `Received ${challenge.length} byte challenge`);
+
+  const response = await computeResponse(challenge, settings.authKey);
+  await write(settings.authResponseCharUUID, response);
+
+  return await verifyResult(context, method);
+};
+
+// Pluggable strategies, tried in the order given by settings.authMethods.
+// Each resolves to { method, success, skipped, unverified, reason } and never
+// throws for an expected rejection; unexpected BLE errors are caught by the
+// caller. `unverified` means the key or response went out but the bike did
+// not say whether it was accepted; trying further methods would only write
+// more to the bike, so it ends the sequence like a success.
+export const AUTH_STRATEGIES = {
+  'hmac-sha256': {
+    label: 'HMAC-SHA256 challenge-response',
+    run: challengeResponse('hmac-sha256', (challenge, key) => hmacSha256(key, challenge)),
+  },
+  'sha256': {
+    label: 'SHA-256(challenge + key) challenge-response',
+    run: challengeResponse('sha256', (challenge, key) => sha256(Buffer.concat([challenge, Buffer.from(key)]))),
+  },
+  'static-key': {
+    label: 'Static key write',
+    run: async (context) => {
+      const { settings, write } = context;
+      if (!settings.authResponseCharUUID) {
+        return skipped('static-key', 'Response characteristic not configured');
+      }
+      if (!settings.authKey) {
+        return skipped('static-key', 'No authentication key configured');
+      }
+
+      await write(settings.authResponseCharUUID, Buffer.from(settings.authKey));
+      return await verifyResult(context, 'static-key');
+    },
+  },
+  // Legacy behaviour: writes the key to every writable characteristic. This can
+  // clobber unrelated settings on the bike, so it only runs when opted in.
+  'broadcast-key': {
+    label: 'Broadcast key to all writable characteristics (unsafe)',
+    run: async (context) => {
+      const { settings, writableCharacteristics, write, log } = context;
+      if (!settings.allowBroadcastAuth) {
+        return skipped('broadcast-key', 'Broadcast writes not enabled');
+      }
+      if (!settings.authKey) {
+        return skipped('broadcast-key', 'No authentication key configured');
+      }
+
+      const targets = writableCharacteristics();
+      for (const char of targets) {
+        await write(char.uuid, Buffer.from(settings.authKey), char.serviceUUID);
+        log('WARN', `Wrote auth key to ${char.uuid}`);
+      }
+      return targets.length > 0
+        ? unverified('broadcast-key', `Key written to ${targets.length} characteristic(s)`)
+        : failure('broadcast-key', 'No writable characteristics');
+    },
+  },
+  'bonding': {
+    label: 'OS-level bonding',
+    run: async () => failure('bonding', 'Manual Bluetooth pairing required'),
+  },
+};
+
+export const DEFAULT_AUTH_METHODS = ['hmac-sha256', 'sha256', 'static-key', 'broadcast-key', 'bonding'];
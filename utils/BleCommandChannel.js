@@ -0,0 +1,181 @@
+import { Buffer } from 'buffer';
+
+// Outbound frame: [COMMAND_HEADER, opcode, length, ...payload, checksum]
+// Ack frame:      [ACK_HEADER, opcode, status]
+const COMMAND_HEADER = 0xa5;
+const ACK_HEADER = 0x5a;
+const ACK_STATUS_OK = 0x00;
+const ACK_STATUS_UNSUPPORTED = 0xfe;
+
+export const COMMAND_STATUS = {
+  ACKED: 'acked',
+  REJECTED: 'rejected',
+  TIMEOUT: 'timeout',
+  UNSUPPORTED: 'unsupported',
+  NOT_CONNECTED: 'not_connected',
+  ERROR: 'error',
+};
+
+// Per-command encoders. Each returns the opcode and payload bytes.
+const COMMAND_ENCODERS = {
+  tripReset: ({ trip }) => {
+    if (trip !== 'A' && trip !== 'B') {
+      throw new Error(`Unknown trip ${trip}`);
+    }
+    return { opcode: 0x10, payload: [trip === 'A' ? 0x01 : 0x02] };
+  },
+};
+
+const DEFAULT_OPTIONS = {
+  timeout: 1500, // ms to wait for an ack
+  retries: 2, // attempts after the first
+  backoff: 250, // ms, doubled after each failed attempt
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class BleCommandChannel {
+  constructor(bleManager) {
+    this.bleManager = bleManager;
+    this.queue = Promise.resolve();
+    this.pendingAck = null;
+  }
+
+  // Build a framed command with a simple XOR checksum
+  encode(command, params = {}) {
+    const encoder = COMMAND_ENCODERS[command];
+    if (!encoder) {
+      throw new Error(`No encoder for command ${command}`);
+    }
+
+    const { opcode, payload } = encoder(params);
+    const bytes = [COMMAND_HEADER, opcode, payload.length, ...payload];
+    const checksum = bytes.reduce((sum, byte) => sum ^ byte, 0);
+
+    return { opcode, frame: Buffer.from([...bytes, checksum]) };
+  }
+
+  // Queue a command; commands are written one at a time in order
+  send(command, params = {}, options = {}) {
+    const run = () => this.execute(command, params, { ...DEFAULT_OPTIONS, ...options });
+    const result = this.queue.then(run, run);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async execute(command, params, options) {
+    const { serviceUUID, charUUID } = this.bleManager.customSettings;
+    const device = this.bleManager.connectedDevice;
+    const result = { command, ok: false, status: null, attempts: 0, response: null, error: null };
+
+    if (!device) {
+      return { ...result, status: COMMAND_STATUS.NOT_CONNECTED };
+    }
+    if (!serviceUUID || !charUUID) {
+      this.bleManager.log('WARN', `Command ${command} skipped - no command characteristic configured`);
+      return { ...result, status: COMMAND_STATUS.UNSUPPORTED };
+    }
+
+    let encoded;
+    try {
+      encoded = this.encode(command, params);
+    } catch (error) {
+      return { ...result, status: COMMAND_STATUS.ERROR, error: error.message };
+    }
+
+    let delay = options.backoff;
+    for (let attempt = 1; attempt <= options.retries + 1; attempt++) {
+      result.attempts = attempt;
+
+      try {
+        this.bleManager.log('INFO', `Sending ${command} (attempt ${attempt}): ${encoded.frame.toString('hex')}`);
+        const ack = this.waitForAck(encoded.opcode, options.timeout);
+        ack.catch(() => {}); // Rejections are handled once the write completes
+        await device.writeCharacteristicWithResponseForService(
+          serviceUUID,
+          charUUID,
+          encoded.frame.toString('base64')
+        );
+        const response = await ack;
+
+        result.response = response;
+        if (response.status === ACK_STATUS_OK) {
+          this.bleManager.log('INFO', `Command ${command} acknowledged`);
+          return { ...result, ok: true, status: COMMAND_STATUS.ACKED, error: null };
+        }
+        if (response.status === ACK_STATUS_UNSUPPORTED) {
+          this.bleManager.log('WARN', `Command ${command} not supported by bike`);
+          return { ...result, status: COMMAND_STATUS.UNSUPPORTED };
+        }
+
+        this.bleManager.log('WARN', `Command ${command} rejected with status ${response.status}`);
+        result.status = COMMAND_STATUS.REJECTED;
+      } catch (error) {
+        this.cancelAck();
+        this.bleManager.log('WARN', `Command ${command} attempt ${attempt} failed: ${error.message}`);
+        result.status = error.isTimeout ? COMMAND_STATUS.TIMEOUT : COMMAND_STATUS.ERROR;
+        result.error = error.message;
+      }
+
+      if (attempt <= options.retries) {
+        await sleep(delay);
+        delay *= 2;
+      }
+    }
+
+    return result;
+  }
+
+  // Resolve when an ack for the opcode arrives, reject after the timeout
+  waitForAck(opcode, timeout) {
+    this.cancelAck();
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingAck = null;
+        const error = new Error(`No ack within ${timeout}ms`);
+        error.isTimeout = true;
+        reject(error);
+      }, timeout);
+
+      this.pendingAck = { opcode, resolve, reject, timer };
+    });
+  }
+
+  cancelAck(reason = 'Command cancelled') {
+    if (this.pendingAck) {
+      const { reject, timer } = this.pendingAck;
+      clearTimeout(timer);
+      this.pendingAck = null;
+      reject(new Error(reason));
+    }
+  }
+
+  // Called for every notification; returns true if the frame was the pending ack.
+  // Telemetry frames can start with the ack header too, so only a frame matching
+  // the outstanding opcode is consumed.
+  handleNotification(buffer) {
+    if (!this.pendingAck || buffer.length !== 3 || buffer[0] !== ACK_HEADER) {
+      return false;
+    }
+
+    const opcode = buffer[1];
+    if (opcode !== this.pendingAck.opcode) {
+      return false;
+    }
+
+    const { resolve, timer } = this.pendingAck;
+    clearTimeout(timer);
+    this.pendingAck = null;
+    resolve({ opcode, status: buffer[2], raw: buffer.toString('hex') });
+
+    return true;
+  }
+
+  // Fail any outstanding command, e.g. on disconnect
+  reset() {
+    this.cancelAck('Disconnected');
+  }
+}
+
+export default BleCommandChannel;
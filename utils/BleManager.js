@@ -1,51 +1,142 @@
-import { BleManager as RNBleManager, Device } from 'react-native-ble-plx';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import * as Location from 'expo-location';
-import { Accelerometer } from 'expo-sensors';
+import { AppState } from 'react-native';
 import { BarCodeScanner } from 'expo-barcode-scanner';
-import * as Crypto from 'expo-crypto';
 import { Buffer } from 'buffer';
+import PacketDecoder from './PacketDecoder';
+import TripComputer from './TripComputer';
+import SensorManager, { LEAN_RECORD_MIN_SPEED } from './SensorManager';
+import BleCommandChannel, { COMMAND_STATUS } from './BleCommandChannel';
+import EventEmitter from './EventEmitter';
+import { normalizeUUID } from './BleUuid';
+import { AUTH_STRATEGIES, DEFAULT_AUTH_METHODS } from './BleAuth';
+import RideSimulator, { DEFAULT_SCENARIO } from './RideSimulator';
+import DataArbiter, { DATA_SOURCES } from './DataArbiter';
+import GearEstimator from './GearEstimator';
+import BlePlxTransport from './BlePlxTransport';
+import SettingsStore, { mapSettings } from './SettingsStore';
+import StorageManager from './StorageManager';
 
-class YezdiBleManager {
-  constructor() {
-    this.manager = new RNBleManager();
+export const CONNECTION_STATE = {
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  AUTHENTICATING: 'authenticating',
+  STREAMING: 'streaming',
+  RECONNECTING: 'reconnecting',
+  LOST: 'lost',
+};
+
+// What each monitored characteristic carries
+export const CHARACTERISTIC_ROLES = ['telemetry', 'telltales', 'odometer', 'ack'];
+
+// Settings mirrored into customSettings, by settings key
+export const BLE_SETTING_KEYS = {
+  customServiceUUID: 'serviceUUID',
+  customCharUUID: 'charUUID',
+  characteristicRoles: 'characteristicRoles',
+  authKey: 'authKey',
+  authChallengeCharUUID: 'authChallengeCharUUID',
+  authResponseCharUUID: 'authResponseCharUUID',
+  authResultCharUUID: 'authResultCharUUID',
+  allowBroadcastAuth: 'allowBroadcastAuth',
+};
+
+// Reconnection backoff
+const RECONNECT_BASE_DELAY = 1000; // ms
+const RECONNECT_MAX_DELAY = 30000; // ms
+const RECONNECT_MAX_ATTEMPTS = 10;
+
+// Command results that mean the bike cannot take the command at all; trip
+// resets then fall back to the phone's trip computer
+const LOCAL_FALLBACK_STATUSES = [COMMAND_STATUS.UNSUPPORTED, COMMAND_STATUS.NOT_CONNECTED];
+
+const SIMULATOR_TICK = 200; // ms
+// How often field sources are re-checked for staleness while data is flowing
+const ARBITRATION_INTERVAL = 1000; // ms
+
+// Pass a transport (see BlePlxTransport) to run against something other than
+// the phone's radio, e.g. FakeBikeTransport. The other platform services can
+// be swapped the same way, e.g. to run the manager under Node:
+//   appState      - AppState
+//   storage       - StorageManager
+//   settingsStore - SettingsStore
+//   sensors       - SensorManager
+//   tripComputer  - TripComputer
+//   camera        - BarCodeScanner, for its permission
+export class YezdiBleManager {
+  constructor({
+    transport = new BlePlxTransport(),
+    appState = AppState,
+    storage = StorageManager,
+    settingsStore = SettingsStore,
+    sensors = SensorManager,
+    tripComputer = TripComputer,
+    camera = BarCodeScanner,
+  } = {}) {
+    this.transport = transport;
+    this.storage = storage;
+    this.settingsStore = settingsStore;
+    this.sensors = sensors;
+    this.tripComputer = tripComputer;
+    this.camera = camera;
     this.connectedDevice = null;
     this.isScanning = false;
-    this.dataCallback = null;
-    this.connectionCallback = null;
+    this.scanTimeout = null;
+    this.stateSubscription = null;
+    this.initPromise = null;
+    this.events = new EventEmitter();
     this.debugLogs = [];
     this.customSettings = {
       serviceUUID: '',
       charUUID: '',
       authKey: 'YEZDI_AUTH_DEFAULT',
+      characteristicRoles: {}, // { charUUID: role }
+      authMethods: DEFAULT_AUTH_METHODS,
+      authChallengeCharUUID: '',
+      authResponseCharUUID: '',
+      authResultCharUUID: '',
+      authSuccessValue: '01',
+      allowBroadcastAuth: false,
     };
+    this.authResult = null;
+    this.gattTable = [];
+    // Last schema each characteristic decoded with, so changes are logged once
+    this.schemaByChar = {};
     
-    // Mock data for testing - CLEAN VERSION
-    this.mockData = {
-      speed: 0,
-      gear: 1,
-      rpm: 0,
-      fuel: 0,
-      ridingMode: 'Road',
-      highBeam: false,
-      hazard: false,
-      engineCheck: false,
-      battery: true,
-      odometer: '00000',
-      tripA: '000.0',
-      tripB: '000.0',
-      afe: '00.0',
-      bfe: '00.0',
-    };
+    // Scripted rides for Mock Data Mode
+    this.simulator = new RideSimulator();
+    this.mockScenario = DEFAULT_SCENARIO;
 
     // Fallback data sources
     this.sensorFallbackEnabled = true;
     this.mockDataEnabled = false;
     this.cachedDataEnabled = true;
     this.lastKnownData = null;
+    this.provenance = {};
+    this.arbiter = new DataArbiter();
+    // Fills in gear when frames do not carry a trustworthy one
+    this.gearEstimator = new GearEstimator({ storage });
+    this.arbitrationTimer = null;
     this.mockDataInterval = null;
-    this.gpsSubscription = null;
-    this.accelerometerSubscription = null;
+    this.replayActive = false;
+    // Unsubscribe functions for the SensorManager feeds behind the fallback
+    this.sensorUnsubscribers = [];
+    this.leanUnsubscribe = null;
+
+    // Outbound commands to the bike
+    this.commandChannel = new BleCommandChannel(this);
+
+    // Connection lifecycle and automatic reconnection
+    this.connectionState = CONNECTION_STATE.DISCONNECTED;
+    this.lastDeviceId = null;
+    this.lastDevice = null;
+    this.userDisconnected = false;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.reconnecting = false; // an automatic reconnection attempt is running
+    this.disconnectSubscription = null;
+    this.monitorSubscriptions = [];
+    this.settingsUnsubscribe = null;
+    this.appState = appState.currentState;
+    this.appStateSubscription = appState.addEventListener('change', (state) => this.handleAppStateChange(state));
   }
 
   // Debug logging system
@@ -60,6 +151,7 @@ class YezdiBleManager {
     }
     
     console.log(`[${level}] ${message}`);
+    this.emit('log', logEntry);
   }
 
   async getDebugLogs() {
@@ -71,8 +163,18 @@ class YezdiBleManager {
     this.log('INFO', 'Debug logs cleared');
   }
 
-  // Initialize BLE manager
-  async initialize() {
+  // Initialize BLE manager. Safe to call more than once; later calls share the first run.
+  initialize() {
+    if (!this.initPromise) {
+      this.initPromise = this.runInitialization().catch((error) => {
+        this.initPromise = null;
+        throw error;
+      });
+    }
+    return this.initPromise;
+  }
+
+  async runInitialization() {
     try {
       this.log('INFO', 'Initializing BLE Manager');
       
@@ -81,6 +183,15 @@ class YezdiBleManager {
       
       // Load cached settings
       await this.loadCachedSettings();
+
+      // Load decoder schemas edited outside the app
+      await this.loadDecoderSchemas();
+
+      // Restore trip counters
+      await this.loadTripComputer();
+
+      // Restore learned gear ratios
+      await this.loadGearRatios();
       
       // Start mock data simulation if enabled
       if (this.mockDataEnabled) {
@@ -98,13 +209,13 @@ class YezdiBleManager {
   async requestPermissions() {
     try {
       // Location permissions for fallback
-      const { status: locationStatus } = await Location.requestForegroundPermissionsAsync();
-      if (locationStatus !== 'granted') {
+      const locationGranted = await this.sensors.requestLocationPermission();
+      if (!locationGranted) {
         this.log('WARN', 'Location permission denied - GPS fallback unavailable');
       }
 
       // Camera permissions for QR scanning
-      const { status: cameraStatus } = await BarCodeScanner.requestPermissionsAsync();
+      const { status: cameraStatus } = await this.camera.requestPermissionsAsync();
       if (cameraStatus !== 'granted') {
         this.log('WARN', 'Camera permission denied - QR code authentication unavailable');
       }
@@ -115,40 +226,141 @@ class YezdiBleManager {
     }
   }
 
-  // Load cached settings from AsyncStorage
+  // Load cached data and settings through StorageManager
   async loadCachedSettings() {
     try {
-      const cached = await AsyncStorage.getItem('yezdi_cached_data');
+      const cached = await this.storage.getCachedData();
       if (cached) {
-        this.lastKnownData = JSON.parse(cached);
+        this.arbiter.update('cache', cached.data, Date.now(), cached.updatedAt);
+        this.resolveData();
         this.log('INFO', 'Loaded cached data');
       }
 
-      const settings = await AsyncStorage.getItem('yezdi_custom_settings');
-      if (settings) {
-        this.customSettings = { ...this.customSettings, ...JSON.parse(settings) };
-        this.log('INFO', 'Loaded custom BLE settings');
+      const lastDevice = await this.storage.getLastDevice();
+      if (lastDevice) {
+        this.lastDevice = lastDevice;
+        this.lastDeviceId = this.lastDevice.id;
+        this.log('INFO', `Last connected device: ${this.lastDevice.name || this.lastDeviceId}`);
+      }
+
+      // Custom BLE, fallback and mock mode settings. Mock data only starts
+      // once initialization has restored the trip computer.
+      await this.settingsStore.load();
+      const { mockDataEnabled, ...settings } = this.settingsStore.getAll();
+      this.applySettings(settings);
+      this.mockDataEnabled = mockDataEnabled;
+      if (!this.settingsUnsubscribe) {
+        this.settingsUnsubscribe = this.settingsStore.on('change', (changes) => this.applySettings(changes));
       }
+      this.log('INFO', 'Loaded settings');
     } catch (error) {
       this.log('ERROR', `Failed to load cached settings: ${error.message}`);
     }
   }
 
-  // Update custom settings
+  // Load user decoder schemas on top of the built-in ones
+  async loadDecoderSchemas() {
+    try {
+      const count = await PacketDecoder.loadUserSchemas();
+      if (count > 0) {
+        this.log('INFO', `Loaded ${count} custom decoder schema(s)`);
+      }
+    } catch (error) {
+      this.log('ERROR', `Failed to load decoder schemas: ${error.message}`);
+    }
+  }
+
+  // Restore trip counters from storage
+  async loadTripComputer() {
+    if (this.tripComputer.isLoaded) return;
+    try {
+      await this.tripComputer.load();
+      this.log('INFO', 'Loaded trip computer state');
+    } catch (error) {
+      this.log('ERROR', `Failed to load trip computer: ${error.message}`);
+    }
+  }
+
+  // Restore learned gear ratios for the last bike
+  async loadGearRatios() {
+    try {
+      this.gearEstimator.selectBike(this.lastDeviceId);
+      await this.gearEstimator.load();
+      this.log('INFO', 'Loaded learned gear ratios');
+    } catch (error) {
+      this.log('ERROR', `Failed to load gear ratios: ${error.message}`);
+    }
+  }
+
+  // Replace decoder schemas from JSON and persist them
+  async updateDecoderSchemas(json) {
+    const count = await PacketDecoder.saveSchemas(json);
+    this.log('INFO', `Updated ${count} decoder schema(s)`);
+    return count;
+  }
+
+  // Parse the role map entered in Settings, e.g. {"fff1": "telemetry", "fff2": "ack"}
+  parseCharacteristicRoles(text) {
+    if (!text || !text.trim()) return {};
+    try {
+      const parsed = JSON.parse(text);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (error) {
+      this.log('WARN', `Ignoring invalid characteristic role map: ${error.message}`);
+      return {};
+    }
+  }
+
+  // Update custom settings for this session; saved ones come from SettingsStore
   updateCustomSettings(settings) {
     this.customSettings = { ...this.customSettings, ...settings };
-    AsyncStorage.setItem('yezdi_custom_settings', JSON.stringify(this.customSettings));
+    if (typeof this.customSettings.characteristicRoles === 'string') {
+      this.customSettings.characteristicRoles = this.parseCharacteristicRoles(this.customSettings.characteristicRoles);
+    }
     this.log('INFO', 'Updated custom BLE settings');
   }
 
-  // Set data callback
-  setDataCallback(callback) {
-    this.dataCallback = callback;
+  // Apply changed settings (see SettingsStore) that the manager owns
+  applySettings(changes) {
+    const custom = mapSettings(changes, BLE_SETTING_KEYS);
+    if (Object.keys(custom).length > 0) {
+      this.updateCustomSettings(custom);
+    }
+
+    if (changes.sensorFallbackEnabled !== undefined) this.setSensorFallbackEnabled(changes.sensorFallbackEnabled);
+    if (changes.cachedDataEnabled !== undefined) this.setCachedDataEnabled(changes.cachedDataEnabled);
+    if (changes.mockScenario !== undefined) this.setMockScenario(changes.mockScenario);
+    if (changes.mockGearRatios !== undefined) this.setMockGearRatios(changes.mockGearRatios);
+    if (changes.mockDataEnabled !== undefined) this.setMockDataEnabled(changes.mockDataEnabled);
+  }
+
+  // Subscribe to manager events. Returns an unsubscribe function.
+  //   'data'       (data, provenance)        - arbitrated telemetry and the source of each field
+  //   'connection' (connected, device, state) - connection state changes
+  //   'log'        (logEntry)                - every debug log entry
+  //   'frame'      (frame)                   - raw notification and its decode result
+  //   'auth'       (result)                  - authentication outcome after connecting
+  on(event, listener) {
+    return this.events.on(event, listener);
+  }
+
+  off(event, listener) {
+    this.events.off(event, listener);
   }
 
-  // Set connection callback
-  setConnectionCallback(callback) {
-    this.connectionCallback = callback;
+  emit(event, ...args) {
+    this.events.emit(event, ...args);
+  }
+
+  // Latest telemetry, for subscribers that mount after data started flowing
+  getLatestData() {
+    return this.lastKnownData;
+  }
+
+  // Source and receive time of each field in getLatestData(), e.g.
+  // { speed: { source: 'gps', updatedAt }, odometer: { source: 'cache', updatedAt } }
+  getProvenance() {
+    return this.provenance;
   }
 
   // Enhanced device discovery - UPDATED FOR YOUR BIKE
@@ -194,9 +406,9 @@ class YezdiBleManager {
       this.isScanning = true;
       this.log('INFO', 'Starting BLE scan');
 
-      const subscription = this.manager.onStateChange((state) => {
+      this.stateSubscription = this.transport.onStateChange((state) => {
         if (state === 'PoweredOn') {
-          this.manager.startDeviceScan(null, null, (error, device) => {
+          this.transport.startDeviceScan(null, null, (error, device) => {
             if (error) {
               this.log('ERROR', `Scan error: ${error.message}`);
               return;
@@ -225,7 +437,7 @@ class YezdiBleManager {
       }, true);
 
       // Stop scanning after 30 seconds
-      setTimeout(() => {
+      this.scanTimeout = setTimeout(() => {
         this.stopScanning();
       }, 30000);
 
@@ -238,47 +450,246 @@ class YezdiBleManager {
 
   // Stop scanning
   stopScanning() {
+    if (this.scanTimeout) {
+      clearTimeout(this.scanTimeout);
+      this.scanTimeout = null;
+    }
+    if (this.stateSubscription) {
+      this.stateSubscription.remove();
+      this.stateSubscription = null;
+    }
     if (this.isScanning) {
-      this.manager.stopDeviceScan();
+      this.transport.stopDeviceScan();
       this.isScanning = false;
       this.log('INFO', 'Stopped BLE scan');
     }
   }
 
+  // Update the connection state and notify listeners
+  setConnectionState(state, device = null) {
+    if (this.connectionState === state) return;
+    this.connectionState = state;
+    this.log('INFO', `Connection state: ${state}`);
+
+    const connected = state === CONNECTION_STATE.STREAMING;
+    if (connected) {
+      this.startLeanLogging();
+    } else if (state === CONNECTION_STATE.DISCONNECTED || state === CONNECTION_STATE.LOST) {
+      this.stopLeanLogging();
+    }
+    this.emit('connection', connected, connected ? device : null, state);
+  }
+
+  // Log max lean into the trips for as long as the bike is connected,
+  // including short drop-outs while reconnecting
+  startLeanLogging() {
+    if (this.leanUnsubscribe) return;
+    this.leanUnsubscribe = this.sensors.subscribe('lean', ({ roll, timestamp }) => {
+      const speed = parseFloat(this.lastKnownData && this.lastKnownData.speed);
+      if (this.replayActive || isNaN(speed) || speed < LEAN_RECORD_MIN_SPEED) return;
+      this.tripComputer.recordLean(roll, timestamp);
+    });
+  }
+
+  stopLeanLogging() {
+    if (this.leanUnsubscribe) {
+      this.leanUnsubscribe();
+      this.leanUnsubscribe = null;
+    }
+  }
+
+  getConnectionState() {
+    return this.connectionState;
+  }
+
   // Connect to device with multiple authentication methods
   async connectToDevice(device) {
+    if (this.reconnecting) {
+      throw new Error('Reconnection in progress, disconnect first');
+    }
+    this.userDisconnected = false;
+    this.cancelReconnect();
+
     try {
-      this.log('INFO', `Attempting to connect to ${device.name || device.id}`);
-      
-      const connectedDevice = await this.manager.connectToDevice(device.id);
-      this.connectedDevice = connectedDevice;
-      
-      this.log('INFO', `Connected to ${device.name || device.id}`);
-      
-      // Discover services and characteristics
-      await this.discoverServices(connectedDevice);
-      
-      // Attempt authentication
-      await this.attemptAuthentication(connectedDevice);
-      
-      // Set up data monitoring
-      await this.setupDataMonitoring(connectedDevice);
-      
-      // Notify connection established
-      this.connectionCallback && this.connectionCallback(true, device);
+      this.setConnectionState(CONNECTION_STATE.CONNECTING);
+      await this.establishConnection(device);
       
       // Start sending real data
       this.startDataUpdates();
       
     } catch (error) {
       this.log('ERROR', `Connection failed: ${error.message}`);
-      this.connectionCallback && this.connectionCallback(false, null);
+      // A link drop during this attempt may have scheduled a reconnect
+      this.cancelReconnect();
+      this.dropConnection();
+      this.setConnectionState(CONNECTION_STATE.DISCONNECTED);
       throw error;
     }
   }
 
-  // Discover all services and characteristics
+  // Connect to the most recently used bike, if any
+  async connectToLastDevice() {
+    if (!this.lastDeviceId) {
+      this.log('INFO', 'No previously connected device');
+      return false;
+    }
+    await this.connectToDevice(this.lastDevice || { id: this.lastDeviceId });
+    return true;
+  }
+
+  // Connect, discover, authenticate and start monitoring
+  async establishConnection(device) {
+    this.log('INFO', `Attempting to connect to ${device.name || device.id}`);
+
+    const connectedDevice = await this.transport.connectToDevice(device.id);
+    this.connectedDevice = connectedDevice;
+
+    this.log('INFO', `Connected to ${device.name || device.id}`);
+
+    // Remember the bike for automatic reconnection
+    this.lastDeviceId = device.id;
+    this.lastDevice = { id: device.id, name: device.name || connectedDevice.name || null };
+    await this.storage.saveLastDevice(this.lastDevice);
+    this.gearEstimator.selectBike(device.id);
+
+    this.watchDisconnection(connectedDevice);
+
+    // Discover services and characteristics
+    await this.discoverServices(connectedDevice);
+    this.validateConfiguredUUIDs();
+
+    // Attempt authentication
+    this.setConnectionState(CONNECTION_STATE.AUTHENTICATING);
+    await this.attemptAuthentication(connectedDevice);
+
+    // Set up data monitoring
+    await this.setupDataMonitoring(connectedDevice);
+
+    // Notify connection established
+    this.reconnectAttempt = 0;
+    this.setConnectionState(CONNECTION_STATE.STREAMING, this.lastDevice);
+  }
+
+  // Listen for link loss on the connected device
+  watchDisconnection(device) {
+    this.removeDisconnectWatch();
+    this.disconnectSubscription = device.onDisconnected((error) => {
+      this.handleUnexpectedDisconnect(error);
+    });
+  }
+
+  removeDisconnectWatch() {
+    if (this.disconnectSubscription) {
+      this.disconnectSubscription.remove();
+      this.disconnectSubscription = null;
+    }
+  }
+
+  removeMonitorSubscriptions() {
+    this.monitorSubscriptions.forEach((subscription) => subscription.remove());
+    this.monitorSubscriptions = [];
+  }
+
+  // Close the link left open by a failed connection attempt
+  dropConnection() {
+    this.removeDisconnectWatch();
+    this.removeMonitorSubscriptions();
+    this.commandChannel.reset();
+    if (this.connectedDevice) {
+      this.connectedDevice.cancelConnection().catch(() => {});
+      this.connectedDevice = null;
+    }
+  }
+
+  // The link dropped without disconnect() being called
+  handleUnexpectedDisconnect(error) {
+    if (this.userDisconnected) return;
+
+    this.log('WARN', `Device disconnected unexpectedly${error ? `: ${error.message}` : ''}`);
+    this.connectedDevice = null;
+    this.commandChannel.reset();
+    this.removeDisconnectWatch();
+    this.removeMonitorSubscriptions();
+
+    this.reconnectAttempt = 0;
+    this.setConnectionState(CONNECTION_STATE.RECONNECTING);
+    this.scheduleReconnect();
+  }
+
+  // Retry with exponential backoff while the app is in the foreground
+  scheduleReconnect() {
+    this.cancelReconnect();
+    if (this.userDisconnected || !this.lastDeviceId) return;
+
+    if (this.reconnectAttempt >= RECONNECT_MAX_ATTEMPTS) {
+      this.log('ERROR', `Giving up after ${this.reconnectAttempt} reconnection attempts`);
+      this.setConnectionState(CONNECTION_STATE.LOST);
+      return;
+    }
+
+    if (this.appState !== 'active') {
+      this.log('INFO', 'App in background - reconnection paused');
+      return;
+    }
+
+    const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** this.reconnectAttempt, RECONNECT_MAX_DELAY);
+    this.log('INFO', `Reconnecting in ${delay}ms (attempt ${this.reconnectAttempt + 1})`);
+    this.reconnectTimer = setTimeout(() => this.attemptReconnect(), delay);
+  }
+
+  async attemptReconnect() {
+    this.reconnectTimer = null;
+    this.reconnectAttempt += 1;
+    this.reconnecting = true;
+
+    try {
+      this.setConnectionState(CONNECTION_STATE.CONNECTING);
+      await this.establishConnection(this.lastDevice || { id: this.lastDeviceId });
+    } catch (error) {
+      this.log('WARN', `Reconnection attempt ${this.reconnectAttempt} failed: ${error.message}`);
+      this.dropConnection();
+      if (this.userDisconnected) return;
+      this.setConnectionState(CONNECTION_STATE.RECONNECTING);
+      this.scheduleReconnect();
+      return;
+    } finally {
+      this.reconnecting = false;
+    }
+
+    // disconnect() was called while the attempt was running
+    if (this.userDisconnected) {
+      this.log('INFO', 'Reconnected after disconnect was requested, dropping the link');
+      this.dropConnection();
+      this.setConnectionState(CONNECTION_STATE.DISCONNECTED);
+      return;
+    }
+    this.log('INFO', 'Reconnected');
+  }
+
+  cancelReconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  // Pause reconnection in the background and resume when foregrounded
+  handleAppStateChange(nextState) {
+    const wasActive = this.appState === 'active';
+    this.appState = nextState;
+
+    if (nextState === 'active' && !wasActive && this.connectionState === CONNECTION_STATE.RECONNECTING) {
+      this.scheduleReconnect();
+    } else if (nextState !== 'active') {
+      this.cancelReconnect();
+    }
+  }
+
+  // Discover all services and characteristics.
+  // Returns [{ uuid, characteristics: [{ uuid, isReadable, isWritable, isNotifiable }] }]
   async discoverServices(device) {
+    this.gattTable = [];
+
     try {
       this.log('INFO', 'Discovering services...');
       
@@ -292,216 +703,402 @@ class YezdiBleManager {
         for (const char of characteristics) {
           this.log('INFO', `  Characteristic: ${char.uuid} (${char.isReadable ? 'R' : ''}${char.isWritableWithoutResponse ? 'W' : ''}${char.isNotifiable ? 'N' : ''})`);
         }
+
+        this.gattTable.push({
+          uuid: normalizeUUID(service.uuid),
+          characteristics: characteristics.map((char) => ({
+            uuid: normalizeUUID(char.uuid),
+            isReadable: !!char.isReadable,
+            isWritable: !!(char.isWritableWithResponse || char.isWritableWithoutResponse),
+            isNotifiable: !!(char.isNotifiable || char.isIndicatable),
+          })),
+        });
       }
       
       // Cache discovered UUIDs
       const serviceUUIDs = services.map(s => s.uuid);
-      await AsyncStorage.setItem('yezdi_discovered_services', JSON.stringify(serviceUUIDs));
+      await this.storage.saveDiscoveredServices(serviceUUIDs);
       
     } catch (error) {
       this.log('ERROR', `Service discovery failed: ${error.message}`);
     }
+
+    return this.gattTable;
   }
 
-  // Attempt multiple authentication methods
-  async attemptAuthentication(device) {
-    const authMethods = [
-      () => this.genericKeyAuthentication(device),
-      () => this.challengeResponseAuth(device),
-      () => this.bondingAuthentication(device),
-    ];
+  // Find a characteristic in the discovered GATT table
+  findCharacteristic(charUUID, serviceUUID = null) {
+    const target = normalizeUUID(charUUID);
+    const wantedService = serviceUUID ? normalizeUUID(serviceUUID) : null;
 
-    for (let i = 0; i < authMethods.length; i++) {
-      try {
-        this.log('INFO', `Attempting authentication method ${i + 1}`);
-        await authMethods[i]();
-        this.log('INFO', `Authentication method ${i + 1} successful`);
+    for (const service of this.gattTable) {
+      if (wantedService && service.uuid !== wantedService) continue;
+      const char = service.characteristics.find((c) => c.uuid === target);
+      if (char) return { serviceUUID: service.uuid, ...char };
+    }
+    return null;
+  }
+
+  // Check that the UUIDs configured in Settings exist on the connected bike
+  validateConfiguredUUIDs() {
+    const { serviceUUID, charUUID, characteristicRoles } = this.customSettings;
+    const problems = [];
+
+    if (serviceUUID && !this.gattTable.some((s) => s.uuid === normalizeUUID(serviceUUID))) {
+      problems.push(`service ${serviceUUID} not found`);
+    }
+
+    if (charUUID && !this.findCharacteristic(charUUID, serviceUUID || null)) {
+      problems.push(`characteristic ${charUUID} not found${serviceUUID ? ` in service ${serviceUUID}` : ''}`);
+    }
+
+    Object.entries(characteristicRoles || {}).forEach(([uuid, role]) => {
+      if (!CHARACTERISTIC_ROLES.includes(role)) {
+        problems.push(`unknown role "${role}" for ${uuid}`);
         return;
-      } catch (error) {
-        this.log('WARN', `Authentication method ${i + 1} failed: ${error.message}`);
       }
-    }
+      const char = this.findCharacteristic(uuid, serviceUUID || null);
+      if (!char) {
+        problems.push(`${role} characteristic ${uuid} not found`);
+      } else if (!char.isNotifiable) {
+        problems.push(`${role} characteristic ${uuid} does not support notifications`);
+      }
+    });
 
-    this.log('WARN', 'All authentication methods failed, proceeding without authentication');
+    if (problems.length > 0) {
+      const message = `Configured UUIDs do not match this bike: ${problems.join('; ')}`;
+      this.log('ERROR', message);
+      throw new Error(message);
+    }
   }
 
-  // Generic key authentication
-  async genericKeyAuthentication(device) {
-    try {
-      const services = await device.services();
-      for (const service of services) {
-        const characteristics = await service.characteristics();
-        for (const char of characteristics) {
-          if (char.isWritableWithoutResponse || char.isWritableWithResponse) {
-            await device.writeCharacteristicWithResponseForService(
-              service.uuid,
-              char.uuid,
-              Buffer.from(this.customSettings.authKey).toString('base64')
-            );
-            this.log('INFO', `Wrote auth key to ${char.uuid}`);
-          }
-        }
+  // Work out which characteristics to monitor and what role each one plays
+  selectMonitoredCharacteristics() {
+    const { serviceUUID, charUUID, characteristicRoles } = this.customSettings;
+    const roles = characteristicRoles || {};
+
+    // Explicit role map wins
+    if (Object.keys(roles).length > 0) {
+      return Object.entries(roles).map(([uuid, role]) => {
+        const char = this.findCharacteristic(uuid, serviceUUID || null);
+        return { serviceUUID: char.serviceUUID, charUUID: char.uuid, role };
+      });
+    }
+
+    // A single configured characteristic carries telemetry and acks
+    if (charUUID) {
+      const char = this.findCharacteristic(charUUID, serviceUUID || null);
+      if (char && char.isNotifiable) {
+        return [{ serviceUUID: char.serviceUUID, charUUID: char.uuid, role: 'telemetry' }];
       }
-    } catch (error) {
-      throw new Error(`Generic auth failed: ${error.message}`);
     }
+
+    // Otherwise every notifiable characteristic, limited to the configured service if set
+    const services = serviceUUID
+      ? this.gattTable.filter((s) => s.uuid === normalizeUUID(serviceUUID))
+      : this.gattTable;
+
+    return services.flatMap((service) =>
+      service.characteristics
+        .filter((char) => char.isNotifiable)
+        .map((char) => ({ serviceUUID: service.uuid, charUUID: char.uuid, role: 'telemetry' }))
+    );
   }
 
-  // Challenge-response authentication
-  async challengeResponseAuth(device) {
-    try {
-      // Simulate challenge-response
-      const challenge = Math.random().toString(36).substring(7);
-      const response = await Crypto.digestStringAsync(
-        Crypto.CryptoDigestAlgorithm.SHA256,
-        challenge + this.customSettings.authKey
-      );
-      
-      this.log('INFO', `Challenge-response auth attempted`);
-      // Would write response to appropriate characteristic
-    } catch (error) {
-      throw new Error(`Challenge-response auth failed: ${error.message}`);
+  // Run the configured authentication strategies in order until one succeeds.
+  // Returns the result of the successful strategy, or a failure summary.
+  async attemptAuthentication(device) {
+    const settings = this.customSettings;
+    const methods = settings.authMethods && settings.authMethods.length > 0
+      ? settings.authMethods
+      : DEFAULT_AUTH_METHODS;
+    const context = this.createAuthContext(device);
+    const results = [];
+
+    for (const method of methods) {
+      const strategy = AUTH_STRATEGIES[method];
+      if (!strategy) {
+        this.log('WARN', `Unknown authentication method ${method}`);
+        continue;
+      }
+
+      let result;
+      try {
+        this.log('INFO', `Attempting authentication: ${strategy.label}`);
+        result = await strategy.run(context);
+      } catch (error) {
+        result = { method, success: false, skipped: false, reason: error.message };
+      }
+      results.push(result);
+
+      if (result.success || result.unverified) {
+        this.log(
+          result.success ? 'INFO' : 'WARN',
+          `Authentication ${method} ${result.success ? 'succeeded' : 'sent but not verified'}: ${result.reason}`
+        );
+        this.authResult = { ...result, attempts: results };
+        this.emit('auth', this.authResult);
+        return this.authResult;
+      }
+      this.log(result.skipped ? 'INFO' : 'WARN', `Authentication ${method} ${result.skipped ? 'skipped' : 'failed'}: ${result.reason}`);
     }
+
+    this.log('WARN', 'All authentication methods failed, proceeding without authentication');
+    this.authResult = { method: null, success: false, skipped: false, reason: 'No method succeeded', attempts: results };
+    this.emit('auth', this.authResult);
+    return this.authResult;
   }
 
-  // Bonding authentication
-  async bondingAuthentication(device) {
-    // React Native BLE PLX doesn't directly support bonding
-    // This is a placeholder for manual pairing
-    this.log('INFO', 'Bonding authentication requires manual Bluetooth pairing');
-    throw new Error('Manual pairing required');
+  // BLE helpers handed to authentication strategies
+  createAuthContext(device) {
+    const { serviceUUID } = this.customSettings;
+
+    const resolve = (charUUID, service = null) => {
+      const char = this.findCharacteristic(charUUID, service || serviceUUID || null);
+      if (!char) {
+        throw new Error(`Characteristic ${charUUID} not found`);
+      }
+      return char;
+    };
+
+    return {
+      settings: this.customSettings,
+      log: (level, message) => this.log(level, message),
+      read: async (charUUID) => {
+        const char = resolve(charUUID);
+        const result = await device.readCharacteristicForService(char.serviceUUID, char.uuid);
+        return Buffer.from(result.value || '', 'base64');
+      },
+      write: async (charUUID, bytes, service = null) => {
+        const char = resolve(charUUID, service);
+        await device.writeCharacteristicWithResponseForService(
+          char.serviceUUID,
+          char.uuid,
+          Buffer.from(bytes).toString('base64')
+        );
+      },
+      writableCharacteristics: () => this.gattTable.flatMap((service) =>
+        service.characteristics
+          .filter((char) => char.isWritable)
+          .map((char) => ({ ...char, serviceUUID: service.uuid }))
+      ),
+    };
   }
 
   // Set up data monitoring
   async setupDataMonitoring(device) {
     try {
       this.log('INFO', 'Setting up data monitoring');
+      this.removeMonitorSubscriptions();
+      this.schemaByChar = {};
       
-      const services = await device.services();
-      for (const service of services) {
-        const characteristics = await service.characteristics();
-        for (const char of characteristics) {
-          if (char.isNotifiable) {
-            this.log('INFO', `Subscribing to notifications from ${char.uuid}`);
+      const targets = this.selectMonitoredCharacteristics();
+      if (targets.length === 0) {
+        this.log('WARN', 'No notifiable characteristics to monitor');
+      }
+
+      for (const { serviceUUID, charUUID, role } of targets) {
+        this.log('INFO', `Subscribing to ${role} notifications from ${charUUID}`);
+        
+        const subscription = device.monitorCharacteristicForService(
+          serviceUUID,
+          charUUID,
+          (error, characteristic) => {
+            if (error) {
+              this.log('ERROR', `Monitoring error on ${charUUID}: ${error.message}`);
+              return;
+            }
             
-            device.monitorCharacteristicForService(
-              service.uuid,
-              char.uuid,
-              (error, characteristic) => {
-                if (error) {
-                  this.log('ERROR', `Monitoring error: ${error.message}`);
-                  return;
-                }
-                
-                if (characteristic && characteristic.value) {
-                  this.parseIncomingData(characteristic.value);
-                }
-              }
-            );
+            // A recorded session owns the dashboard while it plays
+            if (characteristic && characteristic.value && !this.replayActive) {
+              this.parseIncomingData(characteristic.value, charUUID, role, serviceUUID);
+            }
           }
-        }
+        );
+        this.monitorSubscriptions.push(subscription);
       }
     } catch (error) {
       this.log('ERROR', `Data monitoring setup failed: ${error.message}`);
     }
   }
 
-  // UPDATED Parse incoming BLE data - ENHANCED FOR YOUR BIKE
-  parseIncomingData(base64Data) {
+  // Parse incoming BLE data using the registered frame schemas
+  parseIncomingData(base64Data, charUUID = null, role = 'telemetry', serviceUUID = null, timestamp = Date.now()) {
     try {
       const buffer = Buffer.from(base64Data, 'base64');
       
       // Log raw data for debugging
       this.log('INFO', `Received BLE data: ${buffer.toString('hex')}`);
       
-      // Try multiple parsing strategies since Yezdi protocol is proprietary
-      let data = {};
-      
-      // Strategy 1: Try direct byte parsing (common for motorcycle data)
-      if (buffer.length >= 10) {
-        data = {
-          speed: buffer.readUInt8(0) || 0,
-          gear: buffer.readUInt8(1) || 1,
-          rpm: (buffer.readUInt16BE(2) * 10) || 0,
-          fuel: buffer.readUInt8(4) || 0,
-          ridingMode: ['Road', 'Rain', 'Off-Road'][buffer.readUInt8(5) % 3] || 'Road',
-          highBeam: !!(buffer.readUInt8(6) & 0x01),
-          hazard: !!(buffer.readUInt8(6) & 0x02),
-          engineCheck: !!(buffer.readUInt8(6) & 0x04),
-          battery: !!(buffer.readUInt8(6) & 0x08),
-          odometer: buffer.readUInt32BE(7).toString() || '00000',
-        };
-      } 
-      // Strategy 2: If data is too short, try minimal parsing
-      else if (buffer.length >= 4) {
-        this.log('WARN', `Short data packet: ${buffer.length} bytes, minimal parsing`);
-        data = {
-          speed: buffer.readUInt8(0) || 0,
-          gear: Math.max(buffer.readUInt8(1) || 1, 1),
-          rpm: (buffer.readUInt16BE(2) * 50) || 0,
-          fuel: 50, // Default fuel level
-          ridingMode: 'Road',
-          highBeam: false,
-          hazard: false,
-          engineCheck: false,
-          battery: true,
-          odometer: '00000',
-        };
+      const frame = {
+        timestamp,
+        serviceUUID,
+        charUUID,
+        role,
+        hex: buffer.toString('hex'),
+        kind: 'unknown',
+        schemaId: null,
+        data: null,
+      };
+
+      // Command acknowledgements are not telemetry
+      if (this.commandChannel.handleNotification(buffer)) {
+        this.emit('frame', { ...frame, kind: 'ack' });
+        return;
       }
-      // Strategy 3: If very short, extract what we can
-      else {
-        this.log('WARN', `Very short data packet: ${buffer.length} bytes, basic parsing`);
-        data = {
-          speed: buffer.length > 0 ? buffer.readUInt8(0) : 0,
-          gear: 1,
-          rpm: 0,
-          fuel: 0,
-          ridingMode: 'Road',
-          highBeam: false,
-          hazard: false,
-          engineCheck: false,
-          battery: false,
-          odometer: '--',
-        };
+
+      // Ack characteristics carry nothing else worth decoding
+      if (role === 'ack') {
+        this.emit('frame', frame);
+        return;
       }
 
-      // Calculate additional trip data (if not in BLE data)
-      if (!data.tripA) data.tripA = ((Math.random() * 200) + 100).toFixed(1);
-      if (!data.tripB) data.tripB = ((Math.random() * 500) + 200).toFixed(1);
-      if (!data.afe) data.afe = ((Math.random() * 10) + 15).toFixed(1);
-      if (!data.bfe) data.bfe = ((Math.random() * 8) + 14).toFixed(1);
+      const decoded = PacketDecoder.decode(buffer, charUUID, role);
+      this.emit('frame', decoded ? { ...frame, kind: 'telemetry', ...decoded } : frame);
+      if (!decoded) {
+        this.log('WARN', `No decoder matched ${buffer.length} byte frame${charUUID ? ` from ${charUUID}` : ''}`);
+        return;
+      }
+
+      // Untrusted fields are left for inference
+      const data = { ...decoded.data };
+      decoded.untrusted.forEach((field) => delete data[field]);
+      const schemaKey = charUUID || '';
+      if (this.schemaByChar[schemaKey] !== decoded.schemaId) {
+        this.schemaByChar[schemaKey] = decoded.schemaId;
+        this.log('INFO', `Decoding${charUUID ? ` ${charUUID}` : ''} with schema ${decoded.schemaId}`);
+      }
 
       this.log('INFO', `Parsed data: ${JSON.stringify(data)}`);
-      
-      this.lastKnownData = data;
-      this.cacheData(data);
-      this.dataCallback && this.dataCallback(data);
+      this.publishData(data, timestamp, this.replayActive ? 'replay' : 'ble');
       
     } catch (error) {
+      // A bad frame leaves earlier values to age out through arbitration
       this.log('ERROR', `Data parsing failed: ${error.message}`);
-      
-      // Fallback to blank data if parsing fails
-      const fallbackData = {
-        speed: '--',
-        gear: '--',
-        rpm: 0,
-        fuel: 0,
-        ridingMode: 'Road',
-        highBeam: false,
-        hazard: false,
-        engineCheck: false,
-        battery: false,
-        odometer: '--',
-        tripA: '--',
-        tripB: '--',
-        afe: '--',
-        bfe: '--',
-      };
-      
-      this.dataCallback && this.dataCallback(fallbackData);
     }
   }
 
+  // Send a command to the bike through the command channel
+  async sendCommand(command, params = {}, options = {}) {
+    return await this.commandChannel.send(command, params, options);
+  }
+
+  // Reset a trip counter on the bike, falling back to the local trip computer
+  // when the bike cannot take the command. A rejected or unanswered reset is
+  // returned as it is; otherwise the local counter is reset too so the
+  // dashboard stays in sync.
+  async sendTripReset(trip) {
+    const result = await this.sendCommand('tripReset', { trip });
+
+    if (!result.ok && result.status === COMMAND_STATUS.ERROR && result.attempts === 0) {
+      throw new Error(result.error);
+    }
+    if (!result.ok && !LOCAL_FALLBACK_STATUSES.includes(result.status)) {
+      this.log('WARN', `Trip ${trip} reset failed (bike: ${result.status})`);
+      return result;
+    }
+
+    const tripData = await this.tripComputer.resetTrip(trip);
+    this.arbiter.update('trip', tripData);
+    this.resolveData();
+
+    if (result.ok) {
+      this.log('INFO', `Trip ${trip} reset on bike`);
+      return result;
+    }
+
+    this.log('WARN', `Trip ${trip} reset locally (bike: ${result.status})`);
+    return { ...result, ok: true, fallback: 'local' };
+  }
+
+  // Hand fields reported by a source (see DATA_SOURCES) to the arbiter and
+  // notify subscribers with the resolved result
+  publishData(data, timestamp = Date.now(), source = 'ble') {
+    // Telemetry without a gear gets one inferred from speed and RPM; only
+    // the real bike teaches the estimator
+    const telemetry = DATA_SOURCES[source].telemetry;
+    const published = telemetry ? this.gearEstimator.process(data, timestamp, source === 'ble') : data;
+    this.arbiter.update(source, published);
+
+    // Trip distances and economy come from the trip computer; a bike that
+    // reports its own trip fields wins on priority
+    if (telemetry) {
+      const fromBike = source === 'ble' || source === 'replay';
+      this.arbiter.update('trip', this.tripComputer.update(published, timestamp, fromBike));
+    }
+
+    this.resolveData();
+  }
+
+  // Re-resolve every field, cache the result and emit it
+  resolveData() {
+    const { data, provenance } = this.arbiter.resolve();
+    this.lastKnownData = data;
+    this.provenance = provenance;
+    this.cacheData();
+    this.emit('data', data, provenance);
+    this.scheduleArbitration();
+  }
+
+  // Sources that stop sending never trigger an update themselves, so keep
+  // re-checking until nothing is left to expire
+  scheduleArbitration() {
+    if (this.arbitrationTimer || !this.arbiter.hasExpiringValues()) return;
+
+    this.arbitrationTimer = setInterval(() => {
+      const previous = this.provenance;
+      const { provenance } = this.arbiter.resolve();
+      const fields = new Set([...Object.keys(previous), ...Object.keys(provenance)]);
+      const changed = [...fields].some((field) =>
+        !previous[field] || !provenance[field] || previous[field].source !== provenance[field].source
+      );
+
+      if (!this.arbiter.hasExpiringValues()) {
+        clearInterval(this.arbitrationTimer);
+        this.arbitrationTimer = null;
+      }
+      if (changed) {
+        this.resolveData();
+      }
+    }, ARBITRATION_INTERVAL);
+  }
+
+  // Hand the data pipeline to a recorded session. Live data, cached data and
+  // trip counters are set aside and restored when the replay ends.
+  beginReplay() {
+    if (this.replayActive) return;
+    this.replayActive = true;
+    // Fresh scratch counters, even if mock data was already using some
+    this.tripComputer.endSandbox();
+    this.tripComputer.startSandbox();
+    this.log('INFO', 'Replay started');
+  }
+
+  // Clear replayed data and trips when a recording starts over
+  restartReplay() {
+    if (!this.replayActive) return;
+    this.arbiter.clear('replay');
+    this.tripComputer.endSandbox();
+    this.tripComputer.startSandbox();
+  }
+
+  endReplay() {
+    if (!this.replayActive) return;
+    this.replayActive = false;
+    this.arbiter.clear('replay');
+    this.endTripSandbox();
+    this.log('INFO', 'Replay stopped');
+    this.resolveData();
+  }
+
+  // Mock data and replays run the trip computer on scratch counters; go back
+  // to the real trips once neither is running
+  endTripSandbox() {
+    if (this.replayActive || this.mockDataInterval) return;
+    this.tripComputer.endSandbox();
+    this.arbiter.update('trip', this.tripComputer.getDisplayData());
+  }
+
   // Start data updates (for testing/simulation)
   startDataUpdates() {
     if (this.mockDataEnabled) {
@@ -514,138 +1111,94 @@ class YezdiBleManager {
     this.setupFallbackDataUpdates();
   }
 
-  // Mock data simulation - CLEAN VERSION
+  // Run the selected ride scenario from the start. Simulated distance and
+  // fuel go to scratch trip counters, never the rider's real trips.
   startMockDataSimulation() {
     if (this.mockDataInterval) {
       clearInterval(this.mockDataInterval);
     }
 
-    this.mockDataInterval = setInterval(() => {
-      // Only simulate realistic changes, no fake data
-      if (this.mockData.speed > 0) {
-        this.mockData.speed = Math.max(0, this.mockData.speed + (Math.random() - 0.5) * 5);
-      }
-      if (this.mockData.rpm > 0) {
-        this.mockData.rpm = Math.max(0, this.mockData.rpm + (Math.random() - 0.5) * 200);
-      }
-      if (this.mockData.fuel > 0) {
-        this.mockData.fuel = Math.max(0, this.mockData.fuel - Math.random() * 0.05);
-      }
-      
-      // Occasionally change gear if moving
-      if (this.mockData.speed > 10 && Math.random() > 0.98) {
-        this.mockData.gear = Math.max(1, Math.min(6, this.mockData.gear + (Math.random() > 0.5 ? 1 : -1)));
-      }
+    this.simulator.load(this.mockScenario);
+    this.log('INFO', `Simulating ${this.mockScenario} ride`);
 
-      this.lastKnownData = { ...this.mockData };
-      this.cacheData(this.mockData);
-      this.dataCallback && this.dataCallback(this.mockData);
-    }, 1000);
+    this.tripComputer.startSandbox();
+    this.mockDataInterval = setInterval(() => {
+      this.publishData(this.simulator.step(SIMULATOR_TICK / 1000), Date.now(), 'mock');
+    }, SIMULATOR_TICK);
   }
 
-  // Setup fallback data updates using phone sensors
-  setupFallbackDataUpdates() {
-    if (!this.sensorFallbackEnabled) return;
+  stopMockDataSimulation() {
+    if (!this.mockDataInterval) return;
+    clearInterval(this.mockDataInterval);
+    this.mockDataInterval = null;
+    this.endTripSandbox();
+  }
 
-    // GPS-based speed estimation
-    this.startGPSFallback();
-    
-    // Accelerometer-based motion detection
-    this.startAccelerometerFallback();
+  setMockScenario(scenarioId) {
+    this.simulator.load(scenarioId);
+    this.mockScenario = scenarioId;
+    if (this.mockDataInterval) {
+      this.startMockDataSimulation();
+    }
   }
 
-  // GPS-based speed fallback
-  async startGPSFallback() {
+  // Gear ratios as a list or comma separated string, lowest gear first
+  setMockGearRatios(ratios) {
+    if (!ratios || ratios.length === 0) {
+      this.simulator.setDrivetrain();
+      return;
+    }
+    const gearRatios = typeof ratios === 'string'
+      ? ratios.split(',').map((ratio) => parseFloat(ratio))
+      : ratios;
     try {
-      const { status } = await Location.getForegroundPermissionsAsync();
-      if (status !== 'granted') {
-        this.log('WARN', 'GPS fallback unavailable - no location permission');
-        return;
-      }
-
-      let lastLocation = null;
-      let lastTime = null;
-
-      const locationSubscription = await Location.watchPositionAsync(
-        {
-          accuracy: Location.Accuracy.BestForNavigation,
-          timeInterval: 1000,
-          distanceInterval: 1,
-        },
-        (location) => {
-          if (lastLocation && lastTime) {
-            const distance = this.calculateDistance(
-              lastLocation.coords.latitude,
-              lastLocation.coords.longitude,
-              location.coords.latitude,
-              location.coords.longitude
-            );
-            
-            const timeDiff = (location.timestamp - lastTime) / 1000; // seconds
-            const speed = (distance / timeDiff) * 3.6; // km/h
-            
-            if (speed > 0 && speed < 200) { // Reasonable speed range
-              this.log('INFO', `GPS speed estimate: ${speed.toFixed(1)} km/h`);
-              
-              const fallbackData = {
-                ...this.lastKnownData,
-                speed: Math.round(speed),
-              };
-              
-              this.dataCallback && this.dataCallback(fallbackData);
-            }
-          }
-          
-          lastLocation = location;
-          lastTime = location.timestamp;
-        }
-      );
-
-      this.gpsSubscription = locationSubscription;
-      
+      this.simulator.setDrivetrain({ gearRatios });
     } catch (error) {
-      this.log('ERROR', `GPS fallback setup failed: ${error.message}`);
+      this.log('WARN', `Ignoring simulator gear ratios: ${error.message}`);
     }
   }
 
-  // Calculate distance between two GPS coordinates
-  calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371000; // Earth's radius in meters
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-              Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
-  }
+  // Setup fallback data updates using phone sensors
+  setupFallbackDataUpdates() {
+    if (!this.sensorFallbackEnabled || this.sensorUnsubscribers.length > 0) return;
 
-  // Accelerometer-based motion fallback
-  startAccelerometerFallback() {
-    try {
-      Accelerometer.setUpdateInterval(1000);
-      
-      this.accelerometerSubscription = Accelerometer.addListener(({ x, y, z }) => {
-        const magnitude = Math.sqrt(x*x + y*y + z*z);
-        
-        // Simple motion detection (very basic)
-        if (magnitude > 1.2) {
-          this.log('INFO', `Motion detected: ${magnitude.toFixed(2)}`);
+    this.sensorUnsubscribers = [
+      // GPS-based speed estimation
+      this.sensors.subscribe('location', (location) => this.handleFallbackLocation(location)),
+      // Accelerometer-based motion detection
+      this.sensors.subscribe('motion', (motion) => {
+        if (motion.motion) {
+          this.log('INFO', `Motion detected: ${motion.magnitude.toFixed(2)}`);
         }
-      });
-      
-    } catch (error) {
-      this.log('ERROR', `Accelerometer fallback setup failed: ${error.message}`);
+      }),
+    ];
+    this.log('INFO', 'Sensor fallback started');
+  }
+
+  // Release the phone sensors, leaving them running only for other consumers
+  stopFallbackDataUpdates() {
+    if (this.sensorUnsubscribers.length === 0) return;
+
+    this.sensorUnsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.sensorUnsubscribers = [];
+    this.log('INFO', 'Sensor fallback stopped');
+  }
+
+  // GPS-based speed fallback
+  handleFallbackLocation(location) {
+    if (location.speed > 0 && location.speed < 200) { // Reasonable speed range
+      this.log('INFO', `GPS speed estimate: ${location.speed.toFixed(1)} km/h`);
+
+      // Only used while no higher priority source has a fresh speed
+      this.publishData({ speed: Math.round(location.speed) }, location.timestamp, 'gps');
     }
   }
 
-  // Cache data to AsyncStorage
-  async cacheData(data) {
-    if (this.cachedDataEnabled) {
-      try {
-        await AsyncStorage.setItem('yezdi_cached_data', JSON.stringify(data));
-      } catch (error) {
-        this.log('ERROR', `Failed to cache data: ${error.message}`);
+  // Cache the last real readings for the next launch
+  async cacheData() {
+    if (this.cachedDataEnabled && !this.replayActive) {
+      if (!(await this.storage.saveCachedData(this.arbiter.getCache()))) {
+        this.log('ERROR', 'Failed to cache data');
       }
     }
   }
@@ -653,35 +1206,59 @@ class YezdiBleManager {
   // Disconnect from device
   async disconnect() {
     try {
+      this.userDisconnected = true;
+      this.cancelReconnect();
+      this.removeDisconnectWatch();
+      this.removeMonitorSubscriptions();
+
       if (this.connectedDevice) {
         await this.connectedDevice.cancelConnection();
         this.connectedDevice = null;
         this.log('INFO', 'Device disconnected');
       }
 
-      // Clean up subscriptions
-      if (this.mockDataInterval) {
-        clearInterval(this.mockDataInterval);
-        this.mockDataInterval = null;
-      }
+      // Fail any command waiting for an ack
+      this.commandChannel.reset();
 
-      if (this.gpsSubscription) {
-        this.gpsSubscription.remove();
-        this.gpsSubscription = null;
-      }
+      // Clean up subscriptions
+      this.stopMockDataSimulation();
 
-      if (this.accelerometerSubscription) {
-        this.accelerometerSubscription.remove();
-        this.accelerometerSubscription = null;
-      }
+      this.stopFallbackDataUpdates();
 
-      this.connectionCallback && this.connectionCallback(false, null);
+      this.setConnectionState(CONNECTION_STATE.DISCONNECTED);
       
     } catch (error) {
       this.log('ERROR', `Disconnect failed: ${error.message}`);
     }
   }
 
+  // Disconnect and release every timer and subscription, for a manager that
+  // is not the app's singleton
+  async destroy() {
+    this.stopScanning();
+    await this.disconnect();
+    if (this.arbitrationTimer) {
+      clearInterval(this.arbitrationTimer);
+      this.arbitrationTimer = null;
+    }
+    if (this.settingsUnsubscribe) {
+      this.settingsUnsubscribe();
+      this.settingsUnsubscribe = null;
+    }
+    if (this.appStateSubscription) {
+      this.appStateSubscription.remove();
+      this.appStateSubscription = null;
+    }
+  }
+
+  // Swap the underlying transport, dropping any connection made on the old one
+  async setTransport(transport) {
+    this.stopScanning();
+    await this.disconnect();
+    this.transport = transport;
+    this.log('INFO', `Using ${transport.constructor.name}`);
+  }
+
   // Get connection status
   isConnected() {
     return this.connectedDevice !== null;
@@ -690,6 +1267,13 @@ class YezdiBleManager {
   // Enable/disable fallback methods
   setSensorFallbackEnabled(enabled) {
     this.sensorFallbackEnabled = enabled;
+    this.arbiter.setSourceEnabled('gps', enabled);
+    if (!enabled) {
+      this.stopFallbackDataUpdates();
+    } else if (this.connectedDevice && !this.mockDataEnabled) {
+      this.setupFallbackDataUpdates();
+    }
+    this.resolveData();
     this.log('INFO', `Sensor fallback ${enabled ? 'enabled' : 'disabled'}`);
   }
 
@@ -697,15 +1281,18 @@ class YezdiBleManager {
     this.mockDataEnabled = enabled;
     if (enabled) {
       this.startMockDataSimulation();
-    } else if (this.mockDataInterval) {
-      clearInterval(this.mockDataInterval);
-      this.mockDataInterval = null;
+    } else {
+      this.stopMockDataSimulation();
+      this.arbiter.clear('mock');
+      this.resolveData();
     }
     this.log('INFO', `Mock data ${enabled ? 'enabled' : 'disabled'}`);
   }
 
   setCachedDataEnabled(enabled) {
     this.cachedDataEnabled = enabled;
+    this.arbiter.setSourceEnabled('cache', enabled);
+    this.resolveData();
     this.log('INFO', `Cached data ${enabled ? 'enabled' : 'disabled'}`);
   }
 }
@@ -0,0 +1,60 @@
+// BLE transport backed by react-native-ble-plx.
+//
+// YezdiBleManager only talks to a transport, never to ble-plx directly. A
+// transport exposes:
+//   onStateChange(listener, emitCurrentState) -> { remove }
+//   startDeviceScan(uuids, options, listener(error, device))
+//   stopDeviceScan()
+//   connectToDevice(deviceId) -> device
+// and the devices it returns expose:
+//   id, name
+//   discoverAllServicesAndCharacteristics() -> device
+//   services() -> [{ uuid, characteristics() -> [characteristic] }]
+//   readCharacteristicForService(serviceUUID, charUUID) -> { uuid, value }
+//   writeCharacteristicWithResponseForService(serviceUUID, charUUID, base64)
+//   monitorCharacteristicForService(serviceUUID, charUUID, listener(error, { uuid, value })) -> { remove }
+//   onDisconnected(listener(error)) -> { remove }
+//   cancelConnection()
+// Values are base64 strings, matching ble-plx. FakeBikeTransport implements
+// the same surface for running the manager without a phone or bike.
+class BlePlxTransport {
+  constructor() {
+    this.manager = null;
+  }
+
+  // Create the native manager on first use so importing this module is side-effect free
+  getManager() {
+    if (!this.manager) {
+      const { BleManager } = require('react-native-ble-plx');
+      this.manager = new BleManager();
+    }
+    return this.manager;
+  }
+
+  onStateChange(listener, emitCurrentState = false) {
+    return this.getManager().onStateChange(listener, emitCurrentState);
+  }
+
+  startDeviceScan(uuids, options, listener) {
+    this.getManager().startDeviceScan(uuids, options, listener);
+  }
+
+  stopDeviceScan() {
+    if (this.manager) {
+      this.manager.stopDeviceScan();
+    }
+  }
+
+  async connectToDevice(deviceId) {
+    return await this.getManager().connectToDevice(deviceId);
+  }
+
+  destroy() {
+    if (this.manager) {
+      this.manager.destroy();
+      this.manager = null;
+    }
+  }
+}
+
+export default BlePlxTransport;
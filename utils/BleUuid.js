@@ -0,0 +1,13 @@
+// Bluetooth base UUID suffix used to expand 16 and 32-bit UUIDs
+const BASE_UUID_SUFFIX = '-0000-1000-8000-00805f9b34fb';
+
+// Expand short UUIDs to 128 bits and lowercase them so UUIDs typed in
+// Settings compare equal to the ones reported by the bike
+export const normalizeUUID = (uuid) => {
+  const value = (uuid || '').trim().toLowerCase();
+  if (/^[0-9a-f]{4}$/.test(value)) return `0000${value}${BASE_UUID_SUFFIX}`;
+  if (/^[0-9a-f]{8}$/.test(value)) return `${value}${BASE_UUID_SUFFIX}`;
+  return value;
+};
+
+export default normalizeUUID;
@@ -0,0 +1,345 @@
+import { Linking, Platform } from 'react-native';
+import BleManager from './BleManager';
+import SensorManager from './SensorManager';
+import SettingsStore, { SETTINGS_SCHEMA, mapSettings } from './SettingsStore';
+import EventEmitter from './EventEmitter';
+
+// Crash and fall detection. A crash is a hard impact while riding followed by
+// the phone lying still at an angle the bike never sits at when parked. That
+// starts a countdown the rider can cancel; if nobody does, an emergency SMS
+// (or call) with the last GPS fix is composed for the configured contacts.
+export const CRASH_STATE = {
+  OFF: 'off',
+  MONITORING: 'monitoring',
+  IMPACT: 'impact', // waiting to see whether the bike comes to rest fallen over
+  COUNTDOWN: 'countdown',
+  ALERTED: 'alerted',
+};
+
+export const DEFAULT_CRASH_SETTINGS = {
+  impactThreshold: SETTINGS_SCHEMA.crashImpactThreshold.default, // g
+  tiltAngle: SETTINGS_SCHEMA.crashTiltAngle.default, // degrees from upright
+  countdown: SETTINGS_SCHEMA.crashCountdown.default, // seconds
+  contacts: [],
+  action: SETTINGS_SCHEMA.crashAlertAction.default, // 'sms' or 'call'
+  testMode: SETTINGS_SCHEMA.crashTestMode.default,
+};
+
+// Settings mirrored from SettingsStore, by settings key
+export const CRASH_SETTING_KEYS = {
+  crashImpactThreshold: 'impactThreshold',
+  crashTiltAngle: 'tiltAngle',
+  crashCountdown: 'countdown',
+  emergencyContacts: 'contacts',
+  crashAlertAction: 'action',
+  crashTestMode: 'testMode',
+};
+
+// Impacts only count if the bike was moving at least this fast shortly before,
+// so dropping the phone in the garage does not raise an alarm
+const MIN_RIDING_SPEED = 10; // km/h
+const RIDING_MEMORY = 10000; // ms
+// Only the bike's own speed or GPS says anything about the bike right now;
+// cached, simulated and replayed speeds are ignored, and a live speed older
+// than this counts as no speed at all (e.g. the link dropped in the crash)
+const LIVE_SPEED_SOURCES = ['ble', 'gps'];
+const SPEED_MAX_AGE = 3000; // ms
+// How long after an impact the bike may take to come to rest
+const IMPACT_WINDOW = 15000; // ms
+// How long it must then lie still before the countdown starts
+const STILL_TIME = 3000; // ms
+const STILL_ACCEL_TOLERANCE = 0.15; // g either side of 1 g
+const STILL_ROTATION_RATE = 0.5; // rad/s
+// Sample fast enough to catch the peak of an impact
+const MOTION_INTERVAL = 20; // ms
+const ORIENTATION_INTERVAL = 100; // ms
+
+// Phone numbers from a comma, semicolon or newline separated list
+export const parseContacts = (text) => {
+  if (Array.isArray(text)) return text;
+  return (text || '')
+    .split(/[,;\n]/)
+    .map((contact) => contact.replace(/[^\d+]/g, ''))
+    .filter((contact) => contact.length >= 3);
+};
+
+export const composeAlertMessage = (fix, now = Date.now()) => {
+  if (!fix) {
+    return 'Possible motorcycle crash detected. My location is unknown - please call me.';
+  }
+  const age = Math.round((now - fix.timestamp) / 60000);
+  const accuracy = fix.accuracy ? ` (±${Math.round(fix.accuracy)} m)` : '';
+  return 'Possible motorcycle crash detected. Last known location' +
+    `${age > 0 ? ` ${age} min ago` : ''}${accuracy}: ` +
+    `https://maps.google.com/?q=${fix.latitude.toFixed(6)},${fix.longitude.toFixed(6)}`;
+};
+
+export class YezdiCrashDetector {
+  constructor() {
+    this.events = new EventEmitter();
+    this.settings = { ...DEFAULT_CRASH_SETTINGS };
+    this.state = CRASH_STATE.OFF;
+    this.unsubscribers = [];
+    this.lastFix = null;
+    this.lastMovingAt = null;
+    this.speed = null; // { value, at } from a live source
+    this.rotationRate = 0;
+    this.impact = null; // { at, peak, stillSince }
+    this.trigger = null; // { reason, peak, at, test }
+    this.remaining = 0;
+    this.countdownTimer = null;
+    this.lastAlert = null;
+    this.settingsUnsubscribe = null;
+  }
+
+  // Subscribe to detector events. Returns an unsubscribe function.
+  //   'state' (status) - any change in detection state or countdown
+  //   'alert' (alert)  - an emergency alert was sent, or would have been in test mode
+  on(event, listener) {
+    return this.events.on(event, listener);
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      remaining: this.remaining,
+      trigger: this.trigger,
+      lastFix: this.lastFix,
+      lastAlert: this.lastAlert,
+      settings: this.settings,
+    };
+  }
+
+  setState(state) {
+    this.state = state;
+    this.events.emit('state', this.getStatus());
+  }
+
+  async loadSettings() {
+    try {
+      await SettingsStore.load();
+      this.applySettings(SettingsStore.getAll());
+      if (!this.settingsUnsubscribe) {
+        this.settingsUnsubscribe = SettingsStore.on('change', (changes) => this.applySettings(changes));
+      }
+    } catch (error) {
+      console.error('Error loading crash detection settings:', error);
+    }
+  }
+
+  applySettings(changes) {
+    const settings = mapSettings(changes, CRASH_SETTING_KEYS);
+    if (Object.keys(settings).length > 0) {
+      this.configure(settings);
+    }
+    if (changes.crashDetectionEnabled !== undefined) {
+      this.setEnabled(changes.crashDetectionEnabled);
+    }
+  }
+
+  // Update settings; numbers may be given as strings from text inputs and
+  // invalid values keep the current setting
+  configure(settings) {
+    const next = { ...this.settings };
+
+    ['impactThreshold', 'tiltAngle', 'countdown'].forEach((key) => {
+      if (settings[key] === undefined) return;
+      const value = parseFloat(settings[key]);
+      if (value > 0) {
+        next[key] = value;
+      } else {
+        console.warn(`Ignoring crash detection ${key}: ${settings[key]}`);
+      }
+    });
+    if (settings.contacts !== undefined) next.contacts = parseContacts(settings.contacts);
+    if (settings.action === 'sms' || settings.action === 'call') next.action = settings.action;
+    if (settings.testMode !== undefined) next.testMode = !!settings.testMode;
+
+    this.settings = next;
+    this.events.emit('state', this.getStatus());
+  }
+
+  setEnabled(enabled) {
+    if (enabled && this.state === CRASH_STATE.OFF) {
+      this.start();
+    } else if (!enabled && this.state !== CRASH_STATE.OFF) {
+      this.stop();
+    }
+  }
+
+  start() {
+    SensorManager.loadLeanCalibration();
+    this.unsubscribers = [
+      SensorManager.subscribe('motion', (motion) => this.handleMotion(motion), { interval: MOTION_INTERVAL }),
+      SensorManager.subscribe('orientation', (orientation) => {
+        const { x, y, z } = orientation.rawData;
+        this.rotationRate = Math.sqrt(x * x + y * y + z * z);
+      }, { interval: ORIENTATION_INTERVAL }),
+      SensorManager.subscribe('location', (location) => {
+        this.lastFix = location;
+      }),
+      BleManager.on('data', (data, provenance = {}) => this.handleSpeed(parseFloat(data.speed), provenance.speed)),
+    ];
+    this.setState(CRASH_STATE.MONITORING);
+    console.log('Crash detection started');
+  }
+
+  stop() {
+    this.clearCountdown();
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+    this.impact = null;
+    this.speed = null;
+    this.lastMovingAt = null;
+    this.setState(CRASH_STATE.OFF);
+    console.log('Crash detection stopped');
+  }
+
+  // Resolved speed and its provenance ({ source, updatedAt })
+  handleSpeed(speed, provenance, now = Date.now()) {
+    if (isNaN(speed) || !provenance || !LIVE_SPEED_SOURCES.includes(provenance.source)) return;
+
+    this.speed = { value: speed, at: provenance.updatedAt || now };
+    if (speed >= MIN_RIDING_SPEED) {
+      this.lastMovingAt = this.speed.at;
+    }
+  }
+
+  // Live speed no older than SPEED_MAX_AGE, otherwise null
+  currentSpeed(now) {
+    return this.speed && now - this.speed.at <= SPEED_MAX_AGE ? this.speed.value : null;
+  }
+
+  wasRiding(now) {
+    return this.lastMovingAt !== null && now - this.lastMovingAt <= RIDING_MEMORY;
+  }
+
+  // Lying still, fallen over and not moving. Missing or stale speed counts
+  // as not moving.
+  isDownAndStill(motion) {
+    return Math.abs(motion.magnitude - 1) <= STILL_ACCEL_TOLERANCE &&
+      this.rotationRate <= STILL_ROTATION_RATE &&
+      SensorManager.tiltFromUpright(motion.rawData) >= this.settings.tiltAngle &&
+      !(this.currentSpeed(motion.timestamp) >= MIN_RIDING_SPEED);
+  }
+
+  handleMotion(motion) {
+    const now = motion.timestamp;
+
+    if (this.state === CRASH_STATE.MONITORING) {
+      // Test mode skips the riding check so thresholds can be tried at a standstill
+      if (motion.magnitude >= this.settings.impactThreshold && (this.settings.testMode || this.wasRiding(now))) {
+        this.impact = { at: now, peak: motion.magnitude, stillSince: null };
+        console.log(`Impact of ${motion.magnitude.toFixed(1)} g detected`);
+        this.setState(CRASH_STATE.IMPACT);
+      }
+      return;
+    }
+
+    if (this.state !== CRASH_STATE.IMPACT) return;
+
+    this.impact.peak = Math.max(this.impact.peak, motion.magnitude);
+    if (!this.isDownAndStill(motion)) {
+      this.impact.stillSince = null;
+      // Picked up or rode on
+      if (now - this.impact.at > IMPACT_WINDOW) {
+        this.impact = null;
+        this.setState(CRASH_STATE.MONITORING);
+      }
+      return;
+    }
+
+    if (this.impact.stillSince === null) {
+      this.impact.stillSince = now;
+    } else if (now - this.impact.stillSince >= STILL_TIME) {
+      this.startCountdown({ reason: 'impact', peak: this.impact.peak, at: this.impact.at, test: this.settings.testMode });
+    }
+  }
+
+  // Run the countdown without a real impact. Always a dry run.
+  simulateCrash() {
+    this.startCountdown({ reason: 'simulated', peak: null, at: Date.now(), test: true });
+  }
+
+  startCountdown(trigger) {
+    this.clearCountdown();
+    this.impact = null;
+    this.trigger = trigger;
+    this.remaining = Math.round(this.settings.countdown);
+    this.setState(CRASH_STATE.COUNTDOWN);
+
+    this.countdownTimer = setInterval(() => {
+      this.remaining -= 1;
+      if (this.remaining <= 0) {
+        this.clearCountdown();
+        this.sendAlert();
+      } else {
+        this.events.emit('state', this.getStatus());
+      }
+    }, 1000);
+  }
+
+  clearCountdown() {
+    if (this.countdownTimer) {
+      clearInterval(this.countdownTimer);
+      this.countdownTimer = null;
+    }
+  }
+
+  // The rider is fine
+  cancel() {
+    if (this.state !== CRASH_STATE.COUNTDOWN && this.state !== CRASH_STATE.IMPACT) return;
+    this.clearCountdown();
+    this.impact = null;
+    this.trigger = null;
+    console.log('Crash alert cancelled');
+    this.setState(this.unsubscribers.length > 0 ? CRASH_STATE.MONITORING : CRASH_STATE.OFF);
+  }
+
+  // Back to monitoring after an alert has been dealt with
+  dismiss() {
+    this.trigger = null;
+    this.setState(this.unsubscribers.length > 0 ? CRASH_STATE.MONITORING : CRASH_STATE.OFF);
+  }
+
+  // sms: and tel: links for the configured contacts
+  alertUrl(message) {
+    const { contacts, action } = this.settings;
+    if (action === 'call') {
+      return `tel:${contacts[0]}`;
+    }
+    // iOS takes the body after '&', Android after '?'
+    const separator = Platform.OS === 'ios' ? '&' : '?';
+    return `sms:${contacts.join(',')}${separator}body=${encodeURIComponent(message)}`;
+  }
+
+  async sendAlert() {
+    const message = composeAlertMessage(this.lastFix);
+    const { contacts, action } = this.settings;
+    const test = this.trigger ? this.trigger.test : this.settings.testMode;
+    const alert = { message, contacts, action, test, url: null, sent: false, error: null };
+
+    try {
+      if (contacts.length === 0) {
+        throw new Error('No emergency contacts configured');
+      }
+      alert.url = this.alertUrl(message);
+      if (!test) {
+        await Linking.openURL(alert.url);
+        alert.sent = true;
+      }
+    } catch (error) {
+      console.error('Failed to send emergency alert:', error);
+      alert.error = error.message;
+    }
+
+    this.lastAlert = { ...alert, at: Date.now() };
+    this.events.emit('alert', this.lastAlert);
+    this.setState(CRASH_STATE.ALERTED);
+  }
+}
+
+// Create singleton instance
+const CrashDetector = new YezdiCrashDetector();
+
+export default CrashDetector;
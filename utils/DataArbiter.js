@@ -0,0 +1,126 @@
+// Field-by-field arbitration between telemetry sources. Every source keeps
+// its own latest value and receive time for each field; the dashboard value
+// of a field comes from the highest priority source whose value is still
+// fresh. When a source goes quiet its fields fall back one by one to the next
+// source, ending at the cache of last resolved values.
+//
+// `maxAge` is how long (ms) a source's values stay usable. `telemetry`
+// sources describe the bike itself and feed the trip computer. `sticky`
+// sources roll their resolved values into the cache; mock and replay data
+// are not real readings, so they never do.
+export const DATA_SOURCES = {
+  mock: { priority: 100, maxAge: 2000, telemetry: true, sticky: false },
+  replay: { priority: 100, maxAge: 3000, telemetry: true, sticky: false },
+  ble: { priority: 80, maxAge: 3000, telemetry: true, sticky: true },
+  trip: { priority: 60, maxAge: Infinity, telemetry: false, sticky: true },
+  gps: { priority: 40, maxAge: 5000, telemetry: false, sticky: true },
+  cache: { priority: 0, maxAge: Infinity, telemetry: false, sticky: false },
+};
+
+// Slow-moving fields stay usable for longer than their source's default
+const FIELD_MAX_AGE = {
+  fuel: 600000,
+  odometer: 600000,
+  ridingMode: 60000,
+  battery: 60000,
+};
+
+class DataArbiter {
+  constructor(sources = DATA_SOURCES) {
+    this.sources = sources;
+    this.values = {}; // { source: { field: { value, updatedAt } } }
+    this.disabled = new Set();
+    Object.keys(sources).forEach((source) => {
+      this.values[source] = {};
+    });
+  }
+
+  maxAge(source, field) {
+    const sourceMaxAge = this.sources[source].maxAge;
+    return Math.max(sourceMaxAge, FIELD_MAX_AGE[field] || 0);
+  }
+
+  isFresh(source, field, now) {
+    const entry = this.values[source][field];
+    return !!entry && now - entry.updatedAt <= this.maxAge(source, field);
+  }
+
+  // Record the fields a source just reported
+  update(source, data, now = Date.now(), updatedAt = {}) {
+    if (!this.sources[source]) {
+      throw new Error(`Unknown data source ${source}`);
+    }
+
+    Object.entries(data).forEach(([field, value]) => {
+      if (value === undefined) return;
+      this.values[source][field] = { value, updatedAt: updatedAt[field] || now };
+    });
+  }
+
+  // Forget everything a source reported, e.g. when mock mode is switched off
+  clear(source) {
+    this.values[source] = {};
+  }
+
+  // Disabled sources keep their values but are skipped when resolving
+  setSourceEnabled(source, enabled) {
+    if (enabled) {
+      this.disabled.delete(source);
+    } else {
+      this.disabled.add(source);
+    }
+  }
+
+  // Resolve every known field to { data, provenance }, where provenance maps
+  // each field to { source, updatedAt }
+  resolve(now = Date.now()) {
+    const data = {};
+    const provenance = {};
+
+    Object.keys(this.sources).forEach((source) => {
+      if (this.disabled.has(source)) return;
+      const { priority } = this.sources[source];
+
+      Object.entries(this.values[source]).forEach(([field, entry]) => {
+        if (!this.isFresh(source, field, now)) return;
+
+        const current = provenance[field];
+        const currentPriority = current ? this.sources[current.source].priority : -Infinity;
+        if (priority > currentPriority || (priority === currentPriority && entry.updatedAt > current.updatedAt)) {
+          data[field] = entry.value;
+          provenance[field] = { source, updatedAt: entry.updatedAt };
+        }
+      });
+    });
+
+    // Remember real readings so they outlive their source
+    Object.entries(provenance).forEach(([field, { source, updatedAt }]) => {
+      if (this.sources[source].sticky) {
+        this.values.cache[field] = { value: data[field], updatedAt };
+      }
+    });
+
+    return { data, provenance };
+  }
+
+  // Whether any value will still expire, i.e. resolving later may change the result
+  hasExpiringValues(now = Date.now()) {
+    return Object.keys(this.sources).some((source) =>
+      this.sources[source].maxAge !== Infinity &&
+      Object.keys(this.values[source]).some((field) => this.isFresh(source, field, now))
+    );
+  }
+
+  // The cache source as { data, updatedAt }, for persisting between launches
+  getCache() {
+    const data = {};
+    const updatedAt = {};
+    Object.entries(this.values.cache).forEach(([field, entry]) => {
+      data[field] = entry.value;
+      updatedAt[field] = entry.updatedAt;
+    });
+    return { data, updatedAt };
+  }
+}
+
+export default DataArbiter;
@@ -0,0 +1,78 @@
+// How long each dashboard field stays trustworthy. After `dim` ms a gauge is
+// drawn dimmed with an age badge; after `blank` ms it shows '--'. A fuel level
+// minutes old is still useful, a speed a few seconds old is not.
+export const DEFAULT_STALE_TIMEOUTS = {
+  speed: { dim: 2000, blank: 5000 },
+  rpm: { dim: 2000, blank: 5000 },
+  gear: { dim: 3000, blank: 10000 },
+  fuel: { dim: 120000, blank: 1800000 },
+  odometer: { dim: 60000, blank: Infinity },
+  ridingMode: { dim: 30000, blank: 600000 },
+  telltales: { dim: 5000, blank: 30000 },
+};
+
+// Tell-tale fields share one schedule
+const TELLTALE_FIELDS = ['highBeam', 'hazard', 'engineCheck', 'battery'];
+
+export const FRESHNESS = {
+  LIVE: 'live',
+  STALE: 'stale',
+  EXPIRED: 'expired',
+};
+
+// Parse user overrides given in seconds, e.g. '{"speed": {"dim": 3, "blank": 8}}'.
+// Returns the defaults merged with any valid overrides.
+export const parseStaleTimeouts = (text) => {
+  const timeouts = { ...DEFAULT_STALE_TIMEOUTS };
+  if (!text) return timeouts;
+
+  const overrides = typeof text === 'string' ? JSON.parse(text) : text;
+  Object.entries(overrides).forEach(([field, override]) => {
+    if (!timeouts[field] || typeof override !== 'object') return;
+    const merged = { ...timeouts[field] };
+    ['dim', 'blank'].forEach((key) => {
+      if (override[key] === null) merged[key] = Infinity;
+      else if (override[key] >= 0) merged[key] = override[key] * 1000;
+    });
+    timeouts[field] = merged;
+  });
+  return timeouts;
+};
+
+// Compact age for badges: 8s, 4m, 2h, 3d
+export const formatAge = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h`;
+  return `${Math.floor(hours / 24)}d`;
+};
+
+// Freshness of a field given BleManager provenance, as
+// { state, age, badge, dimmed, blank }. Fields with no provenance (nothing
+// received yet) count as expired.
+export const getFreshness = (provenance, field, now = Date.now(), timeouts = DEFAULT_STALE_TIMEOUTS) => {
+  const entry = provenance && provenance[field];
+  if (!entry) {
+    return { state: FRESHNESS.EXPIRED, age: null, badge: null, dimmed: false, blank: true };
+  }
+
+  const schedule = timeouts[TELLTALE_FIELDS.includes(field) ? 'telltales' : field] || timeouts.speed;
+  const age = Math.max(0, now - entry.updatedAt);
+
+  let state = FRESHNESS.LIVE;
+  if (age >= schedule.blank) state = FRESHNESS.EXPIRED;
+  else if (age >= schedule.dim) state = FRESHNESS.STALE;
+
+  return {
+    state,
+    age,
+    badge: state === FRESHNESS.STALE ? formatAge(age) : null,
+    dimmed: state === FRESHNESS.STALE,
+    blank: state === FRESHNESS.EXPIRED,
+  };
+};
+
+export const STALE_OPACITY = 0.4;
@@ -0,0 +1,81 @@
+// Built-in frame schemas for the Yezdi BLE protocol.
+//
+// Every schema is plain JSON so the same shape can be dropped into
+// `yezdi_decoder_schemas.json` in the document directory (or pasted into
+// AsyncStorage) to override these while reverse engineering the protocol.
+//
+// Schema shape:
+//   id          - unique name, used in logs and to override a built-in
+//   priority    - higher wins when several schemas match a frame
+//   charUUID    - only match notifications from this characteristic (optional)
+//   role        - only match characteristics with this role (telemetry,
+//                 telltales, odometer) from the Settings role map; defaults
+//                 to telemetry
+//   match       - header/ID byte checks: [{ offset, value, mask }]
+//   minLength   - minimum frame length in bytes
+//   maxLength   - maximum frame length in bytes (optional)
+//   defaults    - values used for fields the frame does not carry
+//   fields      - { name: { offset, type, endian, scale, add, mask, shift,
+//                            enum, min, max, format, default, trusted } }
+//
+// Field types: uint8, int8, uint16, int16, uint24, uint32, int32.
+// `mask` on its own yields a boolean tell-tale; combine with `shift` to
+// extract a multi-bit value instead. `trusted: false` marks a field the frame
+// carries but that is not reliable; it is decoded for the frame log only and
+// left to be inferred (gear is estimated from the speed/RPM ratio).
+
+const DEFAULT_SCHEMAS = [
+  {
+    id: 'yezdi-full-v1',
+    description: 'Full dashboard frame (11+ bytes)',
+    priority: 10,
+    minLength: 11,
+    fields: {
+      speed: { offset: 0, type: 'uint8' },
+      gear: { offset: 1, type: 'uint8', min: 1 },
+      rpm: { offset: 2, type: 'uint16', endian: 'big', scale: 10 },
+      fuel: { offset: 4, type: 'uint8', max: 100 },
+      ridingMode: {
+        offset: 5,
+        type: 'uint8',
+        enum: { 0: 'Road', 1: 'Rain', 2: 'Off-Road' },
+        default: 'Road',
+      },
+      highBeam: { offset: 6, type: 'uint8', mask: 0x01 },
+      hazard: { offset: 6, type: 'uint8', mask: 0x02 },
+      engineCheck: { offset: 6, type: 'uint8', mask: 0x04 },
+      battery: { offset: 6, type: 'uint8', mask: 0x08 },
+      odometer: { offset: 7, type: 'uint32', endian: 'big', format: 'string' },
+    },
+  },
+  {
+    id: 'yezdi-short-v1',
+    description: 'Short speed/gear/rpm frame (4-10 bytes)',
+    priority: 5,
+    minLength: 4,
+    maxLength: 10,
+    defaults: {
+      ridingMode: 'Road',
+      highBeam: false,
+      hazard: false,
+      engineCheck: false,
+    },
+    fields: {
+      speed: { offset: 0, type: 'uint8' },
+      gear: { offset: 1, type: 'uint8', min: 1, trusted: false },
+      rpm: { offset: 2, type: 'uint16', endian: 'big', scale: 50 },
+    },
+  },
+  {
+    id: 'yezdi-speed-only-v1',
+    description: 'Minimal speed frame (1-3 bytes)',
+    priority: 1,
+    minLength: 1,
+    maxLength: 3,
+    fields: {
+      speed: { offset: 0, type: 'uint8' },
+    },
+  },
+];
+
+export default DEFAULT_SCHEMAS;
@@ -0,0 +1,57 @@
+// Minimal multi-subscriber event emitter shared by the managers.
+// `on` returns an unsubscribe function so React effects can return it directly.
+class EventEmitter {
+  constructor() {
+    this.listeners = {};
+  }
+
+  on(event, listener) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = new Set();
+    }
+    this.listeners[event].add(listener);
+
+    return () => this.off(event, listener);
+  }
+
+  once(event, listener) {
+    const unsubscribe = this.on(event, (...args) => {
+      unsubscribe();
+      listener(...args);
+    });
+    return unsubscribe;
+  }
+
+  off(event, listener) {
+    if (this.listeners[event]) {
+      this.listeners[event].delete(listener);
+    }
+  }
+
+  emit(event, ...args) {
+    if (!this.listeners[event]) return;
+
+    // Copy so listeners can unsubscribe while being notified
+    [...this.listeners[event]].forEach((listener) => {
+      try {
+        listener(...args);
+      } catch (error) {
+        console.error(`Listener for ${event} failed:`, error);
+      }
+    });
+  }
+
+  listenerCount(event) {
+    return this.listeners[event] ? this.listeners[event].size : 0;
+  }
+
+  removeAllListeners(event) {
+    if (event) {
+      delete this.listeners[event];
+    } else {
+      this.listeners = {};
+    }
+  }
+}
+
+export default EventEmitter;
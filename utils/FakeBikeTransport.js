@@ -0,0 +1,319 @@
+import { Buffer } from 'buffer';
+import { normalizeUUID } from './BleUuid';
+
+// In-memory BLE transport with a scriptable fake bike, implementing the same
+// surface as BlePlxTransport. Lets the whole connection, auth, monitoring and
+// parsing pipeline run without a phone or a bike:
+//
+//   const transport = new FakeBikeTransport({
+//     devices: [{
+//       id: 'bike-1',
+//       name: 'YEZDI ADV',
+//       rssi: -50,
+//       services: [{
+//         uuid: 'fff0',
+//         characteristics: [
+//           { uuid: 'fff1', properties: ['notify'] },
+//           { uuid: 'fff2', properties: ['read'], value: [0xde, 0xad] },
+//           { uuid: 'fff3', properties: ['write'] },
+//         ],
+//       }],
+//     }],
+//   });
+//   transport.onWrite((write) => write.charUUID === '...fff3' ? { notify: ... } : null);
+//   transport.notify('bike-1', 'fff1', [60, 3, 0x02, 0xee, ...]);
+//   transport.injectDisconnect('bike-1');
+
+const toBuffer = (value) => {
+  if (value === undefined || value === null) return Buffer.alloc(0);
+  if (typeof value === 'string') return Buffer.from(value, 'base64');
+  return Buffer.from(value);
+};
+
+const subscription = (remove) => ({ remove });
+
+class FakeCharacteristic {
+  constructor(serviceUUID, definition) {
+    const properties = definition.properties || [];
+    this.serviceUUID = serviceUUID;
+    this.uuid = normalizeUUID(definition.uuid);
+    this.isReadable = properties.includes('read');
+    this.isWritableWithResponse = properties.includes('write');
+    this.isWritableWithoutResponse = properties.includes('writeWithoutResponse');
+    this.isNotifiable = properties.includes('notify');
+    this.isIndicatable = properties.includes('indicate');
+    this.value = toBuffer(definition.value);
+  }
+}
+
+class FakeDevice {
+  constructor(transport, definition) {
+    this.transport = transport;
+    this.id = definition.id;
+    this.name = definition.name || null;
+    this.rssi = definition.rssi !== undefined ? definition.rssi : -60;
+    this.serviceTable = (definition.services || []).map((service) => {
+      const uuid = normalizeUUID(service.uuid);
+      return {
+        uuid,
+        characteristics: (service.characteristics || []).map((char) => new FakeCharacteristic(uuid, char)),
+      };
+    });
+    this.connected = false;
+    this.discovered = false;
+    this.monitors = new Set();
+    this.disconnectListeners = new Set();
+  }
+
+  // The shape scan callbacks receive
+  advertisement() {
+    return { id: this.id, name: this.name, rssi: this.rssi };
+  }
+
+  findCharacteristic(serviceUUID, charUUID) {
+    const service = this.serviceTable.find((s) => s.uuid === normalizeUUID(serviceUUID));
+    const char = service && service.characteristics.find((c) => c.uuid === normalizeUUID(charUUID));
+    if (!char) {
+      throw new Error(`Characteristic ${charUUID} not found`);
+    }
+    return char;
+  }
+
+  ensureConnected() {
+    if (!this.connected) {
+      throw new Error(`Device ${this.id} is not connected`);
+    }
+  }
+
+  async discoverAllServicesAndCharacteristics() {
+    this.ensureConnected();
+    this.discovered = true;
+    return this;
+  }
+
+  async services() {
+    this.ensureConnected();
+    return this.serviceTable.map((service) => ({
+      uuid: service.uuid,
+      characteristics: async () => service.characteristics,
+    }));
+  }
+
+  async readCharacteristicForService(serviceUUID, charUUID) {
+    this.ensureConnected();
+    const char = this.findCharacteristic(serviceUUID, charUUID);
+    if (!char.isReadable) {
+      throw new Error(`Characteristic ${charUUID} is not readable`);
+    }
+    return { uuid: char.uuid, value: char.value.toString('base64') };
+  }
+
+  async writeCharacteristicWithResponseForService(serviceUUID, charUUID, base64Value) {
+    this.ensureConnected();
+    const char = this.findCharacteristic(serviceUUID, charUUID);
+    if (!char.isWritableWithResponse && !char.isWritableWithoutResponse) {
+      throw new Error(`Characteristic ${charUUID} is not writable`);
+    }
+
+    const bytes = toBuffer(base64Value);
+    this.transport.writes.push({ deviceId: this.id, serviceUUID: char.serviceUUID, charUUID: char.uuid, bytes });
+    await this.transport.handleWrite(this, char, bytes);
+    return { uuid: char.uuid, value: base64Value };
+  }
+
+  async writeCharacteristicWithoutResponseForService(serviceUUID, charUUID, base64Value) {
+    return await this.writeCharacteristicWithResponseForService(serviceUUID, charUUID, base64Value);
+  }
+
+  monitorCharacteristicForService(serviceUUID, charUUID, listener) {
+    this.ensureConnected();
+    const char = this.findCharacteristic(serviceUUID, charUUID);
+    if (!char.isNotifiable && !char.isIndicatable) {
+      throw new Error(`Characteristic ${charUUID} does not support notifications`);
+    }
+
+    const monitor = { char, listener };
+    this.monitors.add(monitor);
+    return subscription(() => this.monitors.delete(monitor));
+  }
+
+  onDisconnected(listener) {
+    this.disconnectListeners.add(listener);
+    return subscription(() => this.disconnectListeners.delete(listener));
+  }
+
+  async cancelConnection() {
+    this.drop(null);
+    return this;
+  }
+
+  // Deliver a notification to every monitor on the characteristic
+  notify(serviceUUID, charUUID, value) {
+    const char = this.findCharacteristic(serviceUUID, charUUID);
+    char.value = toBuffer(value);
+    [...this.monitors]
+      .filter((monitor) => monitor.char === char)
+      .forEach((monitor) => monitor.listener(null, { uuid: char.uuid, value: char.value.toString('base64') }));
+  }
+
+  drop(error) {
+    if (!this.connected) return;
+    this.connected = false;
+    this.monitors.clear();
+    [...this.disconnectListeners].forEach((listener) => listener(error, this));
+  }
+}
+
+class FakeBikeTransport {
+  constructor({ devices = [], state = 'PoweredOn' } = {}) {
+    this.state = state;
+    this.devices = devices.map((definition) => new FakeDevice(this, definition));
+    this.stateListeners = new Set();
+    this.scanListener = null;
+    this.writeHandlers = [];
+    this.writes = [];
+    this.connectFailures = 0;
+    this.timers = new Set();
+  }
+
+  getDevice(deviceId) {
+    const device = this.devices.find((d) => d.id === deviceId);
+    if (!device) {
+      throw new Error(`Unknown device ${deviceId}`);
+    }
+    return device;
+  }
+
+  // Transport interface
+
+  onStateChange(listener, emitCurrentState = false) {
+    this.stateListeners.add(listener);
+    if (emitCurrentState) {
+      listener(this.state);
+    }
+    return subscription(() => this.stateListeners.delete(listener));
+  }
+
+  startDeviceScan(uuids, options, listener) {
+    this.scanListener = listener;
+    this.devices.forEach((device) => listener(null, device.advertisement()));
+  }
+
+  stopDeviceScan() {
+    this.scanListener = null;
+  }
+
+  async connectToDevice(deviceId) {
+    if (this.state !== 'PoweredOn') {
+      throw new Error(`Bluetooth is ${this.state}`);
+    }
+    if (this.connectFailures > 0) {
+      this.connectFailures -= 1;
+      throw new Error('Connection failed (injected)');
+    }
+
+    const device = this.getDevice(deviceId);
+    device.connected = true;
+    return device;
+  }
+
+  destroy() {
+    this.stopStreams();
+    this.devices.forEach((device) => device.drop(null));
+  }
+
+  // Scripting helpers
+
+  setBluetoothState(state) {
+    this.state = state;
+    [...this.stateListeners].forEach((listener) => listener(state));
+  }
+
+  // Make the next `count` connection attempts fail
+  failNextConnections(count = 1) {
+    this.connectFailures = count;
+  }
+
+  // Register a write handler. Handlers receive { deviceId, charUUID, bytes } and
+  // may return { notify: { serviceUUID, charUUID, value } } or { read: { charUUID, value } }
+  // (or arrays of those) to script the bike's reaction, e.g. an ack or auth result.
+  onWrite(handler) {
+    this.writeHandlers.push(handler);
+    return subscription(() => {
+      this.writeHandlers = this.writeHandlers.filter((h) => h !== handler);
+    });
+  }
+
+  async handleWrite(device, char, bytes) {
+    for (const handler of this.writeHandlers) {
+      const reaction = await handler({ deviceId: device.id, serviceUUID: char.serviceUUID, charUUID: char.uuid, bytes });
+      const reactions = Array.isArray(reaction) ? reaction : reaction ? [reaction] : [];
+
+      reactions.forEach(({ notify, read }) => {
+        if (read) {
+          device.findCharacteristic(read.serviceUUID || char.serviceUUID, read.charUUID).value = toBuffer(read.value);
+        }
+        if (notify) {
+          // Notifications arrive after the write completes, as on real hardware
+          const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            if (device.connected) {
+              device.notify(notify.serviceUUID || char.serviceUUID, notify.charUUID, notify.value);
+            }
+          }, 0);
+          this.timers.add(timer);
+        }
+      });
+    }
+  }
+
+  // Set the value returned by the next read, e.g. an auth challenge
+  setValue(deviceId, serviceUUID, charUUID, value) {
+    this.getDevice(deviceId).findCharacteristic(serviceUUID, charUUID).value = toBuffer(value);
+  }
+
+  notify(deviceId, serviceUUID, charUUID, value) {
+    this.getDevice(deviceId).notify(serviceUUID, charUUID, value);
+  }
+
+  // Emit frames on a characteristic every `interval` ms. Returns a stop function.
+  playStream(deviceId, serviceUUID, charUUID, frames, interval = 100, { loop = false } = {}) {
+    let index = 0;
+    const timer = setInterval(() => {
+      const device = this.getDevice(deviceId);
+      if (index >= frames.length) {
+        if (!loop) {
+          stop();
+          return;
+        }
+        index = 0;
+      }
+      if (device.connected) {
+        device.notify(serviceUUID, charUUID, frames[index]);
+      }
+      index += 1;
+    }, interval);
+
+    const stop = () => {
+      clearInterval(timer);
+      this.timers.delete(timer);
+    };
+    this.timers.add(timer);
+    return stop;
+  }
+
+  stopStreams() {
+    this.timers.forEach((timer) => {
+      clearTimeout(timer);
+      clearInterval(timer);
+    });
+    this.timers.clear();
+  }
+
+  // Simulate the link dropping (out of range, ignition off)
+  injectDisconnect(deviceId, message = 'Link lost (injected)') {
+    this.getDevice(deviceId).drop(new Error(message));
+  }
+}
+
+export default FakeBikeTransport;
@@ -0,0 +1,9 @@
+import { Share } from 'react-native';
+
+// Hand a file written to the document directory to the system share sheet
+export const shareFile = async (fileUri, title) => {
+  return await Share.share({
+    url: fileUri,
+    title,
+  });
+};
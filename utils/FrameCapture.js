@@ -0,0 +1,225 @@
+import * as FileSystem from 'expo-file-system';
+import BleManager from './BleManager';
+import EventEmitter from './EventEmitter';
+
+// Each capture is a directory of chunk files in the document directory,
+// 000.jsonl, 001.jsonl, ... Chunks are JSON lines:
+//   { type: 'header', version, startedAt, device, serviceUUID, charUUID }  first line of chunk 0
+//   { type: 'frame', t, timestamp, serviceUUID, charUUID, role, hex, kind, schemaId, data, untrusted }
+//   { type: 'marker', t, timestamp, label }
+// `t` is milliseconds since the capture started on a monotonic clock, so
+// frame spacing survives wall clock adjustments. `kind` onwards is what the
+// parser made of the frame. Only the last chunk is ever rewritten, since
+// expo-file-system cannot append.
+const CAPTURE_PREFIX = 'yezdi_capture_';
+const CAPTURE_VERSION = 1;
+const FLUSH_INTERVAL = 5000; // ms
+const CHUNK_LINES = 1000;
+const RECENT_LIMIT = 200;
+
+const chunkUri = (captureUri, index) => `${captureUri}${String(index).padStart(3, '0')}.jsonl`;
+
+const now = () => (global.performance && global.performance.now ? global.performance.now() : Date.now());
+
+// Byte offsets that differ from the previous frame (all of them for the first frame)
+export const changedOffsets = (hex, previousHex) => {
+  const changed = [];
+  const length = hex.length / 2;
+  for (let i = 0; i < length; i++) {
+    const byte = hex.substr(i * 2, 2);
+    if (!previousHex || i * 2 >= previousHex.length || previousHex.substr(i * 2, 2) !== byte) {
+      changed.push(i);
+    }
+  }
+  return changed;
+};
+
+class YezdiFrameCapture {
+  constructor() {
+    this.events = new EventEmitter();
+    this.capturing = false;
+    this.fileUri = null;
+    this.lines = [];
+    this.chunks = 0;
+    this.recent = [];
+    this.lastHexByChar = {};
+    this.startTime = 0;
+    this.frameCount = 0;
+    this.markerCount = 0;
+    this.dirty = false;
+    this.flushTimer = null;
+    this.flushPromise = Promise.resolve();
+    this.frameSubscription = null;
+  }
+
+  // Subscribe to capture events. Returns an unsubscribe function.
+  //   'entry' (entry)    - frame or marker added to the capture
+  //   'state' (status)   - capture started or stopped
+  on(event, listener) {
+    return this.events.on(event, listener);
+  }
+
+  getStatus() {
+    return {
+      capturing: this.capturing,
+      fileUri: this.fileUri,
+      chunks: this.chunks,
+      frameCount: this.frameCount,
+      markerCount: this.markerCount,
+    };
+  }
+
+  // Most recent frames and markers, oldest first
+  getRecent() {
+    return this.recent;
+  }
+
+  start() {
+    if (this.capturing) return this.fileUri;
+
+    const startedAt = new Date().toISOString();
+    const device = BleManager.connectedDevice;
+    const fileUri = `${FileSystem.documentDirectory}${CAPTURE_PREFIX}${startedAt.replace(/[:.]/g, '-')}/`;
+    this.fileUri = fileUri;
+    this.chunks = 1;
+    this.lines = [JSON.stringify({
+      type: 'header',
+      version: CAPTURE_VERSION,
+      startedAt,
+      device: device ? { id: device.id, name: device.name || null } : null,
+      serviceUUID: BleManager.customSettings.serviceUUID || null,
+      charUUID: BleManager.customSettings.charUUID || null,
+    })];
+    this.recent = [];
+    this.lastHexByChar = {};
+    this.startTime = now();
+    this.frameCount = 0;
+    this.markerCount = 0;
+    this.capturing = true;
+
+    this.frameSubscription = BleManager.on('frame', (frame) => this.recordFrame(frame));
+    this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL);
+    this.flushPromise = this.flushPromise.then(() =>
+      FileSystem.makeDirectoryAsync(fileUri, { intermediates: true })
+    ).catch((error) => {
+      BleManager.log('ERROR', `Failed to create capture directory: ${error.message}`);
+    });
+    this.dirty = true;
+    this.flush();
+
+    BleManager.log('INFO', `Frame capture started: ${this.fileUri}`);
+    this.events.emit('state', this.getStatus());
+    return this.fileUri;
+  }
+
+  async stop() {
+    if (!this.capturing) return this.fileUri;
+
+    this.capturing = false;
+    if (this.frameSubscription) {
+      this.frameSubscription();
+      this.frameSubscription = null;
+    }
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+    await this.flush();
+
+    BleManager.log('INFO', `Frame capture stopped: ${this.frameCount} frames, ${this.markerCount} markers`);
+    this.events.emit('state', this.getStatus());
+    return this.fileUri;
+  }
+
+  recordFrame(frame) {
+    const key = `${frame.serviceUUID || ''}/${frame.charUUID || ''}`;
+    const entry = {
+      type: 'frame',
+      t: Math.round(now() - this.startTime),
+      timestamp: frame.timestamp,
+      serviceUUID: frame.serviceUUID || null,
+      charUUID: frame.charUUID || null,
+      role: frame.role,
+      hex: frame.hex,
+      kind: frame.kind,
+      schemaId: frame.schemaId,
+      data: frame.data,
+      untrusted: frame.untrusted || [],
+    };
+
+    // Offsets are compared per characteristic; frames on different characteristics are unrelated
+    const changed = changedOffsets(frame.hex, this.lastHexByChar[key]);
+    this.lastHexByChar[key] = frame.hex;
+    this.frameCount += 1;
+    this.append(entry, { ...entry, changed });
+  }
+
+  // Add a note such as "shifted to 3rd" at the current position in the capture
+  addMarker(label) {
+    if (!this.capturing || !label) return null;
+
+    const entry = {
+      type: 'marker',
+      t: Math.round(now() - this.startTime),
+      timestamp: Date.now(),
+      label,
+    };
+    this.markerCount += 1;
+    this.append(entry, entry);
+    return entry;
+  }
+
+  append(entry, displayEntry) {
+    this.lines.push(JSON.stringify(entry));
+    this.dirty = true;
+
+    this.recent.push(displayEntry);
+    if (this.recent.length > RECENT_LIMIT) {
+      this.recent = this.recent.slice(-RECENT_LIMIT);
+    }
+
+    // Close a full chunk and carry on in the next one
+    if (this.lines.length >= CHUNK_LINES) {
+      this.flush();
+      this.lines = [];
+      this.chunks += 1;
+    }
+    this.events.emit('entry', displayEntry);
+  }
+
+  // Rewrite the current chunk. Writes are chained so an older snapshot never
+  // lands after a newer one.
+  flush() {
+    if (!this.dirty || !this.fileUri) return this.flushPromise;
+
+    this.dirty = false;
+    const fileUri = chunkUri(this.fileUri, this.chunks - 1);
+    const content = `${this.lines.join('\n')}\n`;
+    this.flushPromise = this.flushPromise
+      .then(() => FileSystem.writeAsStringAsync(fileUri, content))
+      .catch((error) => {
+        BleManager.log('ERROR', `Failed to write capture: ${error.message}`);
+      });
+    return this.flushPromise;
+  }
+
+  // Captures on disk, newest first. Exports of a capture share its prefix
+  // but carry an extension; the capture directories have none.
+  async listCaptures() {
+    const files = await FileSystem.readDirectoryAsync(FileSystem.documentDirectory);
+    return files
+      .filter((name) => name.startsWith(CAPTURE_PREFIX) && !name.includes('.'))
+      .sort()
+      .reverse()
+      .map((name) => ({ name, uri: `${FileSystem.documentDirectory}${name}/` }));
+  }
+
+  async deleteCapture(uri) {
+    await FileSystem.deleteAsync(uri, { idempotent: true });
+  }
+}
+
+// Create singleton instance
+const FrameCapture = new YezdiFrameCapture();
+
+export default FrameCapture;
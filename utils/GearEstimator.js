@@ -0,0 +1,285 @@
+import StorageManager from './StorageManager';
+import EventEmitter from './EventEmitter';
+import RideSimulator from './RideSimulator';
+
+// Gear inference for frames without a trustworthy gear byte. In any gear
+// road speed is proportional to engine speed, so km/h per 1000 rpm falls into
+// one cluster per gear. Clusters start from the stock drivetrain and are
+// learned while riding, from the bike's own gear reports where it sends them
+// and from steady stretches otherwise. Learned ratios are kept per bike.
+
+// Below this the bike is stopped and the ratio says nothing
+const MIN_SPEED = 5; // km/h
+// Engine at idle while rolling means the clutch is in or the box is in neutral
+const IDLE_RPM = 1600;
+// A gear matches when the ratio is this close to its cluster (log ratio),
+// capped at half the gap to the neighbouring gears
+const MAX_MATCH_ERROR = 0.06;
+// Bike gear reports further off than this are taken with the clutch in
+const MAX_LABEL_ERROR = 0.3;
+// Learn only while the ratio holds within this band for the steady window
+const STEADY_WINDOW = 1000; // ms
+const STEADY_TOLERANCE = 0.03;
+// A mismatch lasting longer than a gear change is neutral or the clutch held in
+const NEUTRAL_DELAY = 1500; // ms
+// Learning slows down to this rate once a gear has enough samples
+const MIN_LEARNING_RATE = 0.02;
+// Samples after which a gear counts as fully learned
+export const TARGET_GEAR_SAMPLES = 50;
+// Persist every this many learned samples
+const SAVE_EVERY = 20;
+// Confidence shown for neutral, which cannot be told apart from a held clutch
+const NEUTRAL_CONFIDENCE = 0.5;
+// How often learning progress is announced
+const STATE_INTERVAL = 1000; // ms
+
+export const NEUTRAL = 'N';
+
+export const GEAR_STATE = {
+  UNKNOWN: 'unknown',
+  ENGAGED: 'engaged',
+  SHIFTING: 'shifting', // brief mismatch, holding the last gear
+  NEUTRAL: 'neutral',
+};
+
+// Stock km/h per 1000 rpm for each gear, lowest first
+export const seedRatios = () => {
+  const simulator = new RideSimulator();
+  return simulator.drivetrain.gearRatios.map((_, index) => simulator.speedForRpm(1000, index + 1));
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class GearEstimator {
+  constructor({ storage = StorageManager } = {}) {
+    this.storage = storage;
+    this.events = new EventEmitter();
+    this.seeds = seedRatios();
+    this.profiles = {}; // bikeId -> { ratios, counts, updatedAt }
+    this.bikeId = null;
+    this.ratios = [...this.seeds];
+    this.counts = this.seeds.map(() => 0);
+    this.window = []; // [{ t, ratio }] within the steady window
+    this.mismatchSince = null;
+    this.lastGear = null;
+    this.estimate = { gear: null, confidence: 0, state: GEAR_STATE.UNKNOWN, ratio: null };
+    this.unsaved = 0;
+    this.lastStateAt = 0;
+    this.loaded = false;
+  }
+
+  // Subscribe to estimator events. Returns an unsubscribe function.
+  //   'state' (status) - gear change, learning progress or bike switch
+  on(event, listener) {
+    return this.events.on(event, listener);
+  }
+
+  getStatus() {
+    return {
+      bikeId: this.bikeId,
+      estimate: this.estimate,
+      gears: this.ratios.map((ratio, index) => ({
+        gear: index + 1,
+        ratio,
+        seed: this.seeds[index],
+        samples: this.counts[index],
+        progress: Math.min(1, this.counts[index] / TARGET_GEAR_SAMPLES),
+      })),
+    };
+  }
+
+  emitState(now = Date.now()) {
+    this.lastStateAt = now;
+    this.events.emit('state', this.getStatus());
+  }
+
+  async load() {
+    this.profiles = (await this.storage.getGearRatios()) || {};
+    this.loaded = true;
+    const bikeId = this.bikeId;
+    this.bikeId = null;
+    this.selectBike(bikeId);
+  }
+
+  selectBike(bikeId) {
+    const id = bikeId || 'default';
+    if (id === this.bikeId) return;
+
+    this.save();
+    this.bikeId = id;
+    const profile = this.profiles[id];
+    if (profile && Array.isArray(profile.ratios) && profile.ratios.length > 0) {
+      this.ratios = [...profile.ratios];
+      this.counts = profile.ratios.map((_, index) => profile.counts[index] || 0);
+    } else {
+      this.ratios = [...this.seeds];
+      this.counts = this.seeds.map(() => 0);
+    }
+    this.window = [];
+    this.mismatchSince = null;
+    this.lastGear = null;
+    this.emitState();
+  }
+
+  // Largest log-ratio error that still counts as a gear, so neighbouring
+  // clusters never overlap
+  tolerance(index, limit) {
+    const gaps = [];
+    if (index > 0) gaps.push(Math.log(this.ratios[index] / this.ratios[index - 1]));
+    if (index < this.ratios.length - 1) gaps.push(Math.log(this.ratios[index + 1] / this.ratios[index]));
+    return Math.min(limit, ...gaps.map((gap) => gap / 2));
+  }
+
+  // Nearest gear cluster to a ratio as { index, error }
+  nearest(ratio) {
+    let best = { index: 0, error: Infinity };
+    this.ratios.forEach((center, index) => {
+      const error = Math.abs(Math.log(ratio / center));
+      if (error < best.error) best = { index, error };
+    });
+    return best;
+  }
+
+  // Track the ratio over the steady window; true while it holds still
+  isSteady(ratio, timestamp) {
+    this.window.push({ t: timestamp, ratio });
+    while (this.window.length > 0 && this.window[0].t < timestamp - STEADY_WINDOW) {
+      this.window.shift();
+    }
+    if (this.window.length < 3 || timestamp - this.window[0].t < STEADY_WINDOW * 0.8) return false;
+    return this.window.every((sample) => Math.abs(Math.log(sample.ratio / ratio)) <= STEADY_TOLERANCE);
+  }
+
+  // Move a gear's cluster towards a sample
+  learn(index, ratio, timestamp) {
+    const rate = Math.max(MIN_LEARNING_RATE, 1 / (this.counts[index] + 1));
+    this.ratios[index] += (ratio - this.ratios[index]) * rate;
+    this.counts[index] += 1;
+
+    this.unsaved += 1;
+    if (this.unsaved >= SAVE_EVERY) {
+      this.save();
+    }
+    if (timestamp - this.lastStateAt >= STATE_INTERVAL) {
+      this.emitState(timestamp);
+    }
+  }
+
+  // Fill in gear and gearConfidence for telemetry from a data source. Gears
+  // the bike reports itself are passed through, and teach the estimator when
+  // `learning` is set (real bike data only).
+  process(data, timestamp = Date.now(), learning = false) {
+    const speed = parseFloat(data.speed);
+    const rpm = parseFloat(data.rpm);
+    const ratio = speed >= MIN_SPEED && rpm >= IDLE_RPM ? speed / (rpm / 1000) : null;
+
+    if (data.gear !== undefined) {
+      const gear = parseInt(data.gear, 10);
+      if (learning && ratio !== null && gear >= 1 && gear <= this.ratios.length &&
+          this.isSteady(ratio, timestamp) &&
+          Math.abs(Math.log(ratio / this.ratios[gear - 1])) <= MAX_LABEL_ERROR) {
+        this.learn(gear - 1, ratio, timestamp);
+      }
+      return { ...data, gearConfidence: 1 };
+    }
+
+    if (isNaN(speed) || isNaN(rpm)) return data;
+
+    const estimate = this.update(speed, ratio, timestamp, learning);
+    return {
+      ...data,
+      gear: estimate.gear !== null ? estimate.gear : undefined,
+      gearConfidence: estimate.gear !== null ? estimate.confidence : undefined,
+    };
+  }
+
+  // Estimate the gear from speed and ratio (null when stopped or idling)
+  update(speed, ratio, timestamp, learning = false) {
+    let estimate;
+
+    if (ratio === null) {
+      this.window = [];
+      this.mismatchSince = null;
+      // Rolling with the engine at idle is neutral or the clutch in; standing
+      // still says nothing about the gear
+      estimate = speed >= MIN_SPEED ? {
+        gear: NEUTRAL,
+        confidence: NEUTRAL_CONFIDENCE,
+        state: GEAR_STATE.NEUTRAL,
+        ratio: null,
+      } : {
+        gear: null,
+        confidence: 0,
+        state: GEAR_STATE.UNKNOWN,
+        ratio: null,
+      };
+    } else {
+      const steady = this.isSteady(ratio, timestamp);
+      const { index, error } = this.nearest(ratio);
+      const tolerance = this.tolerance(index, MAX_MATCH_ERROR);
+
+      if (error <= tolerance) {
+        this.mismatchSince = null;
+        this.lastGear = index + 1;
+        if (learning && steady) {
+          this.learn(index, ratio, timestamp);
+        }
+        const fit = 1 - error / tolerance;
+        const maturity = 0.3 + 0.7 * Math.min(1, this.counts[index] / TARGET_GEAR_SAMPLES);
+        estimate = {
+          gear: index + 1,
+          confidence: round2(maturity * (0.5 + 0.5 * fit)),
+          state: GEAR_STATE.ENGAGED,
+          ratio,
+        };
+      } else {
+        // Clutch slipping or pulled in: hold the last gear for a moment
+        if (this.mismatchSince === null) this.mismatchSince = timestamp;
+        if (this.lastGear !== null && timestamp - this.mismatchSince < NEUTRAL_DELAY) {
+          estimate = {
+            gear: this.lastGear,
+            confidence: round2(this.estimate.confidence * 0.5),
+            state: GEAR_STATE.SHIFTING,
+            ratio,
+          };
+        } else {
+          estimate = {
+            gear: NEUTRAL,
+            confidence: NEUTRAL_CONFIDENCE,
+            state: GEAR_STATE.NEUTRAL,
+            ratio,
+          };
+        }
+      }
+    }
+
+    const changed = estimate.gear !== this.estimate.gear || estimate.state !== this.estimate.state;
+    this.estimate = estimate;
+    if (changed) {
+      this.emitState(timestamp);
+    }
+    return estimate;
+  }
+
+  async save() {
+    if (!this.loaded || this.bikeId === null || this.unsaved === 0) return;
+    this.unsaved = 0;
+    this.profiles[this.bikeId] = { ratios: [...this.ratios], counts: [...this.counts], updatedAt: Date.now() };
+    await this.storage.saveGearRatios(this.profiles);
+  }
+
+  // Forget this bike's learned ratios and start again from stock
+  async reset() {
+    this.ratios = [...this.seeds];
+    this.counts = this.seeds.map(() => 0);
+    this.window = [];
+    this.mismatchSince = null;
+    this.lastGear = null;
+    this.unsaved = 0;
+    delete this.profiles[this.bikeId];
+    await this.storage.saveGearRatios(this.profiles);
+    this.emitState();
+  }
+}
+
+export default GearEstimator;
@@ -0,0 +1,142 @@
+// Roll (lean) and pitch of the bike from the phone's accelerometer and
+// gyroscope, using a complementary filter. The gyroscope is integrated for
+// fast, smooth changes and slowly pulled towards a reference angle so it
+// does not drift.
+//
+// In a steady turn the accelerometer still reads "straight down" through the
+// bike, so it cannot see lean while riding. Once moving, the roll reference
+// is the kinematic lean instead: tan(lean) = speed × turn rate / g.
+
+const GRAVITY = 9.81; // m/s²
+// Share of each update taken from the integrated gyroscope
+const GYRO_WEIGHT = 0.98;
+// Below this the bike is treated as stationary and gravity gives the reference
+const KINEMATIC_MIN_SPEED = 10; // km/h
+// Gaps longer than this restart the filter from the reference (ms)
+const MAX_STEP = 500;
+// Calibration fails if the phone moves more than this while sampling (g)
+const MAX_CALIBRATION_JITTER = 0.05;
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0],
+];
+const scale = (a, k) => [a[0] * k, a[1] * k, a[2] * k];
+const subtract = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const length = (a) => Math.sqrt(dot(a, a));
+const normalize = (a) => scale(a, 1 / length(a));
+const toDegrees = (radians) => radians * (180 / Math.PI);
+
+// Bike axes in phone coordinates from the accelerometer reading of a bike
+// standing upright. The phone's back is assumed to face forward (screen
+// towards the rider); for a phone lying flat its top edge points forward.
+export const mountFromGravity = (gravity) => {
+  const up = normalize(gravity);
+  let forward = subtract([0, 0, -1], scale(up, -up[2]));
+  if (length(forward) < 0.3) {
+    forward = subtract([0, 1, 0], scale(up, up[1]));
+  }
+  forward = normalize(forward);
+  return { up, forward, right: cross(forward, up) };
+};
+
+// Phone upright in portrait on the handlebar, screen towards the rider
+export const DEFAULT_MOUNT = mountFromGravity([0, 1, 0]);
+
+// Mount from accelerometer samples ({ x, y, z } in g) taken while the bike
+// stands upright and still
+export const calibrateMount = (samples) => {
+  if (samples.length === 0) {
+    throw new Error('No accelerometer samples to calibrate with');
+  }
+
+  const vectors = samples.map(({ x, y, z }) => [x, y, z]);
+  const mean = scale(vectors.reduce((sum, v) => [sum[0] + v[0], sum[1] + v[1], sum[2] + v[2]], [0, 0, 0]), 1 / vectors.length);
+  const jitter = Math.max(...vectors.map((v) => length(subtract(v, mean))));
+
+  if (jitter > MAX_CALIBRATION_JITTER) {
+    throw new Error('Phone moved during calibration - hold the bike still and upright');
+  }
+  if (Math.abs(length(mean) - 1) > 0.2) {
+    throw new Error('Accelerometer reading is not gravity - try again at rest');
+  }
+  return mountFromGravity(mean);
+};
+
+class LeanEstimator {
+  constructor(mount = DEFAULT_MOUNT) {
+    this.setMount(mount);
+  }
+
+  setMount(mount) {
+    this.mount = mount;
+    this.reset();
+  }
+
+  reset() {
+    this.roll = null; // radians, positive leaning right
+    this.pitch = null; // radians, positive nose up
+    this.lastTimestamp = null;
+  }
+
+  // Angles the accelerometer alone implies, valid when not accelerating
+  gravityAngles(accel) {
+    const { up, forward, right } = this.mount;
+    const a = [accel.x, accel.y, accel.z];
+    const vertical = dot(a, up);
+    const lateral = dot(a, right);
+    return {
+      roll: Math.atan2(-lateral, vertical),
+      pitch: Math.atan2(dot(a, forward), Math.sqrt(vertical * vertical + lateral * lateral)),
+    };
+  }
+
+  // Advance the filter. `accel` in g, `gyro` in rad/s (both { x, y, z } in
+  // phone axes), `speed` in km/h or null when unknown. Returns the angles in
+  // degrees.
+  update(accel, gyro, speed, timestamp) {
+    const { up, forward, right } = this.mount;
+    const reference = this.gravityAngles(accel);
+    const dt = this.lastTimestamp !== null ? (timestamp - this.lastTimestamp) / 1000 : 0;
+    this.lastTimestamp = timestamp;
+
+    if (this.roll === null || dt <= 0 || dt * 1000 > MAX_STEP) {
+      this.roll = reference.roll;
+      this.pitch = reference.pitch;
+      return this.getAngles();
+    }
+
+    const w = [gyro.x, gyro.y, gyro.z];
+    const rollRate = dot(w, forward);
+    const pitchRate = dot(w, right);
+
+    if (speed !== null && speed >= KINEMATIC_MIN_SPEED) {
+      // Turn rate about the vertical, with the bike's own axes tilted by the lean
+      const yawRate = dot(w, up) * Math.cos(this.roll) - pitchRate * Math.sin(this.roll);
+      reference.roll = Math.atan((speed / 3.6) * -yawRate / GRAVITY);
+    }
+
+    this.roll = GYRO_WEIGHT * (this.roll + rollRate * dt) + (1 - GYRO_WEIGHT) * reference.roll;
+    this.pitch = GYRO_WEIGHT * (this.pitch + pitchRate * dt) + (1 - GYRO_WEIGHT) * reference.pitch;
+    return this.getAngles();
+  }
+
+  // Angle in degrees between the bike's upright axis and gravity. Only
+  // meaningful at rest, e.g. to tell a bike on its side from one parked.
+  tiltAngle(accel) {
+    const a = [accel.x, accel.y, accel.z];
+    const cosine = dot(a, this.mount.up) / length(a);
+    return toDegrees(Math.acos(Math.max(-1, Math.min(1, cosine))));
+  }
+
+  getAngles() {
+    return {
+      roll: this.roll !== null ? toDegrees(this.roll) : null,
+      pitch: this.pitch !== null ? toDegrees(this.pitch) : null,
+    };
+  }
+}
+
+export default LeanEstimator;
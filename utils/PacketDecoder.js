@@ -0,0 +1,211 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import DEFAULT_SCHEMAS from './DecoderSchemas';
+import { normalizeUUID } from './BleUuid';
+
+const FIELD_TYPES = {
+  uint8: { size: 1, read: (buf, o) => buf.readUInt8(o) },
+  int8: { size: 1, read: (buf, o) => buf.readInt8(o) },
+  uint16: { size: 2, read: (buf, o, le) => (le ? buf.readUInt16LE(o) : buf.readUInt16BE(o)) },
+  int16: { size: 2, read: (buf, o, le) => (le ? buf.readInt16LE(o) : buf.readInt16BE(o)) },
+  uint24: { size: 3, read: (buf, o, le) => (le ? buf.readUIntLE(o, 3) : buf.readUIntBE(o, 3)) },
+  uint32: { size: 4, read: (buf, o, le) => (le ? buf.readUInt32LE(o) : buf.readUInt32BE(o)) },
+  int32: { size: 4, read: (buf, o, le) => (le ? buf.readInt32LE(o) : buf.readInt32BE(o)) },
+};
+
+const SCHEMA_STORAGE_KEY = 'yezdi_decoder_schemas';
+const SCHEMA_FILE_NAME = 'yezdi_decoder_schemas.json';
+
+export class YezdiPacketDecoder {
+  constructor() {
+    this.schemas = [];
+    this.userSchemaIds = [];
+    DEFAULT_SCHEMAS.forEach((schema) => this.register(schema));
+  }
+
+  // Validate a schema definition, throwing a descriptive error if invalid
+  validateSchema(schema) {
+    if (!schema || typeof schema !== 'object') {
+      throw new Error('Schema must be an object');
+    }
+    if (!schema.id) {
+      throw new Error('Schema is missing an id');
+    }
+    if (!schema.fields || typeof schema.fields !== 'object') {
+      throw new Error(`Schema ${schema.id} has no fields`);
+    }
+
+    for (const [name, field] of Object.entries(schema.fields)) {
+      const type = FIELD_TYPES[field.type];
+      if (!type) {
+        throw new Error(`Schema ${schema.id} field ${name} has unknown type ${field.type}`);
+      }
+      if (!Number.isInteger(field.offset) || field.offset < 0) {
+        throw new Error(`Schema ${schema.id} field ${name} has invalid offset`);
+      }
+      if (field.endian && field.endian !== 'big' && field.endian !== 'little') {
+        throw new Error(`Schema ${schema.id} field ${name} has invalid endian ${field.endian}`);
+      }
+    }
+
+    for (const rule of schema.match || []) {
+      if (!Number.isInteger(rule.offset) || !Number.isInteger(rule.value)) {
+        throw new Error(`Schema ${schema.id} has an invalid match rule`);
+      }
+    }
+  }
+
+  // Register a schema, replacing any existing schema with the same id
+  register(schema) {
+    this.validateSchema(schema);
+
+    // Frames shorter than the furthest field cannot be decoded by this schema
+    const requiredLength = Object.values(schema.fields).reduce(
+      (length, field) => Math.max(length, field.offset + FIELD_TYPES[field.type].size),
+      0
+    );
+
+    const compiled = {
+      priority: 0,
+      match: [],
+      defaults: {},
+      ...schema,
+      charUUID: schema.charUUID ? normalizeUUID(schema.charUUID) : null,
+      minLength: Math.max(schema.minLength || 0, requiredLength),
+    };
+
+    this.schemas = this.schemas.filter((s) => s.id !== schema.id);
+    this.schemas.push(compiled);
+    this.schemas.sort((a, b) => b.priority - a.priority);
+  }
+
+  unregister(id) {
+    this.schemas = this.schemas.filter((s) => s.id !== id);
+  }
+
+  getSchemas() {
+    return this.schemas;
+  }
+
+  // Check whether a schema applies to a frame. Schemas without a role only
+  // decode telemetry, so a short tell-tale frame is never read as speed.
+  matches(schema, buffer, charUUID, role) {
+    if (role && (schema.role || 'telemetry') !== role) return false;
+    if (schema.charUUID && (!charUUID || normalizeUUID(charUUID) !== schema.charUUID)) {
+      return false;
+    }
+    if (buffer.length < schema.minLength) return false;
+    if (schema.maxLength && buffer.length > schema.maxLength) return false;
+
+    return schema.match.every((rule) => {
+      if (rule.offset >= buffer.length) return false;
+      const mask = rule.mask === undefined ? 0xff : rule.mask;
+      return (buffer[rule.offset] & mask) === rule.value;
+    });
+  }
+
+  // Find the highest priority schema for a frame
+  findSchema(buffer, charUUID = null, role = null) {
+    return this.schemas.find((schema) => this.matches(schema, buffer, charUUID, role)) || null;
+  }
+
+  // Decode a single field according to its definition
+  decodeField(field, buffer) {
+    const type = FIELD_TYPES[field.type];
+    let value = type.read(buffer, field.offset, field.endian === 'little');
+
+    if (field.mask !== undefined) {
+      value &= field.mask;
+      if (field.shift === undefined) {
+        return value !== 0;
+      }
+    }
+    if (field.shift) {
+      value >>= field.shift;
+    }
+
+    if (field.enum) {
+      return field.enum[value] !== undefined ? field.enum[value] : field.default;
+    }
+
+    if (field.scale !== undefined) value *= field.scale;
+    if (field.add !== undefined) value += field.add;
+    if (field.min !== undefined) value = Math.max(value, field.min);
+    if (field.max !== undefined) value = Math.min(value, field.max);
+
+    if (field.format === 'string') return value.toString();
+    return value;
+  }
+
+  // Decode a frame, returning { schemaId, data, untrusted } or null if
+  // nothing matches. `untrusted` lists fields marked `trusted: false`.
+  decode(buffer, charUUID = null, role = null) {
+    const schema = this.findSchema(buffer, charUUID, role);
+    if (!schema) return null;
+
+    const data = { ...schema.defaults };
+    const untrusted = [];
+    for (const [name, field] of Object.entries(schema.fields)) {
+      data[name] = this.decodeField(field, buffer);
+      if (field.trusted === false) untrusted.push(name);
+    }
+
+    return { schemaId: schema.id, data, untrusted };
+  }
+
+  // Load schemas from a JSON string, array or { schemas: [...] } object
+  loadSchemas(json) {
+    const parsed = typeof json === 'string' ? JSON.parse(json) : json;
+    const schemas = Array.isArray(parsed) ? parsed : parsed && parsed.schemas;
+    if (!Array.isArray(schemas)) {
+      throw new Error('Expected an array of schemas');
+    }
+
+    // Validate everything first so a bad file does not leave a half-loaded registry
+    schemas.forEach((schema) => this.validateSchema(schema));
+    schemas.forEach((schema) => this.register(schema));
+    this.userSchemaIds = [...new Set([...this.userSchemaIds, ...schemas.map((s) => s.id)])];
+
+    return schemas.length;
+  }
+
+  // Persist user schemas so they survive app restarts
+  async saveSchemas(json) {
+    const count = this.loadSchemas(json);
+    const userSchemas = this.schemas.filter((s) => this.userSchemaIds.includes(s.id));
+    await AsyncStorage.setItem(SCHEMA_STORAGE_KEY, JSON.stringify(userSchemas));
+    return count;
+  }
+
+  // Load user schemas from AsyncStorage and the document directory.
+  // Returns the number of schemas loaded.
+  async loadUserSchemas() {
+    let count = 0;
+
+    const stored = await AsyncStorage.getItem(SCHEMA_STORAGE_KEY);
+    if (stored) {
+      count += this.loadSchemas(stored);
+    }
+
+    const fileUri = `${FileSystem.documentDirectory}${SCHEMA_FILE_NAME}`;
+    const info = await FileSystem.getInfoAsync(fileUri);
+    if (info.exists) {
+      count += this.loadSchemas(await FileSystem.readAsStringAsync(fileUri));
+    }
+
+    return count;
+  }
+
+  // Drop user schemas and return to the built-in set
+  async resetSchemas() {
+    this.schemas = [];
+    this.userSchemaIds = [];
+    DEFAULT_SCHEMAS.forEach((schema) => this.register(schema));
+    await AsyncStorage.removeItem(SCHEMA_STORAGE_KEY);
+  }
+}
+
+// Create singleton instance
+const PacketDecoder = new YezdiPacketDecoder();
+
+export default PacketDecoder;
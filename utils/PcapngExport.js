@@ -0,0 +1,185 @@
+import * as FileSystem from 'expo-file-system';
+import { Buffer } from 'buffer';
+import { CHARACTERISTIC_ROLES } from './BleManager';
+import PacketDecoder from './PacketDecoder';
+import { parseSession, readSessionText, sessionName } from './SessionReplay';
+import { normalizeUUID } from './BleUuid';
+
+// pcapng export of a frame capture or exported debug log, for inspecting
+// Yezdi frames in Wireshark. The phone never sees link-layer packets or ATT
+// handles, so frames use the first user link type with this header in front
+// of the notification bytes:
+//   0   u8        header version (1)
+//   1   u8        kind: 0 unknown, 1 telemetry, 2 ack, 3 marker
+//   2   u8        role: 1 + index in CHARACTERISTIC_ROLES, 0 when unknown
+//   3   u8        reserved
+//   4   16 bytes  service UUID, zero when unknown
+//   20  16 bytes  characteristic UUID, zero when unknown
+//   36  ...       notification bytes (UTF-8 label for markers)
+// Timestamps are in milliseconds. Every packet carries the parser result as
+// its comment; markers become packets of their own so they sit in the timeline.
+export const LINKTYPE_USER0 = 147;
+export const FRAME_HEADER_VERSION = 1;
+export const FRAME_HEADER_LENGTH = 36;
+export const FRAME_KINDS = ['unknown', 'telemetry', 'ack', 'marker'];
+
+const BLOCK_SECTION_HEADER = 0x0a0d0d0a;
+const BLOCK_INTERFACE_DESCRIPTION = 0x00000001;
+const BLOCK_ENHANCED_PACKET = 0x00000006;
+const BYTE_ORDER_MAGIC = 0x1a2b3c4d;
+
+const OPT_COMMENT = 1;
+const SHB_USER_APPLICATION = 4;
+const IF_NAME = 2;
+const IF_DESCRIPTION = 3;
+const IF_TSRESOL = 9;
+
+const padding = (length) => (4 - (length % 4)) % 4;
+
+const option = (code, value) => {
+  const body = Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8');
+  const head = Buffer.alloc(4);
+  head.writeUInt16LE(code, 0);
+  head.writeUInt16LE(body.length, 2);
+  return Buffer.concat([head, body, Buffer.alloc(padding(body.length))]);
+};
+
+const options = (list) => Buffer.concat([...list, Buffer.alloc(4)]); // ends with OPT_END
+
+// Wrap a block body with its type and both length fields
+const block = (type, body) => {
+  const length = 12 + body.length;
+  const head = Buffer.alloc(8);
+  head.writeUInt32LE(type, 0);
+  head.writeUInt32LE(length, 4);
+  const tail = Buffer.alloc(4);
+  tail.writeUInt32LE(length, 0);
+  return Buffer.concat([head, body, tail]);
+};
+
+const uuidBytes = (uuid) => {
+  const hex = normalizeUUID(uuid).replace(/-/g, '');
+  return /^[0-9a-f]{32}$/.test(hex) ? Buffer.from(hex, 'hex') : Buffer.alloc(16);
+};
+
+const frameHeader = (kind, role, serviceUUID, charUUID) => {
+  const header = Buffer.alloc(4);
+  header.writeUInt8(FRAME_HEADER_VERSION, 0);
+  header.writeUInt8(Math.max(0, FRAME_KINDS.indexOf(kind)), 1);
+  header.writeUInt8(CHARACTERISTIC_ROLES.indexOf(role) + 1, 2);
+  return Buffer.concat([header, uuidBytes(serviceUUID), uuidBytes(charUUID)]);
+};
+
+const sectionHeader = (comment) => {
+  const body = Buffer.alloc(16);
+  body.writeUInt32LE(BYTE_ORDER_MAGIC, 0);
+  body.writeUInt16LE(1, 4); // major version
+  body.writeUInt16LE(0, 6); // minor version
+  body.writeInt32LE(-1, 8); // section length not given
+  body.writeInt32LE(-1, 12);
+  return block(BLOCK_SECTION_HEADER, Buffer.concat([
+    body,
+    options([option(SHB_USER_APPLICATION, 'Yezdi Adventure Dashboard'), option(OPT_COMMENT, comment)]),
+  ]));
+};
+
+const interfaceDescription = () => {
+  const body = Buffer.alloc(8);
+  body.writeUInt16LE(LINKTYPE_USER0, 0);
+  body.writeUInt32LE(0, 4); // no snapshot limit
+  return block(BLOCK_INTERFACE_DESCRIPTION, Buffer.concat([
+    body,
+    options([
+      option(IF_NAME, 'yezdi-ble'),
+      option(IF_DESCRIPTION, 'Yezdi BLE notifications'),
+      option(IF_TSRESOL, Buffer.from([3])), // milliseconds
+    ]),
+  ]));
+};
+
+const enhancedPacket = (timestamp, data, comment) => {
+  const body = Buffer.alloc(20);
+  body.writeUInt32LE(0, 0); // interface
+  body.writeUInt32LE(Math.floor(timestamp / 0x100000000), 4);
+  body.writeUInt32LE(timestamp % 0x100000000, 8);
+  body.writeUInt32LE(data.length, 12);
+  body.writeUInt32LE(data.length, 16);
+  return block(BLOCK_ENHANCED_PACKET, Buffer.concat([
+    body,
+    data,
+    Buffer.alloc(padding(data.length)),
+    options(comment ? [option(OPT_COMMENT, comment)] : []),
+  ]));
+};
+
+// Parser result for a frame. Captures record what the parser said at the
+// time; frames from debug logs carry no verdict and are decoded here.
+const describeFrame = (frame, payload) => {
+  let { kind, schemaId, data, untrusted } = frame;
+  if (!kind) {
+    const decoded = frame.role === 'ack' ? null : PacketDecoder.decode(payload, frame.charUUID, frame.role);
+    kind = decoded ? 'telemetry' : frame.role === 'ack' ? 'ack' : 'unknown';
+    if (decoded) ({ schemaId, data, untrusted } = decoded);
+  }
+
+  if (kind === 'telemetry') {
+    const ignored = untrusted && untrusted.length > 0 ? ` (untrusted: ${untrusted.join(', ')})` : '';
+    return { kind, comment: `Decoded with schema ${schemaId}: ${JSON.stringify(data)}${ignored}` };
+  }
+  if (kind === 'ack') {
+    return { kind, comment: 'Command acknowledgement' };
+  }
+  if (frame.role === 'ack') {
+    return { kind: 'unknown', comment: 'Not an acknowledgement for a pending command' };
+  }
+  return { kind: 'unknown', comment: `No decoder matched ${payload.length} byte frame` };
+};
+
+// Build a pcapng file from a session read by parseSession. Returns a Buffer.
+export const buildPcapng = (session, sourceName = 'session') => {
+  const blocks = [
+    sectionHeader(`Yezdi BLE ${session.format} ${sourceName}, started ${new Date(session.startedAt).toISOString()}`),
+    interfaceDescription(),
+  ];
+
+  const entries = [
+    ...session.frames.map((frame) => ({ ...frame, type: 'frame' })),
+    ...session.markers.map((marker) => ({ ...marker, type: 'marker' })),
+  ].sort((a, b) => a.t - b.t);
+
+  entries.forEach((entry) => {
+    const timestamp = Math.round(session.startedAt + entry.t);
+    if (entry.type === 'marker') {
+      const data = Buffer.concat([frameHeader('marker', null, null, null), Buffer.from(entry.label, 'utf8')]);
+      blocks.push(enhancedPacket(timestamp, data, `Marker: ${entry.label}`));
+      return;
+    }
+
+    const payload = Buffer.from(entry.hex, 'hex');
+    const { kind, comment } = describeFrame(entry, payload);
+    const header = frameHeader(kind, entry.role, entry.serviceUUID, entry.charUUID);
+    blocks.push(enhancedPacket(timestamp, Buffer.concat([header, payload]), comment));
+  });
+
+  return Buffer.concat(blocks);
+};
+
+// Convert a capture or debug log in the document directory to pcapng.
+// Returns { fileUri, fileName, title, packets }.
+export const exportPcapng = async (sourceUri) => {
+  const sourceName = sessionName(sourceUri);
+  const text = await readSessionText(sourceUri);
+  const session = parseSession(text);
+  const content = buildPcapng(session, sourceName);
+  const fileName = `${sourceName.replace(/\.[^.]+$/, '')}.pcapng`;
+  const fileUri = `${FileSystem.documentDirectory}${fileName}`;
+  await FileSystem.writeAsStringAsync(fileUri, content.toString('base64'), {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+  return {
+    fileUri,
+    fileName,
+    title: 'Yezdi BLE Capture (pcapng)',
+    packets: session.frames.length + session.markers.length,
+  };
+};
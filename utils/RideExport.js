@@ -0,0 +1,283 @@
+import * as FileSystem from 'expo-file-system';
+import RideRecorder from './RideRecorder';
+import { calculateDistance } from './SensorManager';
+
+// Export of recorded rides for route planners and ride diaries.
+//   gpx - GPX 1.1 track with elevation and timestamps
+//   tcx - Garmin TCX activity with speed, engine speed as cadence (in
+//         hundreds of rpm, since cadence tops out at 254), fuel level in
+//         percent as heart rate and the gear as power (0 for neutral)
+// Gear and fuel ride in standard fields, as heart rate and power, because
+// route planners and ride diaries drop extensions they do not know.
+// The export is a directory of part files, part_001.gpx, part_002.gpx, ...
+// one per recorded chunk of the ride that has trackpoints. Each part is a
+// complete document for its stretch of the ride, written once its chunk has
+// been read, so only one chunk of output is held at a time.
+export const EXPORT_FORMATS = {
+  gpx: { label: 'GPX', extension: 'gpx', title: 'Yezdi Ride (GPX)' },
+  tcx: { label: 'TCX', extension: 'tcx', title: 'Yezdi Ride (TCX)' },
+};
+
+const CREATOR = 'Yezdi Adventure Dashboard';
+// Fixes worse than this are left out of the track
+const MAX_TRACK_ACCURACY = 50; // m
+// A gap this long between fixes starts a new track segment
+const SEGMENT_GAP = 60000; // ms
+// Telemetry older than this is not attached to a trackpoint
+const TELEMETRY_MATCH_WINDOW = 2000; // ms
+
+export const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const isoTime = (ride, t) => new Date(ride.startedAt + t).toISOString();
+
+const rideName = (ride) => ride.name || `Ride ${new Date(ride.startedAt).toLocaleString()}`;
+
+// Walk a ride in recorded order, calling onFix(fix, telemetry) for each
+// usable GPS fix with the latest telemetry sample, onTelemetry(row) for each
+// telemetry sample and onChunk() once each recorded chunk is done
+const walkRide = async (ride, { onFix = () => {}, onTelemetry = () => {}, onChunk = async () => {} }) => {
+  let telemetry = null;
+  await RideRecorder.readRide(ride.id, async (rows) => {
+    rows.forEach((row) => {
+      if (row.type === 'telemetry') {
+        telemetry = row;
+        onTelemetry(row);
+      } else if (row.latitude !== null && row.longitude !== null &&
+          !(row.accuracy > MAX_TRACK_ACCURACY)) {
+        const fresh = telemetry && row.t - telemetry.t <= TELEMETRY_MATCH_WINDOW ? telemetry : null;
+        onFix(row, fresh);
+      }
+    });
+    await onChunk();
+  });
+};
+
+const gpxDocument = (ride, startT, segments) => {
+  const name = escapeXml(rideName(ride));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1" ` +
+      'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+      'xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">',
+    '  <metadata>',
+    `    <name>${name}</name>`,
+    `    <time>${isoTime(ride, startT)}</time>`,
+    '  </metadata>',
+    '  <trk>',
+    `    <name>${name}</name>`,
+    '    <type>motorcycling</type>',
+    ...segments,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    '',
+  ].join('\n');
+};
+
+// Hand writePart(content) one GPX document per chunk with fixes in it.
+// Returns the number of parts.
+export const buildGpx = async (ride, writePart) => {
+  let segments = [];
+  let startT = null;
+  let lastT = null;
+  let parts = 0;
+
+  await walkRide(ride, {
+    onFix: (fix) => {
+      if (startT === null) startT = fix.t;
+      if (segments.length === 0 || fix.t - lastT > SEGMENT_GAP) {
+        if (segments.length > 0) segments.push('    </trkseg>');
+        segments.push('    <trkseg>');
+      }
+      lastT = fix.t;
+      segments.push(
+        `      <trkpt lat="${fix.latitude}" lon="${fix.longitude}">` +
+        (fix.altitude !== null ? `<ele>${fix.altitude}</ele>` : '') +
+        `<time>${isoTime(ride, fix.t)}</time></trkpt>`
+      );
+    },
+    onChunk: async () => {
+      if (segments.length === 0) return;
+      parts += 1;
+      const content = gpxDocument(ride, startT, segments);
+      segments = [];
+      startT = null;
+      await writePart(content);
+    },
+  });
+
+  if (parts === 0) {
+    throw new Error('This ride has no GPS track');
+  }
+  return parts;
+};
+
+// Speed in km/h at a trackpoint, preferring the bike's over the GPS fix
+const trackpointSpeed = (fix, telemetry) => {
+  const speed = telemetry && telemetry.speed !== null ? telemetry.speed : fix && fix.speed;
+  return speed !== null && speed !== undefined ? speed : null;
+};
+
+// Gear as a power reading: the gear number, 0 for neutral
+const gearWatts = (gear) => {
+  if (gear === null || gear === undefined) return null;
+  if (gear === 'N') return 0;
+  const number = parseInt(gear, 10);
+  return isNaN(number) ? null : number;
+};
+
+const tcxTrackpoint = (ride, t, { fix = null, telemetry = null, distance }) => {
+  const parts = [`<Time>${isoTime(ride, t)}</Time>`];
+  if (fix) {
+    parts.push(`<Position><LatitudeDegrees>${fix.latitude}</LatitudeDegrees><LongitudeDegrees>${fix.longitude}</LongitudeDegrees></Position>`);
+    if (fix.altitude !== null) parts.push(`<AltitudeMeters>${fix.altitude}</AltitudeMeters>`);
+  }
+  parts.push(`<DistanceMeters>${distance.toFixed(1)}</DistanceMeters>`);
+
+  // Heart rate values start at 1, so an empty tank is left out
+  const fuel = telemetry ? telemetry.fuel : null;
+  if (fuel !== null && fuel >= 1) parts.push(`<HeartRateBpm><Value>${Math.round(fuel)}</Value></HeartRateBpm>`);
+
+  const rpm = telemetry ? telemetry.rpm : null;
+  if (rpm !== null) parts.push(`<Cadence>${Math.min(254, Math.round(rpm / 100))}</Cadence>`);
+
+  const extension = [];
+  const speed = trackpointSpeed(fix, telemetry);
+  if (speed !== null) extension.push(`<ns3:Speed>${(speed / 3.6).toFixed(2)}</ns3:Speed>`);
+  const watts = telemetry ? gearWatts(telemetry.gear) : null;
+  if (watts !== null) extension.push(`<ns3:Watts>${watts}</ns3:Watts>`);
+  if (extension.length > 0) parts.push(`<Extensions><ns3:TPX>${extension.join('')}</ns3:TPX></Extensions>`);
+
+  return `          <Trackpoint>${parts.join('')}</Trackpoint>`;
+};
+
+// A TCX activity with a single lap over `trackpoints`
+const tcxDocument = (ride, { startT, endT, distance, maxSpeed, trackpoints }) => {
+  const startTime = isoTime(ride, startT);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2" ' +
+      'xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2" ' +
+      'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+      'xsi:schemaLocation="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2 http://www.garmin.com/xmlschemas/TrainingCenterDatabasev2.xsd">',
+    '  <Activities>',
+    '    <Activity Sport="Other">',
+    `      <Id>${startTime}</Id>`,
+    `      <Lap StartTime="${startTime}">`,
+    `        <TotalTimeSeconds>${((endT - startT) / 1000).toFixed(0)}</TotalTimeSeconds>`,
+    `        <DistanceMeters>${distance.toFixed(1)}</DistanceMeters>`,
+    `        <MaximumSpeed>${(maxSpeed / 3.6).toFixed(2)}</MaximumSpeed>`,
+    '        <Calories>0</Calories>',
+    '        <Intensity>Active</Intensity>',
+    '        <TriggerMethod>Manual</TriggerMethod>',
+    '        <Track>',
+    ...trackpoints,
+    '        </Track>',
+    '      </Lap>',
+    `      <Notes>${escapeXml(rideName(ride))}</Notes>`,
+    '      <Creator xsi:type="Device_t">',
+    `        <Name>${CREATOR}</Name>`,
+    '        <UnitId>0</UnitId>',
+    '        <ProductID>0</ProductID>',
+    '        <Version><VersionMajor>1</VersionMajor><VersionMinor>0</VersionMinor></Version>',
+    '      </Creator>',
+    '    </Activity>',
+    '  </Activities>',
+    '</TrainingCenterDatabase>',
+    '',
+  ].join('\n');
+};
+
+// Hand writePart(content) one TCX activity per chunk with trackpoints in it,
+// its distance counted from the start of the part. Returns the number of parts.
+export const buildTcx = async (ride, writePart) => {
+  // Rides without GPS are described by their telemetry alone
+  const gpsTrack = ride.fixes > 0;
+  let part = null;
+  let lastFix = null;
+  let lastTelemetry = null;
+  let parts = 0;
+
+  const addTrackpoint = (t, fix, telemetry) => {
+    if (!part) part = { startT: t, distance: 0, maxSpeed: 0, trackpoints: [] };
+    part.endT = t;
+    part.maxSpeed = Math.max(part.maxSpeed, trackpointSpeed(fix, telemetry) || 0);
+    part.trackpoints.push(tcxTrackpoint(ride, t, { fix, telemetry, distance: part.distance }));
+  };
+
+  await walkRide(ride, {
+    onFix: (fix, telemetry) => {
+      if (!gpsTrack) return;
+      if (part && lastFix && fix.t - lastFix.t <= SEGMENT_GAP) {
+        part.distance += calculateDistance(lastFix.latitude, lastFix.longitude, fix.latitude, fix.longitude);
+      }
+      lastFix = fix;
+      addTrackpoint(fix.t, fix, telemetry);
+    },
+    onTelemetry: (row) => {
+      if (gpsTrack) return;
+      if (part && lastTelemetry && row.t - lastTelemetry.t <= SEGMENT_GAP && lastTelemetry.speed !== null) {
+        part.distance += (lastTelemetry.speed / 3.6) * ((row.t - lastTelemetry.t) / 1000);
+      }
+      lastTelemetry = row;
+      addTrackpoint(row.t, null, row);
+    },
+    onChunk: async () => {
+      if (!part) return;
+      parts += 1;
+      const content = tcxDocument(ride, part);
+      part = null;
+      await writePart(content);
+    },
+  });
+
+  if (parts === 0) {
+    throw new Error('This ride has no recorded data');
+  }
+  return parts;
+};
+
+const BUILDERS = {
+  gpx: buildGpx,
+  tcx: buildTcx,
+};
+
+// Write a ride in one of EXPORT_FORMATS to the document directory.
+// Returns { fileUri, fileName, title, parts }, the uri and name being those
+// of the export directory.
+export const exportRide = async (id, format) => {
+  const ride = RideRecorder.getRide(id);
+  if (!ride) {
+    throw new Error(`Unknown ride ${id}`);
+  }
+  const builder = BUILDERS[format];
+  if (!builder) {
+    throw new Error(`Unknown export format ${format}`);
+  }
+
+  const { extension, title } = EXPORT_FORMATS[format];
+  const fileName = `yezdi_ride_${ride.id}_${extension}`;
+  const fileUri = `${FileSystem.documentDirectory}${fileName}/`;
+  await FileSystem.deleteAsync(fileUri, { idempotent: true });
+  await FileSystem.makeDirectoryAsync(fileUri, { intermediates: true });
+
+  let written = 0;
+  const writePart = async (content) => {
+    written += 1;
+    await FileSystem.writeAsStringAsync(`${fileUri}part_${String(written).padStart(3, '0')}.${extension}`, content);
+  };
+
+  try {
+    const parts = await builder(ride, writePart);
+    return { fileUri, fileName, title, parts };
+  } catch (error) {
+    // Nothing worth sharing, e.g. a ride without a GPS track
+    await FileSystem.deleteAsync(fileUri, { idempotent: true });
+    throw error;
+  }
+};
@@ -0,0 +1,497 @@
+import * as FileSystem from 'expo-file-system';
+import BleManager from './BleManager';
+import SensorManager, { calculateDistance } from './SensorManager';
+import StorageManager from './StorageManager';
+import SettingsStore from './SettingsStore';
+import EventEmitter from './EventEmitter';
+
+// Ride recorder. A ride starts when the bike connects or starts moving and
+// stops after a spell of inactivity. Each ride is a directory of chunk files
+// in the document directory, with a summary per ride kept in the StorageManager
+// ride index. Chunks are JSON lines of compact rows whose first element is
+// the row type:
+//   ['h', { version, id, startedAt, bikeId, columns }]  first line of chunk 0
+//   ['t', t, speed, rpm, gear, fuel, flags, lean]       telemetry
+//   ['g', t, latitude, longitude, altitude, speed, accuracy, heading]
+// `t` is milliseconds since the ride started. Only the last chunk is ever
+// rewritten, since expo-file-system cannot append.
+const RIDES_DIRECTORY = 'rides/';
+const RIDE_FORMAT_VERSION = 1;
+
+export const TELEMETRY_COLUMNS = ['t', 'speed', 'rpm', 'gear', 'fuel', 'flags', 'lean'];
+export const GPS_COLUMNS = ['t', 'latitude', 'longitude', 'altitude', 'speed', 'accuracy', 'heading'];
+// Tell-tales packed into the telemetry `flags` column
+export const TELLTALE_FLAGS = { highBeam: 1, hazard: 2, engineCheck: 4, battery: 8 };
+
+// Telemetry is sampled no faster than this
+const TELEMETRY_INTERVAL = 500; // ms
+// Speed that starts a ride, and below which the bike counts as stopped
+const START_SPEED = 10; // km/h
+const MOVING_SPEED = 3; // km/h
+// A ride ends after this long without moving
+const INACTIVITY_TIMEOUT = 5 * 60 * 1000; // ms
+const CHECK_INTERVAL = 10000; // ms
+const FLUSH_INTERVAL = 10000; // ms
+const CHUNK_ROWS = 1000;
+// Shorter rides are discarded, e.g. connecting to the bike in the garage
+const MIN_RIDE_DURATION = 60000; // ms
+const MIN_RIDE_DISTANCE = 0.2; // km
+// Fixes less accurate than this are recorded but not used for distance
+const MAX_GPS_ACCURACY = 30; // m
+// Gaps longer than this are not integrated (app backgrounded, signal lost)
+const MAX_INTEGRATION_GAP = 10000; // ms
+// Speed sources that mean the bike is really moving
+const LIVE_SOURCES = ['ble', 'gps'];
+
+const round = (value, digits) => {
+  const number = parseFloat(value);
+  if (value === null || value === undefined || isNaN(number)) return null;
+  const scale = 10 ** digits;
+  return Math.round(number * scale) / scale;
+};
+
+const packFlags = (data) => Object.entries(TELLTALE_FLAGS).reduce(
+  (flags, [field, bit]) => (data[field] ? flags | bit : flags),
+  0
+);
+
+// Expand a stored row into { type: 'telemetry' | 'gps', ...columns }. Header
+// and unknown rows return null.
+export const decodeRow = (row) => {
+  if (row[0] === 't') {
+    const entry = { type: 'telemetry' };
+    TELEMETRY_COLUMNS.forEach((column, index) => {
+      entry[column] = row[index + 1] === undefined ? null : row[index + 1];
+    });
+    Object.entries(TELLTALE_FLAGS).forEach(([field, bit]) => {
+      entry[field] = (entry.flags & bit) !== 0;
+    });
+    return entry;
+  }
+  if (row[0] === 'g') {
+    const entry = { type: 'gps' };
+    GPS_COLUMNS.forEach((column, index) => {
+      entry[column] = row[index + 1] === undefined ? null : row[index + 1];
+    });
+    return entry;
+  }
+  return null;
+};
+
+const parseChunk = (text) => text
+  .split('\n')
+  .filter((line) => line.trim().length > 0)
+  .map((line) => JSON.parse(line));
+
+const rideDirectory = (id) => `${FileSystem.documentDirectory}${RIDES_DIRECTORY}${id}/`;
+const chunkUri = (id, index) => `${rideDirectory(id)}${String(index).padStart(3, '0')}.jsonl`;
+
+class YezdiRideRecorder {
+  constructor() {
+    this.events = new EventEmitter();
+    this.enabled = true;
+    this.rides = []; // ride index, newest first
+    this.ride = null; // summary of the ride being recorded
+    this.lines = [];
+    this.dirty = false;
+    this.lastTelemetryAt = 0;
+    this.lastSpeedAt = null;
+    this.lastSpeed = null;
+    this.lastFix = null;
+    this.lastLean = null;
+    this.lastMovingAt = null;
+    this.speedDistance = 0;
+    this.gpsDistance = 0;
+    this.watchers = [];
+    this.recorders = [];
+    this.checkTimer = null;
+    this.flushTimer = null;
+    this.flushPromise = Promise.resolve();
+    this.loaded = false;
+    this.settingsUnsubscribe = null;
+  }
+
+  // Subscribe to recorder events. Returns an unsubscribe function.
+  //   'state' (status) - recording started, stopped or progressed
+  //   'rides' (rides)  - the ride index changed
+  on(event, listener) {
+    return this.events.on(event, listener);
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      recording: this.ride !== null,
+      ride: this.ride,
+    };
+  }
+
+  emitState() {
+    this.events.emit('state', this.getStatus());
+  }
+
+  // Rides in the index, newest first
+  getRides() {
+    return this.rides;
+  }
+
+  getRide(id) {
+    return this.rides.find((ride) => ride.id === id) || null;
+  }
+
+  async loadSettings() {
+    try {
+      await SettingsStore.load();
+      await this.loadIndex();
+      this.setEnabled(SettingsStore.get('rideRecordingEnabled'));
+      if (!this.settingsUnsubscribe) {
+        this.settingsUnsubscribe = SettingsStore.on('change', (changes) => {
+          if (changes.rideRecordingEnabled !== undefined) this.setEnabled(changes.rideRecordingEnabled);
+        });
+      }
+    } catch (error) {
+      console.error('Error loading ride recorder settings:', error);
+    }
+  }
+
+  // Rides still marked active were cut short by the app closing; keep what
+  // was written so far
+  async loadIndex() {
+    if (this.loaded) return;
+    const rides = (await StorageManager.getRideIndex()) || [];
+    const recovered = [];
+    for (const ride of rides) {
+      if (!ride.active) {
+        recovered.push(ride);
+      } else if (ride.duration >= MIN_RIDE_DURATION && ride.distance >= MIN_RIDE_DISTANCE) {
+        recovered.push({ ...ride, active: false });
+      } else {
+        await FileSystem.deleteAsync(rideDirectory(ride.id), { idempotent: true });
+      }
+    }
+    this.rides = recovered;
+    this.loaded = true;
+    if (recovered.length !== rides.length || rides.some((ride) => ride.active)) {
+      await this.saveIndex();
+    }
+    this.events.emit('rides', this.rides);
+  }
+
+  async saveIndex() {
+    await StorageManager.saveRideIndex(this.rides);
+  }
+
+  // Automatic recording watches for the bike connecting or moving. A ride
+  // started by hand carries on when it is switched off.
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (enabled) {
+      this.watch();
+      if (BleManager.isConnected()) this.autoStart('connection');
+    } else if (this.ride && this.ride.trigger !== 'manual') {
+      this.stop();
+    } else if (!this.ride) {
+      this.unwatch();
+    }
+    this.emitState();
+  }
+
+  // Bike data and GPS feed both ride detection and the recording itself
+  watch() {
+    if (this.watchers.length > 0) return;
+    this.watchers = [
+      BleManager.on('connection', (connected) => {
+        if (connected) this.autoStart('connection');
+      }),
+      BleManager.on('data', (data, provenance = {}) => this.handleData(data, provenance)),
+      SensorManager.subscribe('location', (location) => this.handleLocation(location)),
+    ];
+  }
+
+  unwatch() {
+    this.watchers.forEach((unsubscribe) => unsubscribe());
+    this.watchers = [];
+  }
+
+  // Simulated and replayed data is not a ride
+  isSimulating() {
+    return BleManager.mockDataEnabled || BleManager.replayActive;
+  }
+
+  autoStart(trigger) {
+    if (!this.enabled || this.ride || !this.loaded || this.isSimulating()) return;
+    this.start(trigger);
+  }
+
+  start(trigger = 'manual') {
+    if (this.ride) return this.ride;
+
+    const startedAt = Date.now();
+    const device = BleManager.connectedDevice;
+    const id = new Date(startedAt).toISOString().replace(/[:.]/g, '-');
+    this.ride = {
+      id,
+      name: null,
+      startedAt,
+      endedAt: startedAt,
+      duration: 0, // ms
+      movingTime: 0, // ms
+      distance: 0, // km
+      maxSpeed: 0, // km/h
+      avgSpeed: 0, // km/h, while moving
+      samples: 0,
+      fixes: 0,
+      chunks: 1,
+      bikeId: device ? device.id : null,
+      bikeName: device ? device.name || null : null,
+      trigger,
+      active: true,
+    };
+    this.lines = [JSON.stringify(['h', {
+      version: RIDE_FORMAT_VERSION,
+      id,
+      startedAt: new Date(startedAt).toISOString(),
+      bikeId: this.ride.bikeId,
+      columns: { t: TELEMETRY_COLUMNS, g: GPS_COLUMNS },
+    }])];
+    this.dirty = true;
+    this.lastTelemetryAt = 0;
+    this.lastSpeedAt = null;
+    this.lastSpeed = null;
+    this.lastFix = null;
+    this.lastLean = null;
+    this.lastMovingAt = startedAt;
+    this.speedDistance = 0;
+    this.gpsDistance = 0;
+
+    this.rides = [this.ride, ...this.rides];
+    this.watch();
+    this.flushPromise = this.flushPromise.then(() =>
+      FileSystem.makeDirectoryAsync(rideDirectory(id), { intermediates: true })
+    ).catch((error) => {
+      console.error('Failed to create ride directory:', error);
+    });
+    this.flush();
+
+    // Lean only runs while recording; the rest is watched all along. The
+    // filter needs its full rate, so only the latest angle is kept.
+    this.recorders = [
+      SensorManager.subscribe('lean', (lean) => {
+        this.lastLean = lean.roll;
+      }),
+    ];
+    this.checkTimer = setInterval(() => this.checkInactivity(), CHECK_INTERVAL);
+    this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL);
+
+    console.log(`Ride recording started (${trigger})`);
+    this.events.emit('rides', this.rides);
+    this.emitState();
+    return this.ride;
+  }
+
+  async stop() {
+    if (!this.ride) return null;
+
+    const ride = this.ride;
+    this.ride = null;
+    this.recorders.forEach((unsubscribe) => unsubscribe());
+    this.recorders = [];
+    clearInterval(this.checkTimer);
+    clearInterval(this.flushTimer);
+    this.checkTimer = null;
+    this.flushTimer = null;
+
+    // Trailing time parked before the timeout is not part of the ride
+    ride.endedAt = Math.min(ride.endedAt, this.lastMovingAt);
+    this.updateSummary(ride, ride.endedAt);
+    ride.active = false;
+    await this.flush(ride);
+
+    if (ride.duration < MIN_RIDE_DURATION || ride.distance < MIN_RIDE_DISTANCE) {
+      console.log('Ride too short, discarded');
+      this.rides = this.rides.filter((entry) => entry.id !== ride.id);
+      await FileSystem.deleteAsync(rideDirectory(ride.id), { idempotent: true });
+    } else {
+      console.log(`Ride recorded: ${ride.distance.toFixed(1)} km`);
+    }
+
+    await this.saveIndex();
+    if (!this.enabled) this.unwatch();
+    this.events.emit('rides', this.rides);
+    this.emitState();
+    return ride;
+  }
+
+  checkInactivity(now = Date.now()) {
+    if (this.ride && now - this.lastMovingAt > INACTIVITY_TIMEOUT) {
+      console.log('Ride stopped after inactivity');
+      this.stop();
+    }
+  }
+
+  handleData(data, provenance, now = Date.now()) {
+    const speedSource = provenance.speed && provenance.speed.source;
+    const speed = parseFloat(data.speed);
+    if (!LIVE_SOURCES.includes(speedSource) || isNaN(speed) || this.isSimulating()) return;
+
+    if (speed >= MOVING_SPEED && this.ride) this.lastMovingAt = now;
+    if (speed >= START_SPEED) this.autoStart('movement');
+    if (!this.ride) return;
+
+    // Distance and moving time from every update, rows at the sample rate
+    if (this.lastSpeedAt !== null && now - this.lastSpeedAt <= MAX_INTEGRATION_GAP) {
+      const dt = now - this.lastSpeedAt;
+      this.speedDistance += (this.lastSpeed * dt) / 3600000;
+      if (this.lastSpeed >= MOVING_SPEED) this.ride.movingTime += dt;
+    }
+    this.lastSpeedAt = now;
+    this.lastSpeed = speed;
+    this.ride.maxSpeed = Math.max(this.ride.maxSpeed, speed);
+
+    if (now - this.lastTelemetryAt < TELEMETRY_INTERVAL) return;
+    this.lastTelemetryAt = now;
+    this.ride.samples += 1;
+    this.append([
+      't',
+      now - this.ride.startedAt,
+      round(speed, 1),
+      round(data.rpm, 0),
+      data.gear === undefined ? null : data.gear,
+      round(data.fuel, 0),
+      packFlags(data),
+      round(this.lastLean, 1),
+    ], now);
+  }
+
+  handleLocation(location) {
+    if (this.isSimulating()) return;
+    const accurate = location.accuracy <= MAX_GPS_ACCURACY;
+
+    if (accurate && location.speed >= MOVING_SPEED && this.ride) this.lastMovingAt = location.timestamp;
+    if (accurate && location.speed >= START_SPEED) this.autoStart('movement');
+    if (!this.ride) return;
+
+    if (accurate) {
+      const previous = this.lastFix;
+      if (previous && location.timestamp - previous.timestamp <= MAX_INTEGRATION_GAP) {
+        this.gpsDistance += calculateDistance(
+          previous.latitude,
+          previous.longitude,
+          location.latitude,
+          location.longitude
+        ) / 1000;
+      }
+      this.lastFix = location;
+      this.ride.maxSpeed = Math.max(this.ride.maxSpeed, location.speed);
+    }
+
+    this.ride.fixes += 1;
+    this.append([
+      'g',
+      location.timestamp - this.ride.startedAt,
+      round(location.latitude, 6),
+      round(location.longitude, 6),
+      round(location.altitude, 1),
+      round(location.speed, 1),
+      round(location.accuracy, 0),
+      round(location.heading, 0),
+    ], location.timestamp);
+  }
+
+  append(row, now) {
+    this.lines.push(JSON.stringify(row));
+    this.dirty = true;
+    this.updateSummary(this.ride, now);
+
+    // Close a full chunk and carry on in the next one
+    if (this.lines.length >= CHUNK_ROWS) {
+      this.flush();
+      this.lines = [];
+      this.ride.chunks += 1;
+    }
+  }
+
+  // Distance comes from the GPS track, or from integrated speed without one
+  updateSummary(ride, now) {
+    ride.endedAt = Math.max(ride.endedAt, now);
+    ride.duration = ride.endedAt - ride.startedAt;
+    ride.distance = this.gpsDistance > 0 ? this.gpsDistance : this.speedDistance;
+    ride.avgSpeed = ride.movingTime > 0 ? ride.distance / (ride.movingTime / 3600000) : 0;
+  }
+
+  // Rewrite the current chunk and the index. Writes are chained so an older
+  // snapshot never lands after a newer one.
+  flush(ride = this.ride) {
+    if (!ride) return this.flushPromise;
+
+    const fileUri = chunkUri(ride.id, ride.chunks - 1);
+    const content = this.dirty ? `${this.lines.join('\n')}\n` : null;
+    this.dirty = false;
+    this.flushPromise = this.flushPromise
+      .then(async () => {
+        if (content !== null) await FileSystem.writeAsStringAsync(fileUri, content);
+        await this.saveIndex();
+      })
+      .catch((error) => {
+        console.error('Failed to write ride:', error);
+      });
+    if (ride === this.ride) this.emitState();
+    return this.flushPromise;
+  }
+
+  // Read a ride chunk by chunk, handing each list of decoded rows to
+  // `onRows`, so long rides never have to be held in memory at once
+  async readRide(id, onRows) {
+    const ride = this.getRide(id);
+    if (!ride) {
+      throw new Error(`Unknown ride ${id}`);
+    }
+    if (ride === this.ride) await this.flush();
+
+    let header = null;
+    for (let index = 0; index < ride.chunks; index++) {
+      const info = await FileSystem.getInfoAsync(chunkUri(id, index));
+      if (!info.exists) continue;
+      const rows = parseChunk(await FileSystem.readAsStringAsync(chunkUri(id, index)));
+      if (rows.length > 0 && rows[0][0] === 'h') header = rows[0][1];
+      await onRows(rows.map(decodeRow).filter((row) => row !== null), header);
+    }
+    return header;
+  }
+
+  // Whole ride as { header, telemetry, fixes } for the detail view
+  async loadRide(id) {
+    const telemetry = [];
+    const fixes = [];
+    const header = await this.readRide(id, (rows) => {
+      rows.forEach((row) => (row.type === 'gps' ? fixes : telemetry).push(row));
+    });
+    return { ride: this.getRide(id), header, telemetry, fixes };
+  }
+
+  async renameRide(id, name) {
+    const ride = this.getRide(id);
+    if (!ride) {
+      throw new Error(`Unknown ride ${id}`);
+    }
+    ride.name = name && name.trim() ? name.trim() : null;
+    this.rides = [...this.rides];
+    await this.saveIndex();
+    this.events.emit('rides', this.rides);
+  }
+
+  async deleteRide(id) {
+    if (this.ride && this.ride.id === id) {
+      throw new Error('Stop recording before deleting this ride');
+    }
+    this.rides = this.rides.filter((ride) => ride.id !== id);
+    await FileSystem.deleteAsync(rideDirectory(id), { idempotent: true });
+    await this.saveIndex();
+    this.events.emit('rides', this.rides);
+  }
+}
+
+// Create singleton instance
+const RideRecorder = new YezdiRideRecorder();
+
+export default RideRecorder;
@@ -0,0 +1,252 @@
+// Scripted ride simulator behind "Mock Data Mode". Speed, gear and RPM are
+// tied together through the gearbox, fuel drains with engine load and the
+// odometer advances with distance covered, so the dashboard behaves like it
+// does on a real ride.
+
+// Yezdi Adventure drivetrain (334cc, 6-speed)
+export const DEFAULT_DRIVETRAIN = {
+  primaryRatio: 2.76,
+  finalDrive: 2.87,
+  gearRatios: [2.83, 1.88, 1.42, 1.14, 0.96, 0.84],
+  wheelCircumference: 1.98, // m, 150/70 R17 rear
+};
+
+const IDLE_RPM = 1300;
+const REV_LIMIT = 9000;
+const TANK_CAPACITY = 13; // litres
+// Below this the clutch is in and the engine idles
+const CLUTCH_SPEED = 3; // km/h
+// Fuel flow in litres/hour: idle flow plus a term growing with rpm squared,
+// giving roughly 3 L/h cruising at 100 km/h
+const IDLE_FUEL_FLOW = 0.3;
+const RPM_FUEL_FACTOR = 0.065;
+
+// Each scenario is a list of phases played in order (and looped when `loop`
+// is set). A phase runs for `duration` seconds, eases speed towards `speed`
+// at `accel` km/h per second and can switch tell-tales as it starts. `load`
+// scales fuel flow (climbs, hard acceleration) and `holdGear` pins the
+// gearbox so RPM can climb past the shift point.
+export const SCENARIOS = {
+  city: {
+    label: 'City stop-and-go',
+    loop: true,
+    shiftUpRpm: 4500,
+    phases: [
+      { duration: 6, speed: 0 },
+      { duration: 8, speed: 40, accel: 7, load: 1.3 },
+      { duration: 10, speed: 38 },
+      { duration: 6, speed: 0, accel: 8 },
+      { duration: 4, speed: 0 },
+      { duration: 10, speed: 50, accel: 6, load: 1.3 },
+      { duration: 8, speed: 15, accel: 5 },
+      { duration: 6, speed: 0, accel: 5 },
+    ],
+  },
+  highway: {
+    label: 'Highway cruise',
+    loop: true,
+    shiftUpRpm: 6000,
+    phases: [
+      { duration: 20, speed: 100, accel: 6, load: 1.4 },
+      { duration: 60, speed: 100, telltales: { highBeam: true } },
+      { duration: 10, speed: 115, accel: 3, load: 1.3 },
+      { duration: 40, speed: 110, telltales: { highBeam: false } },
+      { duration: 15, speed: 80, accel: 3 },
+    ],
+  },
+  offroad: {
+    label: 'Off-road climb',
+    loop: true,
+    ridingMode: 'Off-Road',
+    shiftUpRpm: 6500,
+    shiftDownRpm: 3500,
+    phases: [
+      { duration: 8, speed: 20, accel: 4, load: 1.6 },
+      { duration: 15, speed: 25, load: 1.8 },
+      { duration: 10, speed: 12, accel: 3, load: 2.0 },
+      { duration: 12, speed: 30, accel: 4, load: 1.5 },
+      { duration: 8, speed: 5, accel: 4 },
+    ],
+  },
+  'low-fuel': {
+    label: 'Low fuel',
+    loop: true,
+    initialFuel: 12,
+    // Drain much faster than real time so the reserve warning shows quickly
+    fuelRateScale: 20,
+    shiftUpRpm: 5000,
+    phases: [
+      { duration: 10, speed: 60, accel: 6, load: 1.3 },
+      { duration: 60, speed: 60 },
+    ],
+  },
+  'engine-fault': {
+    label: 'Engine check fault',
+    loop: false,
+    shiftUpRpm: 5000,
+    phases: [
+      { duration: 10, speed: 60, accel: 6, load: 1.3 },
+      { duration: 15, speed: 60 },
+      { duration: 10, speed: 45, accel: 3, telltales: { engineCheck: true } },
+      { duration: 10, speed: 0, accel: 5, telltales: { hazard: true } },
+      { duration: 30, speed: 0 },
+    ],
+  },
+  'over-rev': {
+    label: 'Over-rev',
+    loop: true,
+    shiftUpRpm: 5500,
+    phases: [
+      { duration: 5, speed: 0 },
+      { duration: 10, speed: 120, accel: 10, load: 1.8, holdGear: 2 },
+      { duration: 3, speed: 120, load: 1.8, holdGear: 2 },
+      { duration: 8, speed: 30, accel: 8 },
+      { duration: 4, speed: 0, accel: 8 },
+    ],
+  },
+};
+
+export const DEFAULT_SCENARIO = 'city';
+
+class RideSimulator {
+  constructor(drivetrain = {}) {
+    this.setDrivetrain(drivetrain);
+    this.load(DEFAULT_SCENARIO);
+  }
+
+  setDrivetrain(drivetrain = {}) {
+    const merged = { ...DEFAULT_DRIVETRAIN, ...drivetrain };
+    if (!Array.isArray(merged.gearRatios) || merged.gearRatios.length === 0 || merged.gearRatios.some((r) => !(r > 0))) {
+      throw new Error('Gear ratios must be a list of positive numbers');
+    }
+    this.drivetrain = merged;
+  }
+
+  // Road speed in km/h for an engine speed in a gear (1-based)
+  speedForRpm(rpm, gear) {
+    const { primaryRatio, finalDrive, gearRatios, wheelCircumference } = this.drivetrain;
+    const wheelRpm = rpm / (primaryRatio * gearRatios[gear - 1] * finalDrive);
+    return (wheelRpm * wheelCircumference * 60) / 1000;
+  }
+
+  rpmForSpeed(speed, gear) {
+    return (speed / this.speedForRpm(1000, gear)) * 1000;
+  }
+
+  // Start a scenario from the beginning
+  load(scenarioId, { odometer = null } = {}) {
+    const scenario = SCENARIOS[scenarioId];
+    if (!scenario) {
+      throw new Error(`Unknown scenario ${scenarioId}`);
+    }
+
+    this.scenarioId = scenarioId;
+    this.scenario = scenario;
+    this.phaseIndex = 0;
+    this.phaseTime = 0;
+    this.finished = false;
+    this.speed = 0;
+    this.gear = 1;
+    this.rpm = IDLE_RPM;
+    this.fuel = scenario.initialFuel !== undefined ? scenario.initialFuel : 85;
+    this.distance = odometer !== null ? odometer : this.distance || 12480;
+    this.telltales = { highBeam: false, hazard: false, engineCheck: false, battery: false };
+    this.applyPhase(scenario.phases[0]);
+  }
+
+  applyPhase(phase) {
+    if (phase.telltales) {
+      this.telltales = { ...this.telltales, ...phase.telltales };
+    }
+  }
+
+  currentPhase() {
+    return this.scenario.phases[this.phaseIndex];
+  }
+
+  advancePhase(dt) {
+    this.phaseTime += dt;
+    const phase = this.currentPhase();
+    if (this.finished || this.phaseTime < phase.duration) return;
+
+    this.phaseTime -= phase.duration;
+    if (this.phaseIndex + 1 < this.scenario.phases.length) {
+      this.phaseIndex += 1;
+    } else if (this.scenario.loop) {
+      this.phaseIndex = 0;
+    } else {
+      // Hold the last phase once a one-shot scenario ends
+      this.finished = true;
+      return;
+    }
+    this.applyPhase(this.currentPhase());
+  }
+
+  selectGear(phase) {
+    const { shiftUpRpm = 5500, shiftDownRpm = 2500 } = this.scenario;
+    const topGear = this.drivetrain.gearRatios.length;
+
+    if (this.speed < CLUTCH_SPEED) {
+      this.gear = 1;
+      return;
+    }
+    if (phase.holdGear) {
+      this.gear = Math.min(phase.holdGear, topGear);
+      return;
+    }
+    while (this.gear < topGear && this.rpmForSpeed(this.speed, this.gear) > shiftUpRpm) {
+      this.gear += 1;
+    }
+    while (this.gear > 1 && this.rpmForSpeed(this.speed, this.gear) < shiftDownRpm) {
+      this.gear -= 1;
+    }
+  }
+
+  // Advance the simulation by dt seconds and return a telemetry frame
+  step(dt) {
+    const phase = this.currentPhase();
+
+    // Ease towards the phase's target speed
+    const accel = phase.accel || 4;
+    const delta = phase.speed - this.speed;
+    this.speed += Math.sign(delta) * Math.min(Math.abs(delta), accel * dt);
+
+    this.selectGear(phase);
+
+    if (this.speed < CLUTCH_SPEED) {
+      this.rpm = IDLE_RPM;
+    } else {
+      this.rpm = Math.max(IDLE_RPM, this.rpmForSpeed(this.speed, this.gear));
+      // The limiter caps engine speed, and with it road speed in a held gear
+      if (this.rpm > REV_LIMIT) {
+        this.rpm = REV_LIMIT;
+        this.speed = this.speedForRpm(REV_LIMIT, this.gear);
+      }
+    }
+
+    const load = delta > 0 ? phase.load || 1.2 : phase.load || 1;
+    const litresPerHour = IDLE_FUEL_FLOW + RPM_FUEL_FACTOR * (this.rpm / 1000) ** 2 * load;
+    const fuelRateScale = this.scenario.fuelRateScale || 1;
+    const litres = (litresPerHour * fuelRateScale * dt) / 3600;
+    this.fuel = Math.max(0, this.fuel - (litres / TANK_CAPACITY) * 100);
+
+    this.distance += (this.speed * dt) / 3600;
+
+    this.advancePhase(dt);
+
+    return {
+      speed: Math.round(this.speed),
+      gear: this.gear,
+      rpm: Math.round(this.rpm / 10) * 10,
+      fuel: Math.round(this.fuel),
+      ridingMode: this.scenario.ridingMode || 'Road',
+      highBeam: this.telltales.highBeam,
+      hazard: this.telltales.hazard,
+      engineCheck: this.telltales.engineCheck,
+      battery: this.telltales.battery,
+      odometer: Math.floor(this.distance).toString(),
+    };
+  }
+}
+
+export default RideSimulator;
@@ -1,249 +1,468 @@
 import * as Location from 'expo-location';
 import { Accelerometer, Gyroscope, Barometer } from 'expo-sensors';
+import EventEmitter from './EventEmitter';
+import LeanEstimator, { DEFAULT_MOUNT, calibrateMount } from './LeanEstimator';
+import StorageManager from './StorageManager';
+
+// Shared phone sensor hub. Every consumer subscribes to a sensor and gets its
+// own listener; the hardware subscription behind it is opened for the first
+// listener and released with the last, so the GPS fallback, the map and ride
+// logging all share a single location watch. 'lean' is derived from the
+// accelerometer and gyroscope rather than a sensor of its own.
+export const SENSORS = ['location', 'motion', 'orientation', 'pressure', 'lean'];
+
+// Default sampling interval per sensor in ms. A subscriber can ask for its
+// own rate; the sensor runs at the fastest rate any subscriber wants and each
+// listener still only gets readings at the rate it asked for.
+export const DEFAULT_SAMPLING_RATES = {
+  location: 1000,
+  motion: 1000,
+  orientation: 1000,
+  pressure: 5000,
+  lean: 50,
+};
+
+// Standard gravity; expo-sensors reports acceleration in g
+const GRAVITY = 9.81; // m/s²
+// Net acceleration above which the phone counts as moving
+const MOTION_THRESHOLD = 0.2; // g
+// Position-derived speeds above this are GPS jumps, not riding
+const MAX_PLAUSIBLE_SPEED = 300; // km/h
+// GPS speed older than this is not used to correct the lean estimate (ms)
+const LEAN_SPEED_MAX_AGE = 5000;
+// Lean records only count while riding, not leaning on the side stand
+export const LEAN_RECORD_MIN_SPEED = 10; // km/h
+const LEAN_CALIBRATION_TIME = 2000; // ms
+
+const degreesToRadians = (degrees) => degrees * (Math.PI / 180);
+
+// Distance in meters between two coordinates (Haversine formula)
+export const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371000; // Earth's radius in meters
+  const dLat = degreesToRadians(lat2 - lat1);
+  const dLon = degreesToRadians(lon2 - lon1);
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(degreesToRadians(lat1)) *
+    Math.cos(degreesToRadians(lat2)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+};
 
 class YezdiSensorManager {
   constructor() {
-    this.locationSubscription = null;
-    this.accelerometerSubscription = null;
-    this.gyroscopeSubscription = null;
-    this.barometerSubscription = null;
-    this.callbacks = {
-      onLocationUpdate: null,
-      onMotionUpdate: null,
-      onOrientationUpdate: null,
-      onPressureUpdate: null,
-    };
-    this.isInitialized = false;
+    this.events = new EventEmitter();
+    this.samplingRates = { ...DEFAULT_SAMPLING_RATES };
+    // sensor -> Map(listener -> requested interval or null)
+    this.subscribers = {};
+    // sensor -> { remove() } for the open hardware subscription
+    this.subscriptions = {};
+    this.intervals = {};
+    // Bumped whenever the location watch is (re)started or stopped, so a
+    // watch that resolves after it was no longer wanted is dropped
+    this.locationGeneration = 0;
+    this.permissionRequest = null;
     this.lastLocation = null;
     this.lastLocationTime = null;
+    this.leanEstimator = new LeanEstimator();
+    this.leanCalibrated = false;
+    this.leanCalibrationLoaded = false;
+    this.leanRecords = { maxLeft: 0, maxRight: 0 };
+    SENSORS.forEach((sensor) => {
+      this.subscribers[sensor] = new Map();
+    });
   }
 
-  async initialize() {
-    try {
-      const { status } = await Location.requestForegroundPermissionsAsync();
-      if (status !== 'granted') {
-        throw new Error('Location permission denied');
+  // Concurrent callers share one permission prompt
+  async requestLocationPermission() {
+    if (!this.permissionRequest) {
+      this.permissionRequest = Location.requestForegroundPermissionsAsync()
+        .then(({ status }) => status === 'granted')
+        .catch((error) => {
+          console.error('Location permission request failed:', error);
+          return false;
+        })
+        .finally(() => {
+          // Ask again next time if the user said no
+          this.permissionRequest = null;
+        });
+    }
+    return this.permissionRequest;
+  }
+
+  // Subscribe to a sensor. `listener` receives a reading every `interval` ms
+  // (the sensor's default rate if not given). Returns an unsubscribe function.
+  //   'location'    { speed, latitude, longitude, accuracy, altitude, heading, timestamp }
+  //   'motion'      { acceleration, magnitude, motion, rawData, timestamp }
+  //   'orientation' { rotationX, rotationY, rotationZ, rawData, timestamp }
+  //   'pressure'    { pressure, relativeAltitude, timestamp }
+  //   'lean'        { roll, pitch, maxLeft, maxRight, calibrated, timestamp }
+  //                 (degrees; roll is positive leaning right)
+  subscribe(sensor, listener, { interval = null } = {}) {
+    if (!this.subscribers[sensor]) {
+      throw new Error(`Unknown sensor ${sensor}`);
+    }
+
+    this.subscribers[sensor].set(listener, interval);
+
+    let lastDelivered = -Infinity;
+    const unsubscribe = this.events.on(sensor, (reading) => {
+      // Skip readings the sensor produces faster for other subscribers,
+      // allowing some jitter when the rates are the same
+      const wanted = interval || this.samplingRates[sensor];
+      if (reading.timestamp - lastDelivered < wanted * 0.9) return;
+      lastDelivered = reading.timestamp;
+      listener(reading);
+    });
+    this.updateSensor(sensor);
+
+    return () => {
+      if (!this.subscribers[sensor].delete(listener)) return;
+      unsubscribe();
+      this.updateSensor(sensor);
+    };
+  }
+
+  // Change the default sampling interval of a sensor
+  setSamplingRate(sensor, interval) {
+    if (!this.subscribers[sensor]) {
+      throw new Error(`Unknown sensor ${sensor}`);
+    }
+    if (!(interval > 0)) {
+      throw new Error(`Invalid sampling interval ${interval}`);
+    }
+    this.samplingRates[sensor] = interval;
+    this.updateSensor(sensor);
+  }
+
+  // The interval a sensor should run at for its current subscribers
+  effectiveInterval(sensor) {
+    let interval = Infinity;
+    this.subscribers[sensor].forEach((requested) => {
+      interval = Math.min(interval, requested || this.samplingRates[sensor]);
+    });
+    return interval;
+  }
+
+  // Start, retune or stop the hardware subscription to match its subscribers
+  updateSensor(sensor) {
+    if (this.subscribers[sensor].size === 0) {
+      this.stopSensor(sensor);
+      return;
+    }
+
+    const interval = this.effectiveInterval(sensor);
+    if (this.subscriptions[sensor] && this.intervals[sensor] === interval) return;
+
+    this.intervals[sensor] = interval;
+    if (sensor === 'location' || sensor === 'lean') {
+      // Their options are fixed once started, so restart them
+      this.stopSensor(sensor);
+      this.intervals[sensor] = interval;
+      if (sensor === 'location') {
+        this.startLocation(interval);
+      } else {
+        this.startLean(interval);
       }
-      
-      this.isInitialized = true;
-      console.log('SensorManager initialized successfully');
-    } catch (error) {
-      console.error('SensorManager initialization failed:', error);
-      throw error;
+    } else if (this.subscriptions[sensor]) {
+      this.sensorModule(sensor).setUpdateInterval(interval);
+    } else {
+      this.startSensor(sensor, interval);
     }
   }
 
-  // GPS tracking for speed estimation
-  async startGPSTracking(callback) {
-    if (!this.isInitialized) {
-      throw new Error('SensorManager not initialized');
+  sensorModule(sensor) {
+    switch (sensor) {
+      case 'motion': return Accelerometer;
+      case 'orientation': return Gyroscope;
+      case 'pressure': return Barometer;
+      default: return null;
     }
+  }
+
+  async startLocation(interval) {
+    const generation = ++this.locationGeneration;
+    // Placeholder so retunes before the watch resolves don't start a second one
+    this.subscriptions.location = { remove: () => {} };
 
-    this.callbacks.onLocationUpdate = callback;
-    
     try {
-      this.locationSubscription = await Location.watchPositionAsync(
+      const granted = await this.requestLocationPermission();
+      if (generation !== this.locationGeneration) return;
+      if (!granted) {
+        throw new Error('Location permission denied');
+      }
+
+      const subscription = await Location.watchPositionAsync(
         {
           accuracy: Location.Accuracy.BestForNavigation,
-          timeInterval: 1000, // Update every second
-          distanceInterval: 1, // Update every meter
+          timeInterval: interval,
+          distanceInterval: 1,
         },
-        (location) => {
-          const currentTime = Date.now();
-          let estimatedSpeed = 0;
-
-          // Calculate speed if we have previous location
-          if (this.lastLocation && this.lastLocationTime) {
-            const distance = this.calculateDistance(
-              this.lastLocation.coords.latitude,
-              this.lastLocation.coords.longitude,
-              location.coords.latitude,
-              location.coords.longitude
-            );
-
-            const timeDiff = (currentTime - this.lastLocationTime) / 1000; // seconds
-            estimatedSpeed = (distance / timeDiff) * 3.6; // Convert m/s to km/h
-
-            // Validate speed (ignore unrealistic values)
-            if (estimatedSpeed < 0 || estimatedSpeed > 300) {
-              estimatedSpeed = 0;
-            }
-          }
-
-          const locationData = {
-            speed: Math.round(estimatedSpeed),
-            latitude: location.coords.latitude,
-            longitude: location.coords.longitude,
-            accuracy: location.coords.accuracy,
-            altitude: location.coords.altitude,
-            heading: location.coords.heading,
-            timestamp: currentTime,
-          };
-
-          this.lastLocation = location;
-          this.lastLocationTime = currentTime;
-
-          callback(locationData);
-        }
+        (location) => this.handleLocation(location)
       );
 
-      console.log('GPS tracking started');
+      if (generation !== this.locationGeneration) {
+        subscription.remove();
+        return;
+      }
+      this.subscriptions.location = subscription;
+      console.log(`GPS tracking started (${interval} ms)`);
     } catch (error) {
+      if (generation === this.locationGeneration) {
+        delete this.subscriptions.location;
+        delete this.intervals.location;
+      }
       console.error('Failed to start GPS tracking:', error);
-      throw error;
+      this.events.emit('error', 'location', error);
     }
   }
 
-  // Motion tracking using accelerometer
-  startMotionTracking(callback) {
-    this.callbacks.onMotionUpdate = callback;
-
-    Accelerometer.setUpdateInterval(1000); // Update every second
-
-    this.accelerometerSubscription = Accelerometer.addListener(({ x, y, z }) => {
-      const magnitude = Math.sqrt(x * x + y * y + z * z);
-      const isMoving = magnitude > 1.2; // Threshold for detecting motion
-      
-      // Calculate approximate acceleration (subtract gravity)
-      const netAcceleration = Math.abs(magnitude - 9.81);
-      
-      const motionData = {
-        acceleration: netAcceleration,
-        magnitude: magnitude,
-        motion: isMoving,
-        rawData: { x, y, z },
-        timestamp: Date.now(),
-      };
+  handleLocation(location) {
+    const timestamp = location.timestamp || Date.now();
+    let speed = 0;
+
+    // Prefer the receiver's own speed; derive it from the last fix otherwise
+    if (location.coords.speed !== null && location.coords.speed >= 0) {
+      speed = location.coords.speed * 3.6;
+    } else if (this.lastLocation && timestamp > this.lastLocationTime) {
+      const distance = calculateDistance(
+        this.lastLocation.coords.latitude,
+        this.lastLocation.coords.longitude,
+        location.coords.latitude,
+        location.coords.longitude
+      );
+      speed = (distance / ((timestamp - this.lastLocationTime) / 1000)) * 3.6; // km/h
+    }
+    if (!(speed >= 0 && speed <= MAX_PLAUSIBLE_SPEED)) {
+      speed = 0;
+    }
 
-      callback(motionData);
+    this.lastLocation = location;
+    this.lastLocationTime = timestamp;
+
+    this.events.emit('location', {
+      speed,
+      latitude: location.coords.latitude,
+      longitude: location.coords.longitude,
+      accuracy: location.coords.accuracy,
+      altitude: location.coords.altitude,
+      heading: location.coords.heading,
+      timestamp,
     });
-
-    console.log('Motion tracking started');
   }
 
-  // Orientation tracking using gyroscope
-  startOrientationTracking(callback) {
-    this.callbacks.onOrientationUpdate = callback;
+  startSensor(sensor, interval) {
+    const hardware = this.sensorModule(sensor);
+
+    if (sensor === 'pressure') {
+      // Placeholder while checking availability, as for location
+      this.subscriptions.pressure = { remove: () => {} };
+      Barometer.isAvailableAsync().then((available) => {
+        if (!this.subscriptions.pressure || this.subscribers.pressure.size === 0) return;
+        if (!available) {
+          console.log('Barometer not available on this device');
+          return;
+        }
+        Barometer.setUpdateInterval(this.intervals.pressure);
+        this.subscriptions.pressure = Barometer.addListener((reading) => this.handleReading('pressure', reading));
+        console.log('Pressure tracking started');
+      });
+      return;
+    }
+
+    try {
+      hardware.setUpdateInterval(interval);
+      this.subscriptions[sensor] = hardware.addListener((reading) => this.handleReading(sensor, reading));
+      console.log(`${sensor} tracking started (${interval} ms)`);
+    } catch (error) {
+      console.error(`Failed to start ${sensor} tracking:`, error);
+      this.events.emit('error', sensor, error);
+    }
+  }
 
-    Gyroscope.setUpdateInterval(1000);
+  handleReading(sensor, reading) {
+    const timestamp = Date.now();
 
-    this.gyroscopeSubscription = Gyroscope.addListener(({ x, y, z }) => {
+    if (sensor === 'motion') {
+      const { x, y, z } = reading;
+      const magnitude = Math.sqrt(x * x + y * y + z * z);
+      const netAcceleration = Math.abs(magnitude - 1);
+      this.events.emit('motion', {
+        acceleration: netAcceleration * GRAVITY, // m/s²
+        magnitude,
+        motion: netAcceleration > MOTION_THRESHOLD,
+        rawData: { x, y, z },
+        timestamp,
+      });
+    } else if (sensor === 'orientation') {
+      const { x, y, z } = reading;
       // Convert rad/s to degrees/s
-      const orientationData = {
+      this.events.emit('orientation', {
         rotationX: x * (180 / Math.PI),
         rotationY: y * (180 / Math.PI),
         rotationZ: z * (180 / Math.PI),
-        timestamp: Date.now(),
-      };
-
-      callback(orientationData);
-    });
-
-    console.log('Orientation tracking started');
+        rawData: { x, y, z },
+        timestamp,
+      });
+    } else if (sensor === 'pressure') {
+      this.events.emit('pressure', {
+        pressure: reading.pressure, // hPa
+        relativeAltitude: reading.relativeAltitude, // meters
+        timestamp,
+      });
+    }
   }
 
-  // Pressure tracking using barometer (if available)
-  startPressureTracking(callback) {
-    this.callbacks.onPressureUpdate = callback;
-
-    // Check if barometer is available
-    Barometer.isAvailableAsync().then((available) => {
-      if (available) {
-        Barometer.setUpdateInterval(5000); // Update every 5 seconds
-
-        this.barometerSubscription = Barometer.addListener(({ pressure, relativeAltitude }) => {
-          const pressureData = {
-            pressure: pressure, // hPa
-            relativeAltitude: relativeAltitude, // meters
-            timestamp: Date.now(),
-          };
+  // Feed the lean filter from this hub's own motion, orientation and
+  // location subscriptions
+  startLean(interval) {
+    this.loadLeanCalibration();
+    this.leanEstimator.reset();
+
+    let accel = null;
+    let speed = null;
+    let speedTime = 0;
+    const unsubscribers = [
+      this.subscribe('motion', (motion) => {
+        accel = motion.rawData;
+      }, { interval }),
+      this.subscribe('orientation', (orientation) => {
+        if (!accel) return;
+        const recentSpeed = orientation.timestamp - speedTime <= LEAN_SPEED_MAX_AGE ? speed : null;
+        this.handleLean(accel, orientation.rawData, recentSpeed, orientation.timestamp);
+      }, { interval }),
+      this.subscribe('location', (location) => {
+        speed = location.speed;
+        speedTime = Date.now();
+      }),
+    ];
+
+    this.subscriptions.lean = { remove: () => unsubscribers.forEach((unsubscribe) => unsubscribe()) };
+  }
 
-          callback(pressureData);
-        });
+  handleLean(accel, gyro, speed, timestamp) {
+    const { roll, pitch } = this.leanEstimator.update(accel, gyro, speed, timestamp);
 
-        console.log('Pressure tracking started');
+    if (speed !== null && speed >= LEAN_RECORD_MIN_SPEED) {
+      if (roll < 0) {
+        this.leanRecords.maxLeft = Math.max(this.leanRecords.maxLeft, -roll);
       } else {
-        console.log('Barometer not available on this device');
+        this.leanRecords.maxRight = Math.max(this.leanRecords.maxRight, roll);
       }
+    }
+
+    this.events.emit('lean', {
+      roll,
+      pitch,
+      ...this.leanRecords,
+      calibrated: this.leanCalibrated,
+      timestamp,
     });
   }
 
-  // Calculate distance between two coordinates (Haversine formula)
-  calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371000; // Earth's radius in meters
-    const dLat = this.degreesToRadians(lat2 - lat1);
-    const dLon = this.degreesToRadians(lon2 - lon1);
-    
-    const a = 
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos(this.degreesToRadians(lat1)) * 
-      Math.cos(this.degreesToRadians(lat2)) * 
-      Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c; // Distance in meters
+  // Degrees between the calibrated upright and an accelerometer reading
+  tiltFromUpright(accel) {
+    return this.leanEstimator.tiltAngle(accel);
   }
 
-  degreesToRadians(degrees) {
-    return degrees * (Math.PI / 180);
+  // Max lean each way since the last reset
+  getLeanRecords() {
+    return { ...this.leanRecords };
   }
 
-  // Stop all tracking
-  stopAllTracking() {
-    this.stopGPSTracking();
-    this.stopMotionTracking();
-    this.stopOrientationTracking();
-    this.stopPressureTracking();
+  resetLeanRecords() {
+    this.leanRecords = { maxLeft: 0, maxRight: 0 };
   }
 
-  // Stop GPS tracking
-  stopGPSTracking() {
-    if (this.locationSubscription) {
-      this.locationSubscription.remove();
-      this.locationSubscription = null;
-      console.log('GPS tracking stopped');
+  async loadLeanCalibration() {
+    if (this.leanCalibrationLoaded) return;
+    this.leanCalibrationLoaded = true;
+
+    const saved = await StorageManager.getLeanCalibration();
+    // A calibration made while loading wins over the stored one
+    if (saved && !this.leanCalibrated) {
+      this.leanEstimator.setMount({ up: saved.up, forward: saved.forward, right: saved.right });
+      this.leanCalibrated = true;
     }
   }
 
-  // Stop motion tracking
-  stopMotionTracking() {
-    if (this.accelerometerSubscription) {
-      this.accelerometerSubscription.remove();
-      this.accelerometerSubscription = null;
-      console.log('Motion tracking stopped');
-    }
+  // Learn how the phone is mounted. The bike must stand upright and still
+  // while the accelerometer is sampled.
+  async calibrateLean(duration = LEAN_CALIBRATION_TIME) {
+    const samples = [];
+    const unsubscribe = this.subscribe('motion', (motion) => samples.push(motion.rawData), { interval: 20 });
+    await new Promise((resolve) => setTimeout(resolve, duration));
+    unsubscribe();
+
+    const mount = calibrateMount(samples);
+    this.leanEstimator.setMount(mount);
+    this.leanCalibrated = true;
+    this.leanCalibrationLoaded = true;
+    await StorageManager.saveLeanCalibration(mount);
+    console.log('Lean angle calibrated');
+    return mount;
   }
 
-  // Stop orientation tracking
-  stopOrientationTracking() {
-    if (this.gyroscopeSubscription) {
-      this.gyroscopeSubscription.remove();
-      this.gyroscopeSubscription = null;
-      console.log('Orientation tracking stopped');
-    }
+  async clearLeanCalibration() {
+    this.leanEstimator.setMount(DEFAULT_MOUNT);
+    this.leanCalibrated = false;
+    await StorageManager.clearLeanCalibration();
   }
 
-  // Stop pressure tracking
-  stopPressureTracking() {
-    if (this.barometerSubscription) {
-      this.barometerSubscription.remove();
-      this.barometerSubscription = null;
-      console.log('Pressure tracking stopped');
+  stopSensor(sensor) {
+    if (sensor === 'location') {
+      this.locationGeneration += 1;
+      this.lastLocation = null;
+      this.lastLocationTime = null;
+    }
+
+    if (this.subscriptions[sensor]) {
+      this.subscriptions[sensor].remove();
+      delete this.subscriptions[sensor];
+      delete this.intervals[sensor];
+      console.log(`${sensor} tracking stopped`);
     }
   }
 
+  // Listen for sensors that fail to start: (sensor, error)
+  onError(listener) {
+    return this.events.on('error', listener);
+  }
+
+  // Drop every subscriber and release all sensors
+  stopAllTracking() {
+    SENSORS.forEach((sensor) => {
+      this.subscribers[sensor].clear();
+      this.events.removeAllListeners(sensor);
+      this.stopSensor(sensor);
+    });
+  }
+
+  // Active sensors with their subscriber count and interval, for debugging
+  getActiveSensors() {
+    return SENSORS
+      .filter((sensor) => this.subscribers[sensor].size > 0)
+      .map((sensor) => ({
+        sensor,
+        subscribers: this.subscribers[sensor].size,
+        interval: this.intervals[sensor] || null,
+      }));
+  }
+
   // Get sensor availability status
   async getSensorStatus() {
     try {
       const locationStatus = await Location.getForegroundPermissionsAsync();
       const barometerAvailable = await Barometer.isAvailableAsync();
-      
+
       return {
         location: locationStatus.status === 'granted',
         accelerometer: true, // Usually available on all devices
         gyroscope: true, // Usually available on all devices
         barometer: barometerAvailable,
-        initialized: this.isInitialized,
       };
     } catch (error) {
       console.error('Error checking sensor status:', error);
@@ -252,7 +471,6 @@ class YezdiSensorManager {
         accelerometer: false,
         gyroscope: false,
         barometer: false,
-        initialized: false,
       };
     }
   }
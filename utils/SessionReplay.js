@@ -0,0 +1,280 @@
+import * as FileSystem from 'expo-file-system';
+import { Buffer } from 'buffer';
+import BleManager from './BleManager';
+import EventEmitter from './EventEmitter';
+
+const CAPTURE_PREFIX = 'yezdi_capture_';
+const LOG_PREFIX = 'yezdi_ble_logs_';
+// Spacing for log lines that carry no timestamp
+const DEFAULT_FRAME_INTERVAL = 100; // ms
+export const REPLAY_SPEEDS = [0.5, 1, 2, 5, 10];
+
+// Exported debug log line: "<ISO timestamp>: [INFO] Received BLE data: <hex>"
+// (the timestamp prefix is optional so copied console output also works)
+const LOG_FRAME_PATTERN = /^(?:(\S+): )?\[\w+\] Received BLE data: ([0-9a-f]*)\s*$/i;
+
+const parseCapture = (lines) => {
+  const frames = [];
+  const markers = [];
+  let header = null;
+
+  lines.forEach((line) => {
+    const entry = JSON.parse(line);
+    if (entry.type === 'header') {
+      header = entry;
+    } else if (entry.type === 'frame' && entry.hex) {
+      frames.push(entry);
+    } else if (entry.type === 'marker') {
+      markers.push(entry);
+    }
+  });
+
+  const startedAt = header ? Date.parse(header.startedAt) : Date.now();
+  return { format: 'capture', frames, markers, startedAt };
+};
+
+const parseLog = (lines) => {
+  const frames = [];
+  let first = null;
+
+  lines.forEach((line) => {
+    const match = line.match(LOG_FRAME_PATTERN);
+    if (!match || match[2].length === 0 || match[2].length % 2 !== 0) return;
+
+    const parsedTime = match[1] ? Date.parse(match[1]) : NaN;
+    let t = frames.length * DEFAULT_FRAME_INTERVAL;
+    if (!isNaN(parsedTime)) {
+      if (first === null) first = parsedTime;
+      t = parsedTime - first;
+    }
+
+    frames.push({ t, hex: match[2].toLowerCase(), serviceUUID: null, charUUID: null, role: 'telemetry' });
+  });
+
+  return { format: 'log', frames, markers: [], startedAt: first !== null ? first : Date.now() };
+};
+
+// Parse a frame capture (JSON lines) or an exported debug log into
+// { format, frames: [{ t, hex, serviceUUID, charUUID, role }], markers, startedAt }
+export const parseSession = (text) => {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim().length > 0);
+  if (lines.length === 0) {
+    throw new Error('Session file is empty');
+  }
+
+  const session = lines[0].trim().startsWith('{') ? parseCapture(lines) : parseLog(lines);
+  if (session.frames.length === 0) {
+    throw new Error('No BLE frames found in session file');
+  }
+  return session;
+};
+
+// Text of a debug log, or of a capture directory's chunk files in order
+export const readSessionText = async (uri) => {
+  const info = await FileSystem.getInfoAsync(uri);
+  if (!info.isDirectory) {
+    return await FileSystem.readAsStringAsync(uri);
+  }
+
+  const directory = uri.endsWith('/') ? uri : `${uri}/`;
+  const names = (await FileSystem.readDirectoryAsync(directory))
+    .filter((name) => name.endsWith('.jsonl'))
+    .sort();
+  const chunks = [];
+  for (const name of names) {
+    chunks.push(await FileSystem.readAsStringAsync(`${directory}${name}`));
+  }
+  return chunks.join('');
+};
+
+// Name of a debug log or capture directory
+export const sessionName = (uri) => uri.split('/').filter(Boolean).pop();
+
+class YezdiSessionReplay {
+  constructor() {
+    this.events = new EventEmitter();
+    this.session = null;
+    this.name = null;
+    this.position = 0;
+    this.playing = false;
+    this.speed = 1;
+    this.timer = null;
+    this.lastMarker = null;
+    this.markerIndex = 0;
+  }
+
+  // Subscribe to replay events. Returns an unsubscribe function.
+  //   'state'  (status) - any change in playback
+  //   'marker' (marker) - playback passed a capture marker
+  on(event, listener) {
+    return this.events.on(event, listener);
+  }
+
+  getStatus() {
+    const frames = this.session ? this.session.frames : [];
+
+    return {
+      loaded: !!this.session,
+      name: this.name,
+      format: this.session ? this.session.format : null,
+      active: BleManager.replayActive,
+      playing: this.playing,
+      speed: this.speed,
+      position: this.position,
+      total: frames.length,
+      elapsed: this.position > 0 ? frames[this.position - 1].t : 0,
+      duration: frames.length > 0 ? frames[frames.length - 1].t : 0,
+      lastMarker: this.lastMarker,
+    };
+  }
+
+  emitState() {
+    this.events.emit('state', this.getStatus());
+  }
+
+  // Recorded captures and exported logs in the document directory, newest first
+  async listSessions() {
+    const files = await FileSystem.readDirectoryAsync(FileSystem.documentDirectory);
+    return files
+      // Capture directories and debug logs, not the pcapng exports beside them
+      .filter((name) =>
+        (name.startsWith(CAPTURE_PREFIX) && !name.includes('.')) ||
+        (name.startsWith(LOG_PREFIX) && name.endsWith('.txt'))
+      )
+      .sort()
+      .reverse()
+      .map((name) => ({ name, uri: `${FileSystem.documentDirectory}${name}` }));
+  }
+
+  async load(uri) {
+    const text = await readSessionText(uri);
+    return this.loadText(text, sessionName(uri));
+  }
+
+  loadText(text, name = 'session') {
+    const session = parseSession(text);
+    this.stop();
+    this.session = session;
+    this.name = name;
+    BleManager.log('INFO', `Loaded ${session.frames.length} frame ${session.format} session ${name}`);
+    this.emitState();
+    return this.getStatus();
+  }
+
+  setSpeed(speed) {
+    if (!(speed > 0)) {
+      throw new Error(`Invalid replay speed ${speed}`);
+    }
+    this.speed = speed;
+    // Re-time the pending frame at the new speed
+    if (this.playing) {
+      this.scheduleNext();
+    }
+    this.emitState();
+  }
+
+  play() {
+    if (!this.session || this.playing) return;
+    if (this.position >= this.session.frames.length) {
+      this.rewind();
+    }
+
+    BleManager.beginReplay();
+    this.playing = true;
+    this.scheduleNext();
+    this.emitState();
+  }
+
+  pause() {
+    this.clearTimer();
+    this.playing = false;
+    this.emitState();
+  }
+
+  // Advance exactly one frame, pausing playback
+  step() {
+    if (!this.session) return;
+    this.clearTimer();
+    this.playing = false;
+
+    if (this.position >= this.session.frames.length) {
+      this.emitState();
+      return;
+    }
+    BleManager.beginReplay();
+    this.deliver(this.session.frames[this.position]);
+    this.position += 1;
+    this.emitState();
+  }
+
+  // Stop playback and give the dashboard back to live data
+  stop() {
+    this.clearTimer();
+    this.playing = false;
+    this.position = 0;
+    this.lastMarker = null;
+    this.markerIndex = 0;
+    BleManager.endReplay();
+    this.emitState();
+  }
+
+  rewind() {
+    this.position = 0;
+    this.lastMarker = null;
+    this.markerIndex = 0;
+    // Replays must start from clean trips, as the ride did
+    BleManager.restartReplay();
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  scheduleNext() {
+    this.clearTimer();
+    const frames = this.session.frames;
+    if (this.position >= frames.length) {
+      this.playing = false;
+      BleManager.log('INFO', `Replay of ${this.name} finished`);
+      this.emitState();
+      return;
+    }
+
+    const previous = frames[this.position - 1];
+    const gap = previous ? frames[this.position].t - previous.t : 0;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.deliver(frames[this.position]);
+      this.position += 1;
+      this.emitState();
+      this.scheduleNext();
+    }, Math.max(0, gap / this.speed));
+  }
+
+  // Feed one recorded frame through the normal parsing path, stamped with its
+  // original time so trip integration matches the ride at any playback speed
+  deliver(frame) {
+    const markers = this.session.markers;
+    while (this.markerIndex < markers.length && markers[this.markerIndex].t <= frame.t) {
+      this.lastMarker = markers[this.markerIndex];
+      this.markerIndex += 1;
+      this.events.emit('marker', this.lastMarker);
+    }
+
+    BleManager.parseIncomingData(
+      Buffer.from(frame.hex, 'hex').toString('base64'),
+      frame.charUUID || null,
+      frame.role || 'telemetry',
+      frame.serviceUUID || null,
+      this.session.startedAt + frame.t
+    );
+  }
+}
+
+// Create singleton instance
+const SessionReplay = new YezdiSessionReplay();
+
+export default SessionReplay;
@@ -0,0 +1,233 @@
+import StorageManager from './StorageManager';
+import EventEmitter from './EventEmitter';
+import { SCENARIOS, DEFAULT_SCENARIO } from './RideSimulator';
+import { parseStaleTimeouts } from './DataFreshness';
+
+// Every user setting, with its type, default and any extra check. Settings
+// are kept as one versioned record through StorageManager:
+//   { version, values: { key: value } }
+// Values that fail validation are never stored, so consumers can use them
+// without re-checking.
+export const SETTINGS_VERSION = 1;
+
+const hexColor = (value) => (/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(value) ? null : 'expected a colour like #00FFFF');
+
+const positive = (value) => (value > 0 ? null : 'must be greater than zero');
+
+const oneOf = (values) => (value) => (values.includes(value) ? null : `expected one of ${values.join(', ')}`);
+
+const parses = (parse) => (value) => {
+  if (value.trim() === '') return null;
+  try {
+    parse(value);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+const jsonObject = (text) => {
+  const parsed = JSON.parse(text);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('expected a JSON object');
+  }
+  return parsed;
+};
+
+const numberList = (text) => text.split(',').forEach((part) => {
+  if (!(parseFloat(part) > 0)) throw new Error(`"${part.trim()}" is not a positive number`);
+});
+
+export const SETTINGS_SCHEMA = {
+  // Dashboard
+  accentColor: { type: 'string', default: '#00FFFF', validate: hexColor },
+  warningBlinkEnabled: { type: 'boolean', default: true },
+  leanWidgetEnabled: { type: 'boolean', default: true },
+  staleTimeouts: { type: 'string', default: '', validate: parses(parseStaleTimeouts) },
+  // Data sources
+  sensorFallbackEnabled: { type: 'boolean', default: true },
+  cachedDataEnabled: { type: 'boolean', default: true },
+  manualInputEnabled: { type: 'boolean', default: false },
+  mockDataEnabled: { type: 'boolean', default: false },
+  mockScenario: { type: 'string', default: DEFAULT_SCENARIO, validate: oneOf(Object.keys(SCENARIOS)) },
+  mockGearRatios: { type: 'string', default: '', validate: parses(numberList) },
+  replayEnabled: { type: 'boolean', default: false },
+  debugMode: { type: 'boolean', default: false },
+  // Speedometer calibration
+  speedCalibrationEnabled: { type: 'boolean', default: false },
+  speedCalibrationSpeedDependent: { type: 'boolean', default: false },
+  trueSpeedEnabled: { type: 'boolean', default: false },
+  correctedTripsEnabled: { type: 'boolean', default: false },
+  // Ride recording
+  rideRecordingEnabled: { type: 'boolean', default: true },
+  // Custom BLE
+  customServiceUUID: { type: 'string', default: '' },
+  customCharUUID: { type: 'string', default: '' },
+  characteristicRoles: { type: 'string', default: '', validate: parses(jsonObject) },
+  authKey: { type: 'string', default: 'YEZDI_AUTH_DEFAULT' },
+  authChallengeCharUUID: { type: 'string', default: '' },
+  authResponseCharUUID: { type: 'string', default: '' },
+  authResultCharUUID: { type: 'string', default: '' },
+  allowBroadcastAuth: { type: 'boolean', default: false },
+  // Safety
+  crashDetectionEnabled: { type: 'boolean', default: false },
+  crashImpactThreshold: { type: 'number', default: 4, validate: positive }, // g
+  crashTiltAngle: { type: 'number', default: 60, validate: positive }, // degrees from upright
+  crashCountdown: { type: 'number', default: 30, validate: positive }, // seconds
+  emergencyContacts: { type: 'string', default: '' },
+  crashAlertAction: { type: 'string', default: 'sms', validate: oneOf(['sms', 'call']) },
+  crashTestMode: { type: 'boolean', default: false },
+  // Navigation
+  mapViewEnabled: { type: 'boolean', default: false },
+  fullNavigationEnabled: { type: 'boolean', default: false },
+  navigationAutoStart: { type: 'boolean', default: false },
+};
+
+export const DEFAULT_SETTINGS = Object.fromEntries(
+  Object.entries(SETTINGS_SCHEMA).map(([key, { default: value }]) => [key, value])
+);
+
+// Before the settings record, each setting had its own storage key, holding
+// a raw string for text settings and JSON for the rest. The copies of some
+// settings under other keys are retired by StorageManager.
+const parseLegacyValue = (type, raw) => {
+  if (type === 'string') return raw;
+  if (type === 'number') return parseFloat(raw);
+  return JSON.parse(raw);
+};
+
+// Rename the settings in `changes` that appear in `keys` ({ settingsKey:
+// field }), e.g. for a module's configure(). Settings not in `changes` are left out.
+export const mapSettings = (changes, keys) => {
+  const mapped = {};
+  Object.entries(keys).forEach(([key, field]) => {
+    if (changes[key] !== undefined) mapped[field] = changes[key];
+  });
+  return mapped;
+};
+
+export class YezdiSettingsStore {
+  constructor() {
+    this.events = new EventEmitter();
+    this.values = { ...DEFAULT_SETTINGS };
+    this.loadPromise = null;
+    this.savePromise = Promise.resolve();
+  }
+
+  // Subscribe to settings events. Returns an unsubscribe function.
+  //   'change' (changes, settings) - values that changed, and all settings
+  on(event, listener) {
+    return this.events.on(event, listener);
+  }
+
+  // Why a value is not acceptable for a setting, or null if it is
+  validate(key, value) {
+    const schema = SETTINGS_SCHEMA[key];
+    if (!schema) return 'unknown setting';
+    if (typeof value !== schema.type || (schema.type === 'number' && !Number.isFinite(value))) {
+      return `expected a ${schema.type}`;
+    }
+    return schema.validate ? schema.validate(value) : null;
+  }
+
+  get(key) {
+    return this.values[key];
+  }
+
+  getAll() {
+    return this.values;
+  }
+
+  // Read stored settings. Safe to call more than once; later calls share the first load.
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.runLoad().catch((error) => {
+        console.error('Error loading settings:', error);
+      });
+    }
+    return this.loadPromise;
+  }
+
+  async runLoad() {
+    const stored = await StorageManager.getSettings(null);
+    const legacy = !stored || !stored.values;
+    const values = legacy ? await this.importLegacySettings() : stored.values;
+
+    const loaded = {};
+    Object.entries(values).forEach(([key, value]) => {
+      const problem = this.validate(key, value);
+      if (problem) {
+        console.warn(`Ignoring stored setting ${key}: ${problem}`);
+      } else {
+        loaded[key] = value;
+      }
+    });
+
+    this.values = { ...DEFAULT_SETTINGS, ...loaded };
+    if (legacy) {
+      await this.save();
+      await StorageManager.removeItems(Object.keys(SETTINGS_SCHEMA));
+    }
+    this.events.emit('change', this.values, this.values);
+  }
+
+  async importLegacySettings() {
+    const raw = await StorageManager.getRawItems(Object.keys(SETTINGS_SCHEMA));
+    const values = {};
+    Object.entries(raw).forEach(([key, text]) => {
+      try {
+        values[key] = parseLegacyValue(SETTINGS_SCHEMA[key].type, text);
+      } catch (error) {
+        console.warn(`Ignoring unreadable setting ${key}: ${error.message}`);
+      }
+    });
+    return values;
+  }
+
+  // Writes are chained so an older snapshot never lands after a newer one;
+  // a failed write does not hold up the next
+  save() {
+    const record = { version: SETTINGS_VERSION, values: this.values };
+    this.savePromise = this.savePromise
+      .catch(() => {})
+      .then(() => StorageManager.saveSettings(record))
+      .then((saved) => {
+        if (!saved) throw new Error('Settings could not be saved');
+      });
+    return this.savePromise;
+  }
+
+  // Validate, store and announce several settings at once. Nothing is
+  // changed if any value is invalid.
+  async update(changes) {
+    Object.entries(changes).forEach(([key, value]) => {
+      const problem = this.validate(key, value);
+      if (problem) {
+        throw new Error(`Invalid ${key}: ${problem}`);
+      }
+    });
+
+    const changed = {};
+    Object.entries(changes).forEach(([key, value]) => {
+      if (!Object.is(this.values[key], value)) changed[key] = value;
+    });
+    if (Object.keys(changed).length === 0) return;
+
+    this.values = { ...this.values, ...changed };
+    this.events.emit('change', changed, this.values);
+    await this.save();
+  }
+
+  async set(key, value) {
+    await this.update({ [key]: value });
+  }
+
+  async reset() {
+    await this.update(DEFAULT_SETTINGS);
+  }
+}
+
+// Create singleton instance
+const SettingsStore = new YezdiSettingsStore();
+
+export default SettingsStore;
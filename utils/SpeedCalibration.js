@@ -0,0 +1,292 @@
+import BleManager from './BleManager';
+import SensorManager from './SensorManager';
+import StorageManager from './StorageManager';
+import SettingsStore, { mapSettings } from './SettingsStore';
+import TripComputer from './TripComputer';
+import EventEmitter from './EventEmitter';
+
+// Speedometer calibration. Motorcycle speedometers read high; while riding
+// steadily with a good GPS fix, bike-reported speed is paired with GPS speed
+// and a correction is fitted: true = factor × bike, or with enough spread in
+// speeds, true = slope × bike + offset. Only running sums are stored, per
+// bike, so collection carries on across rides.
+
+// Pairs are only taken when GPS is this accurate...
+const MAX_GPS_ACCURACY = 10; // m
+// ...above this speed, where the relative error of GPS speed is small...
+const MIN_SPEED = 20; // km/h
+// ...and while bike speed stays within this band for the steady window
+const STEADY_WINDOW = 3000; // ms
+const STEADY_TOLERANCE = 2; // km/h
+// A bike sample this close to the GPS fix counts as simultaneous
+const PAIR_WINDOW = 1000; // ms
+// Readings further apart than this are a glitch (tunnel, wheelspin), not error
+const MAX_DISAGREEMENT = 0.25;
+
+// Pairs needed before the correction is used, and for full progress
+export const MIN_CALIBRATION_SAMPLES = 30;
+export const TARGET_CALIBRATION_SAMPLES = 300;
+// A speed-dependent fit needs this many pairs spread over this range
+const MIN_LINEAR_SAMPLES = 60;
+const MIN_LINEAR_RANGE = 30; // km/h
+// Persist the running sums every this many new pairs
+const SAVE_EVERY = 10;
+
+// Settings mirrored from SettingsStore, by settings key
+export const SPEED_CALIBRATION_SETTING_KEYS = {
+  speedCalibrationEnabled: 'collecting',
+  speedCalibrationSpeedDependent: 'speedDependent',
+  trueSpeedEnabled: 'trueSpeed',
+  correctedTripsEnabled: 'correctedTrips',
+};
+
+const emptyStats = () => ({
+  n: 0,
+  sumBike: 0,
+  sumGps: 0,
+  sumBikeSq: 0,
+  sumProduct: 0,
+  sumGpsSq: 0,
+  minBike: Infinity,
+  maxBike: -Infinity,
+});
+
+// Fit a correction to running sums. Returns null until there are enough pairs.
+//   { model: 'factor' | 'linear', factor, slope, offset, standardError, confidence }
+// `factor` is always the best single ratio, used for distances.
+export const fitCalibration = (stats, speedDependent = false) => {
+  const { n, sumBike, sumGps, sumBikeSq, sumProduct, sumGpsSq } = stats;
+  if (n < MIN_CALIBRATION_SAMPLES || sumBikeSq <= 0) return null;
+
+  // Least squares through the origin
+  const factor = sumProduct / sumBikeSq;
+  const residual = Math.max(0, sumGpsSq - 2 * factor * sumProduct + factor * factor * sumBikeSq);
+  const standardError = Math.sqrt(residual / (n - 1) / sumBikeSq);
+  const relativeError = standardError / factor;
+
+  let confidence = 'low';
+  if (relativeError < 0.002 && n >= TARGET_CALIBRATION_SAMPLES / 2) confidence = 'high';
+  else if (relativeError < 0.005) confidence = 'medium';
+
+  const fit = { model: 'factor', factor, slope: factor, offset: 0, standardError, confidence };
+
+  const denominator = n * sumBikeSq - sumBike * sumBike;
+  if (speedDependent && n >= MIN_LINEAR_SAMPLES && stats.maxBike - stats.minBike >= MIN_LINEAR_RANGE && denominator > 0) {
+    fit.model = 'linear';
+    fit.slope = (n * sumProduct - sumBike * sumGps) / denominator;
+    fit.offset = (sumGps - fit.slope * sumBike) / n;
+  }
+  return fit;
+};
+
+export class YezdiSpeedCalibration {
+  constructor() {
+    this.events = new EventEmitter();
+    this.settings = {
+      collecting: false,
+      speedDependent: false,
+      trueSpeed: false,
+      correctedTrips: false,
+    };
+    this.profiles = {}; // bikeId -> { stats, updatedAt }
+    this.bikeId = null;
+    this.stats = emptyStats();
+    this.fit = null;
+    this.bikeSamples = []; // [{ t, speed }] within the steady window
+    this.lastBikeUpdate = null;
+    this.unsaved = 0;
+    this.unsubscribers = [];
+    this.connectionUnsubscribe = null;
+    this.settingsUnsubscribe = null;
+    this.loaded = false;
+  }
+
+  // Subscribe to calibration events. Returns an unsubscribe function.
+  //   'state' (status) - new pair, new fit or settings change
+  on(event, listener) {
+    return this.events.on(event, listener);
+  }
+
+  getStatus() {
+    return {
+      ...this.settings,
+      bikeId: this.bikeId,
+      samples: this.stats.n,
+      progress: Math.min(1, this.stats.n / TARGET_CALIBRATION_SAMPLES),
+      speedRange: this.stats.n > 0 ? [this.stats.minBike, this.stats.maxBike] : null,
+      fit: this.fit,
+    };
+  }
+
+  emitState() {
+    this.events.emit('state', this.getStatus());
+  }
+
+  async loadSettings() {
+    try {
+      await SettingsStore.load();
+      this.profiles = (await StorageManager.getSpeedCalibration()) || {};
+      this.loaded = true;
+      this.selectBike(BleManager.lastDeviceId);
+
+      // Each bike keeps its own calibration
+      if (!this.connectionUnsubscribe) {
+        this.connectionUnsubscribe = BleManager.on('connection', (connected, device) => {
+          if (connected && device) this.selectBike(device.id);
+        });
+      }
+
+      this.configure(mapSettings(SettingsStore.getAll(), SPEED_CALIBRATION_SETTING_KEYS));
+      if (!this.settingsUnsubscribe) {
+        this.settingsUnsubscribe = SettingsStore.on('change', (changes) => {
+          const settings = mapSettings(changes, SPEED_CALIBRATION_SETTING_KEYS);
+          if (Object.keys(settings).length > 0) this.configure(settings);
+        });
+      }
+    } catch (error) {
+      console.error('Error loading speed calibration:', error);
+    }
+  }
+
+  configure(settings) {
+    Object.keys(this.settings).forEach((key) => {
+      if (settings[key] !== undefined) this.settings[key] = !!settings[key];
+    });
+
+    if (this.settings.collecting && this.unsubscribers.length === 0) {
+      this.startCollecting();
+    } else if (!this.settings.collecting && this.unsubscribers.length > 0) {
+      this.stopCollecting();
+    }
+
+    this.refit();
+  }
+
+  selectBike(bikeId) {
+    const id = bikeId || 'default';
+    if (id === this.bikeId) return;
+
+    this.save();
+    this.bikeId = id;
+    const profile = this.profiles[id];
+    this.stats = emptyStats();
+    if (profile && profile.stats.n > 0) {
+      // Infinite bounds do not survive JSON, but an empty profile is never saved
+      this.stats = { ...this.stats, ...profile.stats };
+    }
+    this.bikeSamples = [];
+    this.refit();
+  }
+
+  startCollecting() {
+    this.unsubscribers = [
+      BleManager.on('data', (data, provenance = {}) => this.handleBikeData(data, provenance)),
+      SensorManager.subscribe('location', (location) => this.handleLocation(location)),
+    ];
+    console.log('Speed calibration collecting');
+  }
+
+  stopCollecting() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+    this.bikeSamples = [];
+    this.save();
+    console.log('Speed calibration stopped');
+  }
+
+  // Only speed the bike itself reported counts; GPS, cached and simulated
+  // speeds say nothing about the speedometer
+  handleBikeData(data, provenance) {
+    const source = provenance.speed;
+    if (!source || source.source !== 'ble' || source.updatedAt === this.lastBikeUpdate) return;
+    this.lastBikeUpdate = source.updatedAt;
+
+    const speed = parseFloat(data.speed);
+    if (isNaN(speed)) return;
+
+    this.bikeSamples.push({ t: source.updatedAt, speed });
+    const cutoff = source.updatedAt - STEADY_WINDOW - PAIR_WINDOW;
+    while (this.bikeSamples.length > 0 && this.bikeSamples[0].t < cutoff) {
+      this.bikeSamples.shift();
+    }
+  }
+
+  handleLocation(location) {
+    if (!(location.accuracy <= MAX_GPS_ACCURACY) || location.speed < MIN_SPEED) return;
+
+    const t = location.timestamp;
+    const near = this.bikeSamples.filter((sample) => Math.abs(sample.t - t) <= PAIR_WINDOW);
+    const steady = this.bikeSamples.filter((sample) => sample.t > t - STEADY_WINDOW && sample.t <= t + PAIR_WINDOW);
+    if (near.length === 0 || steady.length < 2) return;
+
+    const speeds = steady.map((sample) => sample.speed);
+    if (Math.max(...speeds) - Math.min(...speeds) > STEADY_TOLERANCE) return;
+
+    const bikeSpeed = near.reduce((sum, sample) => sum + sample.speed, 0) / near.length;
+    if (bikeSpeed < MIN_SPEED || Math.abs(location.speed - bikeSpeed) / bikeSpeed > MAX_DISAGREEMENT) return;
+
+    this.addPair(bikeSpeed, location.speed);
+  }
+
+  addPair(bikeSpeed, gpsSpeed) {
+    const stats = this.stats;
+    stats.n += 1;
+    stats.sumBike += bikeSpeed;
+    stats.sumGps += gpsSpeed;
+    stats.sumBikeSq += bikeSpeed * bikeSpeed;
+    stats.sumProduct += bikeSpeed * gpsSpeed;
+    stats.sumGpsSq += gpsSpeed * gpsSpeed;
+    stats.minBike = Math.min(stats.minBike, bikeSpeed);
+    stats.maxBike = Math.max(stats.maxBike, bikeSpeed);
+
+    this.unsaved += 1;
+    if (this.unsaved >= SAVE_EVERY) {
+      this.save();
+    }
+    this.refit();
+  }
+
+  refit() {
+    this.fit = fitCalibration(this.stats, this.settings.speedDependent);
+    TripComputer.setDistanceFactor(this.settings.correctedTrips && this.fit ? this.fit.factor : 1);
+    this.emitState();
+  }
+
+  // True speed for a bike-reported speed, or the speed unchanged if there is
+  // no calibration yet
+  correctSpeed(speed) {
+    const value = parseFloat(speed);
+    if (!this.fit || isNaN(value)) return speed;
+    return Math.max(0, Math.round(this.fit.slope * value + this.fit.offset));
+  }
+
+  // Speed to show on the dashboard given where it came from
+  displaySpeed(speed, source) {
+    if (!this.settings.trueSpeed || !this.fit || source !== 'ble') {
+      return { speed, corrected: false };
+    }
+    return { speed: this.correctSpeed(speed), corrected: true };
+  }
+
+  async save() {
+    if (!this.loaded || this.bikeId === null || this.unsaved === 0 || this.stats.n === 0) return;
+    this.unsaved = 0;
+    this.profiles[this.bikeId] = { stats: { ...this.stats }, updatedAt: Date.now() };
+    await StorageManager.saveSpeedCalibration(this.profiles);
+  }
+
+  // Forget this bike's calibration and start collecting afresh
+  async reset() {
+    this.stats = emptyStats();
+    this.bikeSamples = [];
+    this.unsaved = 0;
+    delete this.profiles[this.bikeId];
+    await StorageManager.saveSpeedCalibration(this.profiles);
+    this.refit();
+  }
+}
+
+// Create singleton instance
+const SpeedCalibration = new YezdiSpeedCalibration();
+
+export default SpeedCalibration;
@@ -1,20 +1,164 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
-class YezdiStorageManager {
+// Version of the stored data model. Each migration below brings storage up
+// to its version; the version reached is kept under VERSION_KEY, so only the
+// newer migrations run on an existing install. Add a migration and bump
+// STORAGE_VERSION whenever the shape of a stored value changes.
+export const STORAGE_VERSION = 1;
+
+const VERSION_KEY = 'yezdi_storage_version';
+
+// Unreadable values are moved here, prefixed to their key, rather than lost
+const QUARANTINE_PREFIX = 'yezdi_quarantine_';
+
+// Keys older builds wrote that nothing reads any more. Per-setting keys are
+// imported by SettingsStore, which owns the settings record.
+export const RETIRED_KEYS = [
+  'yezdi_custom_ble', // declared, never written
+  'yezdi_custom_settings', // copy of the custom BLE settings, now in the settings record
+  'navigationSettings', // navigation toggles, now in the settings record
+  'yezdi_user_preferences', // declared, never written
+  'yezdi_debug_logs', // debug logs are exported to files
+];
+
+const KEYS = {
+  CACHED_DATA: 'yezdi_cached_data',
+  SETTINGS: 'yezdi_settings',
+  LAST_DEVICE: 'yezdi_last_device',
+  DISCOVERED_SERVICES: 'yezdi_discovered_services',
+  TRIP_DATA: 'yezdi_trip_data',
+  LEAN_CALIBRATION: 'yezdi_lean_calibration',
+  SPEED_CALIBRATION: 'yezdi_speed_calibration',
+  GEAR_RATIOS: 'yezdi_gear_ratios',
+  RIDE_INDEX: 'yezdi_ride_index',
+};
+
+// Ordered migrations. Each runs once, with the storage manager, before any
+// other read or write; one that throws is retried on the next launch.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Timestamp cached data and discovered services',
+    migrate: async (storage) => {
+      // BleManager wrote the arbiter cache, or before that the bare data object
+      const cached = await storage.readItem(KEYS.CACHED_DATA);
+      if (cached && !cached.timestamp) {
+        const record = cached.data ? cached : { data: cached, updatedAt: {} };
+        await storage.writeItem(KEYS.CACHED_DATA, { ...record, timestamp: Date.now() });
+      }
+
+      // ...and a bare array of service UUIDs
+      const services = await storage.readItem(KEYS.DISCOVERED_SERVICES);
+      if (Array.isArray(services)) {
+        await storage.writeItem(KEYS.DISCOVERED_SERVICES, { services, timestamp: Date.now() });
+      }
+    },
+  },
+];
+
+export class YezdiStorageManager {
   constructor() {
-    this.keys = {
-      CACHED_DATA: 'yezdi_cached_data',
-      SETTINGS: 'yezdi_settings',
-      CUSTOM_BLE: 'yezdi_custom_ble',
-      DISCOVERED_SERVICES: 'yezdi_discovered_services',
-      DEBUG_LOGS: 'yezdi_debug_logs',
-      USER_PREFERENCES: 'yezdi_user_preferences',
-      NAVIGATION_SETTINGS: 'navigationSettings',
-    };
+    this.keys = KEYS;
+    this.migrationPromise = null;
   }
 
-  // Generic storage methods
-  async setItem(key, value) {
+  // Bring storage up to STORAGE_VERSION. Safe to call more than once; every
+  // other method waits for it, so nothing reads half migrated data.
+  ready() {
+    if (!this.migrationPromise) {
+      this.migrationPromise = this.migrate().catch((error) => {
+        console.error('Storage migration error:', error);
+      });
+    }
+    return this.migrationPromise;
+  }
+
+  async migrate() {
+    const version = await this.readItem(VERSION_KEY, 0);
+    if (version > STORAGE_VERSION) {
+      console.warn(`Storage version ${version} is newer than this build (${STORAGE_VERSION}), skipping migrations`);
+    }
+
+    for (const migration of MIGRATIONS) {
+      if (migration.version <= version) continue;
+      console.log(`Migrating storage to version ${migration.version}: ${migration.description}`);
+      await migration.migrate(this);
+      if (!(await this.writeItem(VERSION_KEY, migration.version))) {
+        throw new Error(`Could not record storage version ${migration.version}`);
+      }
+    }
+
+    await this.checkConsistency();
+  }
+
+  // Remove retired keys and quarantine any stored value that is not valid
+  // JSON. Runs on every launch, since an older build may have run in between.
+  // Returns { removed, quarantined } key lists.
+  async checkConsistency() {
+    const stored = await AsyncStorage.getAllKeys();
+    const removed = RETIRED_KEYS.filter((key) => stored.includes(key));
+    if (removed.length > 0) {
+      await AsyncStorage.multiRemove(removed);
+      console.log(`Removed retired storage keys: ${removed.join(', ')}`);
+    }
+
+    const quarantined = [];
+    const keys = [VERSION_KEY, ...Object.values(KEYS)].filter((key) => stored.includes(key));
+    const pairs = await AsyncStorage.multiGet(keys);
+    for (const [key, value] of pairs) {
+      if (value === null) continue;
+      try {
+        JSON.parse(value);
+      } catch (error) {
+        await this.quarantine(key, value, error);
+        quarantined.push(key);
+      }
+    }
+
+    return { removed, quarantined };
+  }
+
+  // Keep an unreadable value for inspection and clear its key
+  async quarantine(key, value, error) {
+    console.warn(`Quarantined corrupt data for key ${key}: ${error.message}`);
+    try {
+      await AsyncStorage.setItem(`${QUARANTINE_PREFIX}${key}`, JSON.stringify({
+        key,
+        value,
+        error: error.message,
+        quarantinedAt: Date.now(),
+      }));
+      await AsyncStorage.removeItem(key);
+    } catch (storageError) {
+      console.error(`Storage quarantine error for key ${key}:`, storageError);
+    }
+  }
+
+  // Quarantined values, as { key, value, error, quarantinedAt }
+  async getQuarantined() {
+    try {
+      const keys = (await AsyncStorage.getAllKeys()).filter((key) => key.startsWith(QUARANTINE_PREFIX));
+      const pairs = await AsyncStorage.multiGet(keys);
+      return pairs.map(([, value]) => JSON.parse(value));
+    } catch (error) {
+      console.error('Storage getQuarantined error:', error);
+      return [];
+    }
+  }
+
+  async clearQuarantine() {
+    try {
+      const keys = (await AsyncStorage.getAllKeys()).filter((key) => key.startsWith(QUARANTINE_PREFIX));
+      await AsyncStorage.multiRemove(keys);
+      return true;
+    } catch (error) {
+      console.error('Storage clearQuarantine error:', error);
+      return false;
+    }
+  }
+
+  // Reads and writes without waiting for migrations, for use by migrations
+  async writeItem(key, value) {
     try {
       const jsonValue = JSON.stringify(value);
       await AsyncStorage.setItem(key, jsonValue);
@@ -25,17 +169,37 @@ class YezdiStorageManager {
     }
   }
 
-  async getItem(key, defaultValue = null) {
+  async readItem(key, defaultValue = null) {
+    let jsonValue;
     try {
-      const jsonValue = await AsyncStorage.getItem(key);
-      return jsonValue != null ? JSON.parse(jsonValue) : defaultValue;
+      jsonValue = await AsyncStorage.getItem(key);
     } catch (error) {
       console.error(`Storage getItem error for key ${key}:`, error);
       return defaultValue;
     }
+    if (jsonValue == null) return defaultValue;
+
+    try {
+      return JSON.parse(jsonValue);
+    } catch (error) {
+      await this.quarantine(key, jsonValue, error);
+      return defaultValue;
+    }
+  }
+
+  // Generic storage methods
+  async setItem(key, value) {
+    await this.ready();
+    return await this.writeItem(key, value);
+  }
+
+  async getItem(key, defaultValue = null) {
+    await this.ready();
+    return await this.readItem(key, defaultValue);
   }
 
   async removeItem(key) {
+    await this.ready();
     try {
       await AsyncStorage.removeItem(key);
       return true;
@@ -45,26 +209,50 @@ class YezdiStorageManager {
     }
   }
 
+  async removeItems(keys) {
+    await this.ready();
+    try {
+      await AsyncStorage.multiRemove(keys);
+      return true;
+    } catch (error) {
+      console.error('Storage removeItems error:', error);
+      return false;
+    }
+  }
+
+  // Stored strings as written, for keys that predate JSON storage.
+  // Returns { key: string } for the keys that exist.
+  async getRawItems(keys) {
+    await this.ready();
+    try {
+      const pairs = await AsyncStorage.multiGet(keys);
+      return Object.fromEntries(pairs.filter(([, value]) => value !== null));
+    } catch (error) {
+      console.error('Storage getRawItems error:', error);
+      return {};
+    }
+  }
+
   // Specific data management methods
-  async saveCachedData(data) {
+
+  // Last real readings as { data, updatedAt } from DataArbiter.getCache()
+  async saveCachedData(cache) {
     return await this.setItem(this.keys.CACHED_DATA, {
-      ...data,
+      ...cache,
       timestamp: Date.now(),
     });
   }
 
+  // Any age is returned; DataArbiter judges each field by its updatedAt
   async getCachedData() {
-    const data = await this.getItem(this.keys.CACHED_DATA);
-    if (data && data.timestamp) {
-      // Check if data is not too old (1 hour)
-      const isRecent = (Date.now() - data.timestamp) < (60 * 60 * 1000);
-      if (isRecent) {
-        return data;
-      }
+    const cache = await this.getItem(this.keys.CACHED_DATA);
+    if (cache && cache.timestamp && cache.data) {
+      return cache;
     }
     return null;
   }
 
+  // Versioned settings record, see SettingsStore
   async saveSettings(settings) {
     return await this.setItem(this.keys.SETTINGS, settings);
   }
@@ -73,69 +261,83 @@ class YezdiStorageManager {
     return await this.getItem(this.keys.SETTINGS, defaultSettings);
   }
 
-  async saveCustomBLESettings(settings) {
-    return await this.setItem(this.keys.CUSTOM_BLE, settings);
+  // Bike to reconnect to, as { id, name }
+  async saveLastDevice(device) {
+    return await this.setItem(this.keys.LAST_DEVICE, device);
   }
 
-  async getCustomBLESettings() {
-    return await this.getItem(this.keys.CUSTOM_BLE, {
-      serviceUUID: '',
-      charUUID: '',
-      authKey: 'YEZDI_AUTH_DEFAULT',
-    });
+  async getLastDevice() {
+    return await this.getItem(this.keys.LAST_DEVICE);
   }
 
-  async saveNavigationSettings(settings) {
-    return await this.setItem(this.keys.NAVIGATION_SETTINGS, settings);
+  async saveTripData(tripData) {
+    return await this.setItem(this.keys.TRIP_DATA, {
+      ...tripData,
+      timestamp: Date.now(),
+    });
   }
 
-  async getNavigationSettings() {
-    return await this.getItem(this.keys.NAVIGATION_SETTINGS, {
-      mapViewEnabled: false,
-      fullNavigationEnabled: false,
-      navigationAutoStart: false,
-    });
+  async getTripData() {
+    return await this.getItem(this.keys.TRIP_DATA);
   }
 
-  async saveDiscoveredServices(services) {
-    return await this.setItem(this.keys.DISCOVERED_SERVICES, {
-      services,
+  async saveLeanCalibration(mount) {
+    return await this.setItem(this.keys.LEAN_CALIBRATION, {
+      ...mount,
       timestamp: Date.now(),
     });
   }
 
-  async getDiscoveredServices() {
-    const data = await this.getItem(this.keys.DISCOVERED_SERVICES);
-    return data ? data.services : [];
+  async getLeanCalibration() {
+    return await this.getItem(this.keys.LEAN_CALIBRATION);
+  }
+
+  async clearLeanCalibration() {
+    return await this.removeItem(this.keys.LEAN_CALIBRATION);
+  }
+
+  // Speedometer calibration sums per bike id
+  async saveSpeedCalibration(profiles) {
+    return await this.setItem(this.keys.SPEED_CALIBRATION, profiles);
   }
 
-  async saveDebugLogs(logs) {
-    return await this.setItem(this.keys.DEBUG_LOGS, logs);
+  async getSpeedCalibration() {
+    return await this.getItem(this.keys.SPEED_CALIBRATION, {});
   }
 
-  async getDebugLogs() {
-    return await this.getItem(this.keys.DEBUG_LOGS, []);
+  // Learned km/h per 1000 rpm for each gear, per bike id
+  async saveGearRatios(profiles) {
+    return await this.setItem(this.keys.GEAR_RATIOS, profiles);
   }
 
-  async clearDebugLogs() {
-    return await this.removeItem(this.keys.DEBUG_LOGS);
+  async getGearRatios() {
+    return await this.getItem(this.keys.GEAR_RATIOS, {});
   }
 
-  async saveUserPreferences(preferences) {
-    return await this.setItem(this.keys.USER_PREFERENCES, preferences);
+  // Summaries of recorded rides, newest first; the samples live in files
+  async saveRideIndex(rides) {
+    return await this.setItem(this.keys.RIDE_INDEX, rides);
   }
 
-  async getUserPreferences() {
-    return await this.getItem(this.keys.USER_PREFERENCES, {
-      accentColor: '#00FFFF',
-      warningBlinkEnabled: true,
-      preferredUnits: 'metric',
-      dashboardLayout: 'default',
+  async getRideIndex() {
+    return await this.getItem(this.keys.RIDE_INDEX, []);
+  }
+
+  async saveDiscoveredServices(services) {
+    return await this.setItem(this.keys.DISCOVERED_SERVICES, {
+      services,
+      timestamp: Date.now(),
     });
   }
 
+  async getDiscoveredServices() {
+    const data = await this.getItem(this.keys.DISCOVERED_SERVICES);
+    return data ? data.services : [];
+  }
+
   // Utility methods
   async clearAllData() {
+    await this.ready();
     try {
       const keys = Object.values(this.keys);
       await AsyncStorage.multiRemove(keys);
@@ -147,19 +349,22 @@ class YezdiStorageManager {
   }
 
   async getStorageInfo() {
+    await this.ready();
     try {
       const keys = await AsyncStorage.getAllKeys();
-      const yezdiKeys = keys.filter(key => key.startsWith('yezdi_') || key === 'navigationSettings');
-      
+      const yezdiKeys = keys.filter(key => key.startsWith('yezdi_'));
+
       const data = await AsyncStorage.multiGet(yezdiKeys);
       const totalSize = data.reduce((size, [key, value]) => {
         return size + (value ? value.length : 0);
       }, 0);
 
       return {
+        version: await this.readItem(VERSION_KEY, 0),
         totalKeys: yezdiKeys.length,
         totalSize: `${(totalSize / 1024).toFixed(2)} KB`,
         keys: yezdiKeys,
+        quarantined: yezdiKeys.filter((key) => key.startsWith(QUARANTINE_PREFIX)).length,
       };
     } catch (error) {
       console.error('Get storage info error:', error);
@@ -0,0 +1,193 @@
+import * as FileSystem from 'expo-file-system';
+import RideRecorder, { TELLTALE_FLAGS } from './RideRecorder';
+
+// Raw telemetry export of recorded rides for spreadsheets and scripts. Each
+// output row holds the latest value of every selected field at that moment,
+// either at every recorded sample or resampled to a fixed interval.
+//   csv   - header row, then one line per row; tell-tales as 1/0
+//   jsonl - one JSON object per line
+// The export is a directory of part files, part_001.csv, part_002.csv, ...
+// in row order, one per recorded chunk of the ride; CSV parts each start
+// with the header row. expo-file-system cannot append, so each part is
+// written once its chunk has been read and held until then: the output of
+// one chunk at a time, never the whole ride.
+export const DATA_EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', title: 'Yezdi Ride Data (CSV)' },
+  jsonl: { label: 'JSONL', extension: 'jsonl', title: 'Yezdi Ride Data (JSON Lines)' },
+};
+
+export const UNIT_SYSTEMS = {
+  metric: { label: 'Metric', speed: { suffix: 'kmh', factor: 1 }, length: { suffix: 'm', factor: 1 } },
+  imperial: { label: 'Imperial', speed: { suffix: 'mph', factor: 0.621371 }, length: { suffix: 'ft', factor: 3.28084 } },
+};
+
+// Resampling choices in ms; 0 keeps every recorded sample
+export const RESAMPLE_INTERVALS = [0, 1000, 5000, 10000];
+
+// Values older than this are left empty rather than repeated
+const MAX_HOLD = 5000; // ms
+
+const convert = (value, factor, digits) => {
+  if (value === null || value === undefined) return null;
+  const scale = 10 ** digits;
+  return Math.round(value * factor * scale) / scale;
+};
+
+// Selectable field groups, each { label, columns(units) -> [{ name, source, value(row), flag }] }
+export const EXPORT_FIELDS = {
+  speed: {
+    label: 'Speed',
+    columns: (units) => [
+      { name: `speed_${units.speed.suffix}`, source: 'telemetry', value: (row) => convert(row.speed, units.speed.factor, 1) },
+    ],
+  },
+  rpm: {
+    label: 'RPM',
+    columns: () => [{ name: 'rpm', source: 'telemetry', value: (row) => row.rpm }],
+  },
+  gear: {
+    label: 'Gear',
+    columns: () => [{ name: 'gear', source: 'telemetry', value: (row) => row.gear }],
+  },
+  fuel: {
+    label: 'Fuel',
+    columns: () => [{ name: 'fuel_pct', source: 'telemetry', value: (row) => row.fuel }],
+  },
+  telltales: {
+    label: 'Tell-tales',
+    columns: () => Object.keys(TELLTALE_FLAGS).map((field) => ({
+      name: field,
+      source: 'telemetry',
+      value: (row) => row[field],
+      flag: true,
+    })),
+  },
+  lean: {
+    label: 'Lean',
+    columns: () => [{ name: 'lean_deg', source: 'telemetry', value: (row) => row.lean }],
+  },
+  gps: {
+    label: 'GPS',
+    columns: (units) => [
+      { name: 'latitude', source: 'gps', value: (row) => row.latitude },
+      { name: 'longitude', source: 'gps', value: (row) => row.longitude },
+      { name: `altitude_${units.length.suffix}`, source: 'gps', value: (row) => convert(row.altitude, units.length.factor, 1) },
+      { name: `gps_speed_${units.speed.suffix}`, source: 'gps', value: (row) => convert(row.speed, units.speed.factor, 1) },
+      { name: `accuracy_${units.length.suffix}`, source: 'gps', value: (row) => convert(row.accuracy, units.length.factor, 0) },
+      { name: 'heading_deg', source: 'gps', value: (row) => row.heading },
+    ],
+  },
+};
+
+export const DEFAULT_EXPORT_OPTIONS = {
+  fields: Object.keys(EXPORT_FIELDS),
+  units: 'metric',
+  interval: 0,
+};
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write a ride's telemetry in one of DATA_EXPORT_FORMATS to the document
+// directory. Options: { fields, units, interval } (see DEFAULT_EXPORT_OPTIONS).
+// Returns { fileUri, fileName, title, rows, parts }, the uri and name being
+// those of the export directory.
+export const exportTelemetry = async (id, format, options = {}) => {
+  const ride = RideRecorder.getRide(id);
+  if (!ride) {
+    throw new Error(`Unknown ride ${id}`);
+  }
+  if (!DATA_EXPORT_FORMATS[format]) {
+    throw new Error(`Unknown export format ${format}`);
+  }
+  const { fields, units: unitSystem, interval } = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+  const units = UNIT_SYSTEMS[unitSystem];
+  if (!units) {
+    throw new Error(`Unknown unit system ${unitSystem}`);
+  }
+  const selected = Object.keys(EXPORT_FIELDS).filter((field) => fields.includes(field));
+  if (selected.length === 0) {
+    throw new Error('Select at least one field to export');
+  }
+
+  const { extension, title } = DATA_EXPORT_FORMATS[format];
+  const fileName = `yezdi_ride_${ride.id}_data_${extension}`;
+  const fileUri = `${FileSystem.documentDirectory}${fileName}/`;
+  await FileSystem.deleteAsync(fileUri, { idempotent: true });
+  await FileSystem.makeDirectoryAsync(fileUri, { intermediates: true });
+
+  const columns = selected.flatMap((field) => EXPORT_FIELDS[field].columns(units));
+  const header = format === 'csv' ? ['time', 'elapsed_s', ...columns.map((column) => column.name)].join(',') : null;
+  const latest = { telemetry: null, gps: null };
+  let lines = [];
+  let rows = 0;
+  let parts = 0;
+
+  // Write the lines so far as the next part; an empty ride still gets one
+  const writePart = async (force = false) => {
+    if (lines.length === 0 && !force) return;
+    parts += 1;
+    const content = [header, ...lines].filter((line) => line !== null);
+    const partUri = `${fileUri}part_${String(parts).padStart(3, '0')}.${extension}`;
+    lines = [];
+    await FileSystem.writeAsStringAsync(partUri, content.length > 0 ? `${content.join('\n')}\n` : '');
+  };
+
+  const emit = (t) => {
+    const values = columns.map((column) => {
+      const row = latest[column.source];
+      if (!row || Math.abs(t - row.t) > MAX_HOLD) return null;
+      const value = column.value(row);
+      return value === undefined ? null : value;
+    });
+    if (values.every((value) => value === null)) return;
+
+    const time = new Date(ride.startedAt + t).toISOString();
+    const elapsed = convert(t, 0.001, 1);
+    rows += 1;
+    if (format === 'csv') {
+      const cells = values.map((value, index) => {
+        if (columns[index].flag && value !== null) return value ? '1' : '0';
+        return csvValue(value);
+      });
+      lines.push([time, elapsed, ...cells].join(','));
+    } else {
+      const entry = { time, elapsed_s: elapsed };
+      columns.forEach((column, index) => {
+        entry[column.name] = values[index];
+      });
+      lines.push(JSON.stringify(entry));
+    }
+  };
+
+  let nextT = 0;
+  let lastT = 0;
+  await RideRecorder.readRide(id, async (chunkRows) => {
+    await writePart();
+    chunkRows.forEach((row) => {
+      if (interval > 0) {
+        // Fill every interval that ended before this sample
+        while (nextT < row.t) {
+          emit(nextT);
+          nextT += interval;
+        }
+      }
+      latest[row.type] = row;
+      lastT = Math.max(lastT, row.t);
+      if (!interval) emit(row.t);
+    });
+  });
+  // Resampled rows after the last sample go in the last part
+  if (interval > 0) {
+    while (nextT <= lastT) {
+      emit(nextT);
+      nextT += interval;
+    }
+  }
+  await writePart(parts === 0);
+
+  return { fileUri, fileName, title, rows, parts };
+};
@@ -0,0 +1,250 @@
+import StorageManager from './StorageManager';
+
+const TRIPS = ['A', 'B'];
+
+// Ignore gaps longer than this when integrating speed (e.g. app was backgrounded)
+const MAX_INTEGRATION_GAP_MS = 10000;
+// Odometer jumps larger than this between frames are treated as a glitch
+const MAX_ODOMETER_STEP_KM = 5;
+// After an odometer reading, speed integration pauses for this long to avoid double counting
+const ODOMETER_HOLD_MS = 60000;
+// Fuel level rises larger than this (percent) are treated as a refuel
+const REFUEL_THRESHOLD_PERCENT = 5;
+// Minimum fuel used before an economy figure is shown
+const MIN_FUEL_FOR_ECONOMY_L = 0.1;
+// How often accumulated trips are written to storage
+const PERSIST_INTERVAL_MS = 10000;
+
+const emptyTrip = () => ({
+  distance: 0, // km
+  fuelUsed: 0, // litres
+  movingTime: 0, // ms
+  maxLeanLeft: 0, // degrees
+  maxLeanRight: 0, // degrees
+  startedAt: Date.now(),
+});
+
+export class YezdiTripComputer {
+  constructor({ storage = StorageManager } = {}) {
+    this.storage = storage;
+    this.tankCapacity = 13; // litres, Yezdi Adventure
+    // Scales bike-reported distance to true distance (speedometer calibration)
+    this.distanceFactor = 1;
+    this.trips = { A: emptyTrip(), B: emptyTrip() };
+    this.lastOdometer = null;
+    this.lastOdometerTime = null;
+    this.lastSampleTime = null;
+    this.fuelReference = null;
+    this.lastPersist = 0;
+    this.isLoaded = false;
+    this.sandboxState = null;
+  }
+
+  // Restore trips from storage
+  async load() {
+    const saved = await this.storage.getTripData();
+    if (saved) {
+      TRIPS.forEach((trip) => {
+        if (saved.trips && saved.trips[trip]) {
+          this.trips[trip] = { ...emptyTrip(), ...saved.trips[trip] };
+        }
+      });
+      this.lastOdometer = saved.lastOdometer ?? null;
+      this.fuelReference = saved.fuelReference ?? null;
+      if (saved.tankCapacity) this.tankCapacity = saved.tankCapacity;
+    }
+    this.isLoaded = true;
+  }
+
+  async save() {
+    // Sandboxed counters are scratch data and must not overwrite the real trips
+    if (this.sandboxState) return false;
+    this.lastPersist = Date.now();
+    return await this.storage.saveTripData({
+      trips: this.trips,
+      lastOdometer: this.lastOdometer,
+      fuelReference: this.fuelReference,
+      tankCapacity: this.tankCapacity,
+    });
+  }
+
+  setTankCapacity(litres) {
+    if (litres > 0) {
+      this.tankCapacity = litres;
+      this.save();
+    }
+  }
+
+  setDistanceFactor(factor) {
+    this.distanceFactor = factor > 0 ? factor : 1;
+  }
+
+  // Feed a telemetry frame. Returns the display fields for the dashboard.
+  // The speedometer correction only applies to what the bike itself reported
+  // (`fromBike`), not to simulated speed.
+  update(data, timestamp = Date.now(), fromBike = true) {
+    const distance = this.measureDistance(data, timestamp) * (fromBike ? this.distanceFactor : 1);
+    const fuelUsed = this.measureFuel(data);
+    const speed = parseFloat(data.speed);
+    const moving = !isNaN(speed) && speed > 0;
+    const elapsed = this.lastSampleTime !== null ? timestamp - this.lastSampleTime : 0;
+
+    TRIPS.forEach((trip) => {
+      this.trips[trip].distance += distance;
+      this.trips[trip].fuelUsed += fuelUsed;
+      if (moving && elapsed > 0 && elapsed <= MAX_INTEGRATION_GAP_MS) {
+        this.trips[trip].movingTime += elapsed;
+      }
+    });
+
+    this.lastSampleTime = timestamp;
+
+    if (timestamp - this.lastPersist > PERSIST_INTERVAL_MS) {
+      this.save();
+    }
+
+    return this.getDisplayData();
+  }
+
+  // Feed a lean angle in degrees (positive right) measured while riding
+  recordLean(roll, timestamp = Date.now()) {
+    let record = false;
+    TRIPS.forEach((trip) => {
+      if (roll < -this.trips[trip].maxLeanLeft) {
+        this.trips[trip].maxLeanLeft = -roll;
+        record = true;
+      } else if (roll > this.trips[trip].maxLeanRight) {
+        this.trips[trip].maxLeanRight = roll;
+        record = true;
+      }
+    });
+
+    if (record && timestamp - this.lastPersist > PERSIST_INTERVAL_MS) {
+      this.save();
+    }
+  }
+
+  // Distance since the previous frame in km, from odometer or integrated speed
+  measureDistance(data, timestamp) {
+    const odometer = parseFloat(data.odometer);
+
+    if (!isNaN(odometer)) {
+      const previous = this.lastOdometer;
+      this.lastOdometer = odometer;
+      this.lastOdometerTime = timestamp;
+
+      if (previous === null) return 0;
+      const delta = odometer - previous;
+      return delta > 0 && delta <= MAX_ODOMETER_STEP_KM ? delta : 0;
+    }
+
+    // Frames without an odometer between odometer frames are already covered by the next delta
+    if (this.lastOdometerTime !== null && timestamp - this.lastOdometerTime < ODOMETER_HOLD_MS) {
+      return 0;
+    }
+
+    const speed = parseFloat(data.speed);
+    if (isNaN(speed) || speed <= 0 || this.lastSampleTime === null) return 0;
+
+    const elapsed = timestamp - this.lastSampleTime;
+    if (elapsed <= 0 || elapsed > MAX_INTEGRATION_GAP_MS) return 0;
+
+    return speed * (elapsed / 3600000);
+  }
+
+  // Fuel used since the previous frame in litres, from fuel level drops
+  measureFuel(data) {
+    const level = parseFloat(data.fuel);
+    if (isNaN(level) || level <= 0) return 0;
+
+    if (this.fuelReference === null || level > this.fuelReference + REFUEL_THRESHOLD_PERCENT) {
+      this.fuelReference = level;
+      return 0;
+    }
+
+    // Small upward jitter is sensor noise; only count drops below the reference
+    if (level >= this.fuelReference) return 0;
+
+    const drop = this.fuelReference - level;
+    this.fuelReference = level;
+    return (drop / 100) * this.tankCapacity;
+  }
+
+  getTrip(trip) {
+    const { distance, fuelUsed, movingTime, maxLeanLeft, maxLeanRight, startedAt } = this.trips[trip];
+    const hours = movingTime / 3600000;
+
+    return {
+      distance,
+      fuelUsed,
+      movingTime,
+      maxLeanLeft,
+      maxLeanRight,
+      startedAt,
+      averageSpeed: hours > 0 ? distance / hours : 0,
+      economy: fuelUsed >= MIN_FUEL_FOR_ECONOMY_L ? distance / fuelUsed : null,
+    };
+  }
+
+  // Format a duration in ms as H:MM
+  formatDuration(ms) {
+    const totalMinutes = Math.floor(ms / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = (totalMinutes % 60).toString().padStart(2, '0');
+    return `${hours}:${minutes}`;
+  }
+
+  // Fields merged into the telemetry frame for the Speedometer
+  getDisplayData() {
+    const a = this.getTrip('A');
+    const b = this.getTrip('B');
+
+    return {
+      tripA: a.distance.toFixed(1),
+      tripB: b.distance.toFixed(1),
+      afe: a.economy !== null ? a.economy.toFixed(1) : '--',
+      bfe: b.economy !== null ? b.economy.toFixed(1) : '--',
+      tripATime: this.formatDuration(a.movingTime),
+      tripBTime: this.formatDuration(b.movingTime),
+      tripAAvgSpeed: Math.round(a.averageSpeed),
+      tripBAvgSpeed: Math.round(b.averageSpeed),
+    };
+  }
+
+  // Run on fresh, unsaved counters (used by session replay) until endSandbox
+  startSandbox() {
+    if (this.sandboxState) return;
+    this.sandboxState = {
+      trips: { A: { ...this.trips.A }, B: { ...this.trips.B } },
+      lastOdometer: this.lastOdometer,
+      lastOdometerTime: this.lastOdometerTime,
+      lastSampleTime: this.lastSampleTime,
+      fuelReference: this.fuelReference,
+    };
+    this.trips = { A: emptyTrip(), B: emptyTrip() };
+    this.lastOdometer = null;
+    this.lastOdometerTime = null;
+    this.lastSampleTime = null;
+    this.fuelReference = null;
+  }
+
+  endSandbox() {
+    if (!this.sandboxState) return;
+    Object.assign(this, this.sandboxState);
+    this.sandboxState = null;
+  }
+
+  async resetTrip(trip) {
+    if (!TRIPS.includes(trip)) {
+      throw new Error(`Unknown trip ${trip}`);
+    }
+    this.trips[trip] = emptyTrip();
+    await this.save();
+    return this.getDisplayData();
+  }
+}
+
+// Create singleton instance
+const TripComputer = new YezdiTripComputer();
+
+export default TripComputer;
@@ -0,0 +1,103 @@
+import { Buffer } from 'buffer';
+import { AUTH_STRATEGIES, hmacSha256 } from '../BleAuth';
+
+// expo-crypto's digest, computed by Node
+jest.mock('expo-crypto', () => {
+  const { createHash } = jest.requireActual('crypto');
+  const { Buffer: NodeBuffer } = jest.requireActual('buffer');
+  return {
+    CryptoDigestAlgorithm: { SHA256: 'SHA-256' },
+    digest: async (algorithm, data) => {
+      const hash = createHash('sha256').update(NodeBuffer.from(data)).digest();
+      return hash.buffer.slice(hash.byteOffset, hash.byteOffset + hash.length);
+    },
+  };
+});
+
+const SETTINGS = {
+  authKey: 'YEZDI_AUTH_KEY_2025',
+  authChallengeCharUUID: 'fff6',
+  authResponseCharUUID: 'fff7',
+  authResultCharUUID: '',
+  allowBroadcastAuth: false,
+};
+
+// A bike with readable characteristics, recording every write
+const createContext = (settings = {}, values = {}) => {
+  const writes = [];
+  return {
+    writes,
+    settings: { ...SETTINGS, ...settings },
+    log: () => {},
+    read: async (charUUID) => Buffer.from(values[charUUID] || []),
+    write: async (charUUID, bytes) => {
+      writes.push({ charUUID, hex: Buffer.from(bytes).toString('hex') });
+    },
+    writableCharacteristics: () => [{ uuid: 'fff7', serviceUUID: 'fff0' }, { uuid: 'fff8', serviceUUID: 'fff0' }],
+  };
+};
+
+describe('hmacSha256', () => {
+  it('matches RFC 4231 test case 2', async () => {
+    const mac = await hmacSha256('Jefe', 'what do ya want for nothing?');
+    expect(mac.toString('hex')).toBe('5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843');
+  });
+
+  it('hashes keys longer than the block size first (RFC 4231 test case 6)', async () => {
+    const key = Buffer.alloc(131, 0xaa);
+    const mac = await hmacSha256(key, 'Test Using Larger Than Block-Size Key - Hash Key First');
+    expect(mac.toString('hex')).toBe('60e431591ee0b67f0d8a26aacbf5b77f8e0bc6213728c5140546040f0ee37f54');
+  });
+});
+
+describe('AUTH_STRATEGIES', () => {
+  it('accepts a challenge response the bike confirms', async () => {
+    const context = createContext({ authResultCharUUID: 'fff9' }, { fff6: [1, 2, 3, 4], fff9: [0x01] });
+    const result = await AUTH_STRATEGIES['hmac-sha256'].run(context);
+
+    const expected = await hmacSha256(SETTINGS.authKey, Buffer.from([1, 2, 3, 4]));
+    expect(context.writes).toEqual([{ charUUID: 'fff7', hex: expected.toString('hex') }]);
+    expect(result).toMatchObject({ method: 'hmac-sha256', success: true });
+  });
+
+  it('fails when the bike rejects the response', async () => {
+    const context = createContext({ authResultCharUUID: 'fff9' }, { fff6: [1, 2, 3, 4], fff9: [0x00] });
+    const result = await AUTH_STRATEGIES.sha256.run(context);
+
+    expect(result).toMatchObject({ method: 'sha256', success: false, skipped: false });
+  });
+
+  it('reports a response without a result characteristic as unverified', async () => {
+    const context = createContext({}, { fff6: [1, 2, 3, 4] });
+    const result = await AUTH_STRATEGIES['hmac-sha256'].run(context);
+
+    expect(context.writes).toHaveLength(1);
+    expect(result).toMatchObject({ success: false, unverified: true });
+  });
+
+  it('reports a static key write without a result characteristic as unverified', async () => {
+    const context = createContext();
+    const result = await AUTH_STRATEGIES['static-key'].run(context);
+
+    expect(context.writes).toEqual([{ charUUID: 'fff7', hex: Buffer.from(SETTINGS.authKey).toString('hex') }]);
+    expect(result).toMatchObject({ success: false, unverified: true });
+  });
+
+  it('skips challenge-response without its characteristics', async () => {
+    const context = createContext({ authChallengeCharUUID: '' });
+    const result = await AUTH_STRATEGIES['hmac-sha256'].run(context);
+
+    expect(result).toMatchObject({ success: false, skipped: true });
+    expect(context.writes).toHaveLength(0);
+  });
+
+  it('only broadcasts the key when opted in, and never calls it verified', async () => {
+    const skippedResult = await AUTH_STRATEGIES['broadcast-key'].run(createContext());
+    expect(skippedResult).toMatchObject({ skipped: true });
+
+    const context = createContext({ allowBroadcastAuth: true });
+    const result = await AUTH_STRATEGIES['broadcast-key'].run(context);
+    expect(context.writes.map((write) => write.charUUID)).toEqual(['fff7', 'fff8']);
+    expect(result).toMatchObject({ success: false, unverified: true });
+  });
+});
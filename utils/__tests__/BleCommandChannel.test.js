@@ -0,0 +1,113 @@
+import { Buffer } from 'buffer';
+import BleCommandChannel, { COMMAND_STATUS } from '../BleCommandChannel';
+
+// Short waits so timeouts and retries run quickly
+const FAST = { timeout: 20, backoff: 1 };
+
+// A connected bike that answers each write with `reply(frame, attempt)`:
+// ack bytes to notify, or null to stay silent
+const createManager = (reply = () => null) => {
+  const writes = [];
+  const manager = {
+    customSettings: { serviceUUID: 'fff0', charUUID: 'fff3' },
+    log: () => {},
+    connectedDevice: {
+      writeCharacteristicWithResponseForService: async (serviceUUID, charUUID, base64) => {
+        const frame = Buffer.from(base64, 'base64');
+        writes.push({ serviceUUID, charUUID, hex: frame.toString('hex') });
+        const ack = reply(frame, writes.length);
+        if (ack) {
+          setTimeout(() => manager.channel.handleNotification(Buffer.from(ack)), 0);
+        }
+      },
+    },
+  };
+  manager.channel = new BleCommandChannel(manager);
+  return { manager, writes, channel: manager.channel };
+};
+
+describe('BleCommandChannel', () => {
+  it('frames commands with a length and XOR checksum', () => {
+    const { channel } = createManager();
+
+    expect(channel.encode('tripReset', { trip: 'A' }).frame.toString('hex')).toBe('a5100101b5');
+    expect(channel.encode('tripReset', { trip: 'B' }).frame.toString('hex')).toBe('a5100102b6');
+    expect(() => channel.encode('tripReset', { trip: 'C' })).toThrow('Unknown trip C');
+    expect(() => channel.encode('selfDestruct')).toThrow('No encoder for command selfDestruct');
+  });
+
+  it('resolves once the bike acknowledges the command', async () => {
+    const { channel, writes } = createManager(() => [0x5a, 0x10, 0x00]);
+    const result = await channel.send('tripReset', { trip: 'A' }, FAST);
+
+    expect(result).toMatchObject({ ok: true, status: COMMAND_STATUS.ACKED, attempts: 1 });
+    expect(result.response).toEqual({ opcode: 0x10, status: 0, raw: '5a1000' });
+    expect(writes).toEqual([{ serviceUUID: 'fff0', charUUID: 'fff3', hex: 'a5100101b5' }]);
+  });
+
+  it('retries after a timeout and gives up after the last attempt', async () => {
+    const { channel, writes } = createManager();
+    const result = await channel.send('tripReset', { trip: 'A' }, { ...FAST, retries: 2 });
+
+    expect(result).toMatchObject({ ok: false, status: COMMAND_STATUS.TIMEOUT, attempts: 3, error: 'No ack within 20ms' });
+    expect(writes).toHaveLength(3);
+    expect(channel.pendingAck).toBeNull();
+  });
+
+  it('succeeds on a retry', async () => {
+    const { channel } = createManager((frame, attempt) => (attempt === 2 ? [0x5a, 0x10, 0x00] : null));
+    const result = await channel.send('tripReset', { trip: 'B' }, FAST);
+
+    expect(result).toMatchObject({ ok: true, attempts: 2 });
+  });
+
+  it('retries a rejection but stops at unsupported', async () => {
+    const rejected = createManager(() => [0x5a, 0x10, 0x01]);
+    expect(await rejected.channel.send('tripReset', { trip: 'A' }, { ...FAST, retries: 1 }))
+      .toMatchObject({ ok: false, status: COMMAND_STATUS.REJECTED, attempts: 2 });
+
+    const unsupported = createManager(() => [0x5a, 0x10, 0xfe]);
+    expect(await unsupported.channel.send('tripReset', { trip: 'A' }, FAST))
+      .toMatchObject({ ok: false, status: COMMAND_STATUS.UNSUPPORTED, attempts: 1 });
+  });
+
+  it('leaves telemetry and other opcodes to the decoder', async () => {
+    const { channel } = createManager();
+    const pending = channel.send('tripReset', { trip: 'A' }, { ...FAST, timeout: 200, retries: 0 });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    expect(channel.handleNotification(Buffer.from([0x5a, 0x11, 0x00]))).toBe(false);
+    expect(channel.handleNotification(Buffer.from([0x5a, 0x10, 0x00, 0x00]))).toBe(false);
+    expect(channel.handleNotification(Buffer.from([0x5a, 0x10, 0x00]))).toBe(true);
+    expect((await pending).ok).toBe(true);
+  });
+
+  it('runs queued commands one at a time', async () => {
+    const { channel, writes } = createManager(() => [0x5a, 0x10, 0x00]);
+    const results = await Promise.all([
+      channel.send('tripReset', { trip: 'A' }, FAST),
+      channel.send('tripReset', { trip: 'B' }, FAST),
+    ]);
+
+    expect(results.map((result) => result.ok)).toEqual([true, true]);
+    expect(writes.map((write) => write.hex)).toEqual(['a5100101b5', 'a5100102b6']);
+  });
+
+  it('fails a pending command on disconnect', async () => {
+    const { channel } = createManager();
+    const pending = channel.send('tripReset', { trip: 'A' }, { ...FAST, timeout: 1000, retries: 0 });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    channel.reset();
+
+    expect(await pending).toMatchObject({ ok: false, status: COMMAND_STATUS.ERROR, error: 'Disconnected' });
+  });
+
+  it('reports commands it cannot send', async () => {
+    const { manager, channel } = createManager();
+    manager.customSettings = { serviceUUID: 'fff0', charUUID: '' };
+    expect((await channel.send('tripReset', { trip: 'A' })).status).toBe(COMMAND_STATUS.UNSUPPORTED);
+
+    manager.connectedDevice = null;
+    expect((await channel.send('tripReset', { trip: 'A' })).status).toBe(COMMAND_STATUS.NOT_CONNECTED);
+  });
+});
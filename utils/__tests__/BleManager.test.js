@@ -0,0 +1,151 @@
+import { YezdiBleManager, CONNECTION_STATE } from '../BleManager';
+import FakeBikeTransport from '../FakeBikeTransport';
+import { YezdiTripComputer } from '../TripComputer';
+import { DEFAULT_SETTINGS } from '../SettingsStore';
+
+const BIKE = {
+  id: 'bike-1',
+  name: 'YEZDI ADV',
+  services: [{
+    uuid: 'fff0',
+    characteristics: [{ uuid: 'fff1', properties: ['notify'] }],
+  }],
+};
+
+// Full dashboard frame: 60 km/h in 3rd at 4000 rpm, 75% fuel, high beam on,
+// odometer 12345 km
+const FULL_FRAME = [60, 3, 0x01, 0x90, 75, 0, 0x01, 0x00, 0x00, 0x30, 0x39];
+
+// In-memory stand-ins for the phone's platform services
+const createStorage = () => {
+  const saved = {};
+  return {
+    saved,
+    getCachedData: async () => null,
+    saveCachedData: async (cache) => { saved.cache = cache; return true; },
+    getLastDevice: async () => saved.lastDevice || null,
+    saveLastDevice: async (device) => { saved.lastDevice = device; return true; },
+    saveDiscoveredServices: async (services) => { saved.services = services; return true; },
+    getTripData: async () => null,
+    saveTripData: async (tripData) => { saved.trips = tripData; return true; },
+    getGearRatios: async () => ({}),
+    saveGearRatios: async (profiles) => { saved.gearRatios = profiles; return true; },
+  };
+};
+
+const createManager = (transport) => {
+  const storage = createStorage();
+  const manager = new YezdiBleManager({
+    transport,
+    storage,
+    appState: {
+      currentState: 'active',
+      addEventListener: () => ({ remove: () => {} }),
+    },
+    settingsStore: {
+      load: async () => {},
+      getAll: () => ({ ...DEFAULT_SETTINGS, sensorFallbackEnabled: false }),
+      on: () => () => {},
+    },
+    sensors: {
+      requestLocationPermission: async () => true,
+      subscribe: () => () => {},
+    },
+    tripComputer: new YezdiTripComputer({ storage }),
+    camera: {
+      requestPermissionsAsync: async () => ({ status: 'granted' }),
+    },
+  });
+  return { manager, storage };
+};
+
+describe('YezdiBleManager with FakeBikeTransport', () => {
+  let transport;
+  let manager;
+  let storage;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    transport = new FakeBikeTransport({ devices: [BIKE] });
+    ({ manager, storage } = createManager(transport));
+  });
+
+  afterEach(async () => {
+    await manager.destroy();
+    transport.destroy();
+    jest.restoreAllMocks();
+  });
+
+  it('connects, decodes notifications and publishes the data', async () => {
+    const states = [];
+    manager.on('connection', (connected, device, state) => states.push(state));
+
+    await manager.initialize();
+    await manager.connectToDevice({ id: 'bike-1', name: 'YEZDI ADV' });
+
+    expect(manager.getConnectionState()).toBe(CONNECTION_STATE.STREAMING);
+    expect(states).toEqual([
+      CONNECTION_STATE.CONNECTING,
+      CONNECTION_STATE.AUTHENTICATING,
+      CONNECTION_STATE.STREAMING,
+    ]);
+    expect(storage.saved.lastDevice).toEqual({ id: 'bike-1', name: 'YEZDI ADV' });
+
+    const published = [];
+    manager.on('data', (data, provenance) => published.push({ data, provenance }));
+    transport.notify('bike-1', 'fff0', 'fff1', FULL_FRAME);
+
+    expect(published).toHaveLength(1);
+    const { data, provenance } = published[0];
+    expect(data).toMatchObject({
+      speed: 60,
+      rpm: 4000,
+      fuel: 75,
+      ridingMode: 'Road',
+      highBeam: true,
+      hazard: false,
+      odometer: '12345',
+    });
+    expect(provenance.speed.source).toBe('ble');
+    expect(manager.getLatestData().speed).toBe(60);
+  });
+
+  it('starts reconnecting when the link drops', async () => {
+    await manager.initialize();
+    await manager.connectToDevice({ id: 'bike-1' });
+
+    transport.injectDisconnect('bike-1');
+
+    expect(manager.isConnected()).toBe(false);
+    expect(manager.getConnectionState()).toBe(CONNECTION_STATE.RECONNECTING);
+  });
+
+  it('drops a reconnection that completes after the user disconnected', async () => {
+    await manager.initialize();
+    await manager.connectToDevice({ id: 'bike-1' });
+    transport.injectDisconnect('bike-1');
+    manager.cancelReconnect();
+
+    const attempt = manager.attemptReconnect();
+    await manager.disconnect();
+    await attempt;
+
+    expect(manager.isConnected()).toBe(false);
+    expect(manager.getConnectionState()).toBe(CONNECTION_STATE.DISCONNECTED);
+    expect(transport.getDevice('bike-1').connected).toBe(false);
+    expect(manager.reconnectTimer).toBeNull();
+  });
+
+  it('refuses a manual connection while a reconnection is running', async () => {
+    await manager.initialize();
+    await manager.connectToDevice({ id: 'bike-1' });
+    transport.injectDisconnect('bike-1');
+    manager.cancelReconnect();
+
+    const attempt = manager.attemptReconnect();
+    await expect(manager.connectToDevice({ id: 'bike-1' })).rejects.toThrow('Reconnection in progress');
+    await attempt;
+
+    expect(manager.getConnectionState()).toBe(CONNECTION_STATE.STREAMING);
+  });
+});
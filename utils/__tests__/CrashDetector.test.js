@@ -0,0 +1,75 @@
+import { YezdiCrashDetector, CRASH_STATE } from '../CrashDetector';
+import SensorManager from '../SensorManager';
+
+const T0 = 1700000000000;
+
+// Phone lying on its side, not moving
+const still = (timestamp) => ({ magnitude: 1, rawData: { x: 1, y: 0, z: 0 }, timestamp });
+const impact = (timestamp) => ({ magnitude: 6, rawData: { x: 4, y: 4, z: 2 }, timestamp });
+
+// Feed still readings every 200 ms over [from, to]
+const lieStill = (detector, from, to) => {
+  for (let t = from; t <= to; t += 200) {
+    detector.handleMotion(still(t));
+  }
+};
+
+describe('CrashDetector', () => {
+  let detector;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(SensorManager, 'tiltFromUpright').mockReturnValue(90);
+    detector = new YezdiCrashDetector();
+    detector.setState(CRASH_STATE.MONITORING);
+  });
+
+  afterEach(() => {
+    detector.clearCountdown();
+    jest.restoreAllMocks();
+  });
+
+  it('starts the countdown when the link is lost after a crash', () => {
+    detector.handleSpeed(60, { source: 'ble', updatedAt: T0 }, T0);
+    detector.handleMotion(impact(T0 + 500));
+    expect(detector.state).toBe(CRASH_STATE.IMPACT);
+
+    // The ignition is cut: the dashboard falls back to the cached riding speed
+    for (let t = T0 + 1000; t <= T0 + 10000; t += 1000) {
+      detector.handleSpeed(60, { source: 'cache', updatedAt: T0 }, t);
+    }
+    lieStill(detector, T0 + 600, T0 + 10000);
+
+    expect(detector.state).toBe(CRASH_STATE.COUNTDOWN);
+    expect(detector.trigger).toMatchObject({ reason: 'impact', peak: 6 });
+  });
+
+  it('does not start the countdown while live speed shows the bike moving', () => {
+    detector.handleSpeed(60, { source: 'ble', updatedAt: T0 }, T0);
+    detector.handleMotion(impact(T0 + 500));
+
+    for (let t = T0 + 600; t <= T0 + 5000; t += 200) {
+      detector.handleSpeed(60, { source: 'ble', updatedAt: t }, t);
+      detector.handleMotion(still(t));
+    }
+    expect(detector.state).toBe(CRASH_STATE.IMPACT);
+  });
+
+  it('ignores impacts when only cached or simulated speed says the bike was riding', () => {
+    detector.handleSpeed(60, { source: 'cache', updatedAt: T0 - 3600000 }, T0);
+    detector.handleSpeed(60, { source: 'mock', updatedAt: T0 }, T0);
+    detector.handleSpeed(60, { source: 'replay', updatedAt: T0 }, T0);
+    detector.handleMotion(impact(T0 + 500));
+
+    expect(detector.wasRiding(T0 + 500)).toBe(false);
+    expect(detector.state).toBe(CRASH_STATE.MONITORING);
+  });
+
+  it('forgets riding once live speed is older than the riding memory', () => {
+    detector.handleSpeed(60, { source: 'gps', updatedAt: T0 }, T0);
+    expect(detector.wasRiding(T0 + 5000)).toBe(true);
+
+    detector.handleMotion(impact(T0 + 20000));
+    expect(detector.state).toBe(CRASH_STATE.MONITORING);
+  });
+});
@@ -0,0 +1,105 @@
+import DataArbiter from '../DataArbiter';
+
+const T0 = 1700000000000;
+
+describe('DataArbiter', () => {
+  let arbiter;
+
+  beforeEach(() => {
+    arbiter = new DataArbiter();
+  });
+
+  it('takes each field from the highest priority fresh source', () => {
+    arbiter.update('gps', { speed: 58 }, T0);
+    arbiter.update('ble', { speed: 60, rpm: 4000 }, T0);
+    arbiter.update('trip', { tripA: '12.0' }, T0);
+
+    expect(arbiter.resolve(T0)).toEqual({
+      data: { speed: 60, rpm: 4000, tripA: '12.0' },
+      provenance: {
+        speed: { source: 'ble', updatedAt: T0 },
+        rpm: { source: 'ble', updatedAt: T0 },
+        tripA: { source: 'trip', updatedAt: T0 },
+      },
+    });
+  });
+
+  it('falls back field by field as sources expire', () => {
+    arbiter.update('ble', { speed: 60, fuel: 75 }, T0);
+    arbiter.update('gps', { speed: 58 }, T0 + 2000);
+
+    // BLE speed is older than 3 s, but fuel stays usable for minutes
+    const { data, provenance } = arbiter.resolve(T0 + 4000);
+    expect(data).toEqual({ speed: 58, fuel: 75 });
+    expect(provenance.speed.source).toBe('gps');
+    expect(provenance.fuel.source).toBe('ble');
+  });
+
+  it('ends at the cache of the last real readings', () => {
+    arbiter.update('ble', { speed: 60, odometer: '12345' }, T0);
+    arbiter.resolve(T0);
+
+    const { data, provenance } = arbiter.resolve(T0 + 3600000);
+    expect(data).toEqual({ speed: 60, odometer: '12345' });
+    expect(provenance.speed).toEqual({ source: 'cache', updatedAt: T0 });
+    expect(arbiter.getCache()).toEqual({
+      data: { speed: 60, odometer: '12345' },
+      updatedAt: { speed: T0, odometer: T0 },
+    });
+  });
+
+  it('never caches simulated or replayed values', () => {
+    arbiter.update('mock', { speed: 120 }, T0);
+    arbiter.update('replay', { rpm: 9000 }, T0);
+    arbiter.resolve(T0);
+
+    expect(arbiter.getCache().data).toEqual({});
+  });
+
+  it('prefers the newer value between sources of equal priority', () => {
+    arbiter.update('mock', { speed: 30 }, T0);
+    arbiter.update('replay', { speed: 40 }, T0 + 500);
+
+    expect(arbiter.resolve(T0 + 500).provenance.speed.source).toBe('replay');
+  });
+
+  it('skips disabled sources without forgetting their values', () => {
+    arbiter.update('gps', { speed: 58 }, T0);
+    arbiter.setSourceEnabled('gps', false);
+    expect(arbiter.resolve(T0).data).toEqual({});
+
+    arbiter.setSourceEnabled('gps', true);
+    expect(arbiter.resolve(T0).data).toEqual({ speed: 58 });
+  });
+
+  it('restores persisted receive times and ignores undefined fields', () => {
+    arbiter.update('cache', { speed: 60, gear: undefined }, T0 + 1000, { speed: T0 });
+
+    expect(arbiter.resolve(T0 + 1000)).toEqual({
+      data: { speed: 60 },
+      provenance: { speed: { source: 'cache', updatedAt: T0 } },
+    });
+  });
+
+  it('clears a source', () => {
+    arbiter.update('mock', { speed: 120 }, T0);
+    arbiter.clear('mock');
+
+    expect(arbiter.resolve(T0).data).toEqual({});
+  });
+
+  it('knows when resolving later may change the result', () => {
+    expect(arbiter.hasExpiringValues(T0)).toBe(false);
+
+    arbiter.update('trip', { tripA: '1.0' }, T0);
+    expect(arbiter.hasExpiringValues(T0)).toBe(false);
+
+    arbiter.update('ble', { speed: 60 }, T0);
+    expect(arbiter.hasExpiringValues(T0 + 1000)).toBe(true);
+    expect(arbiter.hasExpiringValues(T0 + 5000)).toBe(false);
+  });
+
+  it('rejects unknown sources', () => {
+    expect(() => arbiter.update('carrier-pigeon', { speed: 1 })).toThrow('Unknown data source carrier-pigeon');
+  });
+});
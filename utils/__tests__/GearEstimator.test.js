@@ -0,0 +1,97 @@
+import GearEstimator, { GEAR_STATE, NEUTRAL, seedRatios } from '../GearEstimator';
+
+const T0 = 1700000000000;
+
+const createStorage = (profiles = {}) => {
+  const saved = {};
+  return {
+    saved,
+    getGearRatios: async () => profiles,
+    saveGearRatios: async (next) => { saved.gearRatios = JSON.parse(JSON.stringify(next)); return true; },
+  };
+};
+
+// Speed and rpm for a gear on the stock drivetrain
+const frame = (gear, rpm) => ({ speed: (seedRatios()[gear - 1] * rpm) / 1000, rpm });
+
+describe('GearEstimator', () => {
+  let storage;
+  let estimator;
+
+  beforeEach(async () => {
+    storage = createStorage();
+    estimator = new GearEstimator({ storage });
+    await estimator.load();
+  });
+
+  it('seeds one ratio per gear, rising with the gear', () => {
+    const seeds = seedRatios();
+    expect(seeds).toHaveLength(6);
+    seeds.slice(1).forEach((ratio, index) => expect(ratio).toBeGreaterThan(seeds[index]));
+  });
+
+  it('matches the ratio to a gear cluster', () => {
+    const data = estimator.process(frame(3, 4000), T0);
+
+    expect(data.gear).toBe(3);
+    expect(data.gearConfidence).toBeGreaterThan(0);
+    expect(estimator.estimate.state).toBe(GEAR_STATE.ENGAGED);
+  });
+
+  it('reports no gear while the bike stands still', () => {
+    const data = estimator.process({ speed: 0, rpm: 1300 }, T0);
+
+    expect(data.gear).toBeUndefined();
+    expect(data.gearConfidence).toBeUndefined();
+    expect(estimator.estimate).toMatchObject({ gear: null, state: GEAR_STATE.UNKNOWN });
+  });
+
+  it('reports neutral while rolling with the engine at idle', () => {
+    const data = estimator.process({ speed: 20, rpm: 1300 }, T0);
+
+    expect(data.gear).toBe(NEUTRAL);
+    expect(estimator.estimate.state).toBe(GEAR_STATE.NEUTRAL);
+  });
+
+  it('holds the last gear through a short mismatch, then calls it neutral', () => {
+    const { speed } = frame(2, 5000);
+    estimator.process({ speed, rpm: 5000 }, T0);
+    // Clutch slipping: a ratio halfway between 2nd and 3rd
+    const [, second, third] = seedRatios();
+    const rpm = (speed / Math.sqrt(second * third)) * 1000;
+
+    expect(estimator.process({ speed, rpm }, T0 + 200).gear).toBe(2);
+    expect(estimator.estimate.state).toBe(GEAR_STATE.SHIFTING);
+
+    expect(estimator.process({ speed, rpm }, T0 + 2000).gear).toBe(NEUTRAL);
+  });
+
+  it('passes the bike\'s own gear through and learns from it while steady', () => {
+    const seed = estimator.ratios[3];
+    for (let t = 0; t <= 1500; t += 100) {
+      const data = estimator.process({ speed: 70, rpm: 4000, gear: 4 }, T0 + t, true);
+      expect(data).toMatchObject({ gear: 4, gearConfidence: 1 });
+    }
+
+    expect(estimator.counts[3]).toBeGreaterThan(0);
+    expect(estimator.ratios[3]).not.toBe(seed);
+    expect(estimator.ratios[3]).toBeCloseTo(17.5, 0);
+  });
+
+  it('keeps learned ratios per bike', async () => {
+    estimator.selectBike('bike-1');
+    for (let t = 0; t <= 1500; t += 100) {
+      estimator.process({ speed: 70, rpm: 4000, gear: 4 }, T0 + t, true);
+    }
+    await estimator.save();
+    expect(storage.saved.gearRatios['bike-1'].ratios[3]).toBeCloseTo(17.5, 0);
+
+    const restored = new GearEstimator({ storage: createStorage(storage.saved.gearRatios) });
+    await restored.load();
+    restored.selectBike('bike-1');
+    expect(restored.ratios[3]).toBeCloseTo(17.5, 0);
+
+    restored.selectBike('bike-2');
+    expect(restored.ratios).toEqual(seedRatios());
+  });
+});
@@ -0,0 +1,101 @@
+import LeanEstimator, { DEFAULT_MOUNT, calibrateMount } from '../LeanEstimator';
+
+const T0 = 1700000000000;
+const STILL = { x: 0, y: 0, z: 0 };
+const UPRIGHT = { x: 0, y: 1, z: 0 };
+
+// Accelerometer of a bike at rest leaning `degrees` to the right, phone on
+// the default mount
+const leaning = (degrees) => {
+  const radians = (degrees * Math.PI) / 180;
+  return { x: -Math.sin(radians), y: Math.cos(radians), z: 0 };
+};
+
+const expectVector = (actual, expected) => {
+  actual.forEach((value, index) => expect(value).toBeCloseTo(expected[index]));
+};
+
+describe('LeanEstimator', () => {
+  let estimator;
+
+  beforeEach(() => {
+    estimator = new LeanEstimator();
+  });
+
+  it('mounts the phone upright in portrait by default', () => {
+    expectVector(DEFAULT_MOUNT.up, [0, 1, 0]);
+    expectVector(DEFAULT_MOUNT.forward, [0, 0, -1]);
+    expectVector(DEFAULT_MOUNT.right, [1, 0, 0]);
+  });
+
+  it('starts from the angles gravity implies', () => {
+    const { roll, pitch } = estimator.update(leaning(30), STILL, 0, T0);
+
+    expect(roll).toBeCloseTo(30);
+    expect(pitch).toBeCloseTo(0);
+  });
+
+  it('integrates the gyroscope between updates', () => {
+    estimator.update(UPRIGHT, STILL, null, T0);
+    // 1 rad/s about the forward axis for 100 ms
+    const { roll } = estimator.update(UPRIGHT, { x: 0, y: 0, z: -1 }, null, T0 + 100);
+
+    expect(roll).toBeCloseTo(0.98 * 0.1 * (180 / Math.PI));
+  });
+
+  it('restarts from gravity after a long gap', () => {
+    estimator.update(UPRIGHT, STILL, null, T0);
+    estimator.update(UPRIGHT, { x: 0, y: 0, z: -1 }, null, T0 + 100);
+
+    expect(estimator.update(UPRIGHT, STILL, null, T0 + 1000).roll).toBeCloseTo(0);
+  });
+
+  it('finds the lean of a steady turn from speed and turn rate', () => {
+    // 36 km/h turning right at g / 10 m/s rad/s, which needs 45° of lean.
+    // The accelerometer reads straight down through the bike throughout.
+    const lean = Math.PI / 4;
+    const yawRate = -9.81 / 10;
+    const gyro = { x: -yawRate * Math.sin(lean), y: yawRate * Math.cos(lean), z: 0 };
+
+    let angles = estimator.update(UPRIGHT, gyro, 36, T0);
+    for (let t = 20; t <= 10000; t += 20) {
+      angles = estimator.update(UPRIGHT, gyro, 36, T0 + t);
+    }
+    expect(angles.roll).toBeCloseTo(45, 1);
+
+    // Too slow for the turn to say anything: gravity pulls it back upright
+    for (let t = 10020; t <= 30000; t += 20) {
+      angles = estimator.update(UPRIGHT, STILL, 5, T0 + t);
+    }
+    expect(angles.roll).toBeCloseTo(0, 1);
+  });
+
+  it('measures tilt from upright', () => {
+    expect(estimator.tiltAngle(UPRIGHT)).toBeCloseTo(0);
+    expect(estimator.tiltAngle({ x: 1, y: 0, z: 0 })).toBeCloseTo(90);
+    expect(estimator.tiltAngle(leaning(60))).toBeCloseTo(60);
+  });
+
+  it('has no angles until the first update', () => {
+    expect(estimator.getAngles()).toEqual({ roll: null, pitch: null });
+    estimator.update(UPRIGHT, STILL, null, T0);
+    estimator.reset();
+    expect(estimator.getAngles()).toEqual({ roll: null, pitch: null });
+  });
+
+  describe('calibrateMount', () => {
+    it('takes the mount from a phone lying flat', () => {
+      const mount = calibrateMount([{ x: 0, y: 0.01, z: 1 }, { x: 0, y: -0.01, z: 1 }]);
+
+      expectVector(mount.up, [0, 0, 1]);
+      expectVector(mount.forward, [0, 1, 0]);
+      expectVector(mount.right, [1, 0, 0]);
+    });
+
+    it('refuses samples that are not a still bike', () => {
+      expect(() => calibrateMount([])).toThrow('No accelerometer samples to calibrate with');
+      expect(() => calibrateMount([UPRIGHT, { x: 0.2, y: 1, z: 0 }])).toThrow('Phone moved during calibration');
+      expect(() => calibrateMount([{ x: 0, y: 1.5, z: 0 }])).toThrow('Accelerometer reading is not gravity');
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import { Buffer } from 'buffer';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
+import { YezdiPacketDecoder } from '../PacketDecoder';
+
+// 60 km/h in 3rd at 4000 rpm, 75% fuel, Rain mode, high beam and battery
+// warning on, odometer 12345 km
+const FULL_FRAME = Buffer.from([60, 3, 0x01, 0x90, 75, 1, 0x09, 0x00, 0x00, 0x30, 0x39]);
+
+describe('PacketDecoder', () => {
+  let decoder;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    decoder = new YezdiPacketDecoder();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('built-in schemas', () => {
+    it('decodes a full dashboard frame', () => {
+      expect(decoder.decode(FULL_FRAME)).toEqual({
+        schemaId: 'yezdi-full-v1',
+        data: {
+          speed: 60,
+          gear: 3,
+          rpm: 4000,
+          fuel: 75,
+          ridingMode: 'Rain',
+          highBeam: true,
+          hazard: false,
+          engineCheck: false,
+          battery: true,
+          odometer: '12345',
+        },
+        untrusted: [],
+      });
+    });
+
+    it('clamps out of range values and falls back for unknown modes', () => {
+      const frame = Buffer.from(FULL_FRAME);
+      frame[1] = 0; // gear
+      frame[4] = 130; // fuel
+      frame[5] = 9; // riding mode
+      const { data } = decoder.decode(frame);
+
+      expect(data).toMatchObject({ gear: 1, fuel: 100, ridingMode: 'Road' });
+    });
+
+    it('decodes a short frame with defaults and an untrusted gear', () => {
+      const result = decoder.decode(Buffer.from([42, 2, 0x00, 0x3c]));
+
+      expect(result.schemaId).toBe('yezdi-short-v1');
+      expect(result.data).toEqual({
+        ridingMode: 'Road',
+        highBeam: false,
+        hazard: false,
+        engineCheck: false,
+        speed: 42,
+        gear: 2,
+        rpm: 3000,
+      });
+      expect(result.untrusted).toEqual(['gear']);
+    });
+
+    it('decodes a speed-only frame', () => {
+      expect(decoder.decode(Buffer.from([88]))).toEqual({ schemaId: 'yezdi-speed-only-v1', data: { speed: 88 }, untrusted: [] });
+    });
+
+    it('only reads telemetry schemas for other characteristic roles when asked', () => {
+      expect(decoder.decode(Buffer.from([88]), null, 'telltales')).toBeNull();
+      expect(decoder.decode(Buffer.from([88]), null, 'telemetry')).not.toBeNull();
+    });
+
+    it('returns null for an empty frame', () => {
+      expect(decoder.decode(Buffer.alloc(0))).toBeNull();
+    });
+  });
+
+  describe('custom schemas', () => {
+    const TELLTALES = {
+      id: 'telltale-frame',
+      role: 'telltales',
+      charUUID: 'FFF2',
+      priority: 20,
+      match: [{ offset: 0, value: 0xa0, mask: 0xf0 }],
+      fields: {
+        hazard: { offset: 1, type: 'uint8', mask: 0x02 },
+        ridingMode: { offset: 2, type: 'uint8', mask: 0x0c, shift: 2, enum: { 0: 'Road', 1: 'Rain', 2: 'Off-Road' } },
+        lean: { offset: 3, type: 'int16', endian: 'little', scale: 0.1 },
+      },
+    };
+
+    it('matches on role, characteristic and header bits', () => {
+      decoder.register(TELLTALES);
+      const frame = Buffer.from([0xa5, 0x02, 0x08, 0x9c, 0xff]);
+
+      expect(decoder.decode(frame, '0000fff2-0000-1000-8000-00805f9b34fb', 'telltales')).toEqual({
+        schemaId: 'telltale-frame',
+        data: { hazard: true, ridingMode: 'Off-Road', lean: -10 },
+        untrusted: [],
+      });
+      expect(decoder.findSchema(frame, 'fff1', 'telltales')).toBeNull();
+      expect(decoder.findSchema(Buffer.from([0xb5, 0x02, 0x08, 0x9c, 0xff]), 'fff2', 'telltales')).toBeNull();
+    });
+
+    it('requires frames to reach the furthest field', () => {
+      decoder.register(TELLTALES);
+
+      expect(decoder.getSchemas().find((schema) => schema.id === 'telltale-frame').minLength).toBe(5);
+      expect(decoder.findSchema(Buffer.from([0xa5, 0x02, 0x08, 0x9c]), 'fff2', 'telltales')).toBeNull();
+    });
+
+    it('replaces a schema with the same id and orders by priority', () => {
+      decoder.register({ id: 'yezdi-speed-only-v1', priority: 50, fields: { speed: { offset: 0, type: 'uint8', scale: 2 } } });
+
+      expect(decoder.getSchemas()[0].id).toBe('yezdi-speed-only-v1');
+      expect(decoder.getSchemas().filter((schema) => schema.id === 'yezdi-speed-only-v1')).toHaveLength(1);
+      expect(decoder.decode(FULL_FRAME).data).toEqual({ speed: 120 });
+    });
+
+    it('rejects invalid schemas with a reason', () => {
+      expect(() => decoder.register({ fields: {} })).toThrow('Schema is missing an id');
+      expect(() => decoder.register({ id: 'x' })).toThrow('Schema x has no fields');
+      expect(() => decoder.register({ id: 'x', fields: { a: { offset: 0, type: 'float' } } })).toThrow('unknown type float');
+      expect(() => decoder.register({ id: 'x', fields: { a: { offset: -1, type: 'uint8' } } })).toThrow('invalid offset');
+      expect(() => decoder.register({ id: 'x', fields: { a: { offset: 0, type: 'uint16', endian: 'middle' } } })).toThrow('invalid endian');
+      expect(() => decoder.register({ id: 'x', fields: {}, match: [{ offset: 0 }] })).toThrow('invalid match rule');
+    });
+
+    it('loads nothing from a file with one bad schema', () => {
+      const json = JSON.stringify({ schemas: [TELLTALES, { id: 'broken', fields: { a: { offset: 0, type: 'bits' } } }] });
+
+      expect(() => decoder.loadSchemas(json)).toThrow('unknown type bits');
+      expect(decoder.getSchemas().map((schema) => schema.id)).not.toContain('telltale-frame');
+    });
+
+    it('persists user schemas and resets to the built-in set', async () => {
+      // No schema file in the document directory
+      jest.spyOn(FileSystem, 'getInfoAsync').mockResolvedValue({ exists: false });
+      expect(await decoder.saveSchemas([TELLTALES])).toBe(1);
+
+      const restored = new YezdiPacketDecoder();
+      expect(await restored.loadUserSchemas()).toBe(1);
+      expect(restored.getSchemas().map((schema) => schema.id)).toContain('telltale-frame');
+
+      await restored.resetSchemas();
+      expect(restored.getSchemas().map((schema) => schema.id)).toEqual(['yezdi-full-v1', 'yezdi-short-v1', 'yezdi-speed-only-v1']);
+      expect(await AsyncStorage.getItem('yezdi_decoder_schemas')).toBeNull();
+    });
+  });
+});
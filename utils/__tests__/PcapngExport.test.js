@@ -0,0 +1,94 @@
+import { buildPcapng, LINKTYPE_USER0, FRAME_HEADER_LENGTH } from '../PcapngExport';
+
+const T0 = 1700000000000;
+
+const SESSION = {
+  format: 'capture',
+  startedAt: T0,
+  frames: [
+    // As recorded by the capture, with the parser's verdict
+    { t: 100, hex: '3c', role: 'telemetry', serviceUUID: 'fff0', charUUID: 'fff1', kind: 'telemetry', schemaId: 'yezdi-speed-only-v1', data: { speed: 60 }, untrusted: [] },
+    { t: 300, hex: '5a1000', role: 'ack', serviceUUID: 'fff0', charUUID: 'fff4', kind: 'ack' },
+    // From a debug log: decoded on export
+    { t: 400, hex: '2a02003c', role: 'telemetry', serviceUUID: 'fff0', charUUID: 'fff1' },
+    { t: 500, hex: '', role: 'telemetry', serviceUUID: 'fff0', charUUID: 'not-a-uuid' },
+  ],
+  markers: [{ t: 200, label: 'Hazard on' }],
+};
+
+// Split a pcapng file into { type, body } blocks, checking both lengths
+const readBlocks = (buffer) => {
+  const blocks = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    const type = buffer.readUInt32LE(offset);
+    const length = buffer.readUInt32LE(offset + 4);
+    expect(length % 4).toBe(0);
+    expect(buffer.readUInt32LE(offset + length - 4)).toBe(length);
+    blocks.push({ type, body: buffer.subarray(offset + 8, offset + length - 4) });
+    offset += length;
+  }
+  return blocks;
+};
+
+// Timestamp, packet bytes and comment of an enhanced packet block
+const readPacket = ({ body }) => {
+  const timestamp = body.readUInt32LE(4) * 0x100000000 + body.readUInt32LE(8);
+  const length = body.readUInt32LE(12);
+  const data = body.subarray(20, 20 + length);
+  const optionStart = 20 + length + ((4 - (length % 4)) % 4);
+  const commentLength = body.readUInt16LE(optionStart + 2);
+  const comment = body.subarray(optionStart + 4, optionStart + 4 + commentLength).toString('utf8');
+  return { timestamp, data, comment };
+};
+
+describe('PcapngExport', () => {
+  let blocks;
+
+  beforeEach(() => {
+    blocks = readBlocks(buildPcapng(SESSION, 'yezdi_capture_1'));
+  });
+
+  it('starts with a section header and one millisecond user link interface', () => {
+    expect(blocks.map((block) => block.type)).toEqual([0x0a0d0d0a, 1, 6, 6, 6, 6, 6]);
+    expect(blocks[0].body.readUInt32LE(0)).toBe(0x1a2b3c4d);
+    expect(blocks[0].body.toString('utf8')).toContain('Yezdi BLE capture yezdi_capture_1, started 2023-11-14T22:13:20.000Z');
+    expect(blocks[1].body.readUInt16LE(0)).toBe(LINKTYPE_USER0);
+    expect(blocks[1].body.toString('hex')).toContain('0900010003');
+  });
+
+  it('orders frames and markers on one timeline', () => {
+    const packets = blocks.slice(2).map(readPacket);
+
+    expect(packets.map((packet) => packet.timestamp - T0)).toEqual([100, 200, 300, 400, 500]);
+    expect(packets[1].comment).toBe('Marker: Hazard on');
+    expect(packets[1].data.subarray(0, 4).toString('hex')).toBe('01030000');
+    expect(packets[1].data.subarray(FRAME_HEADER_LENGTH).toString('utf8')).toBe('Hazard on');
+  });
+
+  it('puts kind, role and UUIDs in front of the notification bytes', () => {
+    const { data } = readPacket(blocks[2]);
+
+    expect(data).toHaveLength(FRAME_HEADER_LENGTH + 1);
+    expect(data.subarray(0, 4).toString('hex')).toBe('01010100');
+    expect(data.subarray(4, 20).toString('hex')).toBe('0000fff000001000800000805f9b34fb');
+    expect(data.subarray(20, 36).toString('hex')).toBe('0000fff100001000800000805f9b34fb');
+    expect(data[36]).toBe(0x3c);
+  });
+
+  it('comments each packet with the parser result', () => {
+    const [recorded, , ack, decoded, unknown] = blocks.slice(2).map(readPacket);
+
+    expect(recorded.comment).toBe('Decoded with schema yezdi-speed-only-v1: {"speed":60}');
+    expect(ack.comment).toBe('Command acknowledgement');
+    expect(ack.data.subarray(0, 4).toString('hex')).toBe('01020400');
+    expect(decoded.comment).toBe(
+      'Decoded with schema yezdi-short-v1: ' +
+      '{"ridingMode":"Road","highBeam":false,"hazard":false,"engineCheck":false,"speed":42,"gear":2,"rpm":3000}' +
+      ' (untrusted: gear)'
+    );
+    expect(unknown.comment).toBe('No decoder matched 0 byte frame');
+    expect(unknown.data.subarray(0, 2).toString('hex')).toBe('0100');
+    expect(unknown.data.subarray(20, 36).equals(Buffer.alloc(16))).toBe(true);
+  });
+});
@@ -0,0 +1,155 @@
+import RideRecorder, { decodeRow } from '../RideRecorder';
+import { buildGpx, buildTcx, escapeXml } from '../RideExport';
+
+const RIDE = { id: 'ride-1', name: 'Nandi Hills & back', startedAt: Date.UTC(2025, 0, 5, 6, 0, 0), fixes: 4 };
+
+// Recorded chunks as stored: ['t', t, speed, rpm, gear, fuel, flags, lean]
+// and ['g', t, latitude, longitude, altitude, speed, accuracy, heading]
+const CHUNKS = [
+  [
+    ['t', 0, 36, 4000, 3, 80, 0, 0],
+    ['g', 500, 13.37, 77.68, 1450, 35, 5, 90],
+    ['g', 1500, 13.3701, 77.6801, 1451, 36, 5, 90],
+    // Too inaccurate to draw
+    ['g', 2000, 13.5, 77.9, 1400, 36, 120, 90],
+  ],
+  [
+    ['t', 100000, 12, 1300, 'N', 0, 0, 0],
+    ['g', 100200, 13.38, 77.69, 1460, 12, 4, 180],
+    ['g', 101200, 13.3801, 77.6901, 1460, 12, 4, 180],
+  ],
+  // Telemetry only, e.g. riding through a tunnel
+  [
+    ['t', 102000, 20, 2500, 2, 79, 0, 0],
+  ],
+];
+
+const feedChunks = (chunks) => {
+  jest.spyOn(RideRecorder, 'readRide').mockImplementation(async (id, onRows) => {
+    for (const rows of chunks) {
+      await onRows(rows.map(decodeRow));
+    }
+    return null;
+  });
+};
+
+const collect = () => {
+  const parts = [];
+  return { parts, writePart: async (content) => { parts.push(content); } };
+};
+
+const count = (text, pattern) => (text.match(new RegExp(pattern, 'g')) || []).length;
+
+describe('RideExport', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('escapes XML text', () => {
+    expect(escapeXml('<a href="x">Tom & Jerry\'s</a>')).toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+  });
+
+  describe('buildGpx', () => {
+    it('writes one complete track per chunk with fixes', async () => {
+      feedChunks(CHUNKS);
+      const { parts, writePart } = collect();
+
+      expect(await buildGpx(RIDE, writePart)).toBe(2);
+      expect(parts).toHaveLength(2);
+      parts.forEach((part) => {
+        expect(part.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<gpx version="1.1"')).toBe(true);
+        expect(part.endsWith('    </trkseg>\n  </trk>\n</gpx>\n')).toBe(true);
+        expect(count(part, '<trkseg>')).toBe(1);
+        expect(part).toContain('<name>Nandi Hills &amp; back</name>');
+      });
+
+      expect(count(parts[0], '<trkpt ')).toBe(2);
+      expect(parts[0]).toContain(
+        '<trkpt lat="13.37" lon="77.68"><ele>1450</ele><time>2025-01-05T06:00:00.500Z</time></trkpt>'
+      );
+      expect(parts[0]).not.toContain('lat="13.5"');
+      expect(parts[1]).toContain('<time>2025-01-05T06:01:40.200Z</time>\n  </metadata>');
+    });
+
+    it('splits a track at long gaps', async () => {
+      feedChunks([[...CHUNKS[0], ...CHUNKS[1]]]);
+      const { parts, writePart } = collect();
+
+      await buildGpx(RIDE, writePart);
+      expect(parts).toHaveLength(1);
+      expect(count(parts[0], '<trkseg>')).toBe(2);
+      expect(count(parts[0], '</trkseg>')).toBe(2);
+    });
+
+    it('refuses a ride without a GPS track', async () => {
+      feedChunks([CHUNKS[2]]);
+      const { parts, writePart } = collect();
+
+      await expect(buildGpx({ ...RIDE, fixes: 0 }, writePart)).rejects.toThrow('This ride has no GPS track');
+      expect(parts).toHaveLength(0);
+    });
+  });
+
+  describe('buildTcx', () => {
+    it('carries speed, rpm, fuel and gear in standard trackpoint fields', async () => {
+      feedChunks(CHUNKS);
+      const { parts, writePart } = collect();
+
+      expect(await buildTcx(RIDE, writePart)).toBe(2);
+      const [first, second] = parts;
+      expect(first).toContain(
+        '<Trackpoint><Time>2025-01-05T06:00:00.500Z</Time>' +
+        '<Position><LatitudeDegrees>13.37</LatitudeDegrees><LongitudeDegrees>77.68</LongitudeDegrees></Position>' +
+        '<AltitudeMeters>1450</AltitudeMeters><DistanceMeters>0.0</DistanceMeters>' +
+        '<HeartRateBpm><Value>80</Value></HeartRateBpm><Cadence>40</Cadence>' +
+        '<Extensions><ns3:TPX><ns3:Speed>10.00</ns3:Speed><ns3:Watts>3</ns3:Watts></ns3:TPX></Extensions>' +
+        '</Trackpoint>'
+      );
+      parts.forEach((part) => {
+        expect(part).not.toContain('yz:');
+        expect(part.endsWith('</TrainingCenterDatabase>\n')).toBe(true);
+      });
+
+      // Neutral is 0 W; an empty tank has no heart rate
+      expect(second).toContain('<ns3:Watts>0</ns3:Watts>');
+      expect(second).not.toContain('<HeartRateBpm>');
+    });
+
+    it('gives each part its own lap, with distance counted from the part start', async () => {
+      feedChunks(CHUNKS);
+      const { parts, writePart } = collect();
+
+      await buildTcx(RIDE, writePart);
+      const [first, second] = parts;
+      expect(first).toContain('<Id>2025-01-05T06:00:00.500Z</Id>');
+      expect(first).toContain('<TotalTimeSeconds>1</TotalTimeSeconds>');
+      expect(first).toContain('<MaximumSpeed>10.00</MaximumSpeed>');
+      const lapDistance = parseFloat(first.match(/<Lap[^>]*>\s*<TotalTimeSeconds>\d+<\/TotalTimeSeconds>\s*<DistanceMeters>([\d.]+)/)[1]);
+      expect(lapDistance).toBeGreaterThan(10);
+      expect(lapDistance).toBeLessThan(20);
+
+      expect(second).toContain('<Id>2025-01-05T06:01:40.200Z</Id>');
+      expect(second).toMatch(/<Time>2025-01-05T06:01:40.200Z<\/Time>.*<DistanceMeters>0\.0<\/DistanceMeters>/);
+    });
+
+    it('describes rides without GPS by their telemetry', async () => {
+      feedChunks([[
+        ['t', 0, 36, 4000, 3, 80, 0, 0],
+        ['t', 10000, 36, 4000, 3, 80, 0, 0],
+      ]]);
+      const { parts, writePart } = collect();
+
+      expect(await buildTcx({ ...RIDE, fixes: 0 }, writePart)).toBe(1);
+      expect(parts[0]).not.toContain('<Position>');
+      // 10 m/s for 10 seconds
+      expect(parts[0]).toContain('<Time>2025-01-05T06:00:10.000Z</Time><DistanceMeters>100.0</DistanceMeters>');
+    });
+
+    it('refuses a ride with nothing recorded', async () => {
+      feedChunks([[]]);
+      const { writePart } = collect();
+
+      await expect(buildTcx({ ...RIDE, fixes: 0 }, writePart)).rejects.toThrow('This ride has no recorded data');
+    });
+  });
+});
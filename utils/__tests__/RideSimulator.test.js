@@ -0,0 +1,73 @@
+import RideSimulator, { DEFAULT_DRIVETRAIN, SCENARIOS } from '../RideSimulator';
+
+// Run a scenario for `seconds` in 100 ms steps, returning every frame
+const ride = (simulator, seconds) => {
+  const frames = [];
+  for (let i = 0; i < seconds * 10; i++) {
+    frames.push(simulator.step(0.1));
+  }
+  return frames;
+};
+
+describe('RideSimulator', () => {
+  it('ties speed to rpm through the gearbox', () => {
+    const simulator = new RideSimulator();
+    const speed = simulator.speedForRpm(5000, 3);
+
+    expect(simulator.rpmForSpeed(speed, 3)).toBeCloseTo(5000);
+    expect(simulator.speedForRpm(5000, 4)).toBeGreaterThan(speed);
+  });
+
+  it('rejects a drivetrain without usable gear ratios', () => {
+    expect(() => new RideSimulator({ gearRatios: [] })).toThrow('Gear ratios');
+    expect(() => new RideSimulator({ gearRatios: [2.8, 0] })).toThrow('Gear ratios');
+  });
+
+  it('rejects unknown scenarios', () => {
+    expect(() => new RideSimulator().load('moon')).toThrow('Unknown scenario moon');
+  });
+
+  it('idles in first gear while stopped and shifts up as speed builds', () => {
+    const simulator = new RideSimulator();
+    simulator.load('highway');
+
+    const [first] = ride(simulator, 0.1);
+    expect(first).toMatchObject({ gear: 1, rpm: 1300 });
+
+    const frames = ride(simulator, 20);
+    const last = frames[frames.length - 1];
+    expect(last.speed).toBeGreaterThan(90);
+    expect(last.gear).toBe(DEFAULT_DRIVETRAIN.gearRatios.length);
+    expect(last.rpm).toBeLessThan(SCENARIOS.highway.shiftUpRpm);
+  });
+
+  it('holds the gear into the limiter', () => {
+    const simulator = new RideSimulator();
+    simulator.load('over-rev');
+
+    const frames = ride(simulator, 18);
+    expect(Math.max(...frames.map((frame) => frame.rpm))).toBe(9000);
+    expect(frames[frames.length - 1].gear).toBe(2);
+  });
+
+  it('drains fuel and advances the odometer with distance', () => {
+    const simulator = new RideSimulator();
+    simulator.load('low-fuel', { odometer: 1000 });
+
+    const frames = ride(simulator, 60);
+    expect(frames[frames.length - 1].fuel).toBeLessThan(12);
+    expect(Number(frames[frames.length - 1].odometer)).toBe(1000);
+    expect(simulator.distance).toBeGreaterThan(1000.5);
+  });
+
+  it('switches tell-tales as phases start, all off by default', () => {
+    const simulator = new RideSimulator();
+    simulator.load('engine-fault');
+
+    const [first] = ride(simulator, 0.1);
+    expect(first).toMatchObject({ highBeam: false, hazard: false, engineCheck: false, battery: false });
+
+    const frames = ride(simulator, 40);
+    expect(frames[frames.length - 1]).toMatchObject({ engineCheck: true, hazard: true, battery: false });
+  });
+});
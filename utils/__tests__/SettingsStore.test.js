@@ -0,0 +1,107 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { YezdiSettingsStore, DEFAULT_SETTINGS, SETTINGS_VERSION, mapSettings } from '../SettingsStore';
+
+const stored = async (key) => JSON.parse(await AsyncStorage.getItem(key));
+
+describe('SettingsStore', () => {
+  let settings;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    settings = new YezdiSettingsStore();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('explains why a value is not acceptable', () => {
+    expect(settings.validate('accentColor', '#0ff')).toBeNull();
+    expect(settings.validate('accentColor', 'cyan')).toBe('expected a colour like #00FFFF');
+    expect(settings.validate('crashCountdown', '30')).toBe('expected a number');
+    expect(settings.validate('crashCountdown', NaN)).toBe('expected a number');
+    expect(settings.validate('crashCountdown', 0)).toBe('must be greater than zero');
+    expect(settings.validate('crashAlertAction', 'email')).toBe('expected one of sms, call');
+    expect(settings.validate('mockGearRatios', '2.8, 1.9, x')).toBe('"x" is not a positive number');
+    expect(settings.validate('characteristicRoles', '[]')).toBe('expected a JSON object');
+    expect(settings.validate('characteristicRoles', '')).toBeNull();
+    expect(settings.validate('warpDrive', true)).toBe('unknown setting');
+  });
+
+  it('starts from the defaults', async () => {
+    await settings.load();
+
+    expect(settings.getAll()).toEqual(DEFAULT_SETTINGS);
+  });
+
+  it('stores and announces only the values that changed', async () => {
+    await settings.load();
+    const listener = jest.fn();
+    settings.on('change', listener);
+
+    await settings.update({ accentColor: '#FF0000', warningBlinkEnabled: true });
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0]).toEqual({ accentColor: '#FF0000' });
+    expect(await stored('yezdi_settings')).toEqual({
+      version: SETTINGS_VERSION,
+      values: { ...DEFAULT_SETTINGS, accentColor: '#FF0000' },
+    });
+
+    await settings.set('accentColor', '#FF0000');
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('changes nothing when any value is invalid', async () => {
+    await settings.load();
+
+    await expect(settings.update({ accentColor: '#FF0000', crashTiltAngle: -5 }))
+      .rejects.toThrow('Invalid crashTiltAngle: must be greater than zero');
+    expect(settings.get('accentColor')).toBe(DEFAULT_SETTINGS.accentColor);
+    expect((await stored('yezdi_settings')).values.accentColor).toBe(DEFAULT_SETTINGS.accentColor);
+  });
+
+  it('restores saved values and skips invalid ones', async () => {
+    await AsyncStorage.setItem('yezdi_settings', JSON.stringify({
+      version: SETTINGS_VERSION,
+      values: { debugMode: true, crashCountdown: -1 },
+    }));
+    await settings.load();
+
+    expect(settings.get('debugMode')).toBe(true);
+    expect(settings.get('crashCountdown')).toBe(DEFAULT_SETTINGS.crashCountdown);
+  });
+
+  it('imports per-key settings from older builds and removes them', async () => {
+    await AsyncStorage.setItem('accentColor', '#FF00FF');
+    await AsyncStorage.setItem('debugMode', 'true');
+    await AsyncStorage.setItem('crashCountdown', '15');
+    await AsyncStorage.setItem('crashTestMode', '{not json');
+    await settings.load();
+
+    expect(settings.getAll()).toEqual({
+      ...DEFAULT_SETTINGS,
+      accentColor: '#FF00FF',
+      debugMode: true,
+      crashCountdown: 15,
+    });
+    expect((await stored('yezdi_settings')).values.crashCountdown).toBe(15);
+    expect(await AsyncStorage.getItem('accentColor')).toBeNull();
+    expect(await AsyncStorage.getItem('crashTestMode')).toBeNull();
+  });
+
+  it('resets every setting to its default', async () => {
+    await settings.load();
+    await settings.update({ debugMode: true, crashAlertAction: 'call' });
+    await settings.reset();
+
+    expect(settings.getAll()).toEqual(DEFAULT_SETTINGS);
+    expect((await stored('yezdi_settings')).values).toEqual(DEFAULT_SETTINGS);
+  });
+
+  it('renames settings for a module', () => {
+    expect(mapSettings({ crashCountdown: 10, debugMode: true }, { crashCountdown: 'countdown', crashTiltAngle: 'tilt' }))
+      .toEqual({ countdown: 10 });
+  });
+});
@@ -0,0 +1,138 @@
+import { YezdiSpeedCalibration, fitCalibration, MIN_CALIBRATION_SAMPLES } from '../SpeedCalibration';
+import StorageManager from '../StorageManager';
+import TripComputer from '../TripComputer';
+
+const T0 = 1700000000000;
+
+const ble = (t) => ({ speed: { source: 'ble', updatedAt: t } });
+
+// Ride steadily at `bikeSpeed` for 3 s, then get a GPS fix
+const rideSteady = (calibration, t, bikeSpeed, gpsSpeed, accuracy = 5) => {
+  for (let step = 0; step <= 3000; step += 250) {
+    calibration.handleBikeData({ speed: bikeSpeed }, ble(t + step));
+  }
+  calibration.handleLocation({ speed: gpsSpeed, accuracy, timestamp: t + 3000 });
+};
+
+// Running sums for pairs of [bike, gps] speeds
+const statsFor = (pairs) => {
+  const calibration = new YezdiSpeedCalibration();
+  pairs.forEach(([bike, gps]) => calibration.addPair(bike, gps));
+  return calibration.stats;
+};
+
+describe('SpeedCalibration', () => {
+  let calibration;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(StorageManager, 'saveSpeedCalibration').mockResolvedValue(true);
+    calibration = new YezdiSpeedCalibration();
+    calibration.loaded = true;
+    calibration.selectBike('bike-1');
+  });
+
+  afterEach(() => {
+    TripComputer.setDistanceFactor(1);
+    jest.restoreAllMocks();
+  });
+
+  describe('fitCalibration', () => {
+    it('waits for enough pairs', () => {
+      const pairs = Array.from({ length: MIN_CALIBRATION_SAMPLES - 1 }, () => [60, 57]);
+
+      expect(fitCalibration(statsFor(pairs))).toBeNull();
+    });
+
+    it('fits a single factor', () => {
+      const pairs = Array.from({ length: MIN_CALIBRATION_SAMPLES }, (_, index) => [40 + index, (40 + index) * 0.95]);
+      const fit = fitCalibration(statsFor(pairs));
+
+      expect(fit).toMatchObject({ model: 'factor', offset: 0, confidence: 'medium' });
+      expect(fit.factor).toBeCloseTo(0.95);
+      expect(fit.slope).toBe(fit.factor);
+    });
+
+    it('fits slope and offset over a wide enough speed range', () => {
+      const pairs = Array.from({ length: 60 }, (_, index) => [30 + index, (30 + index) * 0.9 + 3]);
+      const stats = statsFor(pairs);
+
+      expect(fitCalibration(stats).model).toBe('factor');
+      const fit = fitCalibration(stats, true);
+      expect(fit.model).toBe('linear');
+      expect(fit.slope).toBeCloseTo(0.9);
+      expect(fit.offset).toBeCloseTo(3);
+    });
+  });
+
+  describe('pairing', () => {
+    it('pairs steady bike speed with an accurate GPS fix', () => {
+      rideSteady(calibration, T0, 60, 57);
+
+      expect(calibration.stats).toMatchObject({ n: 1, sumBike: 60, sumGps: 57, minBike: 60, maxBike: 60 });
+    });
+
+    it('skips unsteady speed, poor fixes, slow riding and glitches', () => {
+      rideSteady(calibration, T0, 60, 57, 25);
+      rideSteady(calibration, T0 + 10000, 15, 14);
+      rideSteady(calibration, T0 + 20000, 60, 30);
+
+      calibration.handleBikeData({ speed: 50 }, ble(T0 + 30000));
+      calibration.handleBikeData({ speed: 60 }, ble(T0 + 31000));
+      calibration.handleLocation({ speed: 57, accuracy: 5, timestamp: T0 + 31000 });
+
+      expect(calibration.stats.n).toBe(0);
+    });
+
+    it('only counts speed the bike reported', () => {
+      for (let step = 0; step <= 3000; step += 250) {
+        calibration.handleBikeData({ speed: 60 }, { speed: { source: 'cache', updatedAt: T0 + step } });
+      }
+      calibration.handleLocation({ speed: 57, accuracy: 5, timestamp: T0 + 3000 });
+
+      expect(calibration.stats.n).toBe(0);
+    });
+  });
+
+  describe('correction', () => {
+    beforeEach(() => {
+      for (let i = 0; i < MIN_CALIBRATION_SAMPLES; i++) {
+        rideSteady(calibration, T0 + i * 10000, 60, 57);
+      }
+    });
+
+    it('corrects bike speed only when true speed is on', () => {
+      expect(calibration.getStatus()).toMatchObject({ bikeId: 'bike-1', samples: MIN_CALIBRATION_SAMPLES });
+      expect(calibration.correctSpeed(100)).toBe(95);
+      expect(calibration.displaySpeed(100, 'ble')).toEqual({ speed: 100, corrected: false });
+
+      calibration.configure({ trueSpeed: true });
+      expect(calibration.displaySpeed(100, 'ble')).toEqual({ speed: 95, corrected: true });
+      expect(calibration.displaySpeed(100, 'gps')).toEqual({ speed: 100, corrected: false });
+    });
+
+    it('scales trip distances when corrected trips are on', () => {
+      calibration.configure({ correctedTrips: true });
+      expect(TripComputer.distanceFactor).toBeCloseTo(0.95);
+
+      calibration.configure({ correctedTrips: false });
+      expect(TripComputer.distanceFactor).toBe(1);
+    });
+
+    it('keeps each bike calibration separately', () => {
+      expect(StorageManager.saveSpeedCalibration).toHaveBeenCalled();
+      calibration.selectBike('bike-2');
+      expect(calibration.getStatus()).toMatchObject({ samples: 0, fit: null });
+
+      calibration.selectBike('bike-1');
+      expect(calibration.getStatus().samples).toBe(MIN_CALIBRATION_SAMPLES);
+    });
+
+    it('forgets the current bike on reset', async () => {
+      await calibration.reset();
+
+      expect(calibration.getStatus()).toMatchObject({ samples: 0, fit: null });
+      expect(StorageManager.saveSpeedCalibration).toHaveBeenLastCalledWith({});
+    });
+  });
+});
@@ -0,0 +1,100 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { YezdiStorageManager, MIGRATIONS, RETIRED_KEYS, STORAGE_VERSION } from '../StorageManager';
+
+const T0 = 1700000000000;
+
+const stored = async (key) => JSON.parse(await AsyncStorage.getItem(key));
+
+describe('StorageManager', () => {
+  let storage;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(Date, 'now').mockReturnValue(T0);
+    storage = new YezdiStorageManager();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('has one migration per version up to the current one', () => {
+    expect(MIGRATIONS.map((migration) => migration.version)).toEqual(
+      Array.from({ length: STORAGE_VERSION }, (_, index) => index + 1)
+    );
+  });
+
+  it('starts a fresh install at the current version', async () => {
+    await storage.ready();
+
+    expect(await stored('yezdi_storage_version')).toBe(STORAGE_VERSION);
+    expect(await AsyncStorage.getItem('yezdi_cached_data')).toBeNull();
+  });
+
+  it('timestamps bare cached data and service lists from older builds', async () => {
+    await AsyncStorage.setItem('yezdi_cached_data', JSON.stringify({ speed: 60, odometer: '12345' }));
+    await AsyncStorage.setItem('yezdi_discovered_services', JSON.stringify(['fff0', '180a']));
+
+    expect(await storage.getCachedData()).toEqual({
+      data: { speed: 60, odometer: '12345' },
+      updatedAt: {},
+      timestamp: T0,
+    });
+    expect(await storage.getDiscoveredServices()).toEqual(['fff0', '180a']);
+    expect(await stored('yezdi_discovered_services')).toEqual({ services: ['fff0', '180a'], timestamp: T0 });
+  });
+
+  it('keeps arbiter caches and only adds the timestamp', async () => {
+    const cache = { data: { speed: 60 }, updatedAt: { speed: T0 - 5000 } };
+    await AsyncStorage.setItem('yezdi_cached_data', JSON.stringify(cache));
+
+    expect(await storage.getCachedData()).toEqual({ ...cache, timestamp: T0 });
+  });
+
+  it('runs each migration once', async () => {
+    await storage.ready();
+    await AsyncStorage.setItem('yezdi_discovered_services', JSON.stringify(['fff0']));
+
+    const relaunched = new YezdiStorageManager();
+    await relaunched.ready();
+    expect(await stored('yezdi_discovered_services')).toEqual(['fff0']);
+  });
+
+  it('leaves storage from a newer build alone', async () => {
+    await AsyncStorage.setItem('yezdi_storage_version', JSON.stringify(STORAGE_VERSION + 1));
+    await AsyncStorage.setItem('yezdi_discovered_services', JSON.stringify(['fff0']));
+    await storage.ready();
+
+    expect(await stored('yezdi_storage_version')).toBe(STORAGE_VERSION + 1);
+    expect(await stored('yezdi_discovered_services')).toEqual(['fff0']);
+  });
+
+  it('removes retired keys and quarantines corrupt values', async () => {
+    await AsyncStorage.setItem(RETIRED_KEYS[0], '{}');
+    await AsyncStorage.setItem('yezdi_trip_data', '{"trips": ');
+    await AsyncStorage.setItem('yezdi_last_device', JSON.stringify({ id: 'bike-1' }));
+
+    expect(await storage.getTripData()).toBeNull();
+    expect(await AsyncStorage.getItem(RETIRED_KEYS[0])).toBeNull();
+    expect(await storage.getLastDevice()).toEqual({ id: 'bike-1' });
+
+    const quarantined = await storage.getQuarantined();
+    expect(quarantined).toHaveLength(1);
+    expect(quarantined[0]).toMatchObject({ key: 'yezdi_trip_data', value: '{"trips": ', quarantinedAt: T0 });
+
+    expect(await storage.clearQuarantine()).toBe(true);
+    expect(await storage.getQuarantined()).toEqual([]);
+  });
+
+  it('reports the storage version and key count', async () => {
+    await storage.saveLastDevice({ id: 'bike-1', name: 'YEZDI ADV' });
+
+    expect(await storage.getStorageInfo()).toMatchObject({
+      version: STORAGE_VERSION,
+      totalKeys: 2,
+      quarantined: 0,
+    });
+  });
+});
@@ -0,0 +1,141 @@
+import * as FileSystem from 'expo-file-system';
+import RideRecorder, { decodeRow } from '../RideRecorder';
+import { exportTelemetry } from '../TelemetryExport';
+
+const RIDE = { id: 'ride-1', startedAt: Date.UTC(2025, 0, 5, 6, 0, 0) };
+
+// Recorded chunks as stored: ['t', t, speed, rpm, gear, fuel, flags, lean]
+// and ['g', t, latitude, longitude, altitude, speed, accuracy, heading]
+const CHUNKS = [
+  [
+    ['t', 0, 36, 4000, 3, 80, 1, -12.5],
+    ['g', 500, 13.37, 77.68, 1450, 35, 5, 90],
+  ],
+  [
+    ['t', 1000, 40, 4400, 3, 80, 0, 0],
+  ],
+];
+
+const HEADER = 'time,elapsed_s,speed_kmh,rpm,gear,fuel_pct,highBeam,hazard,engineCheck,battery,lean_deg,' +
+  'latitude,longitude,altitude_m,gps_speed_kmh,accuracy_m,heading_deg';
+
+const feedChunks = (chunks) => {
+  jest.spyOn(RideRecorder, 'readRide').mockImplementation(async (id, onRows) => {
+    for (const rows of chunks) {
+      await onRows(rows.map(decodeRow));
+    }
+    return null;
+  });
+};
+
+// Part files written, by name within the export directory
+const captureParts = () => {
+  const parts = {};
+  jest.spyOn(FileSystem, 'deleteAsync').mockResolvedValue();
+  jest.spyOn(FileSystem, 'makeDirectoryAsync').mockResolvedValue();
+  jest.spyOn(FileSystem, 'writeAsStringAsync').mockImplementation(async (uri, content) => {
+    parts[uri.slice(uri.lastIndexOf('/') + 1)] = content;
+  });
+  return parts;
+};
+
+const lines = (content) => content.split('\n').filter((line) => line.length > 0);
+
+describe('TelemetryExport', () => {
+  let parts;
+
+  beforeEach(() => {
+    // The file system functions are shared mocks; start each test with no calls
+    jest.clearAllMocks();
+    jest.spyOn(RideRecorder, 'getRide').mockImplementation((id) => (id === RIDE.id ? RIDE : null));
+    parts = captureParts();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('writes one CSV part per chunk, each with the header row', async () => {
+    feedChunks(CHUNKS);
+    const result = await exportTelemetry('ride-1', 'csv');
+
+    expect(result).toEqual({
+      fileUri: `${FileSystem.documentDirectory}yezdi_ride_ride-1_data_csv/`,
+      fileName: 'yezdi_ride_ride-1_data_csv',
+      title: 'Yezdi Ride Data (CSV)',
+      rows: 3,
+      parts: 2,
+    });
+    expect(FileSystem.makeDirectoryAsync).toHaveBeenCalledWith(result.fileUri, { intermediates: true });
+    expect(Object.keys(parts)).toEqual(['part_001.csv', 'part_002.csv']);
+    expect(lines(parts['part_001.csv'])).toEqual([
+      HEADER,
+      '2025-01-05T06:00:00.000Z,0,36,4000,3,80,1,0,0,0,-12.5,,,,,,',
+      '2025-01-05T06:00:00.500Z,0.5,36,4000,3,80,1,0,0,0,-12.5,13.37,77.68,1450,35,5,90',
+    ]);
+    expect(lines(parts['part_002.csv'])).toEqual([
+      HEADER,
+      '2025-01-05T06:00:01.000Z,1,40,4400,3,80,0,0,0,0,0,13.37,77.68,1450,35,5,90',
+    ]);
+  });
+
+  it('exports only the selected fields, in the chosen units', async () => {
+    feedChunks([CHUNKS[0]]);
+    await exportTelemetry('ride-1', 'csv', { fields: ['gps', 'speed'], units: 'imperial' });
+
+    expect(lines(parts['part_001.csv'])).toEqual([
+      'time,elapsed_s,speed_mph,latitude,longitude,altitude_ft,gps_speed_mph,accuracy_ft,heading_deg',
+      '2025-01-05T06:00:00.000Z,0,22.4,,,,,,',
+      '2025-01-05T06:00:00.500Z,0.5,22.4,13.37,77.68,4757.2,21.7,16,90',
+    ]);
+  });
+
+  it('resamples to a fixed interval without holding stale values', async () => {
+    feedChunks([[
+      ['t', 0, 36, 4000, 3, 80, 0, 0],
+      ['t', 2500, 40, 4400, 3, 80, 0, 0],
+      ['t', 14000, 20, 2000, 2, 79, 0, 0],
+    ]]);
+    const { rows } = await exportTelemetry('ride-1', 'csv', { fields: ['speed'], interval: 5000 });
+
+    // Nothing was recorded within 5 s of 10 s, so that row is left out
+    expect(rows).toBe(2);
+    expect(lines(parts['part_001.csv'])).toEqual([
+      'time,elapsed_s,speed_kmh',
+      '2025-01-05T06:00:00.000Z,0,36',
+      '2025-01-05T06:00:05.000Z,5,40',
+    ]);
+  });
+
+  it('writes JSON lines with nulls for missing values', async () => {
+    feedChunks([CHUNKS[0]]);
+    await exportTelemetry('ride-1', 'jsonl', { fields: ['speed', 'gps'] });
+
+    expect(JSON.parse(lines(parts['part_001.jsonl'])[0])).toEqual({
+      time: '2025-01-05T06:00:00.000Z',
+      elapsed_s: 0,
+      speed_kmh: 36,
+      latitude: null,
+      longitude: null,
+      altitude_m: null,
+      gps_speed_kmh: null,
+      accuracy_m: null,
+      heading_deg: null,
+    });
+  });
+
+  it('still writes one part for an empty ride', async () => {
+    feedChunks([]);
+
+    expect(await exportTelemetry('ride-1', 'jsonl')).toMatchObject({ rows: 0, parts: 1 });
+    expect(parts).toEqual({ 'part_001.jsonl': '' });
+  });
+
+  it('rejects unknown rides, formats, units and empty field lists', async () => {
+    await expect(exportTelemetry('ride-2', 'csv')).rejects.toThrow('Unknown ride ride-2');
+    await expect(exportTelemetry('ride-1', 'xlsx')).rejects.toThrow('Unknown export format xlsx');
+    await expect(exportTelemetry('ride-1', 'csv', { units: 'furlongs' })).rejects.toThrow('Unknown unit system furlongs');
+    await expect(exportTelemetry('ride-1', 'csv', { fields: [] })).rejects.toThrow('Select at least one field to export');
+    expect(FileSystem.writeAsStringAsync).not.toHaveBeenCalled();
+  });
+});
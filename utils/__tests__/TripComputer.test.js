@@ -0,0 +1,123 @@
+import { YezdiTripComputer } from '../TripComputer';
+
+const T0 = 1700000000000;
+
+const createStorage = (tripData = null) => {
+  const saved = {};
+  return {
+    saved,
+    getTripData: async () => tripData,
+    saveTripData: async (data) => { saved.trips = JSON.parse(JSON.stringify(data)); return true; },
+  };
+};
+
+// One frame a second for `seconds`, starting at `from`
+const ride = (computer, from, seconds, frameAt) => {
+  let display;
+  for (let i = 0; i <= seconds; i++) {
+    display = computer.update(frameAt(i), from + i * 1000);
+  }
+  return display;
+};
+
+describe('TripComputer', () => {
+  let storage;
+  let computer;
+
+  beforeEach(() => {
+    storage = createStorage();
+    computer = new YezdiTripComputer({ storage });
+  });
+
+  it('counts distance from odometer steps and ignores glitches', () => {
+    computer.update({ odometer: '1000' }, T0);
+    computer.update({ odometer: '1002' }, T0 + 1000);
+    // A jump of more than 5 km between frames is a bad reading
+    computer.update({ odometer: '1500' }, T0 + 2000);
+    const display = computer.update({ odometer: '1501' }, T0 + 3000);
+
+    expect(display.tripA).toBe('3.0');
+    expect(display.tripB).toBe('3.0');
+  });
+
+  it('integrates speed when the bike sends no odometer', () => {
+    const display = ride(computer, T0, 60, () => ({ speed: 60 }));
+
+    expect(computer.getTrip('A').distance).toBeCloseTo(1, 5);
+    expect(display.tripA).toBe('1.0');
+  });
+
+  it('skips integration gaps longer than 10 seconds', () => {
+    computer.update({ speed: 60 }, T0);
+    computer.update({ speed: 60 }, T0 + 60000);
+
+    expect(computer.getTrip('A').distance).toBe(0);
+    expect(computer.getTrip('A').movingTime).toBe(0);
+  });
+
+  it('scales bike distance by the speedometer correction but not simulated distance', () => {
+    computer.setDistanceFactor(0.9);
+    computer.update({ odometer: '100' }, T0);
+    computer.update({ odometer: '102' }, T0 + 1000);
+    expect(computer.getTrip('A').distance).toBeCloseTo(1.8, 5);
+
+    computer.update({ odometer: '104' }, T0 + 2000, false);
+    expect(computer.getTrip('A').distance).toBeCloseTo(3.8, 5);
+  });
+
+  it('shows moving time, average speed and economy per trip', () => {
+    const display = ride(computer, T0, 3600, (i) => ({ speed: 40, fuel: 80 - Math.floor(i / 360) }));
+
+    expect(display.tripATime).toBe('1:00');
+    expect(display.tripAAvgSpeed).toBe(40);
+    expect(display.tripBTime).toBe('1:00');
+    expect(display.tripBAvgSpeed).toBe(40);
+    // 10% of a 13 litre tank over 40 km
+    expect(display.afe).toBe((40 / 1.3).toFixed(1));
+  });
+
+  it('treats a fuel rise as a refuel, not negative consumption', () => {
+    computer.update({ fuel: 50 }, T0);
+    computer.update({ fuel: 40 }, T0 + 1000);
+    computer.update({ fuel: 90 }, T0 + 2000);
+    computer.update({ fuel: 85 }, T0 + 3000);
+
+    expect(computer.getTrip('A').fuelUsed).toBeCloseTo(1.95, 5);
+  });
+
+  it('resets one trip and keeps the other', async () => {
+    ride(computer, T0, 60, () => ({ speed: 60 }));
+    const display = await computer.resetTrip('A');
+
+    expect(display.tripA).toBe('0.0');
+    expect(display.tripB).toBe('1.0');
+    expect(display.tripATime).toBe('0:00');
+    expect(storage.saved.trips.trips.B.distance).toBeCloseTo(1, 5);
+    await expect(computer.resetTrip('C')).rejects.toThrow('Unknown trip C');
+  });
+
+  it('leaves the saved trips alone while sandboxed', async () => {
+    ride(computer, T0, 60, () => ({ speed: 60 }));
+    await computer.save();
+
+    computer.startSandbox();
+    ride(computer, T0 + 100000, 60, () => ({ speed: 120 }));
+    expect(computer.getTrip('A').distance).toBeCloseTo(2, 5);
+    expect(await computer.save()).toBe(false);
+    computer.endSandbox();
+
+    expect(computer.getTrip('A').distance).toBeCloseTo(1, 5);
+    expect(storage.saved.trips.trips.A.distance).toBeCloseTo(1, 5);
+  });
+
+  it('restores saved trips', async () => {
+    const restored = new YezdiTripComputer({
+      storage: createStorage({ trips: { B: { distance: 12.34 } }, lastOdometer: 500, tankCapacity: 15 }),
+    });
+    await restored.load();
+
+    expect(restored.getDisplayData()).toMatchObject({ tripA: '0.0', tripB: '12.3' });
+    expect(restored.tankCapacity).toBe(15);
+    expect(restored.update({ odometer: '501' }, T0).tripB).toBe('13.3');
+  });
+});
@@ -0,0 +1,86 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import BleManager from './BleManager';
+
+const identity = (data) => data;
+
+// Shallow comparison so selectors returning a new object each time do not
+// re-render when none of the selected fields changed
+export const shallowEqual = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+
+  return keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+};
+
+// Subscribe a component to bike telemetry. The component only re-renders when
+// the value returned by `selector` changes. The selector also receives the
+// provenance of each field, e.g.
+//   const speed = useBikeTelemetry((data) => data.speed);
+//   const { highBeam, hazard } = useBikeTelemetry(({ highBeam, hazard }) => ({ highBeam, hazard }));
+//   const speedSource = useBikeTelemetry((data, provenance) => provenance.speed && provenance.speed.source);
+const useBikeTelemetry = (selector = identity) => {
+  const selectorRef = useRef(selector);
+  selectorRef.current = selector;
+
+  const [selected, setSelected] = useState(() =>
+    selector(BleManager.getLatestData() || {}, BleManager.getProvenance() || {})
+  );
+  const selectedRef = useRef(selected);
+
+  useEffect(() => {
+    const update = (data, provenance) => {
+      const next = selectorRef.current(data || {}, provenance || {});
+      if (!shallowEqual(next, selectedRef.current)) {
+        selectedRef.current = next;
+        setSelected(next);
+      }
+    };
+
+    // Catch up on anything that arrived between render and subscription
+    update(BleManager.getLatestData(), BleManager.getProvenance());
+
+    return BleManager.on('data', update);
+  }, []);
+
+  return selected;
+};
+
+// Values and provenance of `fields`, kept flat so the shallow comparison sees
+// a change of value, source or receive time
+const selectFields = (fields) => (data, provenance) => {
+  const selected = {};
+  fields.forEach((field) => {
+    const entry = provenance[field];
+    selected[field] = data[field];
+    selected[`${field}.source`] = entry ? entry.source : undefined;
+    selected[`${field}.updatedAt`] = entry ? entry.updatedAt : undefined;
+  });
+  return selected;
+};
+
+// Subscribe to a few fields, returned as { data, provenance } like the 'data'
+// event. Pass a constant array; the component re-renders only when one of
+// these fields changes, e.g.
+//   const { data, provenance } = useBikeFields(['rpm']);
+export const useBikeFields = (fields) => {
+  const selected = useBikeTelemetry(selectFields(fields));
+
+  return useMemo(() => {
+    const data = {};
+    const provenance = {};
+    fields.forEach((field) => {
+      if (selected[`${field}.source`] === undefined) return;
+      data[field] = selected[field];
+      provenance[field] = { source: selected[`${field}.source`], updatedAt: selected[`${field}.updatedAt`] };
+    });
+    return { data, provenance };
+  }, [selected]);
+};
+
+export default useBikeTelemetry;
@@ -0,0 +1,35 @@
+import { useEffect, useRef, useState } from 'react';
+import SettingsStore from './SettingsStore';
+import { shallowEqual } from './useBikeTelemetry';
+
+const identity = (settings) => settings;
+
+// Subscribe a component to settings. Like useBikeTelemetry, the component only
+// re-renders when the value returned by `selector` changes, e.g.
+//   const accentColor = useSettings((settings) => settings.accentColor);
+const useSettings = (selector = identity) => {
+  const selectorRef = useRef(selector);
+  selectorRef.current = selector;
+
+  const [selected, setSelected] = useState(() => selector(SettingsStore.getAll()));
+  const selectedRef = useRef(selected);
+
+  useEffect(() => {
+    const update = (changes, settings) => {
+      const next = selectorRef.current(settings);
+      if (!shallowEqual(next, selectedRef.current)) {
+        selectedRef.current = next;
+        setSelected(next);
+      }
+    };
+
+    // Catch up on anything that changed between render and subscription
+    update(null, SettingsStore.getAll());
+
+    return SettingsStore.on('change', update);
+  }, []);
+
+  return selected;
+};
+
+export default useSettings;